@@ -0,0 +1,10 @@
+import http from '../../../http';
+
+export const fetchManufacturers = (params) => http.get('/admin/catalogue/manufacturers', { params });
+export const createManufacturer = (data) => http.post('/admin/catalogue/manufacturers', data);
+export const updateManufacturer = (id, data) => http.put(`/admin/catalogue/manufacturers/${id}`, data);
+export const deleteManufacturer = (id) => http.delete(`/admin/catalogue/manufacturers/${id}`);
+export const fetchModels = (params) => http.get('/admin/catalogue/models', { params });
+export const createModel = (data) => http.post('/admin/catalogue/models', data);
+export const updateModel = (id, data) => http.put(`/admin/catalogue/models/${id}`, data);
+export const deleteModel = (id) => http.delete(`/admin/catalogue/models/${id}`);
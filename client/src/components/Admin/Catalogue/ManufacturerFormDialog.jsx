@@ -0,0 +1,74 @@
+import { useEffect, useState } from 'react';
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions,
+  TextField, Button, Box, Autocomplete
+} from '@mui/material';
+
+const initialForm = {
+  name: '',
+  aliases: []
+};
+
+function ManufacturerFormDialog({ open, onClose, onSubmit, editingData }) {
+  const [form, setForm] = useState(initialForm);
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    if (editingData) {
+      setForm({ name: editingData.name, aliases: editingData.aliases || [] });
+    } else {
+      setForm(initialForm);
+    }
+    setErrors({});
+  }, [editingData, open]);
+
+  const validate = () => {
+    const newErrors = {};
+    if (!form.name || form.name.trim().length < 2) {
+      newErrors.name = 'Название минимум 2 символа';
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = () => {
+    if (validate()) {
+      onSubmit({ name: form.name.trim(), aliases: form.aliases }, editingData?.manufacturerId);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth>
+      <DialogTitle>{editingData ? 'Редактировать изготовителя' : 'Добавить изготовителя'}</DialogTitle>
+      <DialogContent>
+        <Box mt={1} display="flex" flexDirection="column" gap={2}>
+          <TextField
+            label="Название"
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            error={!!errors.name}
+            helperText={errors.name}
+          />
+          <Autocomplete
+            multiple
+            freeSolo
+            options={[]}
+            value={form.aliases}
+            onChange={(_, value) => setForm(prev => ({ ...prev, aliases: value }))}
+            renderInput={(params) => (
+              <TextField {...params} label="Другие написания" helperText="Введите вариант и нажмите Enter" />
+            )}
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Отмена</Button>
+        <Button onClick={handleSubmit} variant="contained">
+          {editingData ? 'Сохранить' : 'Создать'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ManufacturerFormDialog;
@@ -0,0 +1,146 @@
+import { useEffect, useState } from 'react';
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions,
+  TextField, Button, Box, Autocomplete
+} from '@mui/material';
+
+const DRIVE_TYPES = ['FWD', 'RWD', 'AWD', '4WD'];
+
+const initialForm = {
+  manufacturer: null,
+  make: '',
+  model: '',
+  aliases: [],
+  engineModels: [],
+  typesOfDrive: []
+};
+
+function VehicleModelFormDialog({ open, onClose, onSubmit, editingData, manufacturers }) {
+  const [form, setForm] = useState(initialForm);
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    if (editingData) {
+      setForm({
+        manufacturer: editingData.vehiclemanufacturer || null,
+        make: editingData.make,
+        model: editingData.model,
+        aliases: editingData.aliases || [],
+        engineModels: editingData.engineModels || [],
+        typesOfDrive: editingData.typesOfDrive || []
+      });
+    } else {
+      setForm(initialForm);
+    }
+    setErrors({});
+  }, [editingData, open]);
+
+  const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const validate = () => {
+    const newErrors = {};
+    if (!form.manufacturer) {
+      newErrors.manufacturer = 'Выберите изготовителя';
+    }
+    if (!form.make.trim()) {
+      newErrors.make = 'Укажите марку';
+    }
+    if (!form.model.trim()) {
+      newErrors.model = 'Укажите модель';
+    }
+    if (form.engineModels.some(engine => !/^[A-Z0-9-]+$/.test(engine))) {
+      newErrors.engineModels = 'Модель двигателя: заглавные латинские буквы, цифры и дефис';
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = () => {
+    if (validate()) {
+      onSubmit({
+        manufacturerId: form.manufacturer.manufacturerId,
+        make: form.make.trim(),
+        model: form.model.trim(),
+        aliases: form.aliases,
+        engineModels: form.engineModels,
+        typesOfDrive: form.typesOfDrive
+      }, editingData?.modelId);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth>
+      <DialogTitle>{editingData ? 'Редактировать модель' : 'Добавить модель'}</DialogTitle>
+      <DialogContent>
+        <Box mt={1} display="flex" flexDirection="column" gap={2}>
+          <Autocomplete
+            options={manufacturers}
+            getOptionLabel={(option) => option.name}
+            isOptionEqualToValue={(option, value) => option.manufacturerId === value.manufacturerId}
+            value={form.manufacturer}
+            onChange={(_, value) => setField('manufacturer', value)}
+            renderInput={(params) => (
+              <TextField {...params} label="Изготовитель" error={!!errors.manufacturer} helperText={errors.manufacturer} />
+            )}
+          />
+          <TextField
+            label="Марка"
+            value={form.make}
+            onChange={(e) => setField('make', e.target.value)}
+            error={!!errors.make}
+            helperText={errors.make}
+          />
+          <TextField
+            label="Модель"
+            value={form.model}
+            onChange={(e) => setField('model', e.target.value)}
+            error={!!errors.model}
+            helperText={errors.model}
+          />
+          <Autocomplete
+            multiple
+            freeSolo
+            options={[]}
+            value={form.aliases}
+            onChange={(_, value) => setField('aliases', value)}
+            renderInput={(params) => (
+              <TextField {...params} label="Другие написания" helperText="Например, «ВАЗ Веста». Enter — добавить" />
+            )}
+          />
+          <Autocomplete
+            multiple
+            freeSolo
+            options={[]}
+            value={form.engineModels}
+            onChange={(_, value) => setField('engineModels', value.map(engine => engine.toUpperCase()))}
+            renderInput={(params) => (
+              <TextField
+                {...params}
+                label="Модели двигателя"
+                error={!!errors.engineModels}
+                helperText={errors.engineModels || 'Пустой список — без ограничений'}
+              />
+            )}
+          />
+          <Autocomplete
+            multiple
+            options={DRIVE_TYPES}
+            value={form.typesOfDrive}
+            onChange={(_, value) => setField('typesOfDrive', value)}
+            renderInput={(params) => (
+              <TextField {...params} label="Типы привода" helperText="Пустой список — без ограничений" />
+            )}
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Отмена</Button>
+        <Button onClick={handleSubmit} variant="contained">
+          {editingData ? 'Сохранить' : 'Создать'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default VehicleModelFormDialog;
@@ -7,7 +7,8 @@ import {
 const initialForm = {
   unitCode: '',
   departmentName: '',
-  address: ''
+  address: '',
+  regionCode: ''
 };
 
 function DepartmentFormDialog({ open, onClose, onSubmit, editingData }) {
@@ -16,7 +17,7 @@ function DepartmentFormDialog({ open, onClose, onSubmit, editingData }) {
 
   useEffect(() => {
     if (editingData) {
-      setForm(editingData);
+      setForm({ ...initialForm, ...editingData, regionCode: editingData.regionCode || '' });
     } else {
       setForm(initialForm);
     }
@@ -39,6 +40,9 @@ function DepartmentFormDialog({ open, onClose, onSubmit, editingData }) {
     if (!form.address || form.address.length < 8) {
       newErrors.address = 'Адрес минимум 8 символов';
     }
+    if (form.regionCode && !/^\d{2,3}$/.test(form.regionCode)) {
+      newErrors.regionCode = 'Код региона — 2 или 3 цифры';
+    }
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -47,7 +51,11 @@ function DepartmentFormDialog({ open, onClose, onSubmit, editingData }) {
     if (validate()) {
       const dataToSend = editingData
         ? { departmentName: form.departmentName, address: form.address }
-        : form;
+        : { unitCode: form.unitCode, departmentName: form.departmentName, address: form.address };
+
+      if (form.regionCode) {
+        dataToSend.regionCode = form.regionCode;
+      }
 
       onSubmit(dataToSend, form.unitCode);
     }
@@ -83,6 +91,14 @@ function DepartmentFormDialog({ open, onClose, onSubmit, editingData }) {
             error={!!errors.address}
             helperText={errors.address}
           />
+          <TextField
+            label="Код региона"
+            name="regionCode"
+            value={form.regionCode}
+            onChange={handleChange}
+            error={!!errors.regionCode}
+            helperText={errors.regionCode || 'Используется для выдачи гос. рег. номеров'}
+          />
         </Box>
       </DialogContent>
       <DialogActions>
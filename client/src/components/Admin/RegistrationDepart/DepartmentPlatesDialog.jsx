@@ -0,0 +1,143 @@
+import { useEffect, useState } from 'react';
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions,
+  TextField, Button, Box, Typography, MenuItem
+} from '@mui/material';
+import { generatePlates } from './DepartmentService';
+import {
+  VEHICLE_CATEGORIES, DEFAULT_VEHICLE_CATEGORY, getCategoryLabel, getPlateFormat
+} from '../../../utils/vehicleCategories';
+
+// Наибольший номер знака зависит от числа цифр в формате категории
+const maxNumber = (format) => 10 ** format.numberLength - 1;
+
+const initialForm = {
+  category: DEFAULT_VEHICLE_CATEGORY,
+  series: '',
+  from: 1,
+  to: maxNumber(getPlateFormat(DEFAULT_VEHICLE_CATEGORY))
+};
+
+function DepartmentPlatesDialog({ open, onClose, department, showSnackbar }) {
+  const [form, setForm] = useState(initialForm);
+  const [errors, setErrors] = useState({});
+  const format = getPlateFormat(form.category);
+
+  useEffect(() => {
+    if (open) {
+      setForm(initialForm);
+      setErrors({});
+    }
+  }, [open]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    if (name === 'category') {
+      setForm(prev => ({ ...prev, category: value, series: '', to: maxNumber(getPlateFormat(value)) }));
+      return;
+    }
+    setForm(prev => ({ ...prev, [name]: name === 'series' ? value.toUpperCase() : value }));
+  };
+
+  const validate = () => {
+    const newErrors = {};
+    if (!new RegExp(`^[АВЕКМНОРСТУХ]{${format.seriesLength}}$`).test(form.series)) {
+      newErrors.series = `Букв в серии: ${format.seriesLength}; допустимы А, В, Е, К, М, Н, О, Р, С, Т, У, Х`;
+    }
+    const from = Number(form.from);
+    const to = Number(form.to);
+    const max = maxNumber(format);
+    if (!Number.isInteger(from) || from < 1 || from > max) {
+      newErrors.from = `Число от 1 до ${max}`;
+    }
+    if (!Number.isInteger(to) || to < from || to > max) {
+      newErrors.to = `Число от начала диапазона до ${max}`;
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleGenerate = async () => {
+    if (!validate()) return;
+    try {
+      const res = await generatePlates({
+        regionCode: department.regionCode,
+        category: form.category,
+        series: form.series,
+        from: Number(form.from),
+        to: Number(form.to)
+      });
+      showSnackbar(`Добавлено номеров: ${res.data.created} из ${res.data.requested}`, 'success');
+      onClose();
+    } catch (e) {
+      console.error(e);
+      showSnackbar(e.response?.data?.message || 'Ошибка генерации номеров', 'error');
+    }
+  };
+
+  const preview = (n) =>
+    form.series.length === format.seriesLength
+      ? `${format.compose(form.series, String(n).padStart(format.numberLength, '0'))}${department?.regionCode}`
+      : '—';
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth>
+      <DialogTitle>Номера региона {department?.regionCode}</DialogTitle>
+      <DialogContent>
+        <Box mt={1} display="flex" flexDirection="column" gap={2}>
+          <TextField
+            select
+            label="Категория ТС"
+            name="category"
+            value={form.category}
+            onChange={handleChange}
+            helperText={`Формат знака: ${format.label}`}
+          >
+            {Object.keys(VEHICLE_CATEGORIES).map(category => (
+              <MenuItem key={category} value={category}>{getCategoryLabel(category)}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            label="Серия"
+            name="series"
+            value={form.series}
+            onChange={handleChange}
+            error={!!errors.series}
+            helperText={errors.series}
+          />
+          <Box display="flex" gap={2}>
+            <TextField
+              label="С номера"
+              name="from"
+              type="number"
+              value={form.from}
+              onChange={handleChange}
+              error={!!errors.from}
+              helperText={errors.from}
+              fullWidth
+            />
+            <TextField
+              label="По номер"
+              name="to"
+              type="number"
+              value={form.to}
+              onChange={handleChange}
+              error={!!errors.to}
+              helperText={errors.to}
+              fullWidth
+            />
+          </Box>
+          <Typography variant="body2" color="text.secondary">
+            Диапазон: {preview(form.from)} — {preview(form.to)}
+          </Typography>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Отмена</Button>
+        <Button onClick={handleGenerate} variant="contained">Сгенерировать</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default DepartmentPlatesDialog;
@@ -5,4 +5,9 @@ export const searchDepartment = (query) => http.get('/admin/reg-depart/search',
 export const createDepartment = (data) => http.post('/admin/reg-depart', data);
 export const updateDepartment = (unitCode, data) => http.put(`/admin/reg-depart/${unitCode}`, data);
 export const patchDepartment = (unitCode, data) => http.patch(`/admin/reg-depart/${unitCode}`, data);
-export const deleteDepartment = (unitCode) => http.delete(`/admin/reg-depart/${unitCode}`);
\ No newline at end of file
+export const deleteDepartment = (unitCode) => http.delete(`/admin/reg-depart/${unitCode}`);
+export const fetchDepartmentSlots = (unitCode, params) => http.get(`/admin/reg-depart/${unitCode}/slots`, { params });
+export const createDepartmentSlots = (unitCode, data) => http.post(`/admin/reg-depart/${unitCode}/slots`, data);
+export const patchSlot = (slotId, data) => http.patch(`/admin/slots/${slotId}`, data);
+export const deleteSlot = (slotId) => http.delete(`/admin/slots/${slotId}`);
+export const generatePlates = (data) => http.post('/admin/plates/generate', data);
@@ -0,0 +1,195 @@
+import { useEffect, useState } from 'react';
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions,
+  TextField, Button, Box, Typography, IconButton,
+  Table, TableBody, TableCell, TableHead, TableRow
+} from '@mui/material';
+import { Delete } from '@mui/icons-material';
+import {
+  fetchDepartmentSlots,
+  createDepartmentSlots,
+  patchSlot,
+  deleteSlot
+} from './DepartmentService';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const initialForm = {
+  startTime: '09:00',
+  endTime: '18:00',
+  intervalMinutes: 30,
+  capacity: 1
+};
+
+function DepartmentSlotsDialog({ open, onClose, department, showSnackbar }) {
+  const [date, setDate] = useState(today());
+  const [slots, setSlots] = useState([]);
+  const [form, setForm] = useState(initialForm);
+  const [editingSlot, setEditingSlot] = useState(null);
+
+  const loadSlots = async () => {
+    if (!department) return;
+    try {
+      const res = await fetchDepartmentSlots(department.unitCode, { date });
+      setSlots(res.data);
+    } catch (e) {
+      console.error(e);
+      showSnackbar('Ошибка загрузки расписания', 'error');
+    }
+  };
+
+  useEffect(() => {
+    if (open) loadSlots();
+  }, [open, department, date]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleGenerate = async () => {
+    try {
+      await createDepartmentSlots(department.unitCode, {
+        date,
+        startTime: form.startTime,
+        endTime: form.endTime,
+        intervalMinutes: Number(form.intervalMinutes),
+        capacity: Number(form.capacity)
+      });
+      showSnackbar('Слоты созданы', 'success');
+      loadSlots();
+    } catch (e) {
+      console.error(e);
+      showSnackbar(e.response?.data?.message || 'Ошибка создания слотов', 'error');
+    }
+  };
+
+  const handleCapacity = async (slotId, capacity) => {
+    try {
+      await patchSlot(slotId, { capacity: Number(capacity) });
+      loadSlots();
+    } catch (e) {
+      console.error(e);
+      showSnackbar(e.response?.data?.message || 'Ошибка обновления слота', 'error');
+    } finally {
+      setEditingSlot(null);
+    }
+  };
+
+  const handleDelete = async (slotId) => {
+    try {
+      await deleteSlot(slotId);
+      loadSlots();
+    } catch (e) {
+      console.error(e);
+      showSnackbar(e.response?.data?.message || 'Ошибка удаления слота', 'error');
+    }
+  };
+
+  const formatTime = (value) =>
+    new Date(value).toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' });
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>Расписание приёма — {department?.departmentName}</DialogTitle>
+      <DialogContent dividers>
+        <Box display="flex" flexWrap="wrap" gap={2} mb={3}>
+          <TextField
+            label="Дата"
+            type="date"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+          <TextField
+            label="Начало"
+            type="time"
+            name="startTime"
+            value={form.startTime}
+            onChange={handleChange}
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+          <TextField
+            label="Окончание"
+            type="time"
+            name="endTime"
+            value={form.endTime}
+            onChange={handleChange}
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+          <TextField
+            label="Интервал, мин"
+            type="number"
+            name="intervalMinutes"
+            value={form.intervalMinutes}
+            onChange={handleChange}
+            sx={{ width: 130 }}
+          />
+          <TextField
+            label="Вместимость"
+            type="number"
+            name="capacity"
+            value={form.capacity}
+            onChange={handleChange}
+            sx={{ width: 130 }}
+          />
+          <Button variant="contained" onClick={handleGenerate}>Создать слоты</Button>
+        </Box>
+
+        {slots.length === 0 ? (
+          <Typography color="text.secondary">На выбранную дату слоты не настроены.</Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Время</TableCell>
+                <TableCell>Вместимость</TableCell>
+                <TableCell>Записано</TableCell>
+                <TableCell>Свободно</TableCell>
+                <TableCell align="right">Действия</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {slots.map((slot) => (
+                <TableRow key={slot.slotId}>
+                  <TableCell>{formatTime(slot.startsAt)} — {formatTime(slot.endsAt)}</TableCell>
+                  <TableCell
+                    onDoubleClick={() => setEditingSlot({ slotId: slot.slotId, value: slot.capacity })}
+                  >
+                    {editingSlot?.slotId === slot.slotId ? (
+                      <TextField
+                        size="small"
+                        type="number"
+                        value={editingSlot.value}
+                        autoFocus
+                        onChange={(e) => setEditingSlot(prev => ({ ...prev, value: e.target.value }))}
+                        onBlur={() => handleCapacity(slot.slotId, editingSlot.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') handleCapacity(slot.slotId, editingSlot.value);
+                        }}
+                      />
+                    ) : (
+                      slot.capacity
+                    )}
+                  </TableCell>
+                  <TableCell>{slot.booked}</TableCell>
+                  <TableCell>{slot.free}</TableCell>
+                  <TableCell align="right">
+                    <IconButton color="error" onClick={() => handleDelete(slot.slotId)} disabled={slot.booked > 0}>
+                      <Delete />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Закрыть</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default DepartmentSlotsDialog;
@@ -0,0 +1,22 @@
+import api from '../../http';
+
+export const getAttachments = (targetType, targetId) =>
+  api.get('/attachments', { params: { targetType, targetId } });
+
+// Файл уходит телом запроса, тип — в Content-Type
+export const uploadAttachment = (targetType, targetId, kind, file) =>
+  api.post('/attachments', file, {
+    params: { targetType, targetId, kind, fileName: file.name },
+    headers: { 'Content-Type': file.type }
+  });
+
+export const deleteAttachment = (id) =>
+  api.delete(`/attachments/${id}`);
+
+// Файл запрашивается через api, чтобы ушёл токен авторизации, и открывается в новой вкладке
+export const openAttachment = async (attachment) => {
+  const res = await api.get(`/attachments/${attachment.attachmentId}/file`, { responseType: 'blob' });
+  const blobUrl = URL.createObjectURL(new Blob([res.data], { type: attachment.mimeType }));
+  window.open(blobUrl, '_blank');
+  setTimeout(() => URL.revokeObjectURL(blobUrl), 60 * 1000);
+};
@@ -0,0 +1,151 @@
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions, Button, TextField,
+  Box, Typography, MenuItem, Divider, CircularProgress, Alert, IconButton, Tooltip
+} from '@mui/material';
+import { Delete, OpenInNew } from '@mui/icons-material';
+import { useEffect, useState } from 'react';
+import { getAttachments, uploadAttachment, deleteAttachment, openAttachment } from './AttachmentService';
+import { ATTACHMENT_KINDS, getAttachmentKind, formatFileSize, validateAttachmentFile } from '../../utils/attachmentKinds';
+
+// Вложения ТС, регистрационного документа или заявления; canUpload — можно ли прикладывать и удалять файлы
+function AttachmentsDialog({ open, onClose, targetType, targetId, title, canUpload = true }) {
+  const [attachments, setAttachments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [kind, setKind] = useState('VIN_PLATE_PHOTO');
+  const [file, setFile] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchAttachments = async () => {
+    setLoading(true);
+    try {
+      const res = await getAttachments(targetType, targetId);
+      setAttachments(res.data.data);
+    } catch (e) {
+      console.error(e);
+      setError(e.response?.data?.message || 'Ошибка загрузки вложений');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (open && targetId) {
+      setFile(null);
+      setError('');
+      fetchAttachments();
+    }
+  }, [open, targetType, targetId]);
+
+  const handleUpload = async () => {
+    const fileError = validateAttachmentFile(kind, file);
+    if (fileError) {
+      setError(fileError);
+      return;
+    }
+
+    setUploading(true);
+    try {
+      await uploadAttachment(targetType, targetId, kind, file);
+      setFile(null);
+      setError('');
+      fetchAttachments();
+    } catch (e) {
+      console.error(e);
+      setError(e.response?.data?.message || 'Ошибка при загрузке файла');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteAttachment(id);
+      fetchAttachments();
+    } catch (e) {
+      console.error(e);
+      setError(e.response?.data?.message || 'Ошибка при удалении вложения');
+    }
+  };
+
+  const handleOpen = async (attachment) => {
+    try {
+      await openAttachment(attachment);
+    } catch (e) {
+      console.error(e);
+      setError('Не удалось открыть файл');
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+
+        {loading ? (
+          <Box display="flex" justifyContent="center"><CircularProgress /></Box>
+        ) : attachments.length === 0 ? (
+          <Typography color="text.secondary">Файлы не прикладывались.</Typography>
+        ) : (
+          <Box display="flex" flexDirection="column" gap={1}>
+            {attachments.map((a) => (
+              <Box key={a.attachmentId} display="flex" alignItems="center" gap={2}>
+                <Box flexGrow={1}>
+                  <Typography variant="body2">
+                    {getAttachmentKind(a.kind).label}: {a.fileName}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {formatFileSize(a.size)}, загружен {new Date(a.createdAt).toLocaleString('ru-RU')}, SHA-256 {a.checksum.slice(0, 12)}…
+                  </Typography>
+                </Box>
+                <Tooltip title="Открыть">
+                  <IconButton onClick={() => handleOpen(a)}><OpenInNew /></IconButton>
+                </Tooltip>
+                {canUpload && a.canDelete && (
+                  <Tooltip title="Удалить">
+                    <IconButton onClick={() => handleDelete(a.attachmentId)}><Delete /></IconButton>
+                  </Tooltip>
+                )}
+              </Box>
+            ))}
+          </Box>
+        )}
+
+        {canUpload && (
+          <>
+            <Divider sx={{ my: 3 }} />
+            <Typography variant="subtitle1" mb={2}>Приложить файл</Typography>
+            <Box display="flex" gap={2} alignItems="center" flexWrap="wrap">
+              <TextField select size="small" label="Вид вложения" value={kind} onChange={(e) => setKind(e.target.value)} sx={{ minWidth: 240 }}>
+                {Object.entries(ATTACHMENT_KINDS).map(([value, { label }]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </TextField>
+              <Button variant="outlined" component="label">
+                Выбрать файл
+                <input
+                  hidden
+                  type="file"
+                  accept={getAttachmentKind(kind).mimeTypes.join(',')}
+                  onChange={(e) => setFile(e.target.files[0] || null)}
+                />
+              </Button>
+              <Typography variant="body2" color="text.secondary">
+                {file ? `${file.name} (${formatFileSize(file.size)})` : 'JPEG, PNG или PDF до 10 МБ'}
+              </Typography>
+            </Box>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Закрыть</Button>
+        {canUpload && (
+          <Button variant="contained" onClick={handleUpload} disabled={!file || uploading}>Приложить</Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default AttachmentsDialog;
@@ -0,0 +1,80 @@
+import { useEffect, useState } from 'react';
+import { Autocomplete, TextField } from '@mui/material';
+import api from '../../http';
+
+const SEARCH_DELAY_MS = 300;
+
+export const getModelLabel = (model) => `${model.make} ${model.model}`;
+
+// Подсказки по модели двигателя и приводу, если значение не из списка справочника
+export const getCatalogueHints = (catalogueModel, { engineModel, typeOfDrive }) => {
+  const hints = {};
+  if (!catalogueModel) return hints;
+
+  const { engineModels = [], typesOfDrive = [] } = catalogueModel;
+  if (engineModels.length && !engineModels.includes(engineModel)) {
+    hints.engineModel = `По справочнику: ${engineModels.join(', ')}`;
+  }
+  if (typesOfDrive.length && !typesOfDrive.includes(typeOfDrive)) {
+    hints.typeOfDrive = `По справочнику: ${typesOfDrive.join(', ')}`;
+  }
+  return hints;
+};
+
+function MakeModelAutocomplete({ value, onChange, onSelect, error, helperText, disabled }) {
+  const [options, setOptions] = useState([]);
+
+  useEffect(() => {
+    const search = value.trim();
+    if (search.length < 2) {
+      setOptions([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await api.get('/admin/catalogue/models', { params: { search, limit: 10 } });
+        if (!cancelled) setOptions(res.data.data);
+      } catch (e) {
+        console.error(e);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [value]);
+
+  return (
+    <Autocomplete
+      freeSolo
+      fullWidth
+      disabled={disabled}
+      options={options}
+      filterOptions={(x) => x}
+      getOptionLabel={(option) => (typeof option === 'string' ? option : getModelLabel(option))}
+      renderOption={(props, option) => {
+        const { key, ...optionProps } = props;
+        return (
+          <li key={key} {...optionProps}>
+            {getModelLabel(option)} — {option.vehiclemanufacturer?.name}
+          </li>
+        );
+      }}
+      inputValue={value}
+      onInputChange={(_, newValue, reason) => {
+        if (reason !== 'reset') onChange(newValue);
+      }}
+      onChange={(_, option) => {
+        if (option && typeof option !== 'string') onSelect(option);
+      }}
+      renderInput={(params) => (
+        <TextField {...params} label="Марка и модель" error={error} helperText={helperText} />
+      )}
+    />
+  );
+}
+
+export default MakeModelAutocomplete;
@@ -0,0 +1,4 @@
+import api from '../../../http';
+
+export const getAgenda = (params) =>
+  api.get('/employee/agenda', { params });
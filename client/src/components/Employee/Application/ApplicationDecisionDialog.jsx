@@ -0,0 +1,215 @@
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions,
+  Button, TextField, Box, Typography, Chip, Divider, CircularProgress,
+  FormGroup, FormControlLabel, Checkbox
+} from '@mui/material';
+import { useEffect, useState } from 'react';
+import { getApplicationById } from './ApplicationService';
+import { getApplicationStatus } from '../../../utils/applicationStatuses';
+import { formatChange } from '../../../utils/vehicleFields';
+import { PLATE_PATTERN } from '../../../utils/vehicleCategories';
+
+function ApplicationDecisionDialog({ open, onClose, applicationId, onDecision }) {
+  const [application, setApplication] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [comment, setComment] = useState('');
+  const [registrationNumber, setRegistrationNumber] = useState('');
+  const [operationDate, setOperationDate] = useState('');
+  const [approvedFields, setApprovedFields] = useState([]);
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    if (open && applicationId) {
+      setComment('');
+      setErrors({});
+      setOperationDate(new Date().toISOString().split('T')[0]);
+      setLoading(true);
+      getApplicationById(applicationId)
+        .then(res => {
+          setApplication(res.data);
+          setRegistrationNumber(res.data.registrationNumber || '');
+          setApprovedFields((res.data.requestedChanges || []).map(c => c.field));
+        })
+        .catch(e => console.error('Ошибка загрузки заявления:', e))
+        .finally(() => setLoading(false));
+    }
+  }, [open, applicationId]);
+
+  const requireComment = () => {
+    if (!comment.trim()) {
+      setErrors({ comment: 'Укажите комментарий' });
+      return false;
+    }
+    setErrors({});
+    return true;
+  };
+
+  const toggleField = (field) => {
+    setApprovedFields(prev =>
+      prev.includes(field) ? prev.filter(f => f !== field) : [...prev, field]
+    );
+  };
+
+  const handleApprove = () => {
+    if (registrationNumber && !registrationNumber.match(PLATE_PATTERN)) {
+      setErrors({ registrationNumber: 'Формат: А123АА77, АА123477 (прицеп) или 1234АА77 (мотоцикл)' });
+      return;
+    }
+    if (application.requestedChanges && approvedFields.length === 0) {
+      setErrors({ approvedFields: 'Выберите хотя бы одно изменение или отклоните заявление' });
+      return;
+    }
+    onDecision('approve', applicationId, {
+      registrationNumber: registrationNumber || null,
+      operationDate,
+      comment,
+      ...(application.requestedChanges ? { approvedFields } : {})
+    });
+  };
+
+  const formatDate = (value) => value ? new Date(value).toLocaleString('ru-RU') : '-';
+
+  const status = application ? getApplicationStatus(application.status) : null;
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>Заявление №{applicationId}</DialogTitle>
+      <DialogContent dividers>
+        {loading || !application ? (
+          <Box display="flex" justifyContent="center" p={3}><CircularProgress /></Box>
+        ) : (
+          <Box display="flex" flexDirection="column" gap={2}>
+            <Box display="flex" alignItems="center" gap={2}>
+              <Typography variant="h6">{application.operationType}</Typography>
+              <Chip label={status.label} color={status.color} />
+            </Box>
+            <Typography><strong>VIN:</strong> {application.vin} {application.transportvehicle ? `— ${application.transportvehicle.makeAndModel}, ${application.transportvehicle.releaseYear}` : ''}</Typography>
+            <Typography><strong>Заявитель:</strong> {application.applicant}</Typography>
+            {application.representative && (
+              <Typography>
+                <strong>Представитель:</strong> {application.representative}
+                {application.powerofattorney && (
+                  `, доверенность № ${application.powerofattorney.notarialNumber} с ${application.powerofattorney.validFrom} по ${application.powerofattorney.validUntil}${application.powerofattorney.revokedAt ? ' (отозвана)' : ''}`
+                )}
+              </Typography>
+            )}
+            <Typography><strong>Подразделение:</strong> {application.registrationdepart ? `${application.unitCode} — ${application.registrationdepart.departmentName}` : application.unitCode}</Typography>
+            <Typography><strong>Основание:</strong> {application.operationBase}</Typography>
+            <Typography><strong>Дата подачи:</strong> {formatDate(application.applicationDate)}</Typography>
+            {application.validUntil && (
+              <Typography><strong>Временная регистрация до:</strong> {new Date(application.validUntil).toLocaleDateString('ru-RU')}</Typography>
+            )}
+            {application.requestedPlateNumber && (
+              <Typography>
+                <strong>Желаемый номер:</strong> {application.requestedPlateNumber}
+                {application.platenumber
+                  ? ` — удерживается до ${formatDate(application.platenumber.reservedUntil)}`
+                  : ' — не удерживается'}
+              </Typography>
+            )}
+
+            {application.requestedChanges && (
+              <>
+                <Divider />
+                <Typography variant="subtitle1">Запрашиваемые изменения</Typography>
+                {application.status === 'UNDER_REVIEW' ? (
+                  <FormGroup>
+                    {application.requestedChanges.map(change => (
+                      <FormControlLabel
+                        key={change.field}
+                        control={
+                          <Checkbox
+                            checked={approvedFields.includes(change.field)}
+                            onChange={() => toggleField(change.field)}
+                          />
+                        }
+                        label={formatChange(change)}
+                      />
+                    ))}
+                  </FormGroup>
+                ) : (
+                  application.requestedChanges.map(change => (
+                    <Typography key={change.field} variant="body2">{formatChange(change)}</Typography>
+                  ))
+                )}
+                {errors.approvedFields && (
+                  <Typography variant="body2" color="error">{errors.approvedFields}</Typography>
+                )}
+              </>
+            )}
+
+            <Divider />
+            <Typography variant="subtitle1">История статусов</Typography>
+            {(application.applicationstatushistories || []).map((h, idx) => (
+              <Typography key={idx} variant="body2">
+                {formatDate(h.changedAt)} — {getApplicationStatus(h.toStatus).label}
+                {' '}({h.changedByRole === 'OWNER' ? 'владелец' : 'сотрудник'})
+                {h.comment ? `: ${h.comment}` : ''}
+              </Typography>
+            ))}
+
+            {application.status === 'UNDER_REVIEW' && (
+              <>
+                <Divider />
+                <TextField
+                  label="Гос. рег. номер (при наличии)"
+                  value={registrationNumber}
+                  onChange={(e) => setRegistrationNumber(e.target.value)}
+                  error={!!errors.registrationNumber}
+                  helperText={errors.registrationNumber}
+                />
+                <TextField
+                  label="Дата операции"
+                  type="date"
+                  value={operationDate}
+                  onChange={(e) => setOperationDate(e.target.value)}
+                  slotProps={{
+                    inputLabel: { shrink: true }
+                  }}
+                />
+                <TextField
+                  label="Комментарий"
+                  value={comment}
+                  onChange={(e) => setComment(e.target.value)}
+                  error={!!errors.comment}
+                  helperText={errors.comment}
+                  multiline
+                  minRows={2}
+                />
+              </>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Закрыть</Button>
+        {application?.status === 'SUBMITTED' && (
+          <Button variant="contained" onClick={() => onDecision('review', applicationId)}>
+            Взять на рассмотрение
+          </Button>
+        )}
+        {application?.status === 'UNDER_REVIEW' && (
+          <>
+            <Button
+              color="warning"
+              onClick={() => requireComment() && onDecision('correction', applicationId, { comment })}
+            >
+              Вернуть на доработку
+            </Button>
+            <Button
+              color="error"
+              onClick={() => requireComment() && onDecision('reject', applicationId, { comment })}
+            >
+              Отклонить
+            </Button>
+            <Button variant="contained" color="success" onClick={handleApprove}>
+              Одобрить
+            </Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ApplicationDecisionDialog;
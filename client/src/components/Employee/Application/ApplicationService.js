@@ -0,0 +1,19 @@
+import api from '../../../http';
+
+export const getApplications = (params) =>
+  api.get('/employee/applications', { params });
+
+export const getApplicationById = (id) =>
+  api.get(`/employee/applications/${id}`);
+
+export const takeApplicationForReview = (id) =>
+  api.post(`/employee/applications/${id}/review`);
+
+export const requestApplicationCorrection = (id, data) =>
+  api.post(`/employee/applications/${id}/request-correction`, data);
+
+export const approveApplication = (id, data) =>
+  api.post(`/employee/applications/${id}/approve`, data);
+
+export const rejectApplication = (id, data) =>
+  api.post(`/employee/applications/${id}/reject`, data);
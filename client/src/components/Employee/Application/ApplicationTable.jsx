@@ -0,0 +1,93 @@
+import {
+  Table, TableHead, TableRow, TableCell, TableBody,
+  Paper, TableContainer, IconButton, Chip
+} from '@mui/material';
+import { Visibility, AttachFile } from '@mui/icons-material';
+import { getApplicationStatus } from '../../../utils/applicationStatuses';
+
+function ApplicationTable({ data, loading, sortField, sortOrder, onSort, onOpen, onAttachmentsClick }) {
+  const columns = [
+    { field: 'applicationId', label: '№' },
+    { field: 'vin', label: 'VIN' },
+    { field: 'operationType', label: 'Тип операции' },
+    { field: 'unitCode', label: 'Код подразделения' },
+    { field: 'applicant', label: 'Заявитель', sortable: false },
+    { field: 'applicationDate', label: 'Дата подачи' },
+    { field: 'status', label: 'Статус' }
+  ];
+
+  const formatDate = (value) => {
+    if (!value) return '-';
+    const date = new Date(value);
+    return isNaN(date) ? value : date.toLocaleDateString('ru-RU');
+  };
+
+  const renderCell = (row, col) => {
+    if (col.field === 'applicationDate') {
+      return formatDate(row.applicationDate);
+    }
+
+    if (col.field === 'status') {
+      const status = getApplicationStatus(row.status);
+      return <Chip size="small" label={status.label} color={status.color} />;
+    }
+
+    if (col.field === 'vin') {
+      return row.transportvehicle
+        ? `${row.vin} — ${row.transportvehicle.makeAndModel}`
+        : row.vin;
+    }
+
+    return row[col.field] || '-';
+  };
+
+  return (
+    <TableContainer component={Paper}>
+      <Table stickyHeader>
+        <TableHead>
+          <TableRow>
+            {columns.map(col => (
+              <TableCell
+                key={col.field}
+                onClick={() => col.sortable !== false && onSort(col.field)}
+                sx={{ cursor: col.sortable !== false ? 'pointer' : 'default', whiteSpace: 'nowrap' }}
+              >
+                {col.label} {sortField === col.field ? (sortOrder === 'ASC' ? '↑' : '↓') : ''}
+              </TableCell>
+            ))}
+            <TableCell align="right">Действия</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {loading ? (
+            <TableRow>
+              <TableCell colSpan={columns.length + 1} align="center">Загрузка...</TableCell>
+            </TableRow>
+          ) : data.length > 0 ? (
+            data.map((row) => (
+              <TableRow key={row.applicationId}>
+                {columns.map(col => (
+                  <TableCell key={col.field}>{renderCell(row, col)}</TableCell>
+                ))}
+                <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                  <IconButton title="Вложения" onClick={() => onAttachmentsClick(row)}>
+                    <AttachFile />
+                  </IconButton>
+                  <IconButton onClick={() => onOpen(row.applicationId)}>
+                    <Visibility />
+                  </IconButton>
+                </TableCell>
+              </TableRow>
+            ))
+          ) : (
+            <TableRow>
+              <TableCell colSpan={columns.length + 1} align="center">Нет данных</TableCell>
+            </TableRow>
+          )}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
+
+export default ApplicationTable;
@@ -0,0 +1,10 @@
+import api from '../../../http';
+
+export const getPlates = (params) =>
+  api.get('/employee/plates', { params });
+
+export const reservePlate = (plateNumber) =>
+  api.post(`/employee/plates/${plateNumber}/reserve`);
+
+export const releasePlate = (plateNumber) =>
+  api.post(`/employee/plates/${plateNumber}/release`);
@@ -0,0 +1,96 @@
+import {
+  Table, TableHead, TableRow, TableCell, TableBody,
+  Paper, TableContainer, Chip, Button
+} from '@mui/material';
+import { getPlateStatus } from '../../../utils/plateStatuses';
+
+function PlateTable({ data, loading, sortField, sortOrder, onSort, badgeNumber, onReserve, onRelease }) {
+  const columns = [
+    { field: 'plateNumber', label: 'Гос. номер' },
+    { field: 'status', label: 'Статус' },
+    { field: 'reservedUntil', label: 'Резерв до' },
+    { field: 'issuedAt', label: 'Выдан' },
+    { field: 'availableFrom', label: 'Доступен с' }
+  ];
+
+  const formatDate = (value) => value ? new Date(value).toLocaleString('ru-RU') : '-';
+
+  const renderCell = (row, col) => {
+    if (col.field === 'status') {
+      const status = getPlateStatus(row.status);
+      return (
+        <>
+          <Chip size="small" label={status.label} color={status.color} />
+          {row.status === 'RESERVED' && row.employee && (
+            <span> {row.employee.lastName} {row.employee.firstName}</span>
+          )}
+          {row.status === 'RESERVED' && row.applicationId && (
+            <span> по заявлению №{row.applicationId}</span>
+          )}
+        </>
+      );
+    }
+
+    if (['reservedUntil', 'issuedAt', 'availableFrom'].includes(col.field)) {
+      return formatDate(row[col.field]);
+    }
+
+    return row[col.field] || '-';
+  };
+
+  const isMine = (row) =>
+    row.status === 'RESERVED' && row.reservedBy === badgeNumber && new Date(row.reservedUntil) >= new Date();
+
+  return (
+    <TableContainer component={Paper}>
+      <Table stickyHeader>
+        <TableHead>
+          <TableRow>
+            {columns.map(col => (
+              <TableCell
+                key={col.field}
+                onClick={() => onSort(col.field)}
+                sx={{ cursor: 'pointer', whiteSpace: 'nowrap' }}
+              >
+                {col.label} {sortField === col.field ? (sortOrder === 'ASC' ? '↑' : '↓') : ''}
+              </TableCell>
+            ))}
+            <TableCell align="right">Действия</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {loading ? (
+            <TableRow>
+              <TableCell colSpan={columns.length + 1} align="center">Загрузка...</TableCell>
+            </TableRow>
+          ) : data.length > 0 ? (
+            data.map((row) => (
+              <TableRow key={row.plateNumber}>
+                {columns.map(col => (
+                  <TableCell key={col.field}>{renderCell(row, col)}</TableCell>
+                ))}
+                <TableCell align="right">
+                  {isMine(row) ? (
+                    <Button size="small" color="warning" onClick={() => onRelease(row)}>
+                      Снять резерв
+                    </Button>
+                  ) : row.available && (
+                    <Button size="small" variant="outlined" onClick={() => onReserve(row)}>
+                      Зарезервировать
+                    </Button>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))
+          ) : (
+            <TableRow>
+              <TableCell colSpan={columns.length + 1} align="center">Нет данных</TableCell>
+            </TableRow>
+          )}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
+
+export default PlateTable;
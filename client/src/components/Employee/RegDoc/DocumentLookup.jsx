@@ -0,0 +1,54 @@
+import { Box, TextField, MenuItem, Button, Alert } from '@mui/material';
+import { useState } from 'react';
+import { lookupDocument } from './RegDocService';
+import { DOCUMENT_NUMBER_FORMATS } from '../../../utils/documentStatuses';
+
+function DocumentLookup() {
+  const [kind, setKind] = useState('STS');
+  const [number, setNumber] = useState('');
+  const [result, setResult] = useState(null);
+
+  const handleLookup = async () => {
+    try {
+      const res = await lookupDocument({ kind, number: number.trim() });
+      setResult({
+        severity: res.data.data.status === 'ACTIVE' ? 'success' : 'warning',
+        message: res.data.data.replacedBy
+          ? `${kind} ${number} недействителен: заменен на ${res.data.data.replacedBy.number} ${res.data.data.invalidatedAt} (${res.data.data.reason}), рег. номер ${res.data.data.registrationNumber}`
+          : res.data.data.status === 'ACTIVE'
+            ? `${kind} ${number} действителен, рег. номер ${res.data.data.registrationNumber}`
+            : `${kind} ${number} недействителен с ${res.data.data.invalidatedAt}${res.data.data.reason ? ` (${res.data.data.reason})` : ''}`
+      });
+    } catch (e) {
+      setResult({
+        severity: 'error',
+        message: e.response?.status === 404 ? `${kind} ${number} не выдавался` : (e.response?.data?.message || 'Ошибка проверки номера')
+      });
+    }
+  };
+
+  return (
+    <Box mb={2}>
+      <Box display="flex" gap={2} alignItems="center">
+        <TextField select size="small" label="Документ" value={kind} onChange={(e) => setKind(e.target.value)} sx={{ minWidth: 120 }}>
+          <MenuItem value="STS">СТС</MenuItem>
+          <MenuItem value="PTS">ПТС</MenuItem>
+        </TextField>
+        <TextField
+          size="small"
+          label="Проверить номер"
+          placeholder={DOCUMENT_NUMBER_FORMATS[kind].hint}
+          value={number}
+          onChange={(e) => setNumber(e.target.value)}
+          sx={{ flexGrow: 1 }}
+        />
+        <Button variant="outlined" onClick={handleLookup} disabled={!number.trim().match(DOCUMENT_NUMBER_FORMATS[kind].pattern)}>
+          Проверить
+        </Button>
+      </Box>
+      {result && <Alert severity={result.severity} sx={{ mt: 1 }} onClose={() => setResult(null)}>{result.message}</Alert>}
+    </Box>
+  );
+}
+
+export default DocumentLookup;
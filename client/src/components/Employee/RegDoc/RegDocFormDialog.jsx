@@ -1,26 +1,32 @@
 import { useEffect, useState } from 'react';
 import {
   Dialog, DialogTitle, DialogContent, DialogActions,
-  TextField, Button, Box, Autocomplete, CircularProgress
+  TextField, Button, Box, Autocomplete, CircularProgress, MenuItem
 } from '@mui/material';
 import debounce from 'lodash.debounce';
 import api from '../../../http'; 
+import { PTS_TYPES, EPTS_STATUSES } from '../../../utils/documentStatuses';
+import { PLATE_PATTERN } from '../../../utils/vehicleCategories';
 
 const initialForm = {
   registrationNumber: '',
   address: '',
   pts: '',
+  ptsType: 'PAPER',
+  ptsStatus: '',
+  ptsIssuedAt: '',
   sts: '',
   registrationDate: '',
-  documentOwner: ''
+  validUntil: '',
+  documentOwner: '',
+  vin: ''
 };
 
 const rusLetters = ['А','В','Е','К','М','Н','О','Р','С','Т','У','Х'];
-const generateNumber = () => {
-  const randLetter = () => rusLetters[Math.floor(Math.random() * rusLetters.length)];
-  return `${randLetter()}${Math.floor(100 + Math.random() * 900)}${randLetter()}${randLetter()}`; // без последних цифр
-};
-const generatePTS = () => {
+const generatePTS = (ptsType) => {
+  if (ptsType === 'ELECTRONIC') {
+    return `1643${Math.floor(10000000000 + Math.random() * 90000000000)}`;
+  }
   const randLetter = () => rusLetters[Math.floor(Math.random() * rusLetters.length)];
   return `${Math.floor(10 + Math.random() * 90)} ${randLetter()}${randLetter()} ${Math.floor(100000 + Math.random() * 900000)}`;
 };
@@ -42,7 +48,11 @@ function RegDocFormDialog({ open, onClose, onSubmit, editingData }) {
 
       setForm({
         ...editingData,
-        registrationDate: formattedDate
+        registrationDate: formattedDate,
+        validUntil: editingData.validUntil || '',
+        ptsType: editingData.ptsType || 'PAPER',
+        ptsStatus: editingData.ptsStatus || '',
+        ptsIssuedAt: editingData.ptsIssuedAt || ''
       });
 
       setSelectedOwner({
@@ -65,18 +75,30 @@ function RegDocFormDialog({ open, onClose, onSubmit, editingData }) {
 
   const validate = () => {
     const newErrors = {};
-    if (!form.registrationNumber.match(/^[А-Я]{1}\d{3}[А-Я]{2}\d{2,3}$/)) {
-      newErrors.registrationNumber = 'Формат: А123АА77';
+    if (form.registrationNumber && !form.registrationNumber.match(PLATE_PATTERN)) {
+      newErrors.registrationNumber = 'Формат: А123АА77, АА123477 (прицеп) или 1234АА77 (мотоцикл)';
+    }
+    if (!form.pts.match(PTS_TYPES[form.ptsType].pattern)) {
+      newErrors.pts = `Формат: ${PTS_TYPES[form.ptsType].hint}`;
     }
-    if (!form.pts.match(/^\d{2} [А-Я]{2} \d{6}$/)) {
-      newErrors.pts = 'Формат: 12 АБ 345678';
+    if (form.ptsType === 'ELECTRONIC') {
+      if (!form.ptsStatus) newErrors.ptsStatus = 'Обязательно для ЭПТС';
+      if (!form.ptsIssuedAt) newErrors.ptsIssuedAt = 'Обязательно для ЭПТС';
     }
     if (!form.sts.match(/^\d{2} \d{2} \d{6}$/)) {
       newErrors.sts = 'Формат: 12 34 567890';
     }
+    if (!editingData && !form.vin) {
+      newErrors.vin = 'Обязательно';
+    } else if (form.vin && !form.vin.match(/^[A-HJ-NPR-Z0-9]{17}$/)) {
+      newErrors.vin = 'VIN должен состоять из 17 символов';
+    }
     if (!form.registrationDate) {
       newErrors.registrationDate = 'Обязательно';
     }
+    if (form.validUntil && form.validUntil <= form.registrationDate) {
+      newErrors.validUntil = 'Дата окончания должна быть позже даты регистрации';
+    }
     if (!form.documentOwner) {
       newErrors.documentOwner = 'Обязательно';
     }
@@ -133,9 +155,19 @@ function RegDocFormDialog({ open, onClose, onSubmit, editingData }) {
             value={form.registrationNumber}
             onChange={handleChange}
             error={!!errors.registrationNumber}
-            helperText={errors.registrationNumber}
+            helperText={errors.registrationNumber || (!editingData && 'Оставьте пустым, чтобы выдать следующий свободный номер региона')}
             disabled={!!editingData}
           />
+          {!editingData && (
+            <TextField
+              label="VIN"
+              name="vin"
+              value={form.vin}
+              onChange={handleChange}
+              error={!!errors.vin}
+              helperText={errors.vin || 'По VIN проверяются ограничения на регистрационные действия'}
+            />
+          )}
           <TextField
             label="Адрес"
             name="address"
@@ -145,13 +177,55 @@ function RegDocFormDialog({ open, onClose, onSubmit, editingData }) {
             helperText={errors.address}
           />
           <TextField
-            label="ПТС"
+            select
+            label="Вид паспорта ТС"
+            name="ptsType"
+            value={form.ptsType}
+            onChange={(e) => setForm(prev => ({
+              ...prev,
+              ptsType: e.target.value,
+              ptsStatus: e.target.value === 'ELECTRONIC' ? prev.ptsStatus || 'ACTIVE' : ''
+            }))}
+          >
+            {Object.entries(PTS_TYPES).map(([value, { label }]) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            label={form.ptsType === 'ELECTRONIC' ? 'Номер ЭПТС' : 'ПТС'}
             name="pts"
             value={form.pts}
             onChange={handleChange}
             error={!!errors.pts}
-            helperText={errors.pts}
+            helperText={errors.pts || `Формат: ${PTS_TYPES[form.ptsType].hint}`}
           />
+          {form.ptsType === 'ELECTRONIC' && (
+            <>
+              <TextField
+                select
+                label="Статус ЭПТС"
+                name="ptsStatus"
+                value={form.ptsStatus}
+                onChange={handleChange}
+                error={!!errors.ptsStatus}
+                helperText={errors.ptsStatus}
+              >
+                {Object.entries(EPTS_STATUSES).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                label="Дата оформления ЭПТС"
+                name="ptsIssuedAt"
+                type="date"
+                value={form.ptsIssuedAt}
+                onChange={handleChange}
+                error={!!errors.ptsIssuedAt}
+                helperText={errors.ptsIssuedAt}
+                InputLabelProps={{ shrink: true }}
+              />
+            </>
+          )}
           <TextField
             label="СТС"
             name="sts"
@@ -174,20 +248,21 @@ function RegDocFormDialog({ open, onClose, onSubmit, editingData }) {
               }
             }}
           />
-          {!editingData && (
-          <Button
-              variant="outlined"
-              onClick={() => setForm(prev => ({ ...prev, registrationNumber: generateNumber() }))}
-            >
-              Сгенерировать гос. номер
-            </Button>
-          )}
-
+          <TextField
+            label="Временная регистрация до"
+            name="validUntil"
+            type="date"
+            value={form.validUntil}
+            onChange={handleChange}
+            error={!!errors.validUntil}
+            helperText={errors.validUntil || 'Оставьте пустым для постоянной регистрации'}
+            InputLabelProps={{ shrink: true }}
+          />
           <Button
             variant="outlined"
-            onClick={() => setForm(prev => ({ ...prev, pts: generatePTS() }))}
+            onClick={() => setForm(prev => ({ ...prev, pts: generatePTS(prev.ptsType) }))}
           >
-            Сгенерировать ПТС
+            {form.ptsType === 'ELECTRONIC' ? 'Сгенерировать номер ЭПТС' : 'Сгенерировать ПТС'}
           </Button>
 
           <Button
@@ -0,0 +1,153 @@
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions, Button, TextField,
+  Box, Typography, Radio, IconButton, CircularProgress, Tooltip
+} from '@mui/material';
+import { Delete, Add } from '@mui/icons-material';
+import { useEffect, useState } from 'react';
+import { getDocumentOwners, putDocumentOwners } from './RegDocService';
+
+const OWNER_PATTERN = /^(\d{10}|\d{4} \d{6})$/;
+
+const emptyOwner = { owner: '', shareNumerator: 1, shareDenominator: 2, isPrimary: false };
+
+// Состав собственников ТС с долями; основной владелец указывается в документе
+function RegDocOwnersDialog({ open, onClose, regDoc, onSuccess, showSnackbar }) {
+  const [owners, setOwners] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchOwners = async () => {
+    setLoading(true);
+    try {
+      const res = await getDocumentOwners(regDoc.registrationNumber);
+      setOwners(res.data.data);
+    } catch (e) {
+      console.error(e);
+      showSnackbar('Ошибка загрузки владельцев', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (open && regDoc) {
+      setError('');
+      fetchOwners();
+    }
+  }, [open, regDoc]);
+
+  const handleChange = (index, field, value) => {
+    setOwners(prev => prev.map((o, i) => (i === index ? { ...o, [field]: value } : o)));
+  };
+
+  const handlePrimary = (index) => {
+    setOwners(prev => prev.map((o, i) => ({ ...o, isPrimary: i === index })));
+  };
+
+  const validate = () => {
+    if (owners.some(o => !OWNER_PATTERN.test(o.owner))) {
+      return 'Укажите паспорт (XXXX XXXXXX) или ИНН (10 цифр) каждого владельца';
+    }
+    if (owners.some(o => !(o.shareNumerator >= 1 && o.shareDenominator >= o.shareNumerator))) {
+      return 'Доля должна быть дробью от 1/1000 до 1/1';
+    }
+    if (owners.filter(o => o.isPrimary).length !== 1) {
+      return 'Выберите основного владельца';
+    }
+    return '';
+  };
+
+  const handleSubmit = async () => {
+    const validationError = validate();
+    setError(validationError);
+    if (validationError) return;
+
+    try {
+      const res = await putDocumentOwners(regDoc.registrationNumber, {
+        owners: owners.map(o => ({
+          owner: o.owner,
+          shareNumerator: Number(o.shareNumerator),
+          shareDenominator: Number(o.shareDenominator),
+          isPrimary: o.isPrimary
+        }))
+      });
+      showSnackbar(res.data.message, 'success');
+      onSuccess();
+    } catch (e) {
+      console.error(e);
+      setError(e.response?.data?.message || 'Ошибка при сохранении владельцев');
+    }
+  };
+
+  const isActive = regDoc?.status === 'ACTIVE';
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>Собственники ТС по документу {regDoc?.registrationNumber}</DialogTitle>
+      <DialogContent dividers>
+        {loading ? (
+          <Box display="flex" justifyContent="center"><CircularProgress /></Box>
+        ) : (
+          <Box display="flex" flexDirection="column" gap={2}>
+            {owners.map((o, index) => (
+              <Box key={index} display="flex" alignItems="center" gap={2}>
+                <Tooltip title="Основной владелец">
+                  <Radio checked={o.isPrimary} onChange={() => handlePrimary(index)} disabled={!isActive} />
+                </Tooltip>
+                <TextField
+                  size="small"
+                  label="Паспорт / ИНН"
+                  value={o.owner}
+                  onChange={(e) => handleChange(index, 'owner', e.target.value)}
+                  disabled={!isActive}
+                  sx={{ flexGrow: 1 }}
+                />
+                <TextField
+                  size="small"
+                  type="number"
+                  label="Доля"
+                  value={o.shareNumerator}
+                  onChange={(e) => handleChange(index, 'shareNumerator', Number(e.target.value))}
+                  disabled={!isActive}
+                  sx={{ width: 90 }}
+                />
+                <Typography>/</Typography>
+                <TextField
+                  size="small"
+                  type="number"
+                  label="из"
+                  value={o.shareDenominator}
+                  onChange={(e) => handleChange(index, 'shareDenominator', Number(e.target.value))}
+                  disabled={!isActive}
+                  sx={{ width: 90 }}
+                />
+                {isActive && (
+                  <IconButton title="Удалить" onClick={() => setOwners(prev => prev.filter((_, i) => i !== index))} disabled={owners.length === 1}>
+                    <Delete />
+                  </IconButton>
+                )}
+              </Box>
+            ))}
+            {isActive && (
+              <Box>
+                <Button startIcon={<Add />} onClick={() => setOwners(prev => [...prev, emptyOwner])} disabled={owners.length >= 10}>
+                  Добавить совладельца
+                </Button>
+              </Box>
+            )}
+            <Typography variant="caption" color="text.secondary">
+              Сумма долей должна быть равна единице. Передача и снятие ТС с учета требуют согласия всех совладельцев.
+            </Typography>
+            {error && <Typography color="error" variant="body2">{error}</Typography>}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Закрыть</Button>
+        {isActive && <Button variant="contained" onClick={handleSubmit} disabled={loading}>Сохранить</Button>}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default RegDocOwnersDialog;
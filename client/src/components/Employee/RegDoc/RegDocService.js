@@ -19,3 +19,27 @@ export const putRegDoc = (regNumber, data) => {
 export const patchRegDoc = (regNumber, data) => {
   return api.patch(`/employee/reg-docs/${regNumber}`, data);
 };
+
+export const getDocumentHistory = (regNumber) => {
+  return api.get(`/employee/reg-docs/${regNumber}/documents`);
+};
+
+export const reissueDocument = (regNumber, data) => {
+  return api.post(`/employee/reg-docs/${regNumber}/reissue`, data);
+};
+
+export const getDocumentOwners = (regNumber) => {
+  return api.get(`/employee/reg-docs/${regNumber}/owners`);
+};
+
+export const putDocumentOwners = (regNumber, data) => {
+  return api.put(`/employee/reg-docs/${regNumber}/owners`, data);
+};
+
+export const getCertificateUrl = (regNumber) => {
+  return `/employee/reg-docs/${regNumber}/certificate.pdf`;
+};
+
+export const lookupDocument = (params) => {
+  return api.get('/employee/documents/lookup', { params });
+};
@@ -1,9 +1,10 @@
 import {
   Table, TableHead, TableRow, TableCell, TableBody,
-  TableContainer, Paper, TextField, IconButton
+  TableContainer, Paper, TextField, IconButton, Chip
 } from '@mui/material';
-import { Edit } from '@mui/icons-material';
+import { Edit, Autorenew, PictureAsPdf, AttachFile, Group } from '@mui/icons-material';
 import { useState } from 'react';
+import { getRegistrationExpiry } from '../../../utils/registrationExpiry';
 
 function RegDocTable({
   data,
@@ -12,6 +13,10 @@ function RegDocTable({
   sortOrder,
   onSort,
   onEditClick,
+  onDocumentsClick,
+  onAttachmentsClick,
+  onOwnersClick,
+  onPrintClick,
   editingCell,
   setEditingCell,
   handleKeyDown,
@@ -25,7 +30,9 @@ function RegDocTable({
     { label: 'ПТС', field: 'pts' },
     { label: 'СТС', field: 'sts' },
     { label: 'Дата рег.', field: 'registrationDate' },
-    { label: 'Владелец', field: 'documentOwner' }
+    { label: 'Действует до', field: 'validUntil' },
+    { label: 'Владелец', field: 'documentOwner' },
+    { label: 'Статус', field: 'status' }
   ];
 
   const handleDoubleClick = (id, field, value) => {
@@ -65,6 +72,19 @@ function RegDocTable({
     const id = item.registrationNumber;
     const isEditing = editingCell?.id === id && editingCell?.field === col.field;
 
+    if (col.field === 'status') {
+      return item.status === 'CLOSED'
+        ? `Закрыт ${formatDate(item.closedAt)}`
+        : 'Действует';
+    }
+
+    if (col.field === 'validUntil') {
+      const expiry = item.status === 'ACTIVE' ? getRegistrationExpiry(item.validUntil) : null;
+      return expiry
+        ? <Chip size="small" label={expiry.label} color={expiry.color} />
+        : formatDate(item.validUntil);
+    }
+
     if (col.field === 'registrationDate') {
       return isEditing ? (
         <TextField
@@ -106,6 +126,9 @@ function RegDocTable({
         style={{ cursor: ['pts', 'sts'].includes(col.field) ? 'pointer' : 'default' }}
       >
         {item[col.field] || '-'}
+        {col.field === 'pts' && item.ptsType === 'ELECTRONIC' && (
+          <Chip size="small" label="ЭПТС" sx={{ ml: 1 }} />
+        )}
       </span>
     );
   };
@@ -135,7 +158,19 @@ function RegDocTable({
                       {renderCell(item, col)}
                     </TableCell>
                   ))}
-                  <TableCell align="right">
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <IconButton title="Печать СТС" onClick={() => onPrintClick(item)}>
+                      <PictureAsPdf />
+                    </IconButton>
+                    <IconButton title="ПТС/СТС" onClick={() => onDocumentsClick(item)}>
+                      <Autorenew />
+                    </IconButton>
+                    <IconButton title="Вложения" onClick={() => onAttachmentsClick(item)}>
+                      <AttachFile />
+                    </IconButton>
+                    <IconButton title="Собственники" onClick={() => onOwnersClick(item)}>
+                      <Group />
+                    </IconButton>
                     <IconButton onClick={() => onEditClick(item)}>
                       <Edit />
                     </IconButton>
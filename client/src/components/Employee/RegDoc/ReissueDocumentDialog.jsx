@@ -0,0 +1,131 @@
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions, Button, TextField,
+  Box, Typography, Chip, MenuItem, Divider, CircularProgress
+} from '@mui/material';
+import { useEffect, useState } from 'react';
+import { getDocumentHistory, reissueDocument } from './RegDocService';
+import { REISSUE_REASONS, DOCUMENT_NUMBER_FORMATS, getDocumentStatus } from '../../../utils/documentStatuses';
+
+const emptyForm = { kind: 'STS', number: '', reason: 'LOST', issuedAt: '' };
+
+function ReissueDocumentDialog({ open, onClose, regDoc, onSuccess, showSnackbar }) {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [error, setError] = useState('');
+
+  const fetchHistory = async () => {
+    setLoading(true);
+    try {
+      const res = await getDocumentHistory(regDoc.registrationNumber);
+      setHistory(res.data.data);
+    } catch (e) {
+      console.error(e);
+      showSnackbar('Ошибка загрузки истории документов', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (open && regDoc) {
+      setForm({ ...emptyForm, issuedAt: new Date().toISOString().split('T')[0] });
+      setError('');
+      fetchHistory();
+    }
+  }, [open, regDoc]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async () => {
+    const format = DOCUMENT_NUMBER_FORMATS[form.kind];
+    if (!form.number.match(format.pattern)) {
+      setError(`Формат: ${format.hint}`);
+      return;
+    }
+    setError('');
+    try {
+      const res = await reissueDocument(regDoc.registrationNumber, form);
+      showSnackbar(res.data.message, 'success');
+      onSuccess();
+    } catch (e) {
+      console.error(e);
+      showSnackbar(e.response?.data?.message || 'Ошибка при выдаче документа', 'error');
+    }
+  };
+
+  const isActive = regDoc?.status === 'ACTIVE';
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>Документы по регистрации {regDoc?.registrationNumber}</DialogTitle>
+      <DialogContent dividers>
+        {loading ? (
+          <Box display="flex" justifyContent="center"><CircularProgress /></Box>
+        ) : history.length === 0 ? (
+          <Typography color="text.secondary">
+            История номеров не велась. Текущие ПТС {regDoc?.pts} и СТС {regDoc?.sts} будут внесены в нее при первой замене.
+          </Typography>
+        ) : (
+          <Box display="flex" flexDirection="column" gap={1}>
+            {history.map((d) => (
+              <Box key={d.documentId} display="flex" alignItems="center" gap={2}>
+                <Typography variant="body2" sx={{ minWidth: 140 }}>{d.kind} {d.number}</Typography>
+                <Chip size="small" label={getDocumentStatus(d.status).label} color={getDocumentStatus(d.status).color} />
+                <Typography variant="caption" color="text.secondary">
+                  выдан {d.issuedAt}
+                  {d.invalidatedAt && `, недействителен с ${d.invalidatedAt}`}
+                  {d.reason && ` (${d.reason})`}
+                  {d.replacedBy && ` → ${d.replacedBy.number}`}
+                </Typography>
+              </Box>
+            ))}
+          </Box>
+        )}
+
+        {isActive && (
+          <>
+            <Divider sx={{ my: 3 }} />
+            <Typography variant="subtitle1" mb={2}>Выдать новый документ взамен текущего</Typography>
+            <Box display="flex" flexDirection="column" gap={2}>
+              <TextField select label="Документ" name="kind" value={form.kind} onChange={handleChange}>
+                <MenuItem value="STS">СТС (текущий {regDoc?.sts})</MenuItem>
+                <MenuItem value="PTS">ПТС (текущий {regDoc?.pts})</MenuItem>
+              </TextField>
+              <TextField select label="Причина" name="reason" value={form.reason} onChange={handleChange}>
+                {Object.entries(REISSUE_REASONS).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                label="Новый номер"
+                name="number"
+                value={form.number}
+                onChange={handleChange}
+                error={!!error}
+                helperText={error || `Формат: ${DOCUMENT_NUMBER_FORMATS[form.kind].hint}`}
+              />
+              <TextField
+                label="Дата выдачи"
+                name="issuedAt"
+                type="date"
+                value={form.issuedAt}
+                onChange={handleChange}
+                slotProps={{ inputLabel: { shrink: true } }}
+              />
+            </Box>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Закрыть</Button>
+        {isActive && <Button variant="contained" onClick={handleSubmit}>Выдать</Button>}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ReissueDocumentDialog;
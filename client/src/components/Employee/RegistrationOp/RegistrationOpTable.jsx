@@ -1,9 +1,10 @@
 import {
   Table, TableHead, TableRow, TableCell, TableBody,
-  Paper, TableContainer, TextField, IconButton
+  Paper, TableContainer, TextField, IconButton, Box, Chip
 } from '@mui/material';
 import { Edit, Work as WorkIcon } from '@mui/icons-material';
 import { useState } from 'react';
+import { CHANGE_STATUSES, formatChange } from '../../../utils/vehicleFields';
 
 function RegistrationOpTable({
   data, loading, sortField, sortOrder, onSort,
@@ -92,6 +93,22 @@ function RegistrationOpTable({
       );
     }
 
+    if (col.field === 'operationBase' && row.changes) {
+      return (
+        <Box display="flex" flexDirection="column" gap={0.5} alignItems="flex-start">
+          {row.changes.map(change => (
+            <Chip
+              key={change.field}
+              size="small"
+              variant="outlined"
+              color={CHANGE_STATUSES[change.status]?.color || 'default'}
+              label={`${formatChange(change)} (${CHANGE_STATUSES[change.status]?.label || change.status})`}
+            />
+          ))}
+        </Box>
+      );
+    }
+
     return row[col.field] || '-';
   };
 
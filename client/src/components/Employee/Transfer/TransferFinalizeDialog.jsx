@@ -0,0 +1,92 @@
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions,
+  Button, TextField, Box, Typography
+} from '@mui/material';
+import { useEffect, useState } from 'react';
+import { PLATE_PATTERN } from '../../../utils/vehicleCategories';
+
+function TransferFinalizeDialog({ open, onClose, transfer, onSubmit }) {
+  const [form, setForm] = useState({ registrationNumber: '', sts: '', operationDate: '' });
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    if (open) {
+      setForm({
+        registrationNumber: '',
+        sts: '',
+        operationDate: new Date().toISOString().split('T')[0]
+      });
+      setErrors({});
+    }
+  }, [open]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const validate = () => {
+    const newErrors = {};
+    if (form.registrationNumber && !form.registrationNumber.match(PLATE_PATTERN)) {
+      newErrors.registrationNumber = 'Формат: А123АА77, АА123477 (прицеп) или 1234АА77 (мотоцикл)';
+    }
+    if (!form.sts.match(/^\d{2} \d{2} \d{6}$/)) {
+      newErrors.sts = 'Формат: 12 34 567890';
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = () => {
+    if (validate()) {
+      const { registrationNumber, ...rest } = form;
+      onSubmit(transfer.transferId, registrationNumber ? form : rest);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>Оформление передачи №{transfer?.transferId}</DialogTitle>
+      <DialogContent dividers>
+        <Typography mb={2}>
+          VIN {transfer?.vin}: {transfer?.seller} → {transfer?.buyer}
+        </Typography>
+        <Typography variant="body2" color="text.secondary" mb={2}>
+          Регистрационный документ {transfer?.registrationNumber} будет закрыт, на покупателя будет выдан новый.
+        </Typography>
+        <Box display="flex" flexDirection="column" gap={2}>
+          <TextField
+            label="Новый гос. рег. номер"
+            name="registrationNumber"
+            value={form.registrationNumber}
+            onChange={handleChange}
+            error={!!errors.registrationNumber}
+            helperText={errors.registrationNumber || 'Оставьте пустым, чтобы выдать следующий свободный номер региона'}
+          />
+          <TextField
+            label="Новое СТС"
+            name="sts"
+            value={form.sts}
+            onChange={handleChange}
+            error={!!errors.sts}
+            helperText={errors.sts}
+          />
+          <TextField
+            label="Дата операции"
+            name="operationDate"
+            type="date"
+            value={form.operationDate}
+            onChange={handleChange}
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Отмена</Button>
+        <Button variant="contained" onClick={handleSubmit}>Оформить</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default TransferFinalizeDialog;
@@ -0,0 +1,7 @@
+import api from '../../../http';
+
+export const getTransfers = (params) =>
+  api.get('/employee/transfers', { params });
+
+export const finalizeTransfer = (id, data) =>
+  api.post(`/employee/transfers/${id}/finalize`, data);
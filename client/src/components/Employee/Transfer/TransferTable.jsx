@@ -0,0 +1,90 @@
+import {
+  Table, TableHead, TableRow, TableCell, TableBody,
+  Paper, TableContainer, Chip, Button
+} from '@mui/material';
+import { getTransferStatus } from '../../../utils/transferStatuses';
+
+function TransferTable({ data, loading, sortField, sortOrder, onSort, onFinalize }) {
+  const columns = [
+    { field: 'transferId', label: '№' },
+    { field: 'vin', label: 'VIN' },
+    { field: 'registrationNumber', label: 'Гос. номер', sortable: false },
+    { field: 'seller', label: 'Продавец', sortable: false },
+    { field: 'buyer', label: 'Покупатель', sortable: false },
+    { field: 'unitCode', label: 'Подразделение', sortable: false },
+    { field: 'createdAt', label: 'Создана' },
+    { field: 'status', label: 'Статус' }
+  ];
+
+  const renderCell = (row, col) => {
+    if (col.field === 'createdAt') {
+      return new Date(row.createdAt).toLocaleDateString('ru-RU');
+    }
+
+    if (col.field === 'status') {
+      const status = getTransferStatus(row.status);
+      return <Chip size="small" label={status.label} color={status.color} />;
+    }
+
+    if (col.field === 'vin') {
+      return row.transportvehicle
+        ? `${row.vin} — ${row.transportvehicle.makeAndModel}`
+        : row.vin;
+    }
+
+    if (col.field === 'registrationNumber' && row.newRegistrationNumber) {
+      return `${row.registrationNumber} → ${row.newRegistrationNumber}`;
+    }
+
+    return row[col.field] || '-';
+  };
+
+  return (
+    <TableContainer component={Paper}>
+      <Table stickyHeader>
+        <TableHead>
+          <TableRow>
+            {columns.map(col => (
+              <TableCell
+                key={col.field}
+                onClick={() => col.sortable !== false && onSort(col.field)}
+                sx={{ cursor: col.sortable !== false ? 'pointer' : 'default', whiteSpace: 'nowrap' }}
+              >
+                {col.label} {sortField === col.field ? (sortOrder === 'ASC' ? '↑' : '↓') : ''}
+              </TableCell>
+            ))}
+            <TableCell align="right">Действия</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {loading ? (
+            <TableRow>
+              <TableCell colSpan={columns.length + 1} align="center">Загрузка...</TableCell>
+            </TableRow>
+          ) : data.length > 0 ? (
+            data.map((row) => (
+              <TableRow key={row.transferId}>
+                {columns.map(col => (
+                  <TableCell key={col.field}>{renderCell(row, col)}</TableCell>
+                ))}
+                <TableCell align="right">
+                  {row.status === 'ACCEPTED' && (
+                    <Button size="small" variant="contained" onClick={() => onFinalize(row)}>
+                      Оформить
+                    </Button>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))
+          ) : (
+            <TableRow>
+              <TableCell colSpan={columns.length + 1} align="center">Нет данных</TableCell>
+            </TableRow>
+          )}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
+
+export default TransferTable;
@@ -4,35 +4,87 @@ import {
   TextField, Button, Checkbox, FormControlLabel,
   MenuItem, Select, InputLabel, FormControl, Box
 } from '@mui/material';
+import { getVinHints, useVinDecoder } from '../../../utils/vinDecoder';
+import MakeModelAutocomplete, { getCatalogueHints, getModelLabel } from '../../Common/MakeModelAutocomplete';
+import {
+  SPEC_FIELDS, POWERTRAIN_TYPES, getPowertrain, getSpecFields,
+  toSpecsForm, toSpecsPayload, validateSpecs, validatePowertrain, toPowertrainPayload
+} from '../../../utils/vehicleSpecs';
+import {
+  VEHICLE_CATEGORIES, getCategoryLabel, getVehicleCategory,
+  isCategoryRequired, validateCategoryLimits, toCategoryPayload
+} from '../../../utils/vehicleCategories';
 
 const defaultForm = {
   vin: '',
   makeAndModel: '',
   releaseYear: '',
   manufacture: '',
+  category: 'B',
   typeOfDrive: '',
-  power: '',
+  powerKw: '',
+  powerHp: '',
   hasChassisNumber: false,
   bodyColor: '',
   transmissionType: '',
   steeringWheel: '',
+  powertrainType: 'ICE',
   engineModel: '',
-  engineVolume: ''
+  engineVolume: '',
+  electricMotorPower: '',
+  batteryCapacity: '',
+  curbMass: '',
+  maxMass: '',
+  seatsCount: ''
 };
 
 function TransportVehicleFormDialog({ open, onClose, onSubmit, editingData }) {
   const [form, setForm] = useState(defaultForm);
   const [errors, setErrors] = useState({});
+  const [catalogueModel, setCatalogueModel] = useState(null);
+  const decoded = useVinDecoder(form.vin);
+  const vinHints = getVinHints(decoded, form);
+  const hints = { ...getCatalogueHints(catalogueModel, form), ...vinHints };
+  const powertrain = getPowertrain(form.powertrainType);
+  const category = getVehicleCategory(form.category);
 
   useEffect(() => {
     if (editingData) {
-      setForm({ ...editingData, hasChassisNumber: !!editingData.chassisNumber });
+      const fields = Object.fromEntries(Object.keys(defaultForm).map(key => [key, editingData[key] ?? defaultForm[key]]));
+      setForm({ ...fields, ...toSpecsForm(editingData), hasChassisNumber: !!editingData.chassisNumber });
     } else {
       setForm(defaultForm);
     }
+    setCatalogueModel(null);
     setErrors({});
   }, [editingData, open]);
 
+  useEffect(() => {
+    if (!decoded) return;
+    setForm((prev) => ({
+      ...prev,
+      manufacture: prev.manufacture || decoded.manufacturer || '',
+      releaseYear: prev.releaseYear || (decoded.modelYear ? String(decoded.modelYear) : '')
+    }));
+  }, [decoded]);
+
+  const hintProps = (field) => ({
+    error: !!errors[field] || (field === 'vin' && !!vinHints.vin),
+    helperText: errors[field] || hints[field],
+    slotProps: { formHelperText: { sx: errors[field] || field === 'vin' ? {} : { color: 'warning.main' } } }
+  });
+
+  const handleModelSelect = (model) => {
+    setCatalogueModel(model);
+    setForm((prev) => ({
+      ...prev,
+      makeAndModel: getModelLabel(model),
+      manufacture: model.vehiclemanufacturer?.name || prev.manufacture,
+      engineModel: prev.engineModel || (model.engineModels.length === 1 ? model.engineModels[0] : ''),
+      typeOfDrive: prev.typeOfDrive || (model.typesOfDrive.length === 1 ? model.typesOfDrive[0] : '')
+    }));
+  };
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setForm((prev) => ({ ...prev, [name]: value }));
@@ -43,40 +95,35 @@ function TransportVehicleFormDialog({ open, onClose, onSubmit, editingData }) {
 
     if (!form.vin.match(/^[A-HJ-NPR-Z0-9]{17}$/)) {
       newErrors.vin = 'VIN должен состоять из 17 символов (латинские буквы, кроме I, O, Q, и цифры)';
+    } else if (!editingData && vinHints.vin) {
+      newErrors.vin = vinHints.vin;
     }
 
     if (!form.makeAndModel.trim()) newErrors.makeAndModel = 'Обязательно';
-    if (!form.releaseYear.match(/^(19|20)\d{2}$/)) {
-      newErrors.releaseYear = 'Год выпуска должен быть в формате YYYY (1950-2025)';
-    }
     if (!form.manufacture.trim()) newErrors.manufacture = 'Обязательно';
 
-    if (!['FWD', 'RWD', 'AWD', '4WD'].includes(form.typeOfDrive)) {
-      newErrors.typeOfDrive = 'Неверное значение';
-    }
-
-    if (!form.power.match(/^\d+\s*кВт\/\d+\s*л\.с\.$/)) {
-      newErrors.power = 'Мощность должна быть в формате "число кВт/число л.с."';
-    }
-
     if (!form.bodyColor.trim()) newErrors.bodyColor = 'Обязательно';
 
-    if (!['MT', 'AT', 'AMT', 'CVT', 'DCT', 'DSG'].includes(form.transmissionType)) {
-      newErrors.transmissionType = 'Неверное значение';
-    }
+    if (category.hasEngine) {
+      if (!['FWD', 'RWD', 'AWD', '4WD'].includes(form.typeOfDrive)) {
+        newErrors.typeOfDrive = 'Неверное значение';
+      }
 
-    if (!['Левостороннее', 'Правостороннее'].includes(form.steeringWheel)) {
-      newErrors.steeringWheel = 'Неверное значение';
-    }
+      if (!['MT', 'AT', 'AMT', 'CVT', 'DCT', 'DSG'].includes(form.transmissionType)) {
+        newErrors.transmissionType = 'Неверное значение';
+      }
 
-    if (!form.engineModel.match(/^[A-Z0-9-]+$/)) {
-      newErrors.engineModel = 'Допустимы латинские буквы, цифры и дефис';
+      if (!['Левостороннее', 'Правостороннее'].includes(form.steeringWheel)) {
+        newErrors.steeringWheel = 'Неверное значение';
+      }
     }
 
-    const volume = parseInt(form.engineVolume);
-    if (isNaN(volume) || volume < 500 || volume > 7400) {
-      newErrors.engineVolume = 'Объем должен быть от 500 до 7400 см³';
-    }
+    Object.assign(
+      newErrors,
+      validatePowertrain(form),
+      validateSpecs(form, getSpecFields(form.category)),
+      validateCategoryLimits(form)
+    );
 
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -85,14 +132,8 @@ function TransportVehicleFormDialog({ open, onClose, onSubmit, editingData }) {
   const handleSubmit = () => {
     if (!validate()) return;
 
-    const {
-      vin,
-      bodyNumber,
-      chassisNumber,
-      createdAt,
-      updatedAt,
-      ...cleanedForm
-    } = form;
+    const { vin, ...rest } = form;
+    const cleanedForm = toCategoryPayload({ ...rest, ...toSpecsPayload(form), ...toPowertrainPayload(form) });
 
     const isEdit = !!editingData;
     const id = isEdit ? editingData.vin : vin;
@@ -120,100 +161,178 @@ function TransportVehicleFormDialog({ open, onClose, onSubmit, editingData }) {
           <TextField
             fullWidth label="VIN" name="vin" value={form.vin}
             onChange={handleChange} disabled={!!editingData}
-            error={!!errors.vin} helperText={errors.vin}
+            {...hintProps('vin')}
           />
-          <TextField
-            fullWidth label="Марка и модель" name="makeAndModel" value={form.makeAndModel}
-            onChange={handleChange}
+          <MakeModelAutocomplete
+            value={form.makeAndModel}
+            onChange={(value) => {
+              setCatalogueModel(null);
+              setForm((prev) => ({ ...prev, makeAndModel: value }));
+            }}
+            onSelect={handleModelSelect}
             error={!!errors.makeAndModel} helperText={errors.makeAndModel}
           />
 
           <TextField
             fullWidth label="Год выпуска" name="releaseYear" value={form.releaseYear}
             onChange={handleChange}
-            error={!!errors.releaseYear} helperText={errors.releaseYear}
+            {...hintProps('releaseYear')}
           />
           <TextField
             fullWidth label="Изготовитель" name="manufacture" value={form.manufacture}
             onChange={handleChange}
-            error={!!errors.manufacture} helperText={errors.manufacture}
+            {...hintProps('manufacture')}
           />
 
-          <FormControl fullWidth error={!!errors.typeOfDrive}>
-            <InputLabel id="typeOfDrive-label">Тип привода</InputLabel>
+          <FormControl fullWidth>
+            <InputLabel id="category-label">Категория</InputLabel>
             <Select
-              labelId="typeOfDrive-label"
-              id="typeOfDrive"
-              name="typeOfDrive"
-              value={form.typeOfDrive}
-              label="Тип привода"
+              labelId="category-label"
+              id="category"
+              name="category"
+              value={form.category}
+              label="Категория"
               onChange={handleChange}
             >
-              <MenuItem value="FWD">FWD</MenuItem>
-              <MenuItem value="RWD">RWD</MenuItem>
-              <MenuItem value="AWD">AWD</MenuItem>
-              <MenuItem value="4WD">4WD</MenuItem>
+              {Object.keys(VEHICLE_CATEGORIES).map(code => (
+                <MenuItem key={code} value={code}>{getCategoryLabel(code)}</MenuItem>
+              ))}
             </Select>
-            {errors.typeOfDrive && <Box sx={{ color: 'error.main', fontSize: 12 }}>{errors.typeOfDrive}</Box>}
           </FormControl>
-
-          <TextField
-            fullWidth label="Мощность, кВт/л.с." name="power" value={form.power}
-            onChange={handleChange}
-            error={!!errors.power} helperText={errors.power}
-          />
           <TextField
             fullWidth label="Цвет кузова" name="bodyColor" value={form.bodyColor}
             onChange={handleChange}
             error={!!errors.bodyColor} helperText={errors.bodyColor}
           />
 
-          <FormControl fullWidth error={!!errors.transmissionType}>
-            <InputLabel id="transmissionType-label">Тип коробки передач</InputLabel>
-            <Select
-              labelId="transmissionType-label"
-              id="transmissionType"
-              name="transmissionType"
-              value={form.transmissionType}
-              label="Тип коробки передач"
-              onChange={handleChange}
-            >
-              <MenuItem value="MT">MT</MenuItem>
-              <MenuItem value="AT">AT</MenuItem>
-              <MenuItem value="AMT">AMT</MenuItem>
-              <MenuItem value="CVT">CVT</MenuItem>
-              <MenuItem value="DCT">DCT</MenuItem>
-              <MenuItem value="DSG">DSG</MenuItem>
-            </Select>
-            {errors.transmissionType && <Box sx={{ color: 'error.main', fontSize: 12 }}>{errors.transmissionType}</Box>}
-          </FormControl>
+          {category.hasEngine && (
+            <>
+              <FormControl fullWidth error={!!errors.typeOfDrive}>
+                <InputLabel id="typeOfDrive-label">Тип привода</InputLabel>
+                <Select
+                  labelId="typeOfDrive-label"
+                  id="typeOfDrive"
+                  name="typeOfDrive"
+                  value={form.typeOfDrive}
+                  label="Тип привода"
+                  onChange={handleChange}
+                >
+                  <MenuItem value="FWD">FWD</MenuItem>
+                  <MenuItem value="RWD">RWD</MenuItem>
+                  <MenuItem value="AWD">AWD</MenuItem>
+                  <MenuItem value="4WD">4WD</MenuItem>
+                </Select>
+                {errors.typeOfDrive && <Box sx={{ color: 'error.main', fontSize: 12 }}>{errors.typeOfDrive}</Box>}
+                {!errors.typeOfDrive && hints.typeOfDrive && <Box sx={{ color: 'warning.main', fontSize: 12 }}>{hints.typeOfDrive}</Box>}
+              </FormControl>
 
-          <FormControl fullWidth error={!!errors.steeringWheel}>
-            <InputLabel id="steeringWheel-label">Положение руля</InputLabel>
-            <Select
-              labelId="steeringWheel-label"
-              id="steeringWheel"
-              name="steeringWheel"
-              value={form.steeringWheel}
-              label="Положение руля"
-              onChange={handleChange}
-            >
-              <MenuItem value="Левостороннее">Левостороннее</MenuItem>
-              <MenuItem value="Правостороннее">Правостороннее</MenuItem>
-            </Select>
-            {errors.steeringWheel && <Box sx={{ color: 'error.main', fontSize: 12 }}>{errors.steeringWheel}</Box>}
-          </FormControl>
+              <Box display="flex" gap={2}>
+                <TextField
+                  fullWidth label="Мощность, кВт" name="powerKw" value={form.powerKw}
+                  onChange={handleChange}
+                  error={!!errors.powerKw} helperText={errors.powerKw}
+                />
+                <TextField
+                  fullWidth label="Мощность, л.с." name="powerHp" value={form.powerHp}
+                  onChange={handleChange}
+                  error={!!errors.powerHp} helperText={errors.powerHp}
+                />
+              </Box>
 
-          <TextField
-            fullWidth label="Модель двигателя" name="engineModel" value={form.engineModel}
-            onChange={handleChange}
-            error={!!errors.engineModel} helperText={errors.engineModel}
-          />
-          <TextField
-            fullWidth label="Рабочий объем, см³" name="engineVolume" value={form.engineVolume}
-            onChange={handleChange}
-            error={!!errors.engineVolume} helperText={errors.engineVolume}
-          />
+              <FormControl fullWidth error={!!errors.transmissionType}>
+                <InputLabel id="transmissionType-label">Тип коробки передач</InputLabel>
+                <Select
+                  labelId="transmissionType-label"
+                  id="transmissionType"
+                  name="transmissionType"
+                  value={form.transmissionType}
+                  label="Тип коробки передач"
+                  onChange={handleChange}
+                >
+                  <MenuItem value="MT">MT</MenuItem>
+                  <MenuItem value="AT">AT</MenuItem>
+                  <MenuItem value="AMT">AMT</MenuItem>
+                  <MenuItem value="CVT">CVT</MenuItem>
+                  <MenuItem value="DCT">DCT</MenuItem>
+                  <MenuItem value="DSG">DSG</MenuItem>
+                </Select>
+                {errors.transmissionType && <Box sx={{ color: 'error.main', fontSize: 12 }}>{errors.transmissionType}</Box>}
+              </FormControl>
+
+              <FormControl fullWidth error={!!errors.steeringWheel}>
+                <InputLabel id="steeringWheel-label">Положение руля</InputLabel>
+                <Select
+                  labelId="steeringWheel-label"
+                  id="steeringWheel"
+                  name="steeringWheel"
+                  value={form.steeringWheel}
+                  label="Положение руля"
+                  onChange={handleChange}
+                >
+                  <MenuItem value="Левостороннее">Левостороннее</MenuItem>
+                  <MenuItem value="Правостороннее">Правостороннее</MenuItem>
+                </Select>
+                {errors.steeringWheel && <Box sx={{ color: 'error.main', fontSize: 12 }}>{errors.steeringWheel}</Box>}
+              </FormControl>
+
+              <FormControl fullWidth>
+                <InputLabel id="powertrainType-label">Силовая установка</InputLabel>
+                <Select
+                  labelId="powertrainType-label"
+                  id="powertrainType"
+                  name="powertrainType"
+                  value={form.powertrainType}
+                  label="Силовая установка"
+                  onChange={handleChange}
+                >
+                  {Object.entries(POWERTRAIN_TYPES).map(([value, { label }]) => (
+                    <MenuItem key={value} value={value}>{label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <TextField
+                fullWidth label="Модель двигателя" name="engineModel" value={form.engineModel}
+                onChange={handleChange}
+                {...hintProps('engineModel')}
+                helperText={errors.engineModel || hints.engineModel || (!powertrain.engine && 'Необязательно')}
+              />
+
+              {powertrain.engine && (
+                <TextField
+                  fullWidth label="Рабочий объем, см³" name="engineVolume" value={form.engineVolume}
+                  onChange={handleChange}
+                  error={!!errors.engineVolume} helperText={errors.engineVolume}
+                />
+              )}
+
+              {powertrain.motor && (
+                <Box display="flex" gap={2}>
+                  <TextField
+                    fullWidth label={SPEC_FIELDS.electricMotorPower.label} name="electricMotorPower" value={form.electricMotorPower}
+                    onChange={handleChange}
+                    error={!!errors.electricMotorPower}
+                    helperText={errors.electricMotorPower || (!powertrain.motorRequired && 'Необязательно')}
+                  />
+                  <TextField
+                    fullWidth label={SPEC_FIELDS.batteryCapacity.label} name="batteryCapacity" value={form.batteryCapacity}
+                    onChange={handleChange}
+                    error={!!errors.batteryCapacity}
+                    helperText={errors.batteryCapacity || (!powertrain.batteryRequired && 'Необязательно')}
+                  />
+                </Box>
+              )}
+            </>
+          )}
+
+          {['curbMass', 'maxMass', 'seatsCount'].map(field => (
+            <TextField
+              key={field}
+              fullWidth label={SPEC_FIELDS[field].label} name={field} value={form[field]}
+              onChange={handleChange}
+              error={!!errors[field]}
+              helperText={errors[field] || (!isCategoryRequired(form.category, field) && 'Необязательно')}
+            />
+          ))}
 
           <Box flex="1 1 100%">
             <FormControlLabel
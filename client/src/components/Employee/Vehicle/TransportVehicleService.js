@@ -14,3 +14,12 @@ export const putVehicle = (vin, data) =>
 
 export const createVehicle = (data) =>
   api.post('/owner/vehicles', data);
+
+export const getRestrictions = (vin) =>
+  api.get(`/employee/vehicles/${vin}/restrictions`);
+
+export const createRestriction = (vin, data) =>
+  api.post(`/employee/vehicles/${vin}/restrictions`, data);
+
+export const liftRestriction = (id, data) =>
+  api.post(`/employee/restrictions/${id}/lift`, data);
@@ -1,18 +1,21 @@
 import {
   Table, TableHead, TableRow, TableCell, TableBody,
-  Paper, TableContainer, TextField, IconButton
+  Paper, TableContainer, TextField, IconButton, Chip, Box, Tooltip
 } from '@mui/material';
-import { Edit } from '@mui/icons-material';
+import { Edit, Gavel, AttachFile } from '@mui/icons-material';
+import { getRestrictionType } from '../../../utils/restrictionTypes';
+import { getPowertrain } from '../../../utils/vehicleSpecs';
 
 function TransportVehicleTable({
   data, loading, sortField, sortOrder,
-  onSort, onEditClick, editingCell, setEditingCell,
+  onSort, onEditClick, onRestrictionsClick, onAttachmentsClick, editingCell, setEditingCell,
   patchVehicle, fetchData, showSnackbar
 }) {
   const columns = [
     { field: 'vin', label: 'VIN' },
     { field: 'makeAndModel', label: 'Марка и модель' },
     { field: 'releaseYear', label: 'Год выпуска' },
+    { field: 'category', label: 'Категория' },
     { field: 'manufacture', label: 'Производитель' },
     { field: 'typeOfDrive', label: 'Привод' },
     { field: 'power', label: 'Мощность' },
@@ -21,8 +24,11 @@ function TransportVehicleTable({
     { field: 'bodyColor', label: 'Цвет кузова' },
     { field: 'transmissionType', label: 'КПП' },
     { field: 'steeringWheel', label: 'Руль' },
+    { field: 'powertrainType', label: 'Силовая установка', format: (value) => value ? getPowertrain(value).label : '-' },
     { field: 'engineModel', label: 'Модель двигателя' },
-    { field: 'engineVolume', label: 'Объём двигателя' }
+    { field: 'engineVolume', label: 'Объём двигателя' },
+    { field: 'electricMotorPower', label: 'Электродвигатель, кВт' },
+    { field: 'batteryCapacity', label: 'Батарея, кВт·ч' }
   ];
 
   const saveEdit = async (vin, field, value) => {
@@ -54,6 +60,7 @@ function TransportVehicleTable({
         <TableHead>
           <TableRow>
             {columns.map(renderHeader)}
+            <TableCell sx={{ whiteSpace: 'nowrap' }}>Ограничения</TableCell>
             <TableCell
               align="right"
               sx={{
@@ -70,7 +77,7 @@ function TransportVehicleTable({
         </TableHead>
         <TableBody>
           {loading ? (
-            <TableRow><TableCell colSpan={columns.length + 1} align="center">Загрузка...</TableCell></TableRow>
+            <TableRow><TableCell colSpan={columns.length + 2} align="center">Загрузка...</TableCell></TableRow>
           ) : data.length > 0 ? (
             data.map((v) => (
               <TableRow key={v.vin}>
@@ -79,9 +86,18 @@ function TransportVehicleTable({
                     key={col.field}
                     sx={{ whiteSpace: 'nowrap' }}
                   >
-                    {v[col.field] || '-'}
+                    {col.format ? col.format(v[col.field]) : v[col.field] || '-'}
                   </TableCell>
                 ))}
+                <TableCell>
+                  <Box display="flex" gap={0.5}>
+                    {v.restrictions?.length ? v.restrictions.map(r => (
+                      <Tooltip key={r.restrictionId} title={`${r.authority}, № ${r.documentNumber} от ${r.imposedAt}`}>
+                        <Chip size="small" label={getRestrictionType(r.type).label} color={getRestrictionType(r.type).color} />
+                      </Tooltip>
+                    )) : '-'}
+                  </Box>
+                </TableCell>
                 <TableCell
                   align="right"
                   sx={{
@@ -91,12 +107,20 @@ function TransportVehicleTable({
                     zIndex: 1
                   }}
                 >
-                  <IconButton onClick={() => onEditClick(v)}><Edit /></IconButton>
+                  <Box display="flex" justifyContent="flex-end">
+                    <Tooltip title="Ограничения">
+                      <IconButton onClick={() => onRestrictionsClick(v)}><Gavel /></IconButton>
+                    </Tooltip>
+                    <Tooltip title="Вложения">
+                      <IconButton onClick={() => onAttachmentsClick(v)}><AttachFile /></IconButton>
+                    </Tooltip>
+                    <IconButton onClick={() => onEditClick(v)}><Edit /></IconButton>
+                  </Box>
                 </TableCell>
               </TableRow>
             ))
           ) : (
-            <TableRow><TableCell colSpan={columns.length + 1} align="center">Нет данных</TableCell></TableRow>
+            <TableRow><TableCell colSpan={columns.length + 2} align="center">Нет данных</TableCell></TableRow>
           )}
         </TableBody>
       </Table>
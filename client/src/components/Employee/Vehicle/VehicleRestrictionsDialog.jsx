@@ -0,0 +1,191 @@
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions, Button, TextField,
+  Box, Typography, Chip, MenuItem, Divider, CircularProgress
+} from '@mui/material';
+import { useEffect, useState } from 'react';
+import { getRestrictions, createRestriction, liftRestriction } from './TransportVehicleService';
+import { RESTRICTION_TYPES, getRestrictionType } from '../../../utils/restrictionTypes';
+
+const emptyForm = {
+  type: 'ARREST',
+  authority: '',
+  documentNumber: '',
+  imposedAt: '',
+  comment: ''
+};
+
+function VehicleRestrictionsDialog({ open, onClose, vehicle, onChange, showSnackbar }) {
+  const [restrictions, setRestrictions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [errors, setErrors] = useState({});
+  const [liftTarget, setLiftTarget] = useState(null);
+  const [liftDocumentNumber, setLiftDocumentNumber] = useState('');
+
+  const fetchRestrictions = async () => {
+    setLoading(true);
+    try {
+      const res = await getRestrictions(vehicle.vin);
+      setRestrictions(res.data.data);
+    } catch (e) {
+      console.error(e);
+      showSnackbar('Ошибка загрузки ограничений', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (open && vehicle) {
+      setForm({ ...emptyForm, imposedAt: new Date().toISOString().split('T')[0] });
+      setErrors({});
+      setLiftTarget(null);
+      fetchRestrictions();
+    }
+  }, [open, vehicle]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const validate = () => {
+    const newErrors = {};
+    if (form.authority.trim().length < 3) newErrors.authority = 'Укажите орган, наложивший ограничение';
+    if (!form.documentNumber.trim()) newErrors.documentNumber = 'Укажите номер документа';
+    if (!form.imposedAt) newErrors.imposedAt = 'Укажите дату наложения';
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleCreate = async () => {
+    if (!validate()) return;
+    try {
+      await createRestriction(vehicle.vin, form);
+      showSnackbar('Ограничение внесено', 'success');
+      setForm({ ...emptyForm, imposedAt: form.imposedAt });
+      fetchRestrictions();
+      onChange();
+    } catch (e) {
+      console.error(e);
+      showSnackbar(e.response?.data?.message || 'Ошибка при внесении ограничения', 'error');
+    }
+  };
+
+  const handleLift = async () => {
+    if (!liftDocumentNumber.trim()) return;
+    try {
+      await liftRestriction(liftTarget.restrictionId, { liftDocumentNumber });
+      showSnackbar('Ограничение снято', 'success');
+      setLiftTarget(null);
+      fetchRestrictions();
+      onChange();
+    } catch (e) {
+      console.error(e);
+      showSnackbar(e.response?.data?.message || 'Ошибка при снятии ограничения', 'error');
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>Ограничения ТС {vehicle?.vin}</DialogTitle>
+      <DialogContent dividers>
+        {loading ? (
+          <Box display="flex" justifyContent="center"><CircularProgress /></Box>
+        ) : restrictions.length === 0 ? (
+          <Typography color="text.secondary">Ограничения не вносились.</Typography>
+        ) : (
+          <Box display="flex" flexDirection="column" gap={1}>
+            {restrictions.map((r) => (
+              <Box key={r.restrictionId} display="flex" alignItems="center" gap={2}>
+                <Chip
+                  size="small"
+                  label={getRestrictionType(r.type).label}
+                  color={r.active ? getRestrictionType(r.type).color : 'default'}
+                />
+                <Box flexGrow={1}>
+                  <Typography variant="body2">
+                    {r.authority}, № {r.documentNumber} от {r.imposedAt}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {r.liftedAt
+                      ? `${r.active ? 'Снимается' : 'Снято'} ${r.liftedAt}${r.liftDocumentNumber ? `, документ № ${r.liftDocumentNumber}` : ''}`
+                      : 'Действует'}
+                    {r.comment ? ` — ${r.comment}` : ''}
+                  </Typography>
+                </Box>
+                {r.active && (
+                  <Button size="small" onClick={() => { setLiftTarget(r); setLiftDocumentNumber(''); }}>
+                    Снять
+                  </Button>
+                )}
+              </Box>
+            ))}
+          </Box>
+        )}
+
+        {liftTarget && (
+          <Box display="flex" gap={2} alignItems="center" mt={2}>
+            <TextField
+              label={`Документ о снятии ограничения № ${liftTarget.documentNumber}`}
+              value={liftDocumentNumber}
+              onChange={(e) => setLiftDocumentNumber(e.target.value)}
+              size="small"
+              sx={{ flexGrow: 1 }}
+            />
+            <Button variant="contained" onClick={handleLift} disabled={!liftDocumentNumber.trim()}>Подтвердить</Button>
+            <Button onClick={() => setLiftTarget(null)}>Отмена</Button>
+          </Box>
+        )}
+
+        <Divider sx={{ my: 3 }} />
+        <Typography variant="subtitle1" mb={2}>Внести ограничение</Typography>
+        <Box display="flex" flexDirection="column" gap={2}>
+          <TextField select label="Вид ограничения" name="type" value={form.type} onChange={handleChange}>
+            {Object.entries(RESTRICTION_TYPES).map(([value, { label }]) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            label="Орган, наложивший ограничение"
+            name="authority"
+            value={form.authority}
+            onChange={handleChange}
+            error={!!errors.authority}
+            helperText={errors.authority}
+          />
+          <TextField
+            label="Номер документа"
+            name="documentNumber"
+            value={form.documentNumber}
+            onChange={handleChange}
+            error={!!errors.documentNumber}
+            helperText={errors.documentNumber}
+          />
+          <TextField
+            label="Дата наложения"
+            name="imposedAt"
+            type="date"
+            value={form.imposedAt}
+            onChange={handleChange}
+            error={!!errors.imposedAt}
+            helperText={errors.imposedAt}
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+          <TextField
+            label="Комментарий"
+            name="comment"
+            value={form.comment}
+            onChange={handleChange}
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Закрыть</Button>
+        <Button variant="contained" onClick={handleCreate}>Внести</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default VehicleRestrictionsDialog;
@@ -49,6 +49,10 @@ const Header = observer(() => {
         </Typography>
         </Box>
         <Box display="flex" alignItems="center" gap={2}>
+          <Button variant="text" onClick={() => navigate('/vin-check')}>
+            Проверка по VIN
+          </Button>
+
           {user.isAuth && user.user.role === 'OWNER' && (
             <Button variant="text" onClick={() => navigate('/vehicles')}>
               Транспортные средства
@@ -57,8 +61,12 @@ const Header = observer(() => {
 
           {user.isAuth && user.user.role === 'EMPLOYEE' && (
             <>
+              <Button variant="text" onClick={() => navigate('/employee/applications')}>Заявления</Button>
+              <Button variant="text" onClick={() => navigate('/employee/agenda')}>Приём</Button>
+              <Button variant="text" onClick={() => navigate('/employee/transfers')}>Передачи ТС</Button>
               <Button variant="text" onClick={() => navigate('/employee/owners')}>Владельцы</Button>
               <Button variant="text" onClick={() => navigate('/employee/reg-document')}>Рег. документы</Button>
+              <Button variant="text" onClick={() => navigate('/employee/plates')}>Номера</Button>
               <Button variant="text" onClick={() => navigate('/employee/vehicles')}>ТС</Button>
               <Button variant="text" onClick={() => navigate('/employee/operations')}>Операции</Button>
               <Button variant="text" onClick={() => navigate('/employee/works')}>Работы</Button>
@@ -70,6 +78,7 @@ const Header = observer(() => {
               <Button variant="text" onClick={() => navigate('/admin/employees')}>Сотрудники</Button>
               <Button variant="text" onClick={() => navigate('/admin/departments')}>Отделы</Button>
               <Button variant="text" onClick={() => navigate('/admin/users')}>Пользователи</Button>
+              <Button variant="text" onClick={() => navigate('/admin/catalogue')}>Справочник ТС</Button>
             </>
           )}
 
@@ -0,0 +1,250 @@
+import { useEffect, useState } from 'react';
+import {
+  Container, Typography, Button, Box, Snackbar, TextField, Pagination,
+  Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Paper,
+  IconButton, Tabs, Tab
+} from '@mui/material';
+import { Add, Delete, Edit } from '@mui/icons-material';
+import ManufacturerFormDialog from '../../components/Admin/Catalogue/ManufacturerFormDialog';
+import VehicleModelFormDialog from '../../components/Admin/Catalogue/VehicleModelFormDialog';
+import ConfirmDeleteDialog from '../../components/Common/ConfirmDeleteDialog';
+import {
+  fetchManufacturers,
+  createManufacturer,
+  updateManufacturer,
+  deleteManufacturer,
+  fetchModels,
+  createModel,
+  updateModel,
+  deleteModel
+} from '../../components/Admin/Catalogue/CatalogueService';
+
+const LIMIT = 20;
+
+function CataloguePage() {
+  const [tab, setTab] = useState('models');
+  const [rows, setRows] = useState([]);
+  const [manufacturers, setManufacturers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [openForm, setOpenForm] = useState(false);
+  const [editData, setEditData] = useState(null);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
+
+  const [filter, setFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  const isModels = tab === 'models';
+
+  const loadRows = async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: LIMIT };
+      if (filter.trim()) {
+        params.search = filter.trim();
+      }
+
+      const res = isModels ? await fetchModels(params) : await fetchManufacturers(params);
+      setRows(res.data.data);
+      setTotalPages(res.data.pages || 1);
+    } catch (e) {
+      console.error(e);
+      showSnackbar('Ошибка загрузки данных', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadManufacturers = async () => {
+    try {
+      const res = await fetchManufacturers({ limit: 100 });
+      setManufacturers(res.data.data);
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  useEffect(() => {
+    loadRows();
+  }, [tab, page, filter]);
+
+  useEffect(() => {
+    loadManufacturers();
+  }, []);
+
+  const showSnackbar = (message, severity = 'info') => {
+    setSnackbar({ open: true, message, severity });
+  };
+
+  const handleTabChange = (_, value) => {
+    setTab(value);
+    setPage(1);
+    setFilter('');
+  };
+
+  const handleCreate = () => {
+    setEditData(null);
+    setOpenForm(true);
+  };
+
+  const handleEdit = (row) => {
+    setEditData(row);
+    setOpenForm(true);
+  };
+
+  const handleDelete = async () => {
+    try {
+      if (isModels) {
+        await deleteModel(deleteTarget.modelId);
+      } else {
+        await deleteManufacturer(deleteTarget.manufacturerId);
+        loadManufacturers();
+      }
+      showSnackbar('Удалено успешно', 'success');
+      loadRows();
+    } catch (e) {
+      console.error(e);
+      showSnackbar(e.response?.data?.message || 'Ошибка удаления', 'error');
+    } finally {
+      setDeleteTarget(null);
+    }
+  };
+
+  const handleSubmit = async (formData, id) => {
+    try {
+      if (isModels) {
+        await (id ? updateModel(id, formData) : createModel(formData));
+      } else {
+        await (id ? updateManufacturer(id, formData) : createManufacturer(formData));
+        loadManufacturers();
+      }
+      showSnackbar(id ? 'Данные обновлены' : 'Запись добавлена', 'success');
+      setOpenForm(false);
+      loadRows();
+    } catch (e) {
+      console.error(e);
+      showSnackbar(e.response?.data?.message || 'Ошибка сохранения', 'error');
+    }
+  };
+
+  const listOrDash = (values) => (values?.length ? values.join(', ') : '—');
+
+  return (
+    <Container maxWidth="lg">
+      <Box sx={{ my: 4, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h4">Справочник марок и моделей</Typography>
+        <Button variant="contained" startIcon={<Add />} onClick={handleCreate}>
+          {isModels ? 'Добавить модель' : 'Добавить изготовителя'}
+        </Button>
+      </Box>
+
+      <Tabs value={tab} onChange={handleTabChange} sx={{ mb: 2 }}>
+        <Tab value="models" label="Модели" />
+        <Tab value="manufacturers" label="Изготовители" />
+      </Tabs>
+
+      <TextField
+        fullWidth
+        label="Поиск"
+        value={filter}
+        onChange={(e) => {
+          setPage(1);
+          setFilter(e.target.value);
+        }}
+        sx={{ mb: 2 }}
+      />
+
+      <TableContainer component={Paper}>
+        <Table>
+          <TableHead>
+            {isModels ? (
+              <TableRow>
+                <TableCell>Марка и модель</TableCell>
+                <TableCell>Изготовитель</TableCell>
+                <TableCell>Другие написания</TableCell>
+                <TableCell>Модели двигателя</TableCell>
+                <TableCell>Привод</TableCell>
+                <TableCell align="right">Действия</TableCell>
+              </TableRow>
+            ) : (
+              <TableRow>
+                <TableCell>Изготовитель</TableCell>
+                <TableCell>Другие написания</TableCell>
+                <TableCell align="right">Действия</TableCell>
+              </TableRow>
+            )}
+          </TableHead>
+          <TableBody>
+            {rows.map((row) => isModels ? (
+              <TableRow key={row.modelId}>
+                <TableCell>{row.make} {row.model}</TableCell>
+                <TableCell>{row.vehiclemanufacturer?.name || '—'}</TableCell>
+                <TableCell>{listOrDash(row.aliases)}</TableCell>
+                <TableCell>{listOrDash(row.engineModels)}</TableCell>
+                <TableCell>{listOrDash(row.typesOfDrive)}</TableCell>
+                <TableCell align="right">
+                  <IconButton onClick={() => handleEdit(row)}><Edit /></IconButton>
+                  <IconButton color="error" onClick={() => setDeleteTarget(row)}><Delete /></IconButton>
+                </TableCell>
+              </TableRow>
+            ) : (
+              <TableRow key={row.manufacturerId}>
+                <TableCell>{row.name}</TableCell>
+                <TableCell>{listOrDash(row.aliases)}</TableCell>
+                <TableCell align="right">
+                  <IconButton onClick={() => handleEdit(row)}><Edit /></IconButton>
+                  <IconButton color="error" onClick={() => setDeleteTarget(row)}><Delete /></IconButton>
+                </TableCell>
+              </TableRow>
+            ))}
+            {rows.length === 0 && !loading && (
+              <TableRow>
+                <TableCell colSpan={isModels ? 6 : 3} align="center">Нет данных</TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Box display="flex" justifyContent="flex-end" mt={2}>
+        <Pagination count={totalPages} page={page} onChange={(_, value) => setPage(value)} />
+      </Box>
+
+      {isModels ? (
+        <VehicleModelFormDialog
+          open={openForm}
+          onClose={() => setOpenForm(false)}
+          onSubmit={handleSubmit}
+          editingData={editData}
+          manufacturers={manufacturers}
+        />
+      ) : (
+        <ManufacturerFormDialog
+          open={openForm}
+          onClose={() => setOpenForm(false)}
+          onSubmit={handleSubmit}
+          editingData={editData}
+        />
+      )}
+
+      <ConfirmDeleteDialog
+        open={Boolean(deleteTarget)}
+        onClose={() => setDeleteTarget(null)}
+        onConfirm={handleDelete}
+        content={isModels
+          ? `Удалить модель "${deleteTarget?.make} ${deleteTarget?.model}" из справочника?`
+          : `Удалить изготовителя "${deleteTarget?.name}" из справочника?`}
+      />
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={4000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        message={snackbar.message}
+      />
+    </Container>
+  );
+}
+
+export default CataloguePage;
@@ -4,8 +4,10 @@ import {
   Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Paper, 
   IconButton, FormControl, InputLabel, Select, MenuItem
 } from '@mui/material';
-import { Add, Delete, Edit } from '@mui/icons-material';
+import { Add, Delete, Edit, Schedule, Pin } from '@mui/icons-material';
 import DepartmentFormDialog from '../../components/Admin/RegistrationDepart/DepartmentFormDialog';
+import DepartmentSlotsDialog from '../../components/Admin/RegistrationDepart/DepartmentSlotsDialog';
+import DepartmentPlatesDialog from '../../components/Admin/RegistrationDepart/DepartmentPlatesDialog';
 import ConfirmDeleteDialog from '../../components/Common/ConfirmDeleteDialog';
 import {
   fetchDepartments,
@@ -21,6 +23,8 @@ function DepartmentPage() {
   const [openForm, setOpenForm] = useState(false);
   const [editData, setEditData] = useState(null);
   const [deleteTarget, setDeleteTarget] = useState(null);
+  const [slotsTarget, setSlotsTarget] = useState(null);
+  const [platesTarget, setPlatesTarget] = useState(null);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
   const [editingCell, setEditingCell] = useState(null);
 
@@ -143,6 +147,7 @@ function DepartmentPage() {
                 Название отдела {sortOrder === 'asc' ? '↑' : '↓'}
               </TableCell>
               <TableCell>Адрес</TableCell>
+              <TableCell>Регион</TableCell>
               <TableCell align="right">Действия</TableCell>
             </TableRow>
           </TableHead>
@@ -201,7 +206,11 @@ function DepartmentPage() {
                   )}
                 </TableCell>
 
+                <TableCell>{dep.regionCode || '-'}</TableCell>
+
                 <TableCell align="right">
+                  <IconButton onClick={() => setSlotsTarget(dep)}><Schedule /></IconButton>
+                  <IconButton onClick={() => setPlatesTarget(dep)} disabled={!dep.regionCode}><Pin /></IconButton>
                   <IconButton onClick={() => handleEdit(dep)}><Edit /></IconButton>
                   <IconButton color="error" onClick={() => setDeleteTarget(dep)}><Delete /></IconButton>
                 </TableCell>
@@ -209,7 +218,7 @@ function DepartmentPage() {
             ))}
             {departments.length === 0 && !loading && (
               <TableRow>
-                <TableCell colSpan={4} align="center">Нет данных</TableCell>
+                <TableCell colSpan={5} align="center">Нет данных</TableCell>
               </TableRow>
             )}
           </TableBody>
@@ -244,6 +253,20 @@ function DepartmentPage() {
         editingData={editData}
       />
 
+      <DepartmentSlotsDialog
+        open={Boolean(slotsTarget)}
+        onClose={() => setSlotsTarget(null)}
+        department={slotsTarget}
+        showSnackbar={showSnackbar}
+      />
+
+      <DepartmentPlatesDialog
+        open={Boolean(platesTarget)}
+        onClose={() => setPlatesTarget(null)}
+        department={platesTarget}
+        showSnackbar={showSnackbar}
+      />
+
       <ConfirmDeleteDialog
         open={Boolean(deleteTarget)}
         onClose={() => setDeleteTarget(null)}
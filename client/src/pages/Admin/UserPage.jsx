@@ -14,6 +14,7 @@ import {
   patchUser,
   deleteUser
 } from '../../components/Admin/User/UserService';
+import { getCompanyRoleLabel } from '../../utils/companyRoles';
 
 function UserPage() {
   const [users, setUsers] = useState([]);
@@ -186,6 +187,7 @@ function UserPage() {
 
                 <TableCell>
                   {user.role}
+                  {user.companyRole && ` (${getCompanyRoleLabel(user.companyRole)})`}
                 </TableCell>
 
                 <TableCell>{user.passportData || user.taxNumber || user.badgeNumber || '—'}</TableCell>
@@ -0,0 +1,139 @@
+import { useState, useEffect, useContext } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import http from '../../http';
+import {
+  Container,
+  TextField,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  CircularProgress,
+  Link
+} from "@mui/material";
+import { LOGIN_ROUTE } from "../../utils/consts";
+import { Context } from '../../index';
+
+// Регистрация сотрудника юридического лица по приглашению администратора компании
+export default function InviteRegistrationPage() {
+  const { user } = useContext(Context);
+  const { token } = useParams();
+  const [invite, setInvite] = useState(null);
+  const [form, setForm] = useState({ password: "", confirmPassword: "" });
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    if (user.isAuth) {
+      navigate('/');
+    }
+  }, [user.isAuth]);
+
+  useEffect(() => {
+    const fetchInvite = async () => {
+      setLoading(true);
+      try {
+        const res = await http.get(`/auth/invites/${token}`);
+        setInvite(res.data);
+      } catch (e) {
+        setError(e.response?.data?.message || 'Приглашение не найдено');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchInvite();
+  }, [token]);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async () => {
+    if (form.password.length < 6) {
+      setError('Пароль должен содержать не менее 6 символов');
+      return;
+    }
+
+    if (form.password !== form.confirmPassword) {
+      setError('Пароли не совпадают');
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await http.post("/auth/register/invite", { token, password: form.password });
+      navigate(LOGIN_ROUTE, { state: { registrationSuccess: true } });
+    } catch (e) {
+      console.error("Registration error:", e);
+      setError(e.response?.data?.message || "Ошибка регистрации");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" mt={4}><CircularProgress /></Box>
+    );
+  }
+
+  return (
+    <Container maxWidth="sm">
+      <Box sx={{ mt: 4, display: "flex", flexDirection: "column", gap: 2 }}>
+        <Typography variant="h5" component="h1" align="center">
+          Регистрация по приглашению
+        </Typography>
+
+        {error && <Alert severity="error">{error}</Alert>}
+
+        {invite && (
+          <>
+            <Typography>
+              Организация: <b>{invite.company?.companyName}</b> (ИНН {invite.company?.taxNumber})
+            </Typography>
+            <Typography>Роль: {invite.companyRoleLabel}</Typography>
+
+            <TextField label="Email" value={invite.email} fullWidth disabled />
+            <TextField
+              label="Пароль"
+              name="password"
+              type="password"
+              value={form.password}
+              onChange={handleChange}
+              fullWidth
+              required
+            />
+            <TextField
+              label="Подтвердите пароль"
+              name="confirmPassword"
+              type="password"
+              value={form.confirmPassword}
+              onChange={handleChange}
+              fullWidth
+              required
+            />
+
+            <Button
+              variant="contained"
+              onClick={handleSubmit}
+              disabled={submitting}
+              fullWidth
+            >
+              {submitting ? <CircularProgress size={24} /> : 'Зарегистрироваться'}
+            </Button>
+          </>
+        )}
+
+        <Typography align="center">
+          Уже зарегистрированы?{' '}
+          <Link href={LOGIN_ROUTE}>Войти</Link>
+        </Typography>
+      </Box>
+    </Container>
+  );
+}
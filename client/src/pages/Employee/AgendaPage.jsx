@@ -0,0 +1,119 @@
+import {
+  Container, Typography, Box, Snackbar, TextField, Chip,
+  Table, TableHead, TableRow, TableCell, TableBody, Paper, TableContainer
+} from '@mui/material';
+import { useEffect, useState } from 'react';
+
+import { getAgenda } from '../../components/Employee/Agenda/AgendaService';
+import { getApplicationStatus } from '../../utils/applicationStatuses';
+
+function AgendaPage() {
+  const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
+  const [slots, setSlots] = useState([]);
+  const [unitCode, setUnitCode] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '' });
+
+  const fetchData = async () => {
+    setLoading(true);
+    try {
+      const res = await getAgenda({ date });
+      setSlots(res.data.data);
+      setUnitCode(res.data.unitCode);
+    } catch (e) {
+      console.error(e);
+      setSnackbar({ open: true, message: e.response?.data?.message || 'Ошибка загрузки расписания' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, [date]);
+
+  const formatTime = (value) =>
+    new Date(value).toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' });
+
+  const rows = slots.flatMap(slot =>
+    slot.appointments.length > 0
+      ? slot.appointments.map(a => ({ slot, appointment: a }))
+      : [{ slot, appointment: null }]
+  );
+
+  return (
+    <Container maxWidth="xl">
+      <Box sx={{ my: 4, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h4">
+          Расписание приёма {unitCode ? `(${unitCode})` : ''}
+        </Typography>
+        <TextField
+          label="Дата"
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          slotProps={{ inputLabel: { shrink: true } }}
+        />
+      </Box>
+
+      <TableContainer component={Paper}>
+        <Table stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>Время</TableCell>
+              <TableCell>Заявление</TableCell>
+              <TableCell>Заявитель</TableCell>
+              <TableCell>VIN</TableCell>
+              <TableCell>ТС</TableCell>
+              <TableCell>Тип операции</TableCell>
+              <TableCell>Статус</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={7} align="center">Загрузка...</TableCell>
+              </TableRow>
+            ) : rows.length > 0 ? (
+              rows.map(({ slot, appointment }, idx) => {
+                const application = appointment?.registrationapplication;
+                const status = application ? getApplicationStatus(application.status) : null;
+
+                return (
+                  <TableRow key={`${slot.slotId}-${appointment?.appointmentId || idx}`}>
+                    <TableCell>{formatTime(slot.startsAt)} — {formatTime(slot.endsAt)}</TableCell>
+                    {application ? (
+                      <>
+                        <TableCell>№{application.applicationId}</TableCell>
+                        <TableCell>{application.applicant}</TableCell>
+                        <TableCell>{application.vin}</TableCell>
+                        <TableCell>{application.transportvehicle?.makeAndModel || '-'}</TableCell>
+                        <TableCell>{application.operationType}</TableCell>
+                        <TableCell><Chip size="small" label={status.label} color={status.color} /></TableCell>
+                      </>
+                    ) : (
+                      <TableCell colSpan={6} sx={{ color: 'text.secondary' }}>Свободно</TableCell>
+                    )}
+                  </TableRow>
+                );
+              })
+            ) : (
+              <TableRow>
+                <TableCell colSpan={7} align="center">На выбранную дату приём не запланирован</TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={4000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        message={snackbar.message}
+      />
+    </Container>
+  );
+}
+
+export default AgendaPage;
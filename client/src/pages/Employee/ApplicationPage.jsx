@@ -0,0 +1,185 @@
+import {
+  Container, Typography, Box, Snackbar, TextField,
+  Pagination, FormControl, InputLabel, Select, MenuItem
+} from '@mui/material';
+import { useEffect, useState } from 'react';
+
+import {
+  getApplications,
+  takeApplicationForReview,
+  requestApplicationCorrection,
+  approveApplication,
+  rejectApplication
+} from '../../components/Employee/Application/ApplicationService';
+
+import ApplicationTable from '../../components/Employee/Application/ApplicationTable';
+import ApplicationDecisionDialog from '../../components/Employee/Application/ApplicationDecisionDialog';
+import AttachmentsDialog from '../../components/Common/AttachmentsDialog';
+import { APPLICATION_STATUSES } from '../../utils/applicationStatuses';
+
+function ApplicationPage() {
+  const [data, setData] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
+
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('');
+  const [limit, setLimit] = useState(10);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [sortField, setSortField] = useState('applicationDate');
+  const [sortOrder, setSortOrder] = useState('DESC');
+
+  const [openedId, setOpenedId] = useState(null);
+  const [attachmentsTarget, setAttachmentsTarget] = useState(null);
+
+  const fetchData = async () => {
+    setLoading(true);
+    try {
+      const params = {
+        page,
+        limit,
+        search: search || undefined,
+        status: status || undefined,
+        sortField,
+        sortOrder
+      };
+      const res = await getApplications(params);
+      setData(res.data.data);
+      setTotalPages(res.data.pages || 1);
+    } catch (e) {
+      console.error(e);
+      showSnackbar('Ошибка загрузки данных', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, [page, limit, sortField, sortOrder, search, status]);
+
+  const showSnackbar = (message, severity = 'info') => {
+    setSnackbar({ open: true, message, severity });
+  };
+
+  const handleSort = (field) => {
+    if (field === sortField) {
+      setSortOrder(prev => (prev === 'ASC' ? 'DESC' : 'ASC'));
+    } else {
+      setSortField(field);
+      setSortOrder('ASC');
+    }
+  };
+
+  const handleDecision = async (action, id, payload) => {
+    const actions = {
+      review: () => takeApplicationForReview(id),
+      correction: () => requestApplicationCorrection(id, payload),
+      approve: () => approveApplication(id, payload),
+      reject: () => rejectApplication(id, payload)
+    };
+
+    try {
+      await actions[action]();
+      showSnackbar('Статус заявления обновлен', 'success');
+      setOpenedId(null);
+      fetchData();
+    } catch (e) {
+      console.error(e);
+      showSnackbar(e.response?.data?.message || 'Ошибка при обновлении статуса', 'error');
+    }
+  };
+
+  return (
+    <Container maxWidth="xl">
+      <Box sx={{ my: 4, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h4">Заявления владельцев</Typography>
+      </Box>
+
+      <Box display="flex" gap={2} mb={2}>
+        <TextField
+          fullWidth
+          label="Поиск по VIN или заявителю"
+          value={search}
+          onChange={(e) => {
+            setPage(1);
+            setSearch(e.target.value);
+          }}
+        />
+        <FormControl sx={{ minWidth: 220 }}>
+          <InputLabel id="status-select-label">Статус</InputLabel>
+          <Select
+            labelId="status-select-label"
+            value={status}
+            label="Статус"
+            onChange={(e) => {
+              setPage(1);
+              setStatus(e.target.value);
+            }}
+          >
+            <MenuItem value="">Все</MenuItem>
+            {Object.entries(APPLICATION_STATUSES).map(([key, { label }]) => (
+              <MenuItem key={key} value={key}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+
+      <ApplicationTable
+        data={data}
+        loading={loading}
+        sortField={sortField}
+        sortOrder={sortOrder}
+        onSort={handleSort}
+        onOpen={setOpenedId}
+        onAttachmentsClick={setAttachmentsTarget}
+      />
+
+      <Box display="flex" justifyContent="space-between" alignItems="center" mt={2}>
+        <FormControl sx={{ minWidth: 120 }}>
+          <InputLabel id="limit-select-label">Показывать по</InputLabel>
+          <Select
+            labelId="limit-select-label"
+            value={limit}
+            label="Показывать по"
+            onChange={(e) => {
+              setLimit(Number(e.target.value));
+              setPage(1);
+            }}
+          >
+            {[5, 10, 20, 50].map((option) => (
+              <MenuItem key={option} value={option}>{option}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <Pagination count={totalPages} page={page} onChange={(_, value) => setPage(value)} />
+      </Box>
+
+      <ApplicationDecisionDialog
+        open={!!openedId}
+        onClose={() => setOpenedId(null)}
+        applicationId={openedId}
+        onDecision={handleDecision}
+      />
+
+      <AttachmentsDialog
+        open={!!attachmentsTarget}
+        onClose={() => setAttachmentsTarget(null)}
+        targetType="APPLICATION"
+        targetId={attachmentsTarget?.applicationId}
+        title={`Вложения к заявлению №${attachmentsTarget?.applicationId}`}
+      />
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={4000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        message={snackbar.message}
+      />
+    </Container>
+  );
+}
+
+export default ApplicationPage;
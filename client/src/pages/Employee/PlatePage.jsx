@@ -0,0 +1,184 @@
+import {
+  Container, Typography, Box, Snackbar, TextField, FormControlLabel, Checkbox,
+  Pagination, FormControl, InputLabel, Select, MenuItem
+} from '@mui/material';
+import { useContext, useEffect, useState } from 'react';
+
+import { Context } from '../../index';
+import { getPlates, reservePlate, releasePlate } from '../../components/Employee/Plate/PlateService';
+import PlateTable from '../../components/Employee/Plate/PlateTable';
+import { PLATE_STATUSES } from '../../utils/plateStatuses';
+
+function PlatePage() {
+  const { user } = useContext(Context);
+
+  const [data, setData] = useState([]);
+  const [regionCode, setRegionCode] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
+
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('');
+  const [onlyAvailable, setOnlyAvailable] = useState(true);
+  const [limit, setLimit] = useState(20);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [sortField, setSortField] = useState('plateNumber');
+  const [sortOrder, setSortOrder] = useState('ASC');
+
+  const fetchData = async () => {
+    setLoading(true);
+    try {
+      const params = {
+        page,
+        limit,
+        search: search || undefined,
+        status: status || undefined,
+        available: onlyAvailable || undefined,
+        sortBy: sortField,
+        sortOrder
+      };
+      const res = await getPlates(params);
+      setData(res.data.data);
+      setRegionCode(res.data.regionCode || '');
+      setTotalPages(res.data.pages || 1);
+    } catch (e) {
+      console.error(e);
+      showSnackbar(e.response?.data?.message || 'Ошибка загрузки данных', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, [page, limit, sortField, sortOrder, search, status, onlyAvailable]);
+
+  const showSnackbar = (message, severity = 'info') => {
+    setSnackbar({ open: true, message, severity });
+  };
+
+  const handleSort = (field) => {
+    if (field === sortField) {
+      setSortOrder(prev => (prev === 'ASC' ? 'DESC' : 'ASC'));
+    } else {
+      setSortField(field);
+      setSortOrder('ASC');
+    }
+  };
+
+  const handleReserve = async (plate) => {
+    try {
+      await reservePlate(plate.plateNumber);
+      showSnackbar(`Номер ${plate.plateNumber} зарезервирован`, 'success');
+      fetchData();
+    } catch (e) {
+      console.error(e);
+      showSnackbar(e.response?.data?.message || 'Ошибка при резервировании номера', 'error');
+    }
+  };
+
+  const handleRelease = async (plate) => {
+    try {
+      await releasePlate(plate.plateNumber);
+      showSnackbar(`Резерв номера ${plate.plateNumber} снят`, 'success');
+      fetchData();
+    } catch (e) {
+      console.error(e);
+      showSnackbar(e.response?.data?.message || 'Ошибка при снятии резерва', 'error');
+    }
+  };
+
+  return (
+    <Container maxWidth="xl">
+      <Box sx={{ my: 4, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h4">
+          Реестр гос. номеров {regionCode ? `(регион ${regionCode})` : ''}
+        </Typography>
+      </Box>
+
+      <Box display="flex" gap={2} mb={2} alignItems="center">
+        <TextField
+          fullWidth
+          label="Поиск по номеру"
+          value={search}
+          onChange={(e) => {
+            setPage(1);
+            setSearch(e.target.value.toUpperCase());
+          }}
+        />
+        <FormControl sx={{ minWidth: 220 }}>
+          <InputLabel id="plate-status-label">Статус</InputLabel>
+          <Select
+            labelId="plate-status-label"
+            value={status}
+            label="Статус"
+            onChange={(e) => {
+              setPage(1);
+              setStatus(e.target.value);
+            }}
+          >
+            <MenuItem value="">Все</MenuItem>
+            {Object.entries(PLATE_STATUSES).map(([key, { label }]) => (
+              <MenuItem key={key} value={key}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControlLabel
+          sx={{ whiteSpace: 'nowrap' }}
+          control={
+            <Checkbox
+              checked={onlyAvailable}
+              onChange={(e) => {
+                setPage(1);
+                setOnlyAvailable(e.target.checked);
+              }}
+            />
+          }
+          label="Только доступные"
+        />
+      </Box>
+
+      <PlateTable
+        data={data}
+        loading={loading}
+        sortField={sortField}
+        sortOrder={sortOrder}
+        onSort={handleSort}
+        badgeNumber={user.user?.badgeNumber}
+        onReserve={handleReserve}
+        onRelease={handleRelease}
+      />
+
+      <Box display="flex" justifyContent="space-between" alignItems="center" mt={2}>
+        <FormControl sx={{ minWidth: 120 }}>
+          <InputLabel id="limit-select-label">Показывать по</InputLabel>
+          <Select
+            labelId="limit-select-label"
+            value={limit}
+            label="Показывать по"
+            onChange={(e) => {
+              setLimit(Number(e.target.value));
+              setPage(1);
+            }}
+          >
+            {[10, 20, 50, 100].map((option) => (
+              <MenuItem key={option} value={option}>{option}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <Pagination count={totalPages} page={page} onChange={(_, value) => setPage(value)} />
+      </Box>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={4000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        message={snackbar.message}
+      />
+    </Container>
+  );
+}
+
+export default PlatePage;
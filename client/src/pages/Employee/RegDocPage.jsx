@@ -6,7 +6,12 @@ import {
 import { Add, Edit } from '@mui/icons-material';
 import RegDocFormDialog from '../../components/Employee/RegDoc/RegDocFormDialog';
 import RegDocTable from '../../components/Employee/RegDoc/RegDocTable';
-import { getRegDocs, postRegDoc, putRegDoc, patchRegDoc } from '../../components/Employee/RegDoc/RegDocService';
+import ReissueDocumentDialog from '../../components/Employee/RegDoc/ReissueDocumentDialog';
+import DocumentLookup from '../../components/Employee/RegDoc/DocumentLookup';
+import AttachmentsDialog from '../../components/Common/AttachmentsDialog';
+import RegDocOwnersDialog from '../../components/Employee/RegDoc/RegDocOwnersDialog';
+import { getRegDocs, postRegDoc, putRegDoc, patchRegDoc, getCertificateUrl } from '../../components/Employee/RegDoc/RegDocService';
+import { openPdf } from '../../utils/openPdf';
 
 function RegDocPage() {
   const [docs, setDocs] = useState([]);
@@ -15,6 +20,9 @@ function RegDocPage() {
   const [editData, setEditData] = useState(null);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
   const [editingCell, setEditingCell] = useState(null);
+  const [documentsTarget, setDocumentsTarget] = useState(null);
+  const [attachmentsTarget, setAttachmentsTarget] = useState(null);
+  const [ownersTarget, setOwnersTarget] = useState(null);
   const [limit, setLimit] = useState(10);
 
   const [search, setSearch] = useState('');
@@ -65,14 +73,24 @@ function RegDocPage() {
         createdAt,
         updatedAt,
         owner,
+        status,
+        closedAt,
+        vin,
         ...payload
       } = formData;
+      payload.validUntil = payload.validUntil || null;
+      payload.ptsStatus = payload.ptsType === 'ELECTRONIC' ? payload.ptsStatus : null;
+      payload.ptsIssuedAt = payload.ptsIssuedAt || null;
 
       if (editData) {
         await putRegDoc(regNumber, payload);
         showSnackbar('Документ обновлён', 'success');
       } else {
-        await postRegDoc({ registrationNumber, ...payload });
+        await postRegDoc({
+          ...payload,
+          ...(registrationNumber && { registrationNumber }),
+          vin
+        });
         showSnackbar('Документ создан', 'success');
       }
 
@@ -99,6 +117,15 @@ function RegDocPage() {
     }
   };
 
+  const handlePrint = async (doc) => {
+    try {
+      await openPdf(getCertificateUrl(doc.registrationNumber));
+    } catch (e) {
+      console.error(e);
+      showSnackbar('Не удалось сформировать PDF', 'error');
+    }
+  };
+
   const handleSort = (field) => {
     if (field === sortField) {
       setSortOrder(prev => (prev === 'ASC' ? 'DESC' : 'ASC'));
@@ -128,6 +155,8 @@ function RegDocPage() {
         sx={{ mb: 2 }}
       />
 
+      <DocumentLookup />
+
       <RegDocTable
         data={docs}
         loading={loading}
@@ -135,6 +164,10 @@ function RegDocPage() {
         sortOrder={sortOrder}
         onSort={handleSort}
         onEditClick={handleEdit}
+        onDocumentsClick={setDocumentsTarget}
+        onAttachmentsClick={setAttachmentsTarget}
+        onOwnersClick={setOwnersTarget}
+        onPrintClick={handlePrint}
         editingCell={editingCell}
         setEditingCell={setEditingCell}
         handleKeyDown={(e, id, field, value) => {
@@ -171,6 +204,36 @@ function RegDocPage() {
         editingData={editData}
       />
 
+      <ReissueDocumentDialog
+        open={!!documentsTarget}
+        onClose={() => setDocumentsTarget(null)}
+        regDoc={documentsTarget}
+        onSuccess={() => {
+          setDocumentsTarget(null);
+          loadDocs();
+        }}
+        showSnackbar={showSnackbar}
+      />
+
+      <RegDocOwnersDialog
+        open={!!ownersTarget}
+        onClose={() => setOwnersTarget(null)}
+        regDoc={ownersTarget}
+        onSuccess={() => {
+          setOwnersTarget(null);
+          loadDocs();
+        }}
+        showSnackbar={showSnackbar}
+      />
+
+      <AttachmentsDialog
+        open={!!attachmentsTarget}
+        onClose={() => setAttachmentsTarget(null)}
+        targetType="REG_DOC"
+        targetId={attachmentsTarget?.registrationNumber}
+        title={`Вложения к документу ${attachmentsTarget?.registrationNumber}`}
+      />
+
       <Snackbar
         open={snackbar.open}
         autoHideDuration={4000}
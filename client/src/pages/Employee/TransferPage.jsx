@@ -0,0 +1,160 @@
+import {
+  Container, Typography, Box, Snackbar, TextField,
+  Pagination, FormControl, InputLabel, Select, MenuItem
+} from '@mui/material';
+import { useEffect, useState } from 'react';
+
+import { getTransfers, finalizeTransfer } from '../../components/Employee/Transfer/TransferService';
+import TransferTable from '../../components/Employee/Transfer/TransferTable';
+import TransferFinalizeDialog from '../../components/Employee/Transfer/TransferFinalizeDialog';
+import { TRANSFER_STATUSES } from '../../utils/transferStatuses';
+
+function TransferPage() {
+  const [data, setData] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
+
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('ACCEPTED');
+  const [limit, setLimit] = useState(10);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [sortField, setSortField] = useState('createdAt');
+  const [sortOrder, setSortOrder] = useState('DESC');
+
+  const [finalizeTarget, setFinalizeTarget] = useState(null);
+
+  const fetchData = async () => {
+    setLoading(true);
+    try {
+      const params = {
+        page,
+        limit,
+        search: search || undefined,
+        status: status || undefined,
+        sortField,
+        sortOrder
+      };
+      const res = await getTransfers(params);
+      setData(res.data.data);
+      setTotalPages(res.data.pages || 1);
+    } catch (e) {
+      console.error(e);
+      showSnackbar('Ошибка загрузки данных', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, [page, limit, sortField, sortOrder, search, status]);
+
+  const showSnackbar = (message, severity = 'info') => {
+    setSnackbar({ open: true, message, severity });
+  };
+
+  const handleSort = (field) => {
+    if (field === sortField) {
+      setSortOrder(prev => (prev === 'ASC' ? 'DESC' : 'ASC'));
+    } else {
+      setSortField(field);
+      setSortOrder('ASC');
+    }
+  };
+
+  const handleFinalize = async (id, formData) => {
+    try {
+      await finalizeTransfer(id, formData);
+      showSnackbar('Передача ТС оформлена', 'success');
+      setFinalizeTarget(null);
+      fetchData();
+    } catch (e) {
+      console.error(e);
+      showSnackbar(e.response?.data?.message || 'Ошибка при оформлении передачи', 'error');
+    }
+  };
+
+  return (
+    <Container maxWidth="xl">
+      <Box sx={{ my: 4, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h4">Передача ТС между владельцами</Typography>
+      </Box>
+
+      <Box display="flex" gap={2} mb={2}>
+        <TextField
+          fullWidth
+          label="Поиск по VIN, гос. номеру, продавцу или покупателю"
+          value={search}
+          onChange={(e) => {
+            setPage(1);
+            setSearch(e.target.value);
+          }}
+        />
+        <FormControl sx={{ minWidth: 220 }}>
+          <InputLabel id="transfer-status-label">Статус</InputLabel>
+          <Select
+            labelId="transfer-status-label"
+            value={status}
+            label="Статус"
+            onChange={(e) => {
+              setPage(1);
+              setStatus(e.target.value);
+            }}
+          >
+            <MenuItem value="">Все</MenuItem>
+            {Object.entries(TRANSFER_STATUSES).map(([key, { label }]) => (
+              <MenuItem key={key} value={key}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+
+      <TransferTable
+        data={data}
+        loading={loading}
+        sortField={sortField}
+        sortOrder={sortOrder}
+        onSort={handleSort}
+        onFinalize={setFinalizeTarget}
+      />
+
+      <Box display="flex" justifyContent="space-between" alignItems="center" mt={2}>
+        <FormControl sx={{ minWidth: 120 }}>
+          <InputLabel id="limit-select-label">Показывать по</InputLabel>
+          <Select
+            labelId="limit-select-label"
+            value={limit}
+            label="Показывать по"
+            onChange={(e) => {
+              setLimit(Number(e.target.value));
+              setPage(1);
+            }}
+          >
+            {[5, 10, 20, 50].map((option) => (
+              <MenuItem key={option} value={option}>{option}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <Pagination count={totalPages} page={page} onChange={(_, value) => setPage(value)} />
+      </Box>
+
+      <TransferFinalizeDialog
+        open={!!finalizeTarget}
+        onClose={() => setFinalizeTarget(null)}
+        transfer={finalizeTarget}
+        onSubmit={handleFinalize}
+      />
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={4000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        message={snackbar.message}
+      />
+    </Container>
+  );
+}
+
+export default TransferPage;
@@ -14,6 +14,16 @@ import {
 
 import TransportVehicleTable from '../../components/Employee/Vehicle/TransportVehicleTable';
 import TransportVehicleFormDialog from '../../components/Employee/Vehicle/TransportVehicleFormDialog';
+import VehicleRestrictionsDialog from '../../components/Employee/Vehicle/VehicleRestrictionsDialog';
+import AttachmentsDialog from '../../components/Common/AttachmentsDialog';
+import { POWERTRAIN_TYPES } from '../../utils/vehicleSpecs';
+import { VEHICLE_CATEGORIES, getCategoryLabel } from '../../utils/vehicleCategories';
+
+const RANGE_FILTERS = [
+  { label: 'Мощность, л.с.', from: 'powerHpFrom', to: 'powerHpTo' },
+  { label: 'Год выпуска', from: 'releaseYearFrom', to: 'releaseYearTo' },
+  { label: 'Объём двигателя, см³', from: 'engineVolumeFrom', to: 'engineVolumeTo' }
+];
 
 function TransportVehiclePage() {
   const [data, setData] = useState([]);
@@ -24,15 +34,20 @@ function TransportVehiclePage() {
   const [sortField, setSortField] = useState('createdAt');
   const [sortOrder, setSortOrder] = useState('DESC');
   const [search, setSearch] = useState('');
+  const [ranges, setRanges] = useState({});
+  const [powertrainType, setPowertrainType] = useState('');
+  const [category, setCategory] = useState('');
 
   const [editDialogOpen, setEditDialogOpen] = useState(false);
   const [editData, setEditData] = useState(null);
   const [editingCell, setEditingCell] = useState(null);
+  const [restrictionsTarget, setRestrictionsTarget] = useState(null);
+  const [attachmentsTarget, setAttachmentsTarget] = useState(null);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
 
   useEffect(() => {
     fetchData();
-  }, [page, limit, sortField, sortOrder, search]);
+  }, [page, limit, sortField, sortOrder, search, ranges, powertrainType, category]);
 
   const fetchData = async () => {
     setLoading(true);
@@ -41,12 +56,21 @@ function TransportVehiclePage() {
       if (search.trim()) {
         params.search = search.trim();
       }
+      Object.entries(ranges).forEach(([key, value]) => {
+        if (/^\d+$/.test(value)) params[key] = Number(value);
+      });
+      if (powertrainType) {
+        params.powertrainType = powertrainType;
+      }
+      if (category) {
+        params.category = category;
+      }
       const res = await getVehicles(params);
       setData(res.data.data);
       setTotalPages(res.data.pagination.totalPages);
     } catch (e) {
       console.error(e);
-      showSnackbar('Ошибка загрузки', 'error');
+      showSnackbar(e.response?.data?.message || 'Ошибка загрузки', 'error');
     } finally {
       setLoading(false);
     }
@@ -92,6 +116,66 @@ function TransportVehiclePage() {
         </Button>
       </Box>
 
+      <Box display="flex" flexWrap="wrap" gap={2} alignItems="center" mb={2}>
+        <FormControl size="small" sx={{ minWidth: 220 }}>
+          <InputLabel id="category-filter-label">Категория</InputLabel>
+          <Select
+            labelId="category-filter-label"
+            value={category}
+            label="Категория"
+            onChange={(e) => {
+              setPage(1);
+              setCategory(e.target.value);
+            }}
+          >
+            <MenuItem value="">Все</MenuItem>
+            {Object.keys(VEHICLE_CATEGORIES).map(code => (
+              <MenuItem key={code} value={code}>{getCategoryLabel(code)}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 220 }}>
+          <InputLabel id="powertrain-filter-label">Силовая установка</InputLabel>
+          <Select
+            labelId="powertrain-filter-label"
+            value={powertrainType}
+            label="Силовая установка"
+            onChange={(e) => {
+              setPage(1);
+              setPowertrainType(e.target.value);
+            }}
+          >
+            <MenuItem value="">Все</MenuItem>
+            {Object.entries(POWERTRAIN_TYPES).map(([value, { label }]) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        {RANGE_FILTERS.map(({ label, from, to }) => (
+          <Box key={from} display="flex" gap={1} alignItems="center">
+            {[[from, 'от'], [to, 'до']].map(([key, suffix]) => (
+              <TextField
+                key={key}
+                size="small"
+                label={`${label} ${suffix}`}
+                value={ranges[key] || ''}
+                onChange={(e) => {
+                  setPage(1);
+                  setRanges(prev => ({ ...prev, [key]: e.target.value.replace(/\D/g, '') }));
+                }}
+                sx={{ width: 190 }}
+              />
+            ))}
+          </Box>
+        ))}
+        <Button
+          onClick={() => { setPage(1); setRanges({}); setPowertrainType(''); setCategory(''); }}
+          disabled={!powertrainType && !category && !Object.values(ranges).some(Boolean)}
+        >
+          Сбросить
+        </Button>
+      </Box>
+
       <TransportVehicleTable
         data={data}
         loading={loading}
@@ -102,6 +186,8 @@ function TransportVehiclePage() {
           setEditData(v);
           setEditDialogOpen(true);
         }}
+        onRestrictionsClick={setRestrictionsTarget}
+        onAttachmentsClick={setAttachmentsTarget}
         editingCell={editingCell}
         setEditingCell={setEditingCell}
         patchVehicle={patchVehicle}
@@ -152,6 +238,22 @@ function TransportVehiclePage() {
         }}
       />
 
+      <VehicleRestrictionsDialog
+        open={!!restrictionsTarget}
+        onClose={() => setRestrictionsTarget(null)}
+        vehicle={restrictionsTarget}
+        onChange={fetchData}
+        showSnackbar={showSnackbar}
+      />
+
+      <AttachmentsDialog
+        open={!!attachmentsTarget}
+        onClose={() => setAttachmentsTarget(null)}
+        targetType="VEHICLE"
+        targetId={attachmentsTarget?.vin}
+        title={`Вложения ТС ${attachmentsTarget?.vin}`}
+      />
+
       <Snackbar
         open={snackbar.open}
         onClose={() => setSnackbar({ ...snackbar, open: false })}
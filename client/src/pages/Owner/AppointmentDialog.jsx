@@ -0,0 +1,101 @@
+import { useEffect, useState } from 'react';
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions,
+  TextField, Button, Box, Typography, CircularProgress, Chip
+} from '@mui/material';
+import api from '../../http';
+
+function AppointmentDialog({ open, onClose, application, onSuccess }) {
+  const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
+  const [slots, setSlots] = useState([]);
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open || !application) return;
+
+    setSelectedSlot(null);
+    setError('');
+    setLoading(true);
+    api.get(`/owner/depart-info/${application.unitCode}/slots`, { params: { date } })
+      .then(res => setSlots(res.data))
+      .catch(e => console.error('Ошибка при загрузке слотов:', e))
+      .finally(() => setLoading(false));
+  }, [open, application, date]);
+
+  const handleBook = async () => {
+    setSaving(true);
+    try {
+      await api.post(`/owner/applications/${application.applicationId}/appointment`, {
+        slotId: selectedSlot
+      });
+      onSuccess?.('Вы записаны на приём в регистрационный отдел.');
+      onClose();
+    } catch (e) {
+      console.error('Ошибка при записи на приём:', e);
+      setError(e.response?.data?.message || 'Не удалось записаться на выбранное время');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatTime = (value) =>
+    new Date(value).toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' });
+
+  const current = application?.appointments?.[0];
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>{current ? 'Перенос записи на приём' : 'Запись на приём'}</DialogTitle>
+      <DialogContent dividers>
+        {application?.registrationdepart && (
+          <Typography mb={2}>
+            {application.registrationdepart.departmentName}, {application.registrationdepart.address}
+          </Typography>
+        )}
+        {current?.appointmentslot && (
+          <Typography mb={2} color="text.secondary">
+            Текущая запись: {new Date(current.appointmentslot.startsAt).toLocaleString('ru-RU')}
+          </Typography>
+        )}
+
+        <TextField
+          label="Дата приёма"
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          slotProps={{ inputLabel: { shrink: true } }}
+        />
+
+        <Box mt={2} display="flex" flexWrap="wrap" gap={1}>
+          {loading ? (
+            <CircularProgress size={24} />
+          ) : slots.length === 0 ? (
+            <Typography color="text.secondary">На выбранную дату свободного времени нет.</Typography>
+          ) : (
+            slots.map(slot => (
+              <Chip
+                key={slot.slotId}
+                label={`${formatTime(slot.startsAt)} (${slot.free})`}
+                color={selectedSlot === slot.slotId ? 'primary' : 'default'}
+                onClick={() => setSelectedSlot(slot.slotId)}
+              />
+            ))
+          )}
+        </Box>
+
+        {error && <Typography color="error" mt={2}>{error}</Typography>}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Отмена</Button>
+        <Button variant="contained" onClick={handleBook} disabled={!selectedSlot || saving}>
+          {saving ? <CircularProgress size={24} /> : 'Записаться'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default AppointmentDialog;
@@ -7,28 +7,47 @@ import {
 import { useEffect, useMemo, useState } from 'react';
 import debounce from 'lodash.debounce';
 import api from '../../http';
+import { formatChange } from '../../utils/vehicleFields';
+import {
+  SPEC_FIELDS, POWERTRAIN_TYPES, getPowertrain,
+  toSpecsForm, toSpecsPayload, validateSpecs, validatePowertrain, toPowertrainPayload
+} from '../../utils/vehicleSpecs';
+import {
+  VEHICLE_CATEGORIES, getCategoryLabel, getVehicleCategory,
+  validateCategoryLimits, toCategoryPayload
+} from '../../utils/vehicleCategories';
 
 const driveOptions = ['FWD', 'RWD', 'AWD', '4WD'];
 const transmissionOptions = ['MT', 'AT', 'AMT', 'CVT', 'DCT', 'DSG'];
+const specFields = ['powerKw', 'powerHp', 'curbMass', 'maxMass', 'seatsCount'];
+const massFields = ['curbMass', 'maxMass', 'seatsCount'];
 
-function ChangeVehicleDataDialog({ open, onClose, vehicle, currentOwner, onSuccess }) {
+// principal — доверитель, если изменения подает его представитель
+function ChangeVehicleDataDialog({ open, onClose, vehicle, onSuccess, principal }) {
   const [formData, setFormData] = useState({});
   const [unitCode, setUnitCode] = useState('');
   const [unitOptions, setUnitOptions] = useState([]);
   const [loadingUnit, setLoadingUnit] = useState(false);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
+  const powertrain = getPowertrain(formData.powertrainType);
+  const category = getVehicleCategory(formData.category);
+  const visibleSpecFields = category.hasEngine ? specFields : massFields;
 
   useEffect(() => {
     if (vehicle) {
+      const specs = toSpecsForm(vehicle.transportvehicle);
       setFormData({
+        category: vehicle.transportvehicle?.category || 'B',
         typeOfDrive: vehicle.transportvehicle?.typeOfDrive || '',
-        power: vehicle.transportvehicle?.power || '',
+        ...Object.fromEntries(specFields.map(field => [field, specs[field]])),
         bodyColor: vehicle.transportvehicle?.bodyColor || '',
         transmissionType: vehicle.transportvehicle?.transmissionType || '',
+        powertrainType: vehicle.transportvehicle?.powertrainType || 'ICE',
         engineModel: vehicle.transportvehicle?.engineModel || '',
         engineVolume: vehicle.transportvehicle?.engineVolume || '',
-        futureOwner: '',
+        electricMotorPower: specs.electricMotorPower,
+        batteryCapacity: specs.batteryCapacity
       });
       setUnitCode('');
       setErrors({});
@@ -61,76 +80,62 @@ function ChangeVehicleDataDialog({ open, onClose, vehicle, currentOwner, onSucce
 
   const validate = () => {
     const newErrors = {};
-    if (!driveOptions.includes(formData.typeOfDrive)) newErrors.typeOfDrive = 'Обязательное поле';
-    if (!formData.power.match(/^\d+\s*кВт\/\d+\s*л\.с\.$/)) newErrors.power = 'Формат: 123 кВт/167 л.с.';
+    if (category.hasEngine) {
+      if (!driveOptions.includes(formData.typeOfDrive)) newErrors.typeOfDrive = 'Обязательное поле';
+      if (!transmissionOptions.includes(formData.transmissionType)) newErrors.transmissionType = 'Обязательное поле';
+    }
+    Object.assign(newErrors, validateSpecs(formData, visibleSpecFields), validateCategoryLimits(formData));
     if (!formData.bodyColor) newErrors.bodyColor = 'Обязательное поле';
-    if (!transmissionOptions.includes(formData.transmissionType)) newErrors.transmissionType = 'Обязательное поле';
-    if (!formData.engineModel) newErrors.engineModel = 'Обязательное поле';
-    if (!formData.engineVolume || isNaN(formData.engineVolume) || formData.engineVolume < 500 || formData.engineVolume > 7400)
-      newErrors.engineVolume = 'Число от 500 до 7400';
-    if (formData.futureOwner && !/^(\d{10}|\d{4}\s?\d{6})$/.test(formData.futureOwner)) {
-      newErrors.futureOwner = 'Введите ИНН (10 цифр) или паспорт (XXXX XXXXXX)';}
+    Object.assign(newErrors, validatePowertrain(formData));
     if (!unitCode.match(/^\d{6}$/)) newErrors.unitCode = 'Введите 6 цифр';
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
-  const generateOperationBase = () => {
-    const changes = [];
+  const getRequestedChanges = () => {
     const orig = vehicle.transportvehicle || {};
+    // Поля силовой установки уходят целиком: при смене типа или категории лишние значения сбрасываются в null
+    const values = toCategoryPayload({
+      ...formData,
+      ...toSpecsPayload(formData, specFields),
+      ...toPowertrainPayload(formData)
+    });
 
-    for (const key in formData) {
-        if (
-        key !== 'futureOwner' &&
-        formData[key] !== '' &&
-        String(formData[key]) !== String(orig[key])
-        ) {
-        changes.push(`${key}: "${orig[key]}" → "${formData[key]}"`);
-        }
-    }
-
-    if (formData.futureOwner) {
-        changes.push(`изменение данных владельца: текущий — ${currentOwner}, будущий — ${formData.futureOwner}`);
-    }
-
-    return changes.length
-        ? 'Изменения: ' + changes.join(', ')
-        : 'Нет изменений';
+    return Object.keys(values)
+      .filter(key => String(values[key] ?? '') !== String(orig[key] ?? ''))
+      .map(key => ({
+        field: key,
+        oldValue: orig[key],
+        newValue: values[key]
+      }));
   };
 
   const handleSubmit = async () => {
     if (!validate()) return;
     setLoading(true);
     try {
-      const operationBase = generateOperationBase();
-      const techChanged = operationBase.includes('→');
-      const ownerChanged = !!formData.futureOwner;
+      const changes = getRequestedChanges();
 
-      if (!techChanged && !ownerChanged) {
+      if (changes.length === 0) {
         onSuccess?.('Данные не изменились. Заявление не было сформировано.');
         setLoading(false);
         return;
       }
 
-      await api.post('/owner/reg-op', {
+      const operationBase = `Изменения: ${changes.map(formatChange).join(', ')}`.slice(0, 255);
+
+      await api.post('/owner/applications', {
         vin: vehicle.transportvehicle?.vin,
+        registrationNumber: vehicle.registrationNumber || '',
         unitCode,
         operationType: 'Внесение измененеий в регистрационные данные',
         operationBase,
-        operationDate: new Date().toISOString().split('T')[0]
+        requestedChanges: changes.map(({ field, newValue }) => ({ field, newValue })),
+        applicationDate: new Date().toISOString().split('T')[0],
+        ...(principal && { principal })
       });
 
-      if (ownerChanged && vehicle.operationId) {
-        await api.patch(`/employee/reg-op/${vehicle.operationId}`, {
-          registrationNumber: null
-        });
-      }
-
-      const successMessage = ownerChanged
-        ? 'Заявление успешно отправлено. Новому владельцу необходимо обратиться в указанный Вами регистрационный отдел.'
-        : 'Изменения успешно зарегистрированы. Обратитесь в указанный Вами регистрационный отдел.';
-
-      onSuccess?.(successMessage);
+      onSuccess?.('Заявление на изменение данных отправлено. Обратитесь в указанный Вами регистрационный отдел.');
       onClose();
     } catch (e) {
       console.error('Ошибка подачи заявления:', e);
@@ -144,29 +149,48 @@ function ChangeVehicleDataDialog({ open, onClose, vehicle, currentOwner, onSucce
       <DialogTitle>Внесение изменений в регистрационные данные</DialogTitle>
       <DialogContent dividers>
         <Box display="flex" flexWrap="wrap" gap={2} mt={1} sx={{ '& > *': { flex: '1 1 calc(50% - 16px)' } }}>
-          <FormControl fullWidth error={!!errors.typeOfDrive}>
-            <InputLabel>Тип привода</InputLabel>
+          <FormControl fullWidth>
+            <InputLabel>Категория</InputLabel>
             <Select
-              name="typeOfDrive"
-              value={formData.typeOfDrive}
+              name="category"
+              value={formData.category || 'B'}
               onChange={handleChange}
-              label="Тип привода"
+              label="Категория"
             >
-              {driveOptions.map((option) => (
-                <MenuItem key={option} value={option}>{option}</MenuItem>
+              {Object.keys(VEHICLE_CATEGORIES).map(code => (
+                <MenuItem key={code} value={code}>{getCategoryLabel(code)}</MenuItem>
               ))}
             </Select>
           </FormControl>
 
-          <TextField
-            fullWidth
-            name="power"
-            label="Мощность кВт/л.с."
-            value={formData.power}
-            onChange={handleChange}
-            error={!!errors.power}
-            helperText={errors.power}
-          />
+          {category.hasEngine && (
+            <FormControl fullWidth error={!!errors.typeOfDrive}>
+              <InputLabel>Тип привода</InputLabel>
+              <Select
+                name="typeOfDrive"
+                value={formData.typeOfDrive}
+                onChange={handleChange}
+                label="Тип привода"
+              >
+                {driveOptions.map((option) => (
+                  <MenuItem key={option} value={option}>{option}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+
+          {visibleSpecFields.map(field => (
+            <TextField
+              key={field}
+              fullWidth
+              name={field}
+              label={SPEC_FIELDS[field].label}
+              value={formData[field] ?? ''}
+              onChange={handleChange}
+              error={!!errors[field]}
+              helperText={errors[field]}
+            />
+          ))}
 
           <TextField
             fullWidth
@@ -178,49 +202,74 @@ function ChangeVehicleDataDialog({ open, onClose, vehicle, currentOwner, onSucce
             helperText={errors.bodyColor}
           />
 
-          <FormControl fullWidth error={!!errors.transmissionType}>
-            <InputLabel>Коробка передач</InputLabel>
-            <Select
-              name="transmissionType"
-              value={formData.transmissionType}
-              onChange={handleChange}
-              label="Тип коробки передач"
-            >
-              {transmissionOptions.map((option) => (
-                <MenuItem key={option} value={option}>{option}</MenuItem>
-              ))}
-            </Select>
-          </FormControl>
+          {category.hasEngine && (
+            <FormControl fullWidth error={!!errors.transmissionType}>
+              <InputLabel>Коробка передач</InputLabel>
+              <Select
+                name="transmissionType"
+                value={formData.transmissionType}
+                onChange={handleChange}
+                label="Тип коробки передач"
+              >
+                {transmissionOptions.map((option) => (
+                  <MenuItem key={option} value={option}>{option}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
 
-          <TextField
-            fullWidth
-            name="engineModel"
-            label="Модель двигателя"
-            value={formData.engineModel}
-            onChange={handleChange}
-            error={!!errors.engineModel}
-            helperText={errors.engineModel}
-          />
+          {category.hasEngine && (
+            <>
+              <FormControl fullWidth>
+                <InputLabel>Силовая установка</InputLabel>
+                <Select
+                  name="powertrainType"
+                  value={formData.powertrainType || 'ICE'}
+                  onChange={handleChange}
+                  label="Силовая установка"
+                >
+                  {Object.entries(POWERTRAIN_TYPES).map(([value, { label }]) => (
+                    <MenuItem key={value} value={value}>{label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
 
-          <TextField
-            fullWidth
-            name="engineVolume"
-            label="Объем двигателя, см³"
-            value={formData.engineVolume}
-            onChange={handleChange}
-            error={!!errors.engineVolume}
-            helperText={errors.engineVolume}
-          />
+              <TextField
+                fullWidth
+                name="engineModel"
+                label="Модель двигателя"
+                value={formData.engineModel}
+                onChange={handleChange}
+                error={!!errors.engineModel}
+                helperText={errors.engineModel || (!powertrain.engine && 'Необязательно')}
+              />
 
-          <TextField
-            fullWidth
-            name="futureOwner"
-            label="Новый владелец (Паспорт / ИНН)"
-            value={formData.futureOwner}
-            onChange={handleChange}
-            error={!!errors.futureOwner}
-            helperText={errors.futureOwner}
-          />
+              {powertrain.engine && (
+                <TextField
+                  fullWidth
+                  name="engineVolume"
+                  label="Объем двигателя, см³"
+                  value={formData.engineVolume}
+                  onChange={handleChange}
+                  error={!!errors.engineVolume}
+                  helperText={errors.engineVolume}
+                />
+              )}
+
+              {powertrain.motor && ['electricMotorPower', 'batteryCapacity'].map(field => (
+                <TextField
+                  key={field}
+                  fullWidth
+                  name={field}
+                  label={SPEC_FIELDS[field].label}
+                  value={formData[field] ?? ''}
+                  onChange={handleChange}
+                  error={!!errors[field]}
+                  helperText={errors[field]}
+                />
+              ))}
+            </>
+          )}
 
           <Autocomplete
             freeSolo
@@ -0,0 +1,287 @@
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions, TextField, Button, Box, Autocomplete,
+  Typography, Alert, CircularProgress, Table, TableHead, TableBody, TableRow, TableCell, Chip,
+  Select, MenuItem, FormControl, InputLabel
+} from '@mui/material';
+import { useContext, useEffect, useMemo, useState } from 'react';
+import debounce from 'lodash.debounce';
+import api from '../../http';
+import { Context } from '../../index';
+import { MAX_IMPORT_ROWS, downloadImportTemplate, parseImportFile } from '../../utils/fleetImport';
+import { filterPowersOfAttorney, describePowerOfAttorney } from '../../utils/powerOfAttorneyScopes';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Импорт автопарка из XLSX/CSV: сначала построчная проверка на сервере, затем одна пачка заявлений
+function FleetImportDialog({ open, onClose, onSuccess }) {
+  const { user } = useContext(Context);
+
+  const [unitCode, setUnitCode] = useState('');
+  const [operationBase, setOperationBase] = useState('');
+  const [applicationDate, setApplicationDate] = useState(today());
+  const [departOptions, setDepartOptions] = useState([]);
+  const [loadingDepart, setLoadingDepart] = useState(false);
+  const [powersOfAttorney, setPowersOfAttorney] = useState([]);
+  const [principal, setPrincipal] = useState('');
+
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  const fetchPowersOfAttorney = async () => {
+    try {
+      const res = await api.get('/owner/powers-of-attorney', { params: { direction: 'RECEIVED', limit: 100 } });
+      setPowersOfAttorney(filterPowersOfAttorney(res.data.data, 'REGISTRATION'));
+    } catch (e) {
+      console.error('Ошибка загрузки доверенностей:', e);
+      setPowersOfAttorney([]);
+    }
+  };
+
+  useEffect(() => {
+    if (open) {
+      const inn = user.user?.taxNumber;
+      const passport = user.user?.passportData;
+      const detail = inn ? `ИНН: ${inn}` : passport ? `паспорт: ${passport}` : 'данные владельца не указаны';
+
+      setUnitCode('');
+      setOperationBase(`Заявление составлено владельцем — ${detail}`);
+      setApplicationDate(today());
+      setPrincipal('');
+      setFileName('');
+      setRows([]);
+      setReport(null);
+      setError('');
+      fetchPowersOfAttorney();
+    }
+  }, [open, user]);
+
+  const fetchDeparts = useMemo(() =>
+    debounce(async (input) => {
+      setLoadingDepart(true);
+      try {
+        const res = await api.get('/admin/reg-depart', {
+          params: { search: input, limit: 10 }
+        });
+        setDepartOptions(res.data.data.map(d => ({
+          label: `${d.unitCode} — ${d.departmentName}`,
+          value: d.unitCode
+        })));
+      } catch (e) {
+        console.error('Ошибка при загрузке отделов:', e);
+      } finally {
+        setLoadingDepart(false);
+      }
+    }, 300), []);
+
+  const handlePrincipalChange = (e) => {
+    const powerOfAttorney = powersOfAttorney.find(p => p.principal === e.target.value);
+    setPrincipal(e.target.value);
+    setReport(null);
+    if (powerOfAttorney) {
+      setOperationBase(`Заявление составлено представителем владельца ${powerOfAttorney.principal}, ${describePowerOfAttorney(powerOfAttorney)}`);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setReport(null);
+    try {
+      const parsed = await parseImportFile(file);
+      if (parsed.length === 0) {
+        setError('В файле нет строк с ТС. Заполните шаблон начиная со второй строки.');
+      } else if (parsed.length > MAX_IMPORT_ROWS) {
+        setError(`За один раз можно импортировать не более ${MAX_IMPORT_ROWS} ТС, в файле — ${parsed.length}.`);
+      }
+      setFileName(file.name);
+      setRows(parsed);
+    } catch (err) {
+      console.error('Ошибка чтения файла:', err);
+      setError('Не удалось прочитать файл. Поддерживаются XLSX и CSV.');
+      setRows([]);
+    }
+  };
+
+  const buildPayload = (dryRun) => ({
+    unitCode,
+    operationBase,
+    applicationDate,
+    dryRun,
+    ...(principal && { principal }),
+    rows: rows.map(r => r.vehicle)
+  });
+
+  const handleCheck = async () => {
+    if (!unitCode.match(/^\d{6}$/)) {
+      setError('Код подразделения — 6 цифр');
+      return;
+    }
+
+    setChecking(true);
+    setError('');
+    try {
+      const res = await api.post('/owner/vehicles/import', buildPayload(true));
+      setReport(res.data);
+    } catch (e) {
+      console.error('Ошибка проверки файла:', e);
+      setError(e.response?.data?.message || 'Ошибка проверки файла');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    setError('');
+    try {
+      const res = await api.post('/owner/vehicles/import', buildPayload(false));
+      onSuccess(`Подано заявлений на регистрацию: ${res.data.data.length}. Обратитесь в указанный вами регистрационный отдел.`);
+      onClose();
+    } catch (e) {
+      console.error('Ошибка импорта:', e);
+      setError(e.response?.data?.message || 'Ошибка импорта');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  // Номер строки в файле для отчета сервера (строки отчета нумеруются с 1 в порядке отправки)
+  const getLine = (row) => rows[row - 1]?.line ?? row;
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>Импорт автопарка из файла</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          Заполните шаблон: одна строка — одно ТС. По каждой принятой строке будет подано заявление на постановку на учет
+          в выбранный регистрационный отдел.
+        </Typography>
+
+        <Box display="flex" gap={2} flexWrap="wrap" mt={2}>
+          <Button variant="outlined" onClick={downloadImportTemplate}>Скачать шаблон XLSX</Button>
+          <Button variant="outlined" component="label">
+            Выбрать файл
+            <input type="file" hidden accept=".xlsx,.xls,.csv" onChange={handleFileChange} />
+          </Button>
+          {fileName && (
+            <Typography alignSelf="center">{fileName}: {rows.length} ТС</Typography>
+          )}
+        </Box>
+
+        <Box display="flex" flexWrap="wrap" gap={2} mt={3} sx={{ '& > *': { flex: '1 1 calc(50% - 16px)' } }}>
+          {powersOfAttorney.length > 0 && (
+            <FormControl fullWidth>
+              <InputLabel id="import-principal-label">Заявитель</InputLabel>
+              <Select labelId="import-principal-label" label="Заявитель" value={principal} onChange={handlePrincipalChange}>
+                <MenuItem value="">От своего имени</MenuItem>
+                {powersOfAttorney.map(p => (
+                  <MenuItem key={p.powerOfAttorneyId} value={p.principal}>
+                    От имени {p.principal} ({describePowerOfAttorney(p)})
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+          <Autocomplete
+            fullWidth
+            freeSolo
+            options={departOptions}
+            loading={loadingDepart}
+            getOptionLabel={(option) => typeof option === 'string' ? option : option.label}
+            value={departOptions.find(opt => opt.value === unitCode) || unitCode}
+            onInputChange={(_, value, reason) => {
+              setUnitCode(value);
+              setReport(null);
+              if (reason === 'input' && value.length >= 2) fetchDeparts(value);
+            }}
+            onChange={(_, option) => {
+              if (option?.value) setUnitCode(option.value);
+            }}
+            renderInput={(params) => (
+              <TextField {...params} label="Код подразделения" fullWidth InputLabelProps={{ shrink: true }} />
+            )}
+          />
+          <TextField
+            label="Дата подачи заявлений"
+            type="date"
+            fullWidth
+            value={applicationDate}
+            onChange={(e) => setApplicationDate(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            label="Основание"
+            fullWidth
+            value={operationBase}
+            onChange={(e) => setOperationBase(e.target.value)}
+          />
+        </Box>
+
+        {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+
+        {report && (
+          <Box mt={3}>
+            <Alert severity={report.rejected ? 'warning' : 'success'}>
+              Проверено ТС: {report.total}. Будет импортировано: {report.accepted}. С ошибками: {report.rejected}.
+              {report.rejected > 0 && ' Строки с ошибками будут пропущены — исправьте их и загрузите файл повторно.'}
+            </Alert>
+            <Table size="small" sx={{ mt: 2 }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Строка</TableCell>
+                  <TableCell>VIN</TableCell>
+                  <TableCell>Результат</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {report.rows.map((r) => (
+                  <TableRow key={r.row}>
+                    <TableCell>{getLine(r.row)}</TableCell>
+                    <TableCell>{r.vin || '—'}</TableCell>
+                    <TableCell>
+                      {r.valid ? (
+                        <Chip
+                          size="small"
+                          color="success"
+                          label={r.existingVehicle ? 'Принято (ТС уже есть в базе)' : 'Принято'}
+                        />
+                      ) : r.errors.map((message) => (
+                        <Typography key={message} variant="body2" color="error">{message}</Typography>
+                      ))}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Отмена</Button>
+        <Button
+          variant="outlined"
+          onClick={handleCheck}
+          disabled={!rows.length || rows.length > MAX_IMPORT_ROWS || checking}
+        >
+          {checking ? <CircularProgress size={24} /> : 'Проверить файл'}
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleImport}
+          disabled={!report?.accepted || importing}
+        >
+          {importing ? <CircularProgress size={24} /> : `Подать заявления (${report?.accepted || 0})`}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default FleetImportDialog;
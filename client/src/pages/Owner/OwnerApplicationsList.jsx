@@ -0,0 +1,298 @@
+import { useEffect, useState } from 'react';
+import {
+  Box, Typography, CircularProgress, Accordion,
+  AccordionSummary, AccordionDetails, Chip, Button,
+  Dialog, DialogTitle, DialogContent, DialogActions, TextField,
+  Pagination, Select, MenuItem, FormControl, InputLabel
+} from '@mui/material';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import api from '../../http';
+import { APPLICATION_STATUSES, getApplicationStatus } from '../../utils/applicationStatuses';
+import AppointmentDialog from './AppointmentDialog';
+import AttachmentsDialog from '../../components/Common/AttachmentsDialog';
+import { OWNER_ATTACHMENT_STATUSES } from '../../utils/attachmentKinds';
+import { openPdf } from '../../utils/openPdf';
+
+function OwnerApplicationsList({ refreshKey, onSuccess }) {
+  const [applications, setApplications] = useState([]);
+  const [details, setDetails] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  const [resubmitTarget, setResubmitTarget] = useState(null);
+  const [operationBase, setOperationBase] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const [appointmentTarget, setAppointmentTarget] = useState(null);
+  const [attachmentsTarget, setAttachmentsTarget] = useState(null);
+
+  const fetchData = async () => {
+    setLoading(true);
+    try {
+      const res = await api.get('/owner/applications', {
+        params: { limit: 5, page, status: status || undefined }
+      });
+      setApplications(res.data.data);
+      setTotalPages(res.data.pages || 1);
+    } catch (e) {
+      console.error('Ошибка при загрузке заявлений:', e);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, [page, status, refreshKey]);
+
+  const loadDetails = async (id) => {
+    if (details[id]) return;
+    try {
+      const res = await api.get(`/owner/applications/${id}`);
+      setDetails(prev => ({ ...prev, [id]: res.data }));
+    } catch (e) {
+      console.error('Ошибка при загрузке заявления:', e);
+    }
+  };
+
+  const handleCancel = async (id) => {
+    try {
+      await api.post(`/owner/applications/${id}/cancel`);
+      setDetails(prev => ({ ...prev, [id]: undefined }));
+      fetchData();
+      onSuccess?.('Заявление отозвано.');
+    } catch (e) {
+      console.error('Ошибка при отмене заявления:', e);
+    }
+  };
+
+  const handleResubmit = async () => {
+    setSaving(true);
+    try {
+      await api.patch(`/owner/applications/${resubmitTarget.applicationId}`, {
+        operationBase,
+        applicationDate: new Date().toISOString()
+      });
+      setDetails(prev => ({ ...prev, [resubmitTarget.applicationId]: undefined }));
+      setResubmitTarget(null);
+      fetchData();
+      onSuccess?.('Заявление повторно отправлено на рассмотрение.');
+    } catch (e) {
+      console.error('Ошибка при повторной подаче заявления:', e);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancelAppointment = async (id) => {
+    try {
+      await api.delete(`/owner/applications/${id}/appointment`);
+      fetchData();
+      onSuccess?.('Запись на приём отменена.');
+    } catch (e) {
+      console.error('Ошибка при отмене записи:', e);
+    }
+  };
+
+  const handlePrint = async (id) => {
+    try {
+      await openPdf(`/owner/applications/${id}/application.pdf`);
+    } catch (e) {
+      console.error('Ошибка при формировании заявления:', e);
+    }
+  };
+
+  const formatDate = (value) => value ? new Date(value).toLocaleString('ru-RU') : '—';
+
+  return (
+    <Box mt={4}>
+      <Box display="flex" justifyContent="space-between" alignItems="center">
+        <Typography variant="h5" gutterBottom>Мои заявления</Typography>
+        <FormControl size="small" sx={{ minWidth: 220 }}>
+          <InputLabel id="application-status-label">Статус</InputLabel>
+          <Select
+            labelId="application-status-label"
+            value={status}
+            label="Статус"
+            onChange={(e) => {
+              setStatus(e.target.value);
+              setPage(1);
+            }}
+          >
+            <MenuItem value="">Все</MenuItem>
+            {Object.entries(APPLICATION_STATUSES).map(([key, { label }]) => (
+              <MenuItem key={key} value={key}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" mt={4}><CircularProgress /></Box>
+      ) : applications.length === 0 ? (
+        <Typography color="text.secondary" mt={3}>Заявлений нет.</Typography>
+      ) : (
+        <>
+          <Box display="flex" flexDirection="column" gap={2} mt={2}>
+            {applications.map((a) => {
+              const st = getApplicationStatus(a.status);
+              const history = details[a.applicationId]?.applicationstatushistories || [];
+              const appointment = a.appointments?.[0];
+              const active = ['SUBMITTED', 'UNDER_REVIEW', 'NEEDS_CORRECTION'].includes(a.status);
+
+              return (
+                <Accordion
+                  key={a.applicationId}
+                  sx={{ borderRadius: 1, boxShadow: 2 }}
+                  onChange={(_, expanded) => expanded && loadDetails(a.applicationId)}
+                >
+                  <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+                    <Box display="flex" justifyContent="space-between" alignItems="center" width="100%">
+                      <Box>
+                        <Typography fontWeight={600}>№{a.applicationId} — {a.operationType}</Typography>
+                        <Typography variant="body2" color="text.secondary">
+                          {a.transportvehicle?.makeAndModel} {a.vin}
+                        </Typography>
+                      </Box>
+                      <Chip label={st.label} color={st.color} />
+                    </Box>
+                  </AccordionSummary>
+                  <AccordionDetails>
+                    <Typography><strong>Подразделение:</strong> {a.registrationdepart ? `${a.unitCode} — ${a.registrationdepart.departmentName}, ${a.registrationdepart.address}` : a.unitCode}</Typography>
+                    <Typography><strong>Дата подачи:</strong> {formatDate(a.applicationDate)}</Typography>
+                    <Typography><strong>Основание:</strong> {a.operationBase}</Typography>
+                    {a.representative && (
+                      <Typography>
+                        <strong>Подано представителем:</strong> {a.representative} от имени {a.applicant}
+                        {a.powerofattorney && `, доверенность № ${a.powerofattorney.notarialNumber}`}
+                      </Typography>
+                    )}
+                    <Typography>
+                      <strong>Приём:</strong> {appointment?.appointmentslot ? formatDate(appointment.appointmentslot.startsAt) : 'не назначен'}
+                    </Typography>
+                    {a.validUntil && (
+                      <Typography><strong>Временная регистрация до:</strong> {new Date(a.validUntil).toLocaleDateString('ru-RU')}</Typography>
+                    )}
+                    {a.requestedPlateNumber && (
+                      <Typography>
+                        <strong>Желаемый номер:</strong> {a.requestedPlateNumber}
+                        {a.platenumber && new Date(a.platenumber.reservedUntil) > new Date()
+                          ? ` (удерживается до ${formatDate(a.platenumber.reservedUntil)})`
+                          : active ? ' (срок удержания истёк)' : ''}
+                      </Typography>
+                    )}
+                    {a.statusComment && (
+                      <Typography color="warning.main"><strong>Комментарий сотрудника:</strong> {a.statusComment}</Typography>
+                    )}
+
+                    {history.length > 0 && (
+                      <Box mt={2}>
+                        <Typography variant="subtitle2">История</Typography>
+                        {history.map((h, idx) => (
+                          <Typography key={idx} variant="body2" color="text.secondary">
+                            {formatDate(h.changedAt)} — {getApplicationStatus(h.toStatus).label}
+                            {h.comment ? `: ${h.comment}` : ''}
+                          </Typography>
+                        ))}
+                      </Box>
+                    )}
+
+                    <Box mt={2} display="flex" gap={2}>
+                      {a.status === 'NEEDS_CORRECTION' && (
+                        <Button
+                          variant="outlined"
+                          onClick={() => {
+                            setResubmitTarget(a);
+                            setOperationBase(a.operationBase);
+                          }}
+                        >
+                          Исправить и отправить
+                        </Button>
+                      )}
+                      {active && (
+                        <Button variant="outlined" onClick={() => setAppointmentTarget(a)}>
+                          {appointment ? 'Перенести запись' : 'Записаться на приём'}
+                        </Button>
+                      )}
+                      {active && appointment && (
+                        <Button variant="outlined" color="warning" onClick={() => handleCancelAppointment(a.applicationId)}>
+                          Отменить запись
+                        </Button>
+                      )}
+                      <Button variant="outlined" onClick={() => setAttachmentsTarget(a)}>
+                        Документы и фото
+                      </Button>
+                      <Button variant="outlined" onClick={() => handlePrint(a.applicationId)}>
+                        Печать заявления
+                      </Button>
+                      {active && (
+                        <Button variant="outlined" color="error" onClick={() => handleCancel(a.applicationId)}>
+                          Отозвать заявление
+                        </Button>
+                      )}
+                    </Box>
+                  </AccordionDetails>
+                </Accordion>
+              );
+            })}
+          </Box>
+
+          <Box display="flex" justifyContent="flex-end" mt={2}>
+            <Pagination
+              count={totalPages}
+              page={page}
+              onChange={(_, value) => setPage(value)}
+              color="primary"
+            />
+          </Box>
+        </>
+      )}
+
+      <AttachmentsDialog
+        open={!!attachmentsTarget}
+        onClose={() => setAttachmentsTarget(null)}
+        targetType="APPLICATION"
+        targetId={attachmentsTarget?.applicationId}
+        title={`Документы к заявлению №${attachmentsTarget?.applicationId}`}
+        canUpload={OWNER_ATTACHMENT_STATUSES.includes(attachmentsTarget?.status)}
+      />
+
+      <AppointmentDialog
+        open={!!appointmentTarget}
+        onClose={() => setAppointmentTarget(null)}
+        application={appointmentTarget}
+        onSuccess={(message) => {
+          fetchData();
+          onSuccess?.(message);
+        }}
+      />
+
+      <Dialog open={!!resubmitTarget} onClose={() => setResubmitTarget(null)} fullWidth maxWidth="sm">
+        <DialogTitle>Исправление заявления №{resubmitTarget?.applicationId}</DialogTitle>
+        <DialogContent dividers>
+          {resubmitTarget?.statusComment && (
+            <Typography mb={2}><strong>Комментарий сотрудника:</strong> {resubmitTarget.statusComment}</Typography>
+          )}
+          <TextField
+            label="Основание"
+            fullWidth
+            multiline
+            minRows={3}
+            value={operationBase}
+            onChange={(e) => setOperationBase(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setResubmitTarget(null)}>Отмена</Button>
+          <Button variant="contained" onClick={handleResubmit} disabled={saving || !operationBase.trim()}>
+            {saving ? <CircularProgress size={24} /> : 'Отправить'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default OwnerApplicationsList;
@@ -0,0 +1,172 @@
+import { useState } from 'react';
+import {
+  Box, Typography, Card, CardContent, Chip, Button, TextField, Select, MenuItem,
+  FormControl, InputLabel, Alert, Divider, IconButton, Tooltip
+} from '@mui/material';
+import { ContentCopy } from '@mui/icons-material';
+import api from '../../http';
+import { COMPANY_ROLES, getCompanyRoleLabel } from '../../utils/companyRoles';
+
+// Учетные записи юридического лица: администратор приглашает коллег и назначает им роли
+function OwnerCompanySection({ company, onChanged, onSuccess }) {
+  const [inviteForm, setInviteForm] = useState({ email: '', companyRole: 'FLEET_MANAGER' });
+  const [inviteLink, setInviteLink] = useState('');
+  const [error, setError] = useState('');
+
+  if (!company) return null;
+
+  const isAdmin = company.companyRole === 'COMPANY_ADMIN';
+
+  const handleError = (e, fallback) => {
+    console.error(fallback, e);
+    setError(e.response?.data?.message || fallback);
+  };
+
+  const handleInvite = async () => {
+    setError('');
+    try {
+      const res = await api.post('/owner/company/invites', inviteForm);
+      setInviteLink(`${window.location.origin}/invite/${res.data.data.token}`);
+      setInviteForm({ email: '', companyRole: 'FLEET_MANAGER' });
+      onChanged();
+    } catch (e) {
+      handleError(e, 'Ошибка при создании приглашения');
+    }
+  };
+
+  const handleRevokeInvite = async (id) => {
+    setError('');
+    try {
+      await api.delete(`/owner/company/invites/${id}`);
+      onChanged();
+    } catch (e) {
+      handleError(e, 'Ошибка при отзыве приглашения');
+    }
+  };
+
+  const handleRoleChange = async (id, companyRole) => {
+    setError('');
+    try {
+      await api.patch(`/owner/company/members/${id}`, { companyRole });
+      onChanged();
+    } catch (e) {
+      handleError(e, 'Ошибка при изменении роли');
+    }
+  };
+
+  const handleRemove = async (id) => {
+    setError('');
+    try {
+      await api.delete(`/owner/company/members/${id}`);
+      onChanged();
+      onSuccess?.('Пользователь отключен от компании.');
+    } catch (e) {
+      handleError(e, 'Ошибка при отключении пользователя');
+    }
+  };
+
+  return (
+    <Box mt={4}>
+      <Typography variant="h5" gutterBottom>Компания</Typography>
+
+      <Card sx={{ boxShadow: 2 }}>
+        <CardContent>
+          <Box display="flex" justifyContent="space-between" alignItems="center">
+            <Box>
+              <Typography fontWeight={600}>{company.company.companyName}</Typography>
+              <Typography variant="body2" color="text.secondary">ИНН {company.company.taxNumber}</Typography>
+            </Box>
+            <Chip label={getCompanyRoleLabel(company.companyRole)} color="primary" />
+          </Box>
+
+          {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+
+          <Divider sx={{ my: 2 }} />
+          <Typography fontWeight={600} gutterBottom>Пользователи</Typography>
+          {company.members.map((m) => (
+            <Box key={m.id} display="flex" alignItems="center" gap={2} mb={1} flexWrap="wrap">
+              <Typography variant="body2" sx={{ flexGrow: 1 }}>{m.email}</Typography>
+              {isAdmin ? (
+                <>
+                  <Select
+                    size="small"
+                    value={m.companyRole || ''}
+                    onChange={(e) => handleRoleChange(m.id, e.target.value)}
+                  >
+                    {Object.entries(COMPANY_ROLES).map(([value, label]) => (
+                      <MenuItem key={value} value={value}>{label}</MenuItem>
+                    ))}
+                  </Select>
+                  <Button size="small" color="error" onClick={() => handleRemove(m.id)}>Отключить</Button>
+                </>
+              ) : (
+                <Chip size="small" label={getCompanyRoleLabel(m.companyRole)} />
+              )}
+            </Box>
+          ))}
+
+          {isAdmin && (
+            <>
+              <Divider sx={{ my: 2 }} />
+              <Typography fontWeight={600} gutterBottom>Пригласить сотрудника</Typography>
+              <Box display="flex" gap={2} flexWrap="wrap">
+                <TextField
+                  size="small"
+                  label="Email"
+                  type="email"
+                  value={inviteForm.email}
+                  onChange={(e) => setInviteForm({ ...inviteForm, email: e.target.value })}
+                />
+                <FormControl size="small" sx={{ minWidth: 220 }}>
+                  <InputLabel id="company-role-label">Роль</InputLabel>
+                  <Select
+                    labelId="company-role-label"
+                    label="Роль"
+                    value={inviteForm.companyRole}
+                    onChange={(e) => setInviteForm({ ...inviteForm, companyRole: e.target.value })}
+                  >
+                    {Object.entries(COMPANY_ROLES).map(([value, label]) => (
+                      <MenuItem key={value} value={value}>{label}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <Button variant="outlined" onClick={handleInvite} disabled={!inviteForm.email}>
+                  Пригласить
+                </Button>
+              </Box>
+
+              {inviteLink && (
+                <Alert severity="info" sx={{ mt: 2 }}>
+                  Передайте ссылку сотруднику, она действует 7 дней: {inviteLink}
+                  <Tooltip title="Скопировать">
+                    <IconButton size="small" onClick={() => navigator.clipboard.writeText(inviteLink)}>
+                      <ContentCopy fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </Alert>
+              )}
+
+              {company.invites.length > 0 && (
+                <Box mt={2}>
+                  <Typography variant="body2" color="text.secondary" gutterBottom>Ожидают регистрации</Typography>
+                  {company.invites.map((invite) => (
+                    <Box key={invite.inviteId} display="flex" alignItems="center" gap={2} mb={1}>
+                      <Typography variant="body2" sx={{ flexGrow: 1 }}>
+                        {invite.email} — {getCompanyRoleLabel(invite.companyRole)}, до {new Date(invite.expiresAt).toLocaleDateString()}
+                      </Typography>
+                      <Button size="small" color="error" onClick={() => handleRevokeInvite(invite.inviteId)}>
+                        Отозвать
+                      </Button>
+                    </Box>
+                  ))}
+                </Box>
+              )}
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </Box>
+  );
+}
+
+export default OwnerCompanySection;
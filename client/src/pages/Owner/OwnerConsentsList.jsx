@@ -0,0 +1,106 @@
+import { useEffect, useState } from 'react';
+import {
+  Box, Typography, CircularProgress, Card, CardContent, Chip, Button, Pagination
+} from '@mui/material';
+import api from '../../http';
+import { getConsentStatus } from '../../utils/consentStatuses';
+
+// Запросы согласия совладельцев на передачу и снятие ТС с учета
+function OwnerConsentsList({ refreshKey, onSuccess }) {
+  const [consents, setConsents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  const fetchData = async () => {
+    setLoading(true);
+    try {
+      const res = await api.get('/owner/consents', { params: { limit: 5, page } });
+      setConsents(res.data.data);
+      setTotalPages(res.data.pages || 1);
+    } catch (e) {
+      console.error('Ошибка при загрузке запросов согласия:', e);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, [page, refreshKey]);
+
+  const handleAction = async (id, action, message) => {
+    try {
+      await api.post(`/owner/consents/${id}/${action}`);
+      fetchData();
+      onSuccess?.(message);
+    } catch (e) {
+      console.error('Ошибка при изменении запроса согласия:', e);
+    }
+  };
+
+  if (!loading && consents.length === 0) return null;
+
+  return (
+    <Box mt={4}>
+      <Typography variant="h5" gutterBottom>Согласие совладельцев</Typography>
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" mt={2}><CircularProgress /></Box>
+      ) : (
+        <Box display="flex" flexDirection="column" gap={2}>
+          {consents.map((c) => {
+            const st = getConsentStatus(c.status);
+            const incoming = c.direction === 'INCOMING';
+            const registration = c.registrationdoc?.vehicleregistrations?.[0];
+
+            return (
+              <Card key={c.consentId} sx={{ boxShadow: 2 }}>
+                <CardContent>
+                  <Box display="flex" justifyContent="space-between" alignItems="center">
+                    <Box>
+                      <Typography fontWeight={600}>
+                        {c.label} — {registration?.transportvehicle?.makeAndModel || c.registrationNumber}
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        Гос. номер {c.registrationNumber}, {incoming ? `запросил: ${c.requestedBy}` : `совладелец: ${c.owner}`}
+                      </Typography>
+                      {c.buyer && (
+                        <Typography variant="body2" color="text.secondary">Новый владелец: {c.buyer}</Typography>
+                      )}
+                    </Box>
+                    <Chip label={st.label} color={st.color} />
+                  </Box>
+
+                  {incoming && c.status === 'PENDING' && (
+                    <Box mt={2} display="flex" gap={2}>
+                      <Button
+                        variant="contained"
+                        onClick={() => handleAction(c.consentId, 'grant', 'Согласие дано.')}
+                      >
+                        Дать согласие
+                      </Button>
+                      <Button
+                        variant="outlined"
+                        color="error"
+                        onClick={() => handleAction(c.consentId, 'decline', 'В согласии отказано.')}
+                      >
+                        Отказать
+                      </Button>
+                    </Box>
+                  )}
+                </CardContent>
+              </Card>
+            );
+          })}
+
+          <Box display="flex" justifyContent="flex-end">
+            <Pagination count={totalPages} page={page} onChange={(_, value) => setPage(value)} color="primary" />
+          </Box>
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default OwnerConsentsList;
@@ -0,0 +1,195 @@
+import { useEffect, useState } from 'react';
+import {
+  Box, Typography, CircularProgress, Card, CardContent, Chip, Button, Pagination, Divider
+} from '@mui/material';
+import api from '../../http';
+import { getScopeLabel } from '../../utils/powerOfAttorneyScopes';
+import PowerOfAttorneyDialog from './PowerOfAttorneyDialog';
+import ChangeVehicleDataDialog from './ChangeVehicleDataDialog';
+import RemoveVehicleDialog from './RemoveVehicleDialog';
+
+const getValidity = (p) => {
+  if (p.revokedAt) return { label: 'Отозвана', color: 'default' };
+  return p.isValid ? { label: 'Действует', color: 'success' } : { label: 'Не действует', color: 'warning' };
+};
+
+// Выданные и полученные доверенности; представитель действует с ТС доверителя в пределах полномочий
+function OwnerPowersOfAttorneyList({ refreshKey, onSuccess }) {
+  const [powersOfAttorney, setPowersOfAttorney] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [dialogOpen, setDialogOpen] = useState(false);
+
+  const [expandedId, setExpandedId] = useState(null);
+  const [principalVehicles, setPrincipalVehicles] = useState([]);
+  const [loadingVehicles, setLoadingVehicles] = useState(false);
+
+  const [changeTarget, setChangeTarget] = useState(null);
+  const [removeTarget, setRemoveTarget] = useState(null);
+
+  const fetchData = async () => {
+    setLoading(true);
+    try {
+      const res = await api.get('/owner/powers-of-attorney', { params: { limit: 5, page } });
+      setPowersOfAttorney(res.data.data);
+      setTotalPages(res.data.pages || 1);
+    } catch (e) {
+      console.error('Ошибка при загрузке доверенностей:', e);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, [page, refreshKey]);
+
+  const handleSuccess = (message) => {
+    fetchData();
+    onSuccess?.(message);
+  };
+
+  const handleRevoke = async (id) => {
+    try {
+      await api.post(`/owner/powers-of-attorney/${id}/revoke`);
+      handleSuccess('Доверенность отозвана.');
+    } catch (e) {
+      console.error('Ошибка при отзыве доверенности:', e);
+    }
+  };
+
+  const togglePrincipalVehicles = async (id) => {
+    if (expandedId === id) {
+      setExpandedId(null);
+      return;
+    }
+
+    setExpandedId(id);
+    setLoadingVehicles(true);
+    try {
+      const res = await api.get(`/owner/powers-of-attorney/${id}/vehicles`);
+      setPrincipalVehicles(res.data.data);
+    } catch (e) {
+      console.error('Ошибка при загрузке ТС доверителя:', e);
+      setPrincipalVehicles([]);
+    } finally {
+      setLoadingVehicles(false);
+    }
+  };
+
+  return (
+    <Box mt={4}>
+      <Box display="flex" justifyContent="space-between" alignItems="center">
+        <Typography variant="h5" gutterBottom>Доверенности</Typography>
+        <Button variant="outlined" onClick={() => setDialogOpen(true)}>Оформить доверенность</Button>
+      </Box>
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" mt={2}><CircularProgress /></Box>
+      ) : powersOfAttorney.length === 0 ? (
+        <Typography color="text.secondary">Доверенностей нет.</Typography>
+      ) : (
+        <Box display="flex" flexDirection="column" gap={2}>
+          {powersOfAttorney.map((p) => {
+            const validity = getValidity(p);
+            const given = p.direction === 'GIVEN';
+            const expanded = expandedId === p.powerOfAttorneyId;
+
+            return (
+              <Card key={p.powerOfAttorneyId} sx={{ boxShadow: 2 }}>
+                <CardContent>
+                  <Box display="flex" justifyContent="space-between" alignItems="center">
+                    <Box>
+                      <Typography fontWeight={600}>
+                        {given ? `Выдана представителю ${p.representative}` : `Получена от ${p.principal}`}
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        № {p.notarialNumber}, действует с {p.validFrom} по {p.validUntil}
+                      </Typography>
+                      <Box mt={1} display="flex" gap={1} flexWrap="wrap">
+                        {p.scope.map(scope => <Chip key={scope} size="small" label={getScopeLabel(scope)} />)}
+                      </Box>
+                    </Box>
+                    <Chip label={validity.label} color={validity.color} />
+                  </Box>
+
+                  <Box mt={2} display="flex" gap={2}>
+                    {given && !p.revokedAt && (
+                      <Button variant="outlined" color="error" onClick={() => handleRevoke(p.powerOfAttorneyId)}>
+                        Отозвать
+                      </Button>
+                    )}
+                    {!given && p.isValid && (
+                      <Button variant="outlined" onClick={() => togglePrincipalVehicles(p.powerOfAttorneyId)}>
+                        {expanded ? 'Скрыть ТС доверителя' : 'ТС доверителя'}
+                      </Button>
+                    )}
+                  </Box>
+
+                  {expanded && (
+                    <Box mt={2}>
+                      <Divider sx={{ mb: 2 }} />
+                      {loadingVehicles ? (
+                        <CircularProgress size={24} />
+                      ) : principalVehicles.length === 0 ? (
+                        <Typography color="text.secondary">У доверителя нет зарегистрированных ТС.</Typography>
+                      ) : principalVehicles.map((v) => (
+                        <Box key={v.vin} display="flex" alignItems="center" gap={2} mb={1} flexWrap="wrap">
+                          <Typography variant="body2" sx={{ flexGrow: 1 }}>
+                            {v.transportvehicle?.makeAndModel}, VIN {v.vin}, гос. номер {v.registrationNumber}
+                          </Typography>
+                          {p.scope.includes('AMENDMENT') && (
+                            <Button size="small" variant="outlined" onClick={() => setChangeTarget({ vehicle: v, principal: p.principal })}>
+                              Внести изменения
+                            </Button>
+                          )}
+                          {p.scope.includes('DEREGISTRATION') && (
+                            <Button size="small" variant="outlined" color="error" onClick={() => setRemoveTarget({ vehicle: v, principal: p.principal })}>
+                              Снять с учета
+                            </Button>
+                          )}
+                        </Box>
+                      ))}
+                    </Box>
+                  )}
+                </CardContent>
+              </Card>
+            );
+          })}
+
+          <Box display="flex" justifyContent="flex-end">
+            <Pagination count={totalPages} page={page} onChange={(_, value) => setPage(value)} color="primary" />
+          </Box>
+        </Box>
+      )}
+
+      <PowerOfAttorneyDialog
+        open={dialogOpen}
+        onClose={() => setDialogOpen(false)}
+        onSuccess={handleSuccess}
+      />
+
+      <ChangeVehicleDataDialog
+        open={!!changeTarget}
+        onClose={() => setChangeTarget(null)}
+        vehicle={changeTarget?.vehicle}
+        principal={changeTarget?.principal}
+        onSuccess={onSuccess}
+      />
+
+      <RemoveVehicleDialog
+        open={!!removeTarget}
+        onClose={() => setRemoveTarget(null)}
+        vehicle={removeTarget?.vehicle}
+        principal={removeTarget?.principal}
+        onSuccess={(message) => {
+          setExpandedId(null);
+          onSuccess?.(message);
+        }}
+      />
+    </Box>
+  );
+}
+
+export default OwnerPowersOfAttorneyList;
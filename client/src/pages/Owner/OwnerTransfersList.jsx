@@ -0,0 +1,118 @@
+import { useEffect, useState } from 'react';
+import {
+  Box, Typography, CircularProgress, Card, CardContent, Chip, Button, Pagination
+} from '@mui/material';
+import api from '../../http';
+import { getTransferStatus } from '../../utils/transferStatuses';
+
+function OwnerTransfersList({ refreshKey, onSuccess }) {
+  const [transfers, setTransfers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  const fetchData = async () => {
+    setLoading(true);
+    try {
+      const res = await api.get('/owner/transfers', { params: { limit: 5, page } });
+      setTransfers(res.data.data);
+      setTotalPages(res.data.pages || 1);
+    } catch (e) {
+      console.error('Ошибка при загрузке передач ТС:', e);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, [page, refreshKey]);
+
+  const handleAction = async (id, action, message) => {
+    try {
+      await api.post(`/owner/transfers/${id}/${action}`);
+      fetchData();
+      onSuccess?.(message);
+    } catch (e) {
+      console.error('Ошибка при изменении передачи ТС:', e);
+    }
+  };
+
+  if (!loading && transfers.length === 0) return null;
+
+  return (
+    <Box mt={4}>
+      <Typography variant="h5" gutterBottom>Передача ТС</Typography>
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" mt={2}><CircularProgress /></Box>
+      ) : (
+        <Box display="flex" flexDirection="column" gap={2}>
+          {transfers.map((t) => {
+            const st = getTransferStatus(t.status);
+            const incoming = t.direction === 'INCOMING';
+
+            return (
+              <Card key={t.transferId} sx={{ boxShadow: 2 }}>
+                <CardContent>
+                  <Box display="flex" justifyContent="space-between" alignItems="center">
+                    <Box>
+                      <Typography fontWeight={600}>
+                        {incoming ? 'Входящая' : 'Исходящая'} передача №{t.transferId} — {t.transportvehicle?.makeAndModel}
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        VIN {t.vin}, {incoming ? `продавец: ${t.seller}` : `покупатель: ${t.buyer}`}
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        Оформление: {t.registrationdepart ? `${t.unitCode} — ${t.registrationdepart.departmentName}, ${t.registrationdepart.address}` : t.unitCode}
+                      </Typography>
+                      {t.newRegistrationNumber && (
+                        <Typography variant="body2">Новый гос. номер: {t.newRegistrationNumber}</Typography>
+                      )}
+                    </Box>
+                    <Chip label={st.label} color={st.color} />
+                  </Box>
+
+                  <Box mt={2} display="flex" gap={2}>
+                    {incoming && t.status === 'PENDING_BUYER' && (
+                      <>
+                        <Button
+                          variant="contained"
+                          onClick={() => handleAction(t.transferId, 'accept', 'Передача принята. Обратитесь в регистрационный отдел для оформления.')}
+                        >
+                          Принять
+                        </Button>
+                        <Button
+                          variant="outlined"
+                          color="error"
+                          onClick={() => handleAction(t.transferId, 'decline', 'Передача отклонена.')}
+                        >
+                          Отклонить
+                        </Button>
+                      </>
+                    )}
+                    {!incoming && ['PENDING_BUYER', 'ACCEPTED'].includes(t.status) && (
+                      <Button
+                        variant="outlined"
+                        color="error"
+                        onClick={() => handleAction(t.transferId, 'cancel', 'Передача отменена.')}
+                      >
+                        Отменить передачу
+                      </Button>
+                    )}
+                  </Box>
+                </CardContent>
+              </Card>
+            );
+          })}
+
+          <Box display="flex" justifyContent="flex-end">
+            <Pagination count={totalPages} page={page} onChange={(_, value) => setPage(value)} color="primary" />
+          </Box>
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default OwnerTransfersList;
@@ -1,18 +1,25 @@
-import { useEffect, useState, useContext } from 'react';
+import { useEffect, useState } from 'react';
 import {
   Box, Typography, CircularProgress, Accordion,
   AccordionSummary, AccordionDetails, TextField,
-  Pagination, Select, MenuItem, FormControl, InputLabel, Grid, Button
+  Pagination, Select, MenuItem, FormControl, InputLabel, Grid, Button, Chip
 } from '@mui/material';
 import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
 import api from '../../http';
-import { Context } from '../../index';
 import ChangeVehicleDataDialog from './ChangeVehicleDataDialog';
 import RemoveVehicleDialog from './RemoveVehicleDialog';
+import OwnerApplicationsList from './OwnerApplicationsList';
+import OwnerTransfersList from './OwnerTransfersList';
+import OwnerConsentsList from './OwnerConsentsList';
+import OwnerPowersOfAttorneyList from './OwnerPowersOfAttorneyList';
+import TransferVehicleDialog from './TransferVehicleDialog';
+import AttachmentsDialog from '../../components/Common/AttachmentsDialog';
+import { getRegistrationExpiry } from '../../utils/registrationExpiry';
+import { getRestrictionType } from '../../utils/restrictionTypes';
+import { getPowertrain } from '../../utils/vehicleSpecs';
+import { getCategoryLabel, getVehicleCategory } from '../../utils/vehicleCategories';
 
-function OwnerVehiclesList({ onSuccess }) {
-  const { user } = useContext(Context);
-
+function OwnerVehiclesList({ refreshKey, onSuccess, readOnly }) {
   const [vehicles, setVehicles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [search, setSearch] = useState('');
@@ -26,10 +33,14 @@ function OwnerVehiclesList({ onSuccess }) {
   const [removeDialogOpen, setRemoveDialogOpen] = useState(false);
   const [removeTarget, setRemoveTarget] = useState(null);
 
+  const [transferTarget, setTransferTarget] = useState(null);
+
+  const [attachmentsTarget, setAttachmentsTarget] = useState(null);
+
   const fetchData = async () => {
     setLoading(true);
     try {
-      const res = await api.get('/owner/reg-op', {
+      const res = await api.get('/owner/vehicles', {
         params: { limit, page }
       });
       setVehicles(res.data.data);
@@ -43,7 +54,7 @@ function OwnerVehiclesList({ onSuccess }) {
 
   useEffect(() => {
     fetchData();
-  }, [page, limit]);
+  }, [page, limit, refreshKey]);
 
   const filtered = vehicles.filter((v) => {
     const vin = v.transportvehicle?.vin?.toLowerCase() || '';
@@ -54,7 +65,12 @@ function OwnerVehiclesList({ onSuccess }) {
 
   return (
     <Box mt={4}>
-      <Typography variant="h5" gutterBottom>Зарегистрированные транспортные средства</Typography>
+      <OwnerApplicationsList refreshKey={refreshKey} onSuccess={onSuccess} />
+      <OwnerTransfersList refreshKey={refreshKey} onSuccess={onSuccess} />
+      <OwnerConsentsList refreshKey={refreshKey} onSuccess={onSuccess} />
+      <OwnerPowersOfAttorneyList refreshKey={refreshKey} onSuccess={onSuccess} />
+
+      <Typography variant="h5" gutterBottom sx={{ mt: 4 }}>Зарегистрированные транспортные средства</Typography>
 
       <TextField
         label="Поиск по VIN или номеру регистрации"
@@ -74,19 +90,30 @@ function OwnerVehiclesList({ onSuccess }) {
             {filtered.map((v, idx) => {
               const tv = v.transportvehicle;
               const doc = v.registrationdoc;
+              const expiry = getRegistrationExpiry(v.validUntil);
               if (!tv) return null;
 
               return (
-                <Accordion key={idx} sx={{ borderRadius: 1, boxShadow: 2 }}>
+                <Accordion key={v.vin || idx} sx={{ borderRadius: 1, boxShadow: 2 }}>
                   <AccordionSummary expandIcon={<ExpandMoreIcon />}>
                     <Box display="flex" justifyContent="space-between" alignItems="center" width="100%">
                       <Box>
                         <Typography fontWeight={600}>{tv.makeAndModel}</Typography>
                         <Typography variant="body2" color="text.secondary">{tv.vin}</Typography>
+                        {expiry && <Chip size="small" sx={{ mt: 1 }} label={expiry.label} color={expiry.color} />}
+                        {v.restrictions?.map(r => (
+                          <Chip
+                            key={r.restrictionId}
+                            size="small"
+                            sx={{ mt: 1, ml: 1 }}
+                            label={getRestrictionType(r.type).label}
+                            color={getRestrictionType(r.type).color}
+                          />
+                        ))}
                       </Box>
                       <Box textAlign="right">
                         <Typography variant="body2"><strong>Гос. номер:</strong> {doc?.registrationNumber || '—'}</Typography>
-                        <Typography variant="body2"><strong>ПТС:</strong> {doc?.pts || '—'}</Typography>
+                        <Typography variant="body2"><strong>{doc?.ptsType === 'ELECTRONIC' ? 'ЭПТС' : 'ПТС'}:</strong> {doc?.pts || '—'}</Typography>
                         <Typography variant="body2"><strong>СТС:</strong> {doc?.sts || '—'}</Typography>
                       </Box>
                     </Box>
@@ -94,39 +121,117 @@ function OwnerVehiclesList({ onSuccess }) {
                   <AccordionDetails>
                     <Grid container spacing={2}>
                       <Grid item xs={12} sm={6} md={4}><Typography><strong>Год выпуска:</strong> {tv.releaseYear}</Typography></Grid>
-                      <Grid item xs={12} sm={6} md={4}><Typography><strong>Дата регистрации:</strong> {doc?.registrationDate?.slice(0, 10) || '—'}</Typography></Grid>
+                      <Grid item xs={12} sm={6} md={4}><Typography><strong>Категория:</strong> {getCategoryLabel(tv.category)}</Typography></Grid>
+                      <Grid item xs={12} sm={6} md={4}><Typography><strong>Дата регистрации:</strong> {(v.since || doc?.registrationDate)?.slice(0, 10) || '—'}</Typography></Grid>
                       <Grid item xs={12} sm={6} md={4}><Typography><strong>Изготовитель:</strong> {tv.manufacture}</Typography></Grid>
-                      <Grid item xs={12} sm={6} md={4}><Typography><strong>Тип привода:</strong> {tv.typeOfDrive}</Typography></Grid>
-                      <Grid item xs={12} sm={6} md={4}><Typography><strong>Мощность:</strong> {tv.power}</Typography></Grid>
+                      {getVehicleCategory(tv.category).hasEngine && (
+                        <>
+                          <Grid item xs={12} sm={6} md={4}><Typography><strong>Тип привода:</strong> {tv.typeOfDrive}</Typography></Grid>
+                          <Grid item xs={12} sm={6} md={4}><Typography><strong>Мощность:</strong> {tv.power}</Typography></Grid>
+                        </>
+                      )}
                       <Grid item xs={12} sm={6} md={4}><Typography><strong>Номер шасси:</strong> {tv.chassisNumber || '—'}</Typography></Grid>
                       <Grid item xs={12} sm={6} md={4}><Typography><strong>Номер кузова:</strong> {tv.bodyNumber}</Typography></Grid>
                       <Grid item xs={12} sm={6} md={4}><Typography><strong>Цвет кузова:</strong> {tv.bodyColor}</Typography></Grid>
-                      <Grid item xs={12} sm={6} md={4}><Typography><strong>Тип коробки передач:</strong> {tv.transmissionType}</Typography></Grid>
-                      <Grid item xs={12} sm={6} md={4}><Typography><strong>Положение руля:</strong> {tv.steeringWheel}</Typography></Grid>
-                      <Grid item xs={12} sm={6} md={4}><Typography><strong>Модель двигателя:</strong> {tv.engineModel}</Typography></Grid>
-                      <Grid item xs={12} sm={6} md={4}><Typography><strong>Рабочий объем, см³:</strong> {tv.engineVolume}</Typography></Grid>
+                      {getVehicleCategory(tv.category).hasEngine && (
+                        <>
+                          <Grid item xs={12} sm={6} md={4}><Typography><strong>Тип коробки передач:</strong> {tv.transmissionType}</Typography></Grid>
+                          <Grid item xs={12} sm={6} md={4}><Typography><strong>Положение руля:</strong> {tv.steeringWheel}</Typography></Grid>
+                          <Grid item xs={12} sm={6} md={4}><Typography><strong>Силовая установка:</strong> {getPowertrain(tv.powertrainType).label}</Typography></Grid>
+                          <Grid item xs={12} sm={6} md={4}><Typography><strong>Модель двигателя:</strong> {tv.engineModel || '—'}</Typography></Grid>
+                          {getPowertrain(tv.powertrainType).engine && (
+                            <Grid item xs={12} sm={6} md={4}><Typography><strong>Рабочий объем, см³:</strong> {tv.engineVolume}</Typography></Grid>
+                          )}
+                          {getPowertrain(tv.powertrainType).motor && (
+                            <>
+                              <Grid item xs={12} sm={6} md={4}><Typography><strong>Мощность электродвигателя, кВт:</strong> {tv.electricMotorPower ?? '—'}</Typography></Grid>
+                              <Grid item xs={12} sm={6} md={4}><Typography><strong>Емкость батареи, кВт·ч:</strong> {tv.batteryCapacity ?? '—'}</Typography></Grid>
+                            </>
+                          )}
+                        </>
+                      )}
+                      <Grid item xs={12} sm={6} md={4}><Typography><strong>Масса без нагрузки, кг:</strong> {tv.curbMass ?? '—'}</Typography></Grid>
+                      <Grid item xs={12} sm={6} md={4}><Typography><strong>Разрешенная макс. масса, кг:</strong> {tv.maxMass ?? '—'}</Typography></Grid>
+                      <Grid item xs={12} sm={6} md={4}><Typography><strong>Число мест:</strong> {tv.seatsCount ?? '—'}</Typography></Grid>
                     </Grid>
+                    {v.restrictions?.length > 0 && (
+                      <Box mt={2}>
+                        <Typography fontWeight={600}>Действующие ограничения</Typography>
+                        {v.restrictions.map(r => (
+                          <Typography key={r.restrictionId} variant="body2">
+                            {getRestrictionType(r.type).label}: {r.authority}, № {r.documentNumber} от {r.imposedAt}
+                            {r.liftedAt ? ` (до ${r.liftedAt})` : ''}
+                          </Typography>
+                        ))}
+                      </Box>
+                    )}
+                    {doc?.vehicleshares?.length > 0 && (
+                      <Box mt={2}>
+                        <Typography fontWeight={600}>Совладельцы</Typography>
+                        {doc.vehicleshares.map(share => (
+                          <Typography key={share.owner} variant="body2">
+                            {share.owner}: доля {share.shareNumerator}/{share.shareDenominator}
+                            {share.isPrimary ? ' (основной владелец)' : ''}
+                          </Typography>
+                        ))}
+                      </Box>
+                    )}
+                    {!readOnly && (
+                      <>
+                        <Button
+                            variant="outlined"
+                            sx={{ mt: 2 }}
+                            onClick={() => {
+                                setSelectedVehicle(v); 
+                                setDialogOpen(true);
+                            }}
+                            >
+                            Внести изменения в регистрационные данные
+                        </Button>
+                        <Button
+                            variant="outlined"
+                            sx={{ mt: 2, ml: 2 }}
+                            onClick={() => setTransferTarget(v)}
+                            >
+                            Передать другому владельцу
+                        </Button>
+                        <Button
+                            variant="outlined"
+                            color="error"
+                            sx={{ mt: 2, ml: 2 }}
+                            onClick={() => {
+                                setRemoveTarget(v);
+                                setRemoveDialogOpen(true);
+                            }}
+                            >
+                            Снять ТС с учета
+                        </Button>
+                      </>
+                    )}
                     <Button
                         variant="outlined"
-                        sx={{ mt: 2 }}
-                        onClick={() => {
-                            setSelectedVehicle(v); 
-                            setDialogOpen(true);
-                        }}
-                        >
-                        Внести изменения в регистрационные данные
-                    </Button>
-                    <Button
-                        variant="outlined"
-                        color="error"
                         sx={{ mt: 2, ml: 2 }}
-                        onClick={() => {
-                            setRemoveTarget(v);
-                            setRemoveDialogOpen(true);
-                        }}
+                        onClick={() => setAttachmentsTarget({
+                            targetType: 'VEHICLE',
+                            targetId: tv.vin,
+                            title: `Фото и документы ТС ${tv.vin}`
+                        })}
                         >
-                        Снять ТС с учета
+                        Фото и документы ТС
                     </Button>
+                    {doc && (
+                      <Button
+                          variant="outlined"
+                          sx={{ mt: 2, ml: 2 }}
+                          onClick={() => setAttachmentsTarget({
+                              targetType: 'REG_DOC',
+                              targetId: doc.registrationNumber,
+                              title: `Вложения к документу ${doc.registrationNumber}`
+                          })}
+                          >
+                          Вложения к документу
+                      </Button>
+                    )}
                   </AccordionDetails>
                 </Accordion>
               );
@@ -162,12 +267,19 @@ function OwnerVehiclesList({ onSuccess }) {
             open={dialogOpen}
             onClose={() => setDialogOpen(false)}
             vehicle={selectedVehicle}
-            currentOwner={user.user?.passportData || user.user?.taxNumber || 'Неизвестно'}
             onSuccess={(message) => {
                 fetchData();
                 if (onSuccess) onSuccess(message);
             }}
           />
+          <TransferVehicleDialog
+            open={!!transferTarget}
+            onClose={() => setTransferTarget(null)}
+            vehicle={transferTarget}
+            onSuccess={(message) => {
+                if (onSuccess) onSuccess(message);
+            }}
+          />
           <RemoveVehicleDialog
             open={removeDialogOpen}
             onClose={() => setRemoveDialogOpen(false)}
@@ -178,6 +290,14 @@ function OwnerVehiclesList({ onSuccess }) {
                 if (onSuccess) onSuccess(message);
             }}
           />
+          <AttachmentsDialog
+            open={!!attachmentsTarget}
+            onClose={() => setAttachmentsTarget(null)}
+            targetType={attachmentsTarget?.targetType}
+            targetId={attachmentsTarget?.targetId}
+            title={attachmentsTarget?.title}
+            canUpload={false}
+          />
         </>
       )}
     </Box>
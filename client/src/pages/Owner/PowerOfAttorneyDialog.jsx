@@ -0,0 +1,138 @@
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions,
+  TextField, Button, Typography, CircularProgress, Box,
+  FormGroup, FormControlLabel, Checkbox
+} from '@mui/material';
+import { useEffect, useState } from 'react';
+import api from '../../http';
+import { POWER_OF_ATTORNEY_SCOPES } from '../../utils/powerOfAttorneyScopes';
+
+const emptyForm = { representative: '', scope: [], validFrom: '', validUntil: '', notarialNumber: '' };
+
+// Регистрация нотариальной доверенности на представителя владельца
+function PowerOfAttorneyDialog({ open, onClose, onSuccess }) {
+  const [form, setForm] = useState(emptyForm);
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    if (open) {
+      setForm({ ...emptyForm, validFrom: new Date().toISOString().split('T')[0] });
+      setErrors({});
+    }
+  }, [open]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const toggleScope = (scope) => {
+    setForm(prev => ({
+      ...prev,
+      scope: prev.scope.includes(scope) ? prev.scope.filter(s => s !== scope) : [...prev.scope, scope]
+    }));
+  };
+
+  const validate = () => {
+    const newErrors = {};
+    if (!/^(\d{10}|\d{4} \d{6})$/.test(form.representative)) newErrors.representative = 'Введите ИНН (10 цифр) или паспорт (XXXX XXXXXX)';
+    if (form.scope.length === 0) newErrors.scope = 'Выберите хотя бы одно полномочие';
+    if (!form.validFrom) newErrors.validFrom = 'Укажите дату начала действия';
+    if (!form.validUntil) newErrors.validUntil = 'Укажите дату окончания действия';
+    else if (form.validUntil < form.validFrom) newErrors.validUntil = 'Дата окончания раньше даты начала';
+    if (form.notarialNumber.trim().length < 3) newErrors.notarialNumber = 'Укажите номер в реестре нотариуса';
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async () => {
+    if (!validate()) return;
+    setLoading(true);
+    try {
+      await api.post('/owner/powers-of-attorney', { ...form, notarialNumber: form.notarialNumber.trim() });
+      onSuccess?.('Доверенность зарегистрирована. Представитель может подавать заявления от Вашего имени.');
+      onClose();
+    } catch (e) {
+      console.error('Ошибка регистрации доверенности:', e);
+      setErrors({ submit: e.response?.data?.message || 'Не удалось зарегистрировать доверенность' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>Доверенность на представителя</DialogTitle>
+      <DialogContent dividers>
+        <Box display="flex" flexDirection="column" gap={2}>
+          <TextField
+            fullWidth
+            label="Представитель (Паспорт / ИНН)"
+            name="representative"
+            value={form.representative}
+            onChange={handleChange}
+            error={!!errors.representative}
+            helperText={errors.representative}
+          />
+          <Box>
+            <Typography variant="subtitle2">Полномочия</Typography>
+            <FormGroup>
+              {Object.entries(POWER_OF_ATTORNEY_SCOPES).map(([scope, label]) => (
+                <FormControlLabel
+                  key={scope}
+                  control={<Checkbox checked={form.scope.includes(scope)} onChange={() => toggleScope(scope)} />}
+                  label={label}
+                />
+              ))}
+            </FormGroup>
+            {errors.scope && <Typography color="error" variant="body2">{errors.scope}</Typography>}
+          </Box>
+          <Box display="flex" gap={2}>
+            <TextField
+              fullWidth
+              type="date"
+              label="Действует с"
+              name="validFrom"
+              value={form.validFrom}
+              onChange={handleChange}
+              error={!!errors.validFrom}
+              helperText={errors.validFrom}
+              slotProps={{ inputLabel: { shrink: true } }}
+            />
+            <TextField
+              fullWidth
+              type="date"
+              label="Действует до"
+              name="validUntil"
+              value={form.validUntil}
+              onChange={handleChange}
+              error={!!errors.validUntil}
+              helperText={errors.validUntil}
+              slotProps={{ inputLabel: { shrink: true } }}
+            />
+          </Box>
+          <TextField
+            fullWidth
+            label="Номер в реестре нотариуса"
+            name="notarialNumber"
+            value={form.notarialNumber}
+            onChange={handleChange}
+            inputProps={{ maxLength: 50 }}
+            error={!!errors.notarialNumber}
+            helperText={errors.notarialNumber || 'Например, 77/123-н/77-2024-1-456'}
+          />
+          {errors.submit && <Typography color="error">{errors.submit}</Typography>}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Отмена</Button>
+        <Button variant="contained" onClick={handleSubmit} disabled={loading}>
+          {loading ? <CircularProgress size={24} /> : 'Зарегистрировать'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default PowerOfAttorneyDialog;
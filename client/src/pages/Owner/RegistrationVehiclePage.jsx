@@ -1,36 +1,79 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { Container, Button, Typography, Snackbar, Alert } from '@mui/material';
+import api from '../../http';
 import RegistrationWithVehicleDialog from './RegistrationWithVehicleDialog';
+import FleetImportDialog from './FleetImportDialog';
 import OwnerVehiclesList from './OwnerVehiclesList'; 
+import OwnerCompanySection from './OwnerCompanySection';
+import { isReadOnlyCompanyRole } from '../../utils/companyRoles';
 
 function RegistrationVehiclePage() {
   const [open, setOpen] = useState(false);
+  const [importOpen, setImportOpen] = useState(false);
   const [successOpen, setSuccessOpen] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [company, setCompany] = useState(null);
+
+  const fetchCompany = async () => {
+    try {
+      const res = await api.get('/owner/company');
+      setCompany(res.data.data);
+    } catch (e) {
+      console.error('Ошибка при загрузке данных компании:', e);
+    }
+  };
+
+  useEffect(() => {
+    fetchCompany();
+  }, []);
+
+  const readOnly = isReadOnlyCompanyRole(company);
 
   const handleSuccess = (message = 'Заявление успешно отправлено. Обратитесь в указанный вами регистрационный отдел.') => {
     setOpen(false);
     setSuccessMessage(message);
     setSuccessOpen(true);
+    setRefreshKey(prev => prev + 1);
   };
 
   return (
     <Container maxWidth="xl">
       <Typography variant="h4" gutterBottom>Ваши транспортные средства</Typography>
 
-      {!open && (
+      {readOnly && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          У вас роль наблюдателя: подавать заявления и распоряжаться ТС компании может администратор или управляющий автопарком.
+        </Alert>
+      )}
+
+      {!open && !readOnly && (
         <Button variant="contained" onClick={() => setOpen(true)}>
           Подать заявление на регистрацию ТС
         </Button>
       )}
 
+      {!readOnly && (
+        <Button variant="outlined" sx={{ ml: 2 }} onClick={() => setImportOpen(true)}>
+          Импорт автопарка из файла
+        </Button>
+      )}
+
+      <FleetImportDialog
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        onSuccess={handleSuccess}
+      />
+
       <RegistrationWithVehicleDialog
         open={open}
         onClose={() => setOpen(false)}
         onSuccess={handleSuccess}
       />
 
-      <OwnerVehiclesList onSuccess={handleSuccess}/>
+      <OwnerCompanySection company={company} onChanged={fetchCompany} onSuccess={handleSuccess} />
+
+      <OwnerVehiclesList refreshKey={refreshKey} onSuccess={handleSuccess} readOnly={readOnly}/>
 
       <Snackbar
         open={successOpen}
@@ -1,23 +1,37 @@
 import {
   Dialog, DialogTitle, DialogContent, DialogActions,
   TextField, Button, MenuItem, Box, Checkbox, FormControlLabel,
-  Select, InputLabel, FormControl, Autocomplete, Typography, CircularProgress
+  Select, InputLabel, FormControl, Autocomplete, Typography, CircularProgress, Chip
 } from '@mui/material';
 import { useContext, useEffect, useState, useMemo } from 'react';
 import debounce from 'lodash.debounce';
 import api from '../../http';
 import { Context } from '../../index';
+import { getVinHints, useVinDecoder } from '../../utils/vinDecoder';
+import MakeModelAutocomplete, { getCatalogueHints, getModelLabel } from '../../components/Common/MakeModelAutocomplete';
+import {
+  SPEC_FIELDS, POWERTRAIN_TYPES, getPowertrain, getSpecFields,
+  toSpecsPayload, validateSpecs, validatePowertrain, toPowertrainPayload
+} from '../../utils/vehicleSpecs';
+import {
+  VEHICLE_CATEGORIES, getCategoryLabel, getVehicleCategory, getPlateFormat,
+  isCategoryRequired, validateCategoryLimits, toCategoryPayload
+} from '../../utils/vehicleCategories';
+import { filterPowersOfAttorney, describePowerOfAttorney } from '../../utils/powerOfAttorneyScopes';
 
 const defaultVehicle = {
-  vin: '', makeAndModel: '', releaseYear: '', manufacture: '',
-  typeOfDrive: '', power: '', hasChassisNumber: false,
+  vin: '', makeAndModel: '', releaseYear: '', manufacture: '', category: 'B',
+  typeOfDrive: '', powerKw: '', powerHp: '', hasChassisNumber: false,
   bodyColor: '', transmissionType: '', steeringWheel: '',
-  engineModel: '', engineVolume: ''
+  powertrainType: 'ICE', engineModel: '', engineVolume: '',
+  electricMotorPower: '', batteryCapacity: '',
+  curbMass: '', maxMass: '', seatsCount: ''
 };
 
 const defaultOp = {
   unitCode: '', operationType: 'Постановка на учет',
-  operationBase: '', operationDate: new Date().toISOString().split('T')[0]
+  operationBase: '', applicationDate: new Date().toISOString().split('T')[0],
+  validUntil: ''
 };
 
 function RegistrationWithVehicleDialog({ open, onClose, onSuccess }) {
@@ -28,6 +42,31 @@ function RegistrationWithVehicleDialog({ open, onClose, onSuccess }) {
   const [departOptions, setDepartOptions] = useState([]);
   const [loadingDepart, setLoadingDepart] = useState(false);
   const [errors, setErrors] = useState({});
+  const [platePattern, setPlatePattern] = useState('');
+  const [plateOptions, setPlateOptions] = useState([]);
+  const [loadingPlates, setLoadingPlates] = useState(false);
+  const [requestedPlateNumber, setRequestedPlateNumber] = useState('');
+  const [catalogueModel, setCatalogueModel] = useState(null);
+  const [powersOfAttorney, setPowersOfAttorney] = useState([]);
+  const [principal, setPrincipal] = useState('');
+  const decoded = useVinDecoder(vehicle.vin);
+  const vinHints = getVinHints(decoded, vehicle);
+  const hints = { ...getCatalogueHints(catalogueModel, vehicle), ...vinHints };
+  const powertrain = getPowertrain(vehicle.powertrainType);
+  const category = getVehicleCategory(vehicle.category);
+  // Номер подбирается по шаблону знака того формата, который положен категории ТС
+  const plateFormat = getPlateFormat(vehicle.category);
+
+  // Представитель может подать заявление от имени доверителя
+  const fetchPowersOfAttorney = async () => {
+    try {
+      const res = await api.get('/owner/powers-of-attorney', { params: { direction: 'RECEIVED', limit: 100 } });
+      setPowersOfAttorney(filterPowersOfAttorney(res.data.data, 'REGISTRATION'));
+    } catch (e) {
+      console.error('Ошибка загрузки доверенностей:', e);
+      setPowersOfAttorney([]);
+    }
+  };
 
   useEffect(() => {
     if (open) {
@@ -42,14 +81,64 @@ function RegistrationWithVehicleDialog({ open, onClose, onSuccess }) {
           : 'данные владельца не указаны';
 
       setVehicle(defaultVehicle);
+      setCatalogueModel(null);
       setOpData({
         ...defaultOp,
         operationBase: `Заявление составлено владельцем — ${detail}`
       });
       setErrors({});
+      setPlatePattern('');
+      setPlateOptions([]);
+      setRequestedPlateNumber('');
+      setPrincipal('');
+      fetchPowersOfAttorney();
     }
   }, [open, user]);
 
+  const handlePrincipalChange = (e) => {
+    const powerOfAttorney = powersOfAttorney.find(p => p.principal === e.target.value);
+    setPrincipal(e.target.value);
+    if (powerOfAttorney) {
+      setOpData(prev => ({
+        ...prev,
+        operationBase: `Заявление составлено представителем владельца ${powerOfAttorney.principal}, ${describePowerOfAttorney(powerOfAttorney)}`
+      }));
+    }
+  };
+
+  useEffect(() => {
+    if (!decoded) return;
+    setVehicle(prev => ({
+      ...prev,
+      manufacture: prev.manufacture || decoded.manufacturer || '',
+      releaseYear: prev.releaseYear || (decoded.modelYear ? String(decoded.modelYear) : '')
+    }));
+  }, [decoded]);
+
+  // Подобранный номер другого формата не подходит для новой категории
+  useEffect(() => {
+    setPlatePattern('');
+    setPlateOptions([]);
+    setRequestedPlateNumber('');
+  }, [plateFormat.label]);
+
+  const hintProps = (field) => ({
+    error: !!errors[field] || (field === 'vin' && !!vinHints.vin),
+    helperText: errors[field] || hints[field],
+    slotProps: { formHelperText: { sx: errors[field] || field === 'vin' ? {} : { color: 'warning.main' } } }
+  });
+
+  const handleModelSelect = (model) => {
+    setCatalogueModel(model);
+    setVehicle(prev => ({
+      ...prev,
+      makeAndModel: getModelLabel(model),
+      manufacture: model.vehiclemanufacturer?.name || prev.manufacture,
+      engineModel: prev.engineModel || (model.engineModels.length === 1 ? model.engineModels[0] : ''),
+      typeOfDrive: prev.typeOfDrive || (model.typesOfDrive.length === 1 ? model.typesOfDrive[0] : '')
+    }));
+  };
+
   const fetchDeparts = useMemo(() =>
     debounce(async (input) => {
       setLoadingDepart(true);
@@ -79,21 +168,55 @@ function RegistrationWithVehicleDialog({ open, onClose, onSuccess }) {
     setOpData(prev => ({ ...prev, [name]: value }));
   };
 
+  const handleSearchPlates = async () => {
+    const errs = {};
+    if (!opData.unitCode.match(/^\d{6}$/)) errs.unitCode = 'Выберите подразделение для поиска номера';
+    if (!plateFormat.searchPattern.test(platePattern)) {
+      errs.platePattern = `Шаблон вида ${plateFormat.searchExample} по формату знака ${plateFormat.label} без кода региона, * — любой символ`;
+    }
+    setErrors(errs);
+    if (Object.keys(errs).length > 0) return;
+
+    setLoadingPlates(true);
+    try {
+      const res = await api.get('/owner/plates', {
+        params: { category: vehicle.category, pattern: platePattern, unitCode: opData.unitCode }
+      });
+      setPlateOptions(res.data.data.map(p => p.plateNumber));
+      if (res.data.data.length === 0) {
+        setErrors({ platePattern: 'Свободных номеров по шаблону не найдено' });
+      }
+    } catch (e) {
+      console.error('Ошибка при поиске номеров:', e);
+      setErrors({ platePattern: e.response?.data?.message || 'Ошибка при поиске номеров' });
+    } finally {
+      setLoadingPlates(false);
+    }
+  };
+
   const validate = () => {
     const errs = {};
     if (!vehicle.vin.match(/^[A-HJ-NPR-Z0-9]{17}$/)) errs.vin = 'VIN должен быть 17 символов';
+    else if (vinHints.vin) errs.vin = vinHints.vin;
     if (!vehicle.makeAndModel) errs.makeAndModel = 'Обязательно';
-    if (!vehicle.releaseYear.match(/^(19|20)\d{2}$/)) errs.releaseYear = 'Год некорректен';
     if (!vehicle.manufacture) errs.manufacture = 'Обязательно';
-    if (!['FWD', 'RWD', 'AWD', '4WD'].includes(vehicle.typeOfDrive)) errs.typeOfDrive = 'Неверно';
-    if (!vehicle.power.match(/^\d+\s*кВт\/\d+\s*л\.с\.$/)) errs.power = 'Неверный формат мощности';
     if (!vehicle.bodyColor) errs.bodyColor = 'Обязательно';
-    if (!['MT', 'AT', 'AMT', 'CVT', 'DCT', 'DSG'].includes(vehicle.transmissionType)) errs.transmissionType = 'Неверно';
-    if (!['Правостороннее', 'Левостороннее'].includes(vehicle.steeringWheel)) errs.steeringWheel = 'Неверно';
-    if (!vehicle.engineModel.match(/^[A-Z0-9-]+$/)) errs.engineModel = 'Модель некорректна';
-    if (!vehicle.engineVolume || vehicle.engineVolume < 500 || vehicle.engineVolume > 7400) errs.engineVolume = 'Объем от 500 до 7400';
+    if (category.hasEngine) {
+      if (!['FWD', 'RWD', 'AWD', '4WD'].includes(vehicle.typeOfDrive)) errs.typeOfDrive = 'Неверно';
+      if (!['MT', 'AT', 'AMT', 'CVT', 'DCT', 'DSG'].includes(vehicle.transmissionType)) errs.transmissionType = 'Неверно';
+      if (!['Правостороннее', 'Левостороннее'].includes(vehicle.steeringWheel)) errs.steeringWheel = 'Неверно';
+    }
+    Object.assign(
+      errs,
+      validatePowertrain(vehicle),
+      validateSpecs(vehicle, getSpecFields(vehicle.category)),
+      validateCategoryLimits(vehicle)
+    );
     if (!opData.unitCode.match(/^\d{6}$/)) errs.unitCode = 'Код подразделения — 6 цифр';
     if (!opData.operationBase.trim()) errs.operationBase = 'Основание обязательно';
+    if (opData.validUntil && opData.validUntil <= new Date().toISOString().split('T')[0]) {
+      errs.validUntil = 'Дата окончания должна быть в будущем';
+    }
     setErrors(errs);
     return Object.keys(errs).length === 0;
   };
@@ -103,7 +226,7 @@ function RegistrationWithVehicleDialog({ open, onClose, onSuccess }) {
     try {
       let vin = vehicle.vin;
       try {
-        const vehicleRes = await api.post('/owner/vehicles', vehicle);
+        const vehicleRes = await api.post('/owner/vehicles', toCategoryPayload({ ...vehicle, ...toSpecsPayload(vehicle), ...toPowertrainPayload(vehicle) }));
         vin = vehicleRes.data.data.vin;
       } catch (err) {
         if (err.response?.status === 409) {
@@ -113,14 +236,18 @@ function RegistrationWithVehicleDialog({ open, onClose, onSuccess }) {
         }
       }
 
-      const regRes = await api.post('/owner/reg-op', {
-        ...opData,
+      const { validUntil, ...application } = opData;
+      await api.post('/owner/applications', {
+        ...application,
+        ...(validUntil && { validUntil }),
         vin,
         registrationNumber: '',
-        operationType: 'Постановка на учет'
+        operationType: 'Постановка на учет',
+        ...(principal && { principal }),
+        ...(requestedPlateNumber && { requestedPlateNumber })
       });
 
-      onSuccess(regRes.data.data);
+      onSuccess();
       onClose();
     } catch (e) {
       console.error('Ошибка при отправке:', e);
@@ -134,34 +261,74 @@ function RegistrationWithVehicleDialog({ open, onClose, onSuccess }) {
         <Box mt={1}>
           <Typography variant="h6" gutterBottom>Данные транспортного средства</Typography>
           <Box display="flex" flexWrap="wrap" gap={2} sx={{ '& > *': { flex: '1 1 calc(50% - 16px)' } }}>
-            <TextField label="VIN" name="vin" fullWidth value={vehicle.vin} onChange={handleVehicleChange} error={!!errors.vin} helperText={errors.vin} />
-            <TextField label="Марка и модель" name="makeAndModel" fullWidth value={vehicle.makeAndModel} onChange={handleVehicleChange} error={!!errors.makeAndModel} helperText={errors.makeAndModel} />
-            <TextField label="Год выпуска" name="releaseYear" fullWidth value={vehicle.releaseYear} onChange={handleVehicleChange} error={!!errors.releaseYear} helperText={errors.releaseYear} />
-            <TextField label="Изготовитель" name="manufacture" fullWidth value={vehicle.manufacture} onChange={handleVehicleChange} error={!!errors.manufacture} helperText={errors.manufacture} />
-            <FormControl fullWidth error={!!errors.typeOfDrive}>
-              <InputLabel>Тип привода</InputLabel>
-              <Select name="typeOfDrive" value={vehicle.typeOfDrive} onChange={handleVehicleChange} label="Тип привода">
-                {['FWD', 'RWD', 'AWD', '4WD'].map(v => <MenuItem key={v} value={v}>{v}</MenuItem>)}
+            <TextField label="VIN" name="vin" fullWidth value={vehicle.vin} onChange={handleVehicleChange} {...hintProps('vin')} />
+            <MakeModelAutocomplete
+              value={vehicle.makeAndModel}
+              onChange={(value) => {
+                setCatalogueModel(null);
+                setVehicle(prev => ({ ...prev, makeAndModel: value }));
+              }}
+              onSelect={handleModelSelect}
+              error={!!errors.makeAndModel}
+              helperText={errors.makeAndModel}
+            />
+            <TextField label="Год выпуска" name="releaseYear" fullWidth value={vehicle.releaseYear} onChange={handleVehicleChange} {...hintProps('releaseYear')} />
+            <TextField label="Изготовитель" name="manufacture" fullWidth value={vehicle.manufacture} onChange={handleVehicleChange} {...hintProps('manufacture')} />
+            <FormControl fullWidth>
+              <InputLabel>Категория</InputLabel>
+              <Select name="category" value={vehicle.category} onChange={handleVehicleChange} label="Категория">
+                {Object.keys(VEHICLE_CATEGORIES).map(code => <MenuItem key={code} value={code}>{getCategoryLabel(code)}</MenuItem>)}
               </Select>
             </FormControl>
-            <TextField label="Мощность кВт/л.с." name="power" fullWidth value={vehicle.power} onChange={handleVehicleChange} error={!!errors.power} helperText={errors.power} />
             <TextField label="Цвет кузова" name="bodyColor" fullWidth value={vehicle.bodyColor} onChange={handleVehicleChange} error={!!errors.bodyColor} helperText={errors.bodyColor} />
-            <FormControl fullWidth error={!!errors.transmissionType}>
-              <InputLabel>Тип коробки передач</InputLabel>
-              <Select name="transmissionType" value={vehicle.transmissionType} onChange={handleVehicleChange} label="Тип коробки передач">
-                {['MT', 'AT', 'AMT', 'CVT', 'DCT', 'DSG'].map(v => <MenuItem key={v} value={v}>{v}</MenuItem>)}
-              </Select>
-            </FormControl>
-            <FormControl fullWidth error={!!errors.steeringWheel}>
-              <InputLabel>Положение руля</InputLabel>
-              <Select name="steeringWheel" value={vehicle.steeringWheel} onChange={handleVehicleChange} label="Положение руля">
-                <MenuItem value="Левостороннее">Левостороннее</MenuItem>
-                <MenuItem value="Правостороннее">Правостороннее</MenuItem>
-              </Select>
-            </FormControl>
-            <TextField label="Модель двигателя" name="engineModel" fullWidth value={vehicle.engineModel} onChange={handleVehicleChange} error={!!errors.engineModel} helperText={errors.engineModel} />
+            {category.hasEngine && (
+              <>
+                <FormControl fullWidth error={!!errors.typeOfDrive}>
+                  <InputLabel>Тип привода</InputLabel>
+                  <Select name="typeOfDrive" value={vehicle.typeOfDrive} onChange={handleVehicleChange} label="Тип привода">
+                    {['FWD', 'RWD', 'AWD', '4WD'].map(v => <MenuItem key={v} value={v}>{v}</MenuItem>)}
+                  </Select>
+                  {!errors.typeOfDrive && hints.typeOfDrive && <Box sx={{ color: 'warning.main', fontSize: 12 }}>{hints.typeOfDrive}</Box>}
+                </FormControl>
+                <Box display="flex" gap={2}>
+                  <TextField label="Мощность, кВт" name="powerKw" fullWidth value={vehicle.powerKw} onChange={handleVehicleChange} error={!!errors.powerKw} helperText={errors.powerKw} />
+                  <TextField label="Мощность, л.с." name="powerHp" fullWidth value={vehicle.powerHp} onChange={handleVehicleChange} error={!!errors.powerHp} helperText={errors.powerHp} />
+                </Box>
+                <FormControl fullWidth error={!!errors.transmissionType}>
+                  <InputLabel>Тип коробки передач</InputLabel>
+                  <Select name="transmissionType" value={vehicle.transmissionType} onChange={handleVehicleChange} label="Тип коробки передач">
+                    {['MT', 'AT', 'AMT', 'CVT', 'DCT', 'DSG'].map(v => <MenuItem key={v} value={v}>{v}</MenuItem>)}
+                  </Select>
+                </FormControl>
+                <FormControl fullWidth error={!!errors.steeringWheel}>
+                  <InputLabel>Положение руля</InputLabel>
+                  <Select name="steeringWheel" value={vehicle.steeringWheel} onChange={handleVehicleChange} label="Положение руля">
+                    <MenuItem value="Левостороннее">Левостороннее</MenuItem>
+                    <MenuItem value="Правостороннее">Правостороннее</MenuItem>
+                  </Select>
+                </FormControl>
+                <FormControl fullWidth>
+                  <InputLabel>Силовая установка</InputLabel>
+                  <Select name="powertrainType" value={vehicle.powertrainType} onChange={handleVehicleChange} label="Силовая установка">
+                    {Object.entries(POWERTRAIN_TYPES).map(([value, { label }]) => <MenuItem key={value} value={value}>{label}</MenuItem>)}
+                  </Select>
+                </FormControl>
+                <TextField label="Модель двигателя" name="engineModel" fullWidth value={vehicle.engineModel} onChange={handleVehicleChange} {...hintProps('engineModel')} helperText={errors.engineModel || hints.engineModel || (!powertrain.engine && 'Необязательно')} />
+                {powertrain.motor && (
+                  <Box display="flex" gap={2}>
+                    <TextField label={SPEC_FIELDS.electricMotorPower.label} name="electricMotorPower" fullWidth value={vehicle.electricMotorPower} onChange={handleVehicleChange} error={!!errors.electricMotorPower} helperText={errors.electricMotorPower || (!powertrain.motorRequired && 'Необязательно')} />
+                    <TextField label={SPEC_FIELDS.batteryCapacity.label} name="batteryCapacity" fullWidth value={vehicle.batteryCapacity} onChange={handleVehicleChange} error={!!errors.batteryCapacity} helperText={errors.batteryCapacity || (!powertrain.batteryRequired && 'Необязательно')} />
+                  </Box>
+                )}
+              </>
+            )}
+            {['curbMass', 'maxMass', 'seatsCount'].map(field => (
+              <TextField key={field} label={SPEC_FIELDS[field].label} name={field} fullWidth value={vehicle[field]} onChange={handleVehicleChange} error={!!errors[field]} helperText={errors[field] || (!isCategoryRequired(vehicle.category, field) && 'Необязательно')} />
+            ))}
             <Box display="flex" alignItems="center" gap={2} sx={{ flex: '1 1 100%' }}>
-              <TextField label="Рабочий объем, см³" name="engineVolume" fullWidth value={vehicle.engineVolume} onChange={handleVehicleChange} error={!!errors.engineVolume} helperText={errors.engineVolume} />
+              {category.hasEngine && powertrain.engine && (
+                <TextField label="Рабочий объем, см³" name="engineVolume" fullWidth value={vehicle.engineVolume} onChange={handleVehicleChange} error={!!errors.engineVolume} helperText={errors.engineVolume} />
+              )}
               <FormControlLabel control={<Checkbox checked={vehicle.hasChassisNumber} onChange={(e) => setVehicle(prev => ({ ...prev, hasChassisNumber: e.target.checked }))} />} label="Наличие номера шасси" />
             </Box>
           </Box>
@@ -170,7 +337,28 @@ function RegistrationWithVehicleDialog({ open, onClose, onSuccess }) {
         <Box mt={4}>
           <Typography variant="h6" gutterBottom>Данные регистрационной операции</Typography>
           <Box display="flex" flexWrap="wrap" gap={2} sx={{ '& > *': { flex: '1 1 calc(50% - 16px)' } }}>
-            <TextField label="Дата подачи заявления" name="operationDate" type="date" fullWidth value={opData.operationDate} onChange={handleOpChange} InputLabelProps={{ shrink: true }} />
+            {powersOfAttorney.length > 0 && (
+              <TextField select label="Заявитель" fullWidth value={principal} onChange={handlePrincipalChange}>
+                <MenuItem value="">Лично</MenuItem>
+                {powersOfAttorney.map(p => (
+                  <MenuItem key={p.powerOfAttorneyId} value={p.principal}>
+                    От имени {p.principal} ({describePowerOfAttorney(p)})
+                  </MenuItem>
+                ))}
+              </TextField>
+            )}
+            <TextField label="Дата подачи заявления" name="applicationDate" type="date" fullWidth value={opData.applicationDate} onChange={handleOpChange} InputLabelProps={{ shrink: true }} />
+            <TextField
+              label="Временная регистрация до"
+              name="validUntil"
+              type="date"
+              fullWidth
+              value={opData.validUntil}
+              onChange={handleOpChange}
+              error={!!errors.validUntil}
+              helperText={errors.validUntil || 'Для регистрации на ограниченный срок (временное пребывание, лизинг)'}
+              InputLabelProps={{ shrink: true }}
+            />
             <Autocomplete
               fullWidth
               freeSolo
@@ -185,6 +373,8 @@ function RegistrationWithVehicleDialog({ open, onClose, onSuccess }) {
               onChange={(_, option) => {
                 if (option?.value) {
                   setOpData(prev => ({ ...prev, unitCode: option.value }));
+                  setPlateOptions([]);
+                  setRequestedPlateNumber('');
                 }
               }}
               renderInput={(params) => (
@@ -193,6 +383,42 @@ function RegistrationWithVehicleDialog({ open, onClose, onSuccess }) {
             />
           </Box>
         </Box>
+
+        <Box mt={4}>
+          <Typography variant="h6" gutterBottom>Желаемый регистрационный номер</Typography>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            Необязательно. Для категории {vehicle.category} выдается знак формата {plateFormat.label}. Выбранный номер удерживается за заявлением ограниченное время; если номер не выбран, он будет выдан автоматически.
+          </Typography>
+          <Box display="flex" gap={2} alignItems="flex-start">
+            <TextField
+              label="Шаблон номера"
+              placeholder={plateFormat.searchExample}
+              value={platePattern}
+              onChange={(e) => setPlatePattern(e.target.value.toUpperCase())}
+              error={!!errors.platePattern}
+              helperText={errors.platePattern}
+              fullWidth
+            />
+            <Button variant="outlined" onClick={handleSearchPlates} disabled={loadingPlates} sx={{ mt: 1 }}>
+              {loadingPlates ? <CircularProgress size={20} /> : 'Найти'}
+            </Button>
+          </Box>
+          {plateOptions.length > 0 && (
+            <Box mt={2} display="flex" flexWrap="wrap" gap={1}>
+              {plateOptions.map(plate => (
+                <Chip
+                  key={plate}
+                  label={plate}
+                  color={plate === requestedPlateNumber ? 'primary' : 'default'}
+                  onClick={() => setRequestedPlateNumber(plate === requestedPlateNumber ? '' : plate)}
+                />
+              ))}
+            </Box>
+          )}
+          {requestedPlateNumber && (
+            <Typography variant="body2" mt={1}>Выбран номер: <b>{requestedPlateNumber}</b></Typography>
+          )}
+        </Box>
       </DialogContent>
       <DialogActions>
         <Button onClick={onClose}>Отмена</Button>
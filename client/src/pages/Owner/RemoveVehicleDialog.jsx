@@ -1,35 +1,64 @@
 import {
   Dialog, DialogTitle, DialogContent, DialogActions,
-  Button, CircularProgress, Typography
+  Button, CircularProgress, Typography, TextField, MenuItem, Box
 } from '@mui/material';
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import api from '../../http';
 
-function RemoveVehicleDialog({ open, onClose, vehicle, onSuccess }) {
+const DEREGISTRATION_REASONS = [
+  { value: 'DISPOSAL', label: 'Утилизация ТС' },
+  { value: 'EXPORT', label: 'Вывоз ТС за пределы РФ' },
+  { value: 'THEFT', label: 'Хищение ТС' },
+  { value: 'OWNERSHIP_TERMINATED', label: 'Прекращение права собственности' },
+  { value: 'OTHER', label: 'Иная причина' }
+];
+
+// principal — доверитель, если ТС снимает с учета его представитель
+function RemoveVehicleDialog({ open, onClose, vehicle, onSuccess, principal }) {
   const [loading, setLoading] = useState(false);
   const [confirmOpen, setConfirmOpen] = useState(false);
+  const [reason, setReason] = useState('');
+  const [comment, setComment] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setReason('');
+      setComment('');
+      setError('');
+    }
+  }, [open]);
+
+  const handleConfirm = () => {
+    if (!reason) {
+      setError('Выберите причину снятия с учета');
+      return;
+    }
+    if (reason === 'OTHER' && !comment.trim()) {
+      setError('Для иной причины укажите комментарий');
+      return;
+    }
+    setError('');
+    setConfirmOpen(true);
+  };
 
   const handleRemove = async () => {
     setLoading(true);
     try {
-      await api.post('/owner/reg-op', {
-        vin: vehicle.vin,
-        unitCode: vehicle.unitCode,
-        operationType: 'Снятие с учета',
-        operationBase: 'Заявление на снятие ТС с регистрационного учета',
-        operationDate: new Date().toISOString().split('T')[0]
+      const res = await api.post(`/owner/vehicles/${vehicle.vin}/deregister`, {
+        reason,
+        ...(comment.trim() && { comment: comment.trim() }),
+        ...(principal && { principal })
       });
 
-      if (vehicle.operationId) {
-        await api.patch(`/employee/reg-op/${vehicle.operationId}`, {
-          registrationNumber: null
-        });
-      }
-
-      onSuccess?.('ТС успешно снято с учета.');
+      // 202 — ТС в совместной собственности, ожидается согласие совладельцев
+      onSuccess?.(res.status === 202
+        ? `Запрошено согласие совладельцев: ${res.data.data.pendingOwners.join(', ')}. Повторите снятие с учета после их согласия.`
+        : 'ТС снято с регистрационного учета.');
       onClose();
     } catch (e) {
       console.error('Ошибка снятия с учета:', e);
+      setError(e.response?.data?.message || 'Ошибка снятия с учета');
     } finally {
       setLoading(false);
       setConfirmOpen(false);
@@ -44,13 +73,35 @@ function RemoveVehicleDialog({ open, onClose, vehicle, onSuccess }) {
           <Typography>
             Вы действительно хотите снять транспортное средство с учета?
           </Typography>
+          <Box mt={2} display="flex" flexDirection="column" gap={2}>
+            <TextField
+              select
+              label="Причина"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              fullWidth
+            >
+              {DEREGISTRATION_REASONS.map(r => (
+                <MenuItem key={r.value} value={r.value}>{r.label}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              label="Комментарий"
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              inputProps={{ maxLength: 200 }}
+              multiline
+              fullWidth
+            />
+            {error && <Typography color="error" variant="body2">{error}</Typography>}
+          </Box>
         </DialogContent>
         <DialogActions>
           <Button onClick={onClose}>Отмена</Button>
           <Button
             variant="contained"
             color="error"
-            onClick={() => setConfirmOpen(true)}
+            onClick={handleConfirm}
             disabled={loading}
           >
             {loading ? <CircularProgress size={24} /> : 'Снять с учета'}
@@ -0,0 +1,128 @@
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions,
+  TextField, Button, Typography, CircularProgress, Autocomplete, Box
+} from '@mui/material';
+import { useEffect, useMemo, useState } from 'react';
+import debounce from 'lodash.debounce';
+import api from '../../http';
+
+function TransferVehicleDialog({ open, onClose, vehicle, onSuccess }) {
+  const [buyer, setBuyer] = useState('');
+  const [unitCode, setUnitCode] = useState('');
+  const [unitOptions, setUnitOptions] = useState([]);
+  const [loadingUnit, setLoadingUnit] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    if (open) {
+      setBuyer('');
+      setUnitCode('');
+      setErrors({});
+    }
+  }, [open]);
+
+  const fetchUnits = useMemo(() =>
+    debounce(async (search) => {
+      setLoadingUnit(true);
+      try {
+        const res = await api.get('/admin/reg-depart', {
+          params: { search, limit: 10 }
+        });
+        setUnitOptions(res.data.data.map(d => ({
+          label: `${d.unitCode} — ${d.departmentName}`,
+          value: d.unitCode
+        })));
+      } catch (e) {
+        console.error('Ошибка загрузки подразделений:', e);
+      } finally {
+        setLoadingUnit(false);
+      }
+    }, 300), []);
+
+  const validate = () => {
+    const newErrors = {};
+    if (!/^(\d{10}|\d{4} \d{6})$/.test(buyer)) newErrors.buyer = 'Введите ИНН (10 цифр) или паспорт (XXXX XXXXXX)';
+    if (!unitCode.match(/^\d{6}$/)) newErrors.unitCode = 'Введите 6 цифр';
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async () => {
+    if (!validate()) return;
+    setLoading(true);
+    try {
+      const res = await api.post('/owner/transfers', {
+        vin: vehicle.transportvehicle?.vin,
+        buyer,
+        unitCode
+      });
+      // 202 — ТС в совместной собственности, ожидается согласие совладельцев
+      onSuccess?.(res.status === 202
+        ? `Запрошено согласие совладельцев: ${res.data.data.pendingOwners.join(', ')}. Повторите передачу после их согласия.`
+        : 'Передача ТС создана. Покупателю необходимо подтвердить её в личном кабинете.');
+      onClose();
+    } catch (e) {
+      console.error('Ошибка создания передачи ТС:', e);
+      setErrors({ submit: e.response?.data?.message || 'Не удалось создать передачу ТС' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>Передача ТС новому владельцу</DialogTitle>
+      <DialogContent dividers>
+        <Typography mb={2}>
+          {vehicle?.transportvehicle?.makeAndModel}, VIN {vehicle?.transportvehicle?.vin}
+        </Typography>
+        <Box display="flex" flexDirection="column" gap={2}>
+          <TextField
+            fullWidth
+            label="Новый владелец (Паспорт / ИНН)"
+            value={buyer}
+            onChange={(e) => setBuyer(e.target.value)}
+            error={!!errors.buyer}
+            helperText={errors.buyer}
+          />
+          <Autocomplete
+            freeSolo
+            fullWidth
+            loading={loadingUnit}
+            options={unitOptions}
+            getOptionLabel={(option) => typeof option === 'string' ? option : option.label}
+            inputValue={unitCode}
+            onInputChange={(_, value, reason) => {
+              if (reason === 'input') {
+                setUnitCode(value);
+                if (value.length >= 2) fetchUnits(value);
+              }
+            }}
+            onChange={(_, option) => {
+              if (!option) setUnitCode('');
+              else setUnitCode(typeof option === 'string' ? option : option.value);
+            }}
+            renderInput={(params) => (
+              <TextField
+                {...params}
+                label="Код подразделения для оформления"
+                error={!!errors.unitCode}
+                helperText={errors.unitCode}
+              />
+            )}
+          />
+          {errors.submit && <Typography color="error">{errors.submit}</Typography>}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Отмена</Button>
+        <Button variant="contained" onClick={handleSubmit} disabled={loading}>
+          {loading ? <CircularProgress size={24} /> : 'Передать'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default TransferVehicleDialog;
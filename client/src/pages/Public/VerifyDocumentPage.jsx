@@ -0,0 +1,75 @@
+import { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import {
+  Container, Typography, Paper, Box, Chip, CircularProgress, Alert
+} from '@mui/material';
+import { VerifiedUser } from '@mui/icons-material';
+import api from '../../http';
+import { getDocumentStatus } from '../../utils/documentStatuses';
+import { getApplicationStatus } from '../../utils/applicationStatuses';
+
+const DOCUMENT_TYPES = {
+  CERTIFICATE: 'Свидетельство о регистрации ТС',
+  APPLICATION: 'Заявление о регистрационном действии'
+};
+
+function VerifyDocumentPage() {
+  const { token } = useParams();
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const verify = async () => {
+      setLoading(true);
+      try {
+        const res = await api.get(`/public/verify/${token}`);
+        setResult(res.data.data);
+      } catch (e) {
+        const status = e.response?.status;
+        setError(status === 429
+          ? 'Слишком много проверок. Повторите попытку через минуту.'
+          : 'Документ не найден. Возможно, он поддельный или QR-код повреждён.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  const status = result?.documentType === 'CERTIFICATE'
+    ? getDocumentStatus(result.status)
+    : getApplicationStatus(result?.status);
+
+  return (
+    <Container maxWidth="sm" sx={{ mt: 8 }}>
+      <Typography variant="h4" gutterBottom>Проверка документа</Typography>
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" mt={4}><CircularProgress /></Box>
+      ) : error ? (
+        <Alert severity="error">{error}</Alert>
+      ) : (
+        <Paper sx={{ p: 3 }}>
+          <Box display="flex" alignItems="center" gap={1} mb={2}>
+            <VerifiedUser color="success" />
+            <Typography variant="h6">Документ выдан в системе регистрации</Typography>
+          </Box>
+          <Typography><strong>Документ:</strong> {DOCUMENT_TYPES[result.documentType]}</Typography>
+          {result.operationType && (
+            <Typography><strong>Регистрационное действие:</strong> {result.operationType}</Typography>
+          )}
+          <Typography><strong>Гос. номер:</strong> {result.registrationNumber || '—'}</Typography>
+          <Typography><strong>Марка, модель:</strong> {result.makeAndModel || '—'}</Typography>
+          <Typography>
+            <strong>{result.documentType === 'APPLICATION' ? 'Дата подачи' : 'Дата выдачи'}:</strong> {result.issuedAt ? new Date(result.issuedAt).toLocaleDateString('ru-RU') : '—'}
+          </Typography>
+          <Chip sx={{ mt: 2 }} label={status.label} color={status.color} />
+        </Paper>
+      )}
+    </Container>
+  );
+}
+
+export default VerifyDocumentPage;
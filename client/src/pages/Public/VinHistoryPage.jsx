@@ -0,0 +1,162 @@
+import { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  Container, Typography, Paper, Box, Chip, CircularProgress, Alert,
+  TextField, Button, Grid, List, ListItem, ListItemText
+} from '@mui/material';
+import api from '../../http';
+import { VIN_HISTORY_ROUTE } from '../../utils/consts';
+import { getVehicleRegistrationStatus } from '../../utils/documentStatuses';
+import { getRestrictionType } from '../../utils/restrictionTypes';
+import { formatChange } from '../../utils/vehicleFields';
+
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+const formatDate = (value) => value ? new Date(value).toLocaleDateString('ru-RU') : '—';
+
+function DateList({ title, dates, empty }) {
+  return (
+    <Box mt={3}>
+      <Typography variant="h6">{title}</Typography>
+      {dates.length === 0 ? (
+        <Typography color="text.secondary">{empty}</Typography>
+      ) : (
+        <List dense>
+          {dates.map((date, idx) => (
+            <ListItem key={idx} disableGutters>
+              <ListItemText primary={formatDate(date)} />
+            </ListItem>
+          ))}
+        </List>
+      )}
+    </Box>
+  );
+}
+
+function VinHistoryPage() {
+  const { vin } = useParams();
+  const navigate = useNavigate();
+  const [input, setInput] = useState(vin || '');
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!vin) return;
+
+    const load = async () => {
+      setLoading(true);
+      setError('');
+      setReport(null);
+      try {
+        const res = await api.get(`/public/vehicles/${vin}/history`);
+        setReport(res.data.data);
+      } catch (e) {
+        const status = e.response?.status;
+        setError(status === 404
+          ? 'Транспортное средство с таким VIN не найдено.'
+          : status === 429
+            ? 'Слишком много запросов. Повторите попытку через минуту.'
+            : e.response?.data?.message || 'Не удалось получить отчёт.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [vin]);
+
+  const normalized = input.trim().toUpperCase();
+  const status = report && getVehicleRegistrationStatus(report.status);
+
+  return (
+    <Container maxWidth="md" sx={{ mt: 6, mb: 6 }}>
+      <Typography variant="h4" gutterBottom>Проверка истории ТС по VIN</Typography>
+      <Typography color="text.secondary" mb={3}>
+        Отчёт формируется по истории регистрационных действий и не содержит персональных данных владельцев.
+      </Typography>
+
+      <Box
+        component="form"
+        display="flex"
+        gap={2}
+        onSubmit={(e) => {
+          e.preventDefault();
+          navigate(`${VIN_HISTORY_ROUTE}/${normalized}`);
+        }}
+      >
+        <TextField
+          label="VIN"
+          fullWidth
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          error={!!normalized && !VIN_PATTERN.test(normalized)}
+          helperText={normalized && !VIN_PATTERN.test(normalized) ? '17 символов: латинские буквы (кроме I, O, Q) и цифры' : ''}
+        />
+        <Button type="submit" variant="contained" disabled={!VIN_PATTERN.test(normalized)}>
+          Проверить
+        </Button>
+      </Box>
+
+      {loading && <Box display="flex" justifyContent="center" mt={4}><CircularProgress /></Box>}
+      {error && <Alert severity="error" sx={{ mt: 3 }}>{error}</Alert>}
+
+      {report && (
+        <Paper sx={{ p: 3, mt: 3 }}>
+          <Box display="flex" justifyContent="space-between" alignItems="center">
+            <Box>
+              <Typography variant="h5">{report.makeAndModel}, {report.releaseYear}</Typography>
+              <Typography color="text.secondary">{report.vin}</Typography>
+            </Box>
+            <Chip label={status.label} color={status.color} />
+          </Box>
+
+          <Grid container spacing={2} mt={1}>
+            <Grid item xs={12} sm={4}><Typography><strong>Первая регистрация:</strong> {formatDate(report.firstRegisteredAt)}</Typography></Grid>
+            <Grid item xs={12} sm={4}><Typography><strong>Постановок на учёт:</strong> {report.registrationsCount}</Typography></Grid>
+            <Grid item xs={12} sm={4}><Typography><strong>Владельцев:</strong> {report.ownersCount}</Typography></Grid>
+          </Grid>
+
+          <Box mt={3}>
+            <Typography variant="h6">Действующие ограничения</Typography>
+            {report.restrictions.length === 0 ? (
+              <Typography color="text.secondary">Ограничений нет</Typography>
+            ) : (
+              report.restrictions.map((r, idx) => (
+                <Chip
+                  key={idx}
+                  sx={{ mt: 1, mr: 1 }}
+                  label={`${getRestrictionType(r.type).label} с ${formatDate(r.imposedAt)}`}
+                  color={getRestrictionType(r.type).color}
+                />
+              ))
+            )}
+          </Box>
+
+          <DateList title="Смена собственника" dates={report.ownershipChanges} empty="Собственник не менялся" />
+          <DateList title="Снятие с учёта" dates={report.deregistrations} empty="С учёта не снималось" />
+
+          <Box mt={3}>
+            <Typography variant="h6">Изменения технических данных</Typography>
+            {report.amendments.length === 0 ? (
+              <Typography color="text.secondary">Изменений не вносилось</Typography>
+            ) : (
+              <List dense>
+                {report.amendments.map((a, idx) => (
+                  <ListItem key={idx} disableGutters>
+                    <ListItemText
+                      primary={formatDate(a.date)}
+                      secondary={a.changes.map(formatChange).join('; ')}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+          </Box>
+        </Paper>
+      )}
+    </Container>
+  );
+}
+
+export default VinHistoryPage;
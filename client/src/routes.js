@@ -2,33 +2,49 @@ import Auth from './pages/Auth/Auth';
 import RegisterNaturalOwner from './pages/Auth/RegistrationNaturalOwner'
 import RegisterLegalOwner from './pages/Auth/RegistrationLegalOwner'
 import RegisterEmployee from './pages/Auth/RegistrationEmployee';
+import InviteRegistrationPage from './pages/Auth/InviteRegistrationPage';
 import NotFound from './pages/Error/NotFound';
 import DepartmentPage from './pages/Admin/DepartmentPage';
 import ProfilePage from './pages/ProfilePage';
 import ForbiddenPage from './pages/Error/ForbiddenPage';
 import EmployeePage from './pages/Admin/EmployeePage';
 import UserPage from './pages/Admin/UserPage';
+import CataloguePage from './pages/Admin/CataloguePage';
 import OwnerPage from './pages/Employee/OwnerPage';
 import RegDocPage from './pages/Employee/RegDocPage';
 import TransportVehiclePage from './pages/Employee/TransportVehiclePage';
 import RegistrationOpPage from './pages/Employee/RegistrationOpPage';
 import WorkPage from './pages/Employee/WorkPage';
+import ApplicationPage from './pages/Employee/ApplicationPage';
+import AgendaPage from './pages/Employee/AgendaPage';
+import TransferPage from './pages/Employee/TransferPage';
+import PlatePage from './pages/Employee/PlatePage';
 import RegistrationVehiclePage  from './pages/Owner/RegistrationVehiclePage';
+import VerifyDocumentPage from './pages/Public/VerifyDocumentPage';
+import VinHistoryPage from './pages/Public/VinHistoryPage';
 import { 
   LOGIN_ROUTE, 
   REGISTER_NATURAL_ROUTE,
   REGISTER_LEGAL_ROUTE, 
   REGISTRATION_EMPLOYEE_ROUTE,
+  INVITE_ROUTE,
   DEPARTMENTS_ROUTE,
   PROFILE_ROUTE,
   EMPLOYEES_ROUTE,
   USERS_ROUTE,
+  CATALOGUE_ROUTE,
   OWNER_ROUTE,
   REGDOC_ROUTE,
   VEHICLES_ROUTE,
   REG_OP_ROUTE,
   WORK_ROUTE,
-  REG_VEHICLE_ROUTE
+  APPLICATIONS_ROUTE,
+  AGENDA_ROUTE,
+  TRANSFERS_ROUTE,
+  PLATES_ROUTE,
+  REG_VEHICLE_ROUTE,
+  VERIFY_ROUTE,
+  VIN_HISTORY_ROUTE
 } from "./utils/consts";
 
 export const authRoutes = [
@@ -37,6 +53,26 @@ export const authRoutes = [
     Component: RegistrationVehiclePage,
     roles: ['OWNER']
   },
+  {
+    path: PLATES_ROUTE,
+    Component: PlatePage,
+    roles: ['EMPLOYEE']
+  },
+  {
+    path: TRANSFERS_ROUTE,
+    Component: TransferPage,
+    roles: ['EMPLOYEE']
+  },
+  {
+    path: AGENDA_ROUTE,
+    Component: AgendaPage,
+    roles: ['EMPLOYEE']
+  },
+  {
+    path: APPLICATIONS_ROUTE,
+    Component: ApplicationPage,
+    roles: ['EMPLOYEE']
+  },
   {
     path: WORK_ROUTE,
     Component: WorkPage,
@@ -77,6 +113,11 @@ export const authRoutes = [
     Component: EmployeePage,
     roles: ['ADMIN']
   },
+  {
+    path: CATALOGUE_ROUTE,
+    Component: CataloguePage,
+    roles: ['ADMIN']
+  },
   {
     path: PROFILE_ROUTE,
     Component: ProfilePage,
@@ -101,6 +142,22 @@ export const publicRoutes = [
     path: REGISTRATION_EMPLOYEE_ROUTE,
     Component: RegisterEmployee
   },
+  {
+    path: INVITE_ROUTE,
+    Component: InviteRegistrationPage
+  },
+  {
+    path: VERIFY_ROUTE,
+    Component: VerifyDocumentPage
+  },
+  {
+    path: VIN_HISTORY_ROUTE,
+    Component: VinHistoryPage
+  },
+  {
+    path: `${VIN_HISTORY_ROUTE}/:vin`,
+    Component: VinHistoryPage
+  },
   {
     path: '/403',
     Component: ForbiddenPage
@@ -0,0 +1,11 @@
+export const APPLICATION_STATUSES = {
+  SUBMITTED: { label: 'Подано', color: 'info' },
+  UNDER_REVIEW: { label: 'На рассмотрении', color: 'primary' },
+  NEEDS_CORRECTION: { label: 'Требует исправлений', color: 'warning' },
+  APPROVED: { label: 'Одобрено', color: 'success' },
+  REJECTED: { label: 'Отклонено', color: 'error' },
+  CANCELLED: { label: 'Отменено', color: 'default' }
+};
+
+export const getApplicationStatus = (status) =>
+  APPLICATION_STATUSES[status] || { label: status, color: 'default' };
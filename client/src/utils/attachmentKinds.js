@@ -0,0 +1,32 @@
+const IMAGE_TYPES = ['image/jpeg', 'image/png'];
+const SCAN_TYPES = ['application/pdf', ...IMAGE_TYPES];
+
+// Виды вложений и допустимые типы файлов; должны совпадать с attachmentService на сервере
+export const ATTACHMENT_KINDS = {
+  VIN_PLATE_PHOTO: { label: 'Фото таблички VIN', mimeTypes: IMAGE_TYPES },
+  BODY_PHOTO: { label: 'Фото кузова', mimeTypes: IMAGE_TYPES },
+  SALE_CONTRACT: { label: 'Договор купли-продажи', mimeTypes: SCAN_TYPES },
+  INSURANCE_POLICY: { label: 'Страховой полис', mimeTypes: SCAN_TYPES },
+  OTHER: { label: 'Прочий документ', mimeTypes: SCAN_TYPES }
+};
+
+// Статусы заявления, в которых владелец может дополнять его файлами
+export const OWNER_ATTACHMENT_STATUSES = ['SUBMITTED', 'NEEDS_CORRECTION'];
+
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+export const getAttachmentKind = (kind) =>
+  ATTACHMENT_KINDS[kind] || { label: kind, mimeTypes: [] };
+
+export const formatFileSize = (size) => {
+  if (size < 1024) return `${size} Б`;
+  if (size < 1024 * 1024) return `${(size / 1024).toFixed(0)} КБ`;
+  return `${(size / 1024 / 1024).toFixed(1)} МБ`;
+};
+
+export const validateAttachmentFile = (kind, file) => {
+  if (!file) return 'Выберите файл';
+  if (!getAttachmentKind(kind).mimeTypes.includes(file.type)) return 'Допустимы только JPEG, PNG или PDF';
+  if (file.size > MAX_ATTACHMENT_SIZE) return 'Размер файла не должен превышать 10 МБ';
+  return null;
+};
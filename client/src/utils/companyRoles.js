@@ -0,0 +1,10 @@
+export const COMPANY_ROLES = {
+  COMPANY_ADMIN: 'Администратор компании',
+  FLEET_MANAGER: 'Управляющий автопарком',
+  VIEWER: 'Наблюдатель'
+};
+
+export const getCompanyRoleLabel = (role) => COMPANY_ROLES[role] || role;
+
+// Наблюдатель видит ТС и заявления компании, но не подает заявления и не распоряжается ТС
+export const isReadOnlyCompanyRole = (company) => company?.companyRole === 'VIEWER';
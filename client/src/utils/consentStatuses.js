@@ -0,0 +1,9 @@
+export const CONSENT_STATUSES = {
+  PENDING: { label: 'Ожидает решения', color: 'info' },
+  GRANTED: { label: 'Согласие дано', color: 'success' },
+  DECLINED: { label: 'Отказано', color: 'error' },
+  USED: { label: 'Использовано', color: 'default' }
+};
+
+export const getConsentStatus = (status) =>
+  CONSENT_STATUSES[status] || { label: status, color: 'default' };
@@ -5,15 +5,23 @@ export const LOGIN_ROUTE = '/login';
 export const REGISTER_NATURAL_ROUTE = '/register/natural'
 export const REGISTER_LEGAL_ROUTE = '/register/legal'
 export const REGISTRATION_EMPLOYEE_ROUTE = '/register/employee';
+export const VERIFY_ROUTE = '/verify/:token';
+export const VIN_HISTORY_ROUTE = '/vin-check';
+export const INVITE_ROUTE = '/invite/:token';
 
 export const DEPARTMENTS_ROUTE = '/admin/departments';
 export const EMPLOYEES_ROUTE = '/admin/employees';
 export const USERS_ROUTE = '/admin/users';
+export const CATALOGUE_ROUTE = '/admin/catalogue';
 
 export const OWNER_ROUTE = '/employee/owners';
 export const REGDOC_ROUTE = '/employee/reg-document';
 export const VEHICLES_ROUTE = '/employee/vehicles';
 export const REG_OP_ROUTE = '/employee/operations';
 export const WORK_ROUTE = '/employee/works';
+export const APPLICATIONS_ROUTE = '/employee/applications';
+export const AGENDA_ROUTE = '/employee/agenda';
+export const TRANSFERS_ROUTE = '/employee/transfers';
+export const PLATES_ROUTE = '/employee/plates';
 
 export const REG_VEHICLE_ROUTE = '/vehicles';
\ No newline at end of file
@@ -0,0 +1,49 @@
+export const DOCUMENT_STATUSES = {
+  ACTIVE: { label: 'Действителен', color: 'success' },
+  LOST: { label: 'Утрачен', color: 'error' },
+  REPLACED: { label: 'Заменен', color: 'warning' },
+  CANCELLED: { label: 'Аннулирован', color: 'default' }
+};
+
+export const REISSUE_REASONS = {
+  LOST: 'Утрата',
+  DAMAGED: 'Повреждение',
+  UNUSABLE: 'Непригодность для использования',
+  DATA_CHANGE: 'Изменение регистрационных данных'
+};
+
+export const PTS_TYPES = {
+  PAPER: { label: 'Бумажный ПТС', pattern: /^\d{2} [А-Я]{2} \d{6}$/, hint: '12 АБ 345678' },
+  ELECTRONIC: { label: 'ЭПТС', pattern: /^\d{15}$/, hint: '15 цифр' }
+};
+
+export const EPTS_STATUSES = {
+  ACTIVE: 'Действующий',
+  INCOMPLETE: 'Незавершенное оформление',
+  CANCELLED: 'Погашен'
+};
+
+export const DOCUMENT_NUMBER_FORMATS = {
+  PTS: { pattern: /^(\d{2} [А-Я]{2} \d{6}|\d{15})$/, hint: '12 АБ 345678 или 15 цифр ЭПТС' },
+  STS: { pattern: /^\d{2} \d{2} \d{6}$/, hint: '12 34 567890' }
+};
+
+export const getDocumentStatus = (status) =>
+  DOCUMENT_STATUSES[status] || { label: status, color: 'default' };
+
+export const REGISTRATION_STATUSES = {
+  ACTIVE: { label: 'Регистрация действует', color: 'success' },
+  CLOSED: { label: 'Регистрация прекращена', color: 'default' }
+};
+
+export const getRegistrationStatus = (status) =>
+  REGISTRATION_STATUSES[status] || { label: status || '—', color: 'default' };
+
+export const VEHICLE_REGISTRATION_STATUSES = {
+  REGISTERED: { label: 'Состоит на учёте', color: 'success' },
+  DEREGISTERED: { label: 'Снято с учёта', color: 'default' },
+  NOT_REGISTERED: { label: 'Не регистрировалось', color: 'default' }
+};
+
+export const getVehicleRegistrationStatus = (status) =>
+  VEHICLE_REGISTRATION_STATUSES[status] || { label: status, color: 'default' };
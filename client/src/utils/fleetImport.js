@@ -0,0 +1,96 @@
+import * as XLSX from 'xlsx';
+import { VEHICLE_FIELD_LABELS } from './vehicleFields';
+import { VEHICLE_CATEGORIES } from './vehicleCategories';
+import { POWERTRAIN_TYPES } from './vehicleSpecs';
+
+// Колонки файла импорта в порядке шаблона; заголовки совпадают с подписями полей в карточке ТС
+const IMPORT_FIELDS = [
+  'vin', 'makeAndModel', 'releaseYear', 'manufacture', 'category', 'bodyColor',
+  'hasChassisNumber', 'typeOfDrive', 'powerKw', 'powerHp', 'transmissionType', 'steeringWheel',
+  'powertrainType', 'engineModel', 'engineVolume', 'electricMotorPower', 'batteryCapacity',
+  'curbMass', 'maxMass', 'seatsCount'
+];
+
+const IMPORT_LABELS = {
+  ...VEHICLE_FIELD_LABELS,
+  vin: 'VIN',
+  hasChassisNumber: 'Номер шасси совпадает с VIN (да/нет)'
+};
+
+const NUMBER_FIELDS = [
+  'releaseYear', 'powerKw', 'powerHp', 'engineVolume', 'electricMotorPower',
+  'batteryCapacity', 'curbMass', 'maxMass', 'seatsCount'
+];
+
+const TEMPLATE_EXAMPLE = {
+  vin: 'XTA210990Y2765432', makeAndModel: 'Lada Vesta', releaseYear: 2023, manufacture: 'АвтоВАЗ',
+  category: 'B', bodyColor: 'Белый', hasChassisNumber: 'нет', typeOfDrive: 'FWD', powerKw: 78, powerHp: 106,
+  transmissionType: 'MT', steeringWheel: 'Левостороннее', powertrainType: 'ICE', engineModel: '21129',
+  engineVolume: 1596
+};
+
+const ALLOWED_VALUES = [
+  ...Object.entries(VEHICLE_CATEGORIES).map(([code, c]) => [IMPORT_LABELS.category, code, c.label]),
+  ...Object.entries(POWERTRAIN_TYPES).map(([code, p]) => [IMPORT_LABELS.powertrainType, code, p.label]),
+  ...['FWD', 'RWD', 'AWD', '4WD'].map(code => [IMPORT_LABELS.typeOfDrive, code, '']),
+  ...['MT', 'AT', 'AMT', 'CVT', 'DCT', 'DSG'].map(code => [IMPORT_LABELS.transmissionType, code, '']),
+  ...['Левостороннее', 'Правостороннее'].map(value => [IMPORT_LABELS.steeringWheel, value, ''])
+];
+
+export const MAX_IMPORT_ROWS = 100;
+
+export const downloadImportTemplate = () => {
+  const header = IMPORT_FIELDS.map(field => IMPORT_LABELS[field]);
+  const example = IMPORT_FIELDS.map(field => TEMPLATE_EXAMPLE[field] ?? '');
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([header, example]), 'ТС');
+  XLSX.utils.book_append_sheet(
+    wb,
+    XLSX.utils.aoa_to_sheet([['Поле', 'Значение', 'Описание'], ...ALLOWED_VALUES]),
+    'Допустимые значения'
+  );
+
+  XLSX.writeFile(wb, 'Шаблон импорта автопарка.xlsx');
+};
+
+const toValue = (field, raw) => {
+  const value = typeof raw === 'string' ? raw.trim() : raw;
+  if (value === '' || value == null) return undefined;
+
+  if (field === 'vin') return String(value).toUpperCase();
+  if (field === 'hasChassisNumber') return ['да', 'true', '1', 'yes'].includes(String(value).toLowerCase());
+  if (NUMBER_FIELDS.includes(field)) {
+    const number = Number(String(value).replace(',', '.'));
+    return Number.isNaN(number) ? value : number;
+  }
+  return String(value);
+};
+
+// Строка листа по заголовкам шаблона; незаполненные ячейки в ТС не передаются
+const toVehicle = (sheetRow) => Object.fromEntries(
+  IMPORT_FIELDS
+    .map(field => [field, toValue(field, sheetRow[IMPORT_LABELS[field]])])
+    .filter(([, value]) => value !== undefined)
+);
+
+const readFile = (file, asText) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  if (asText) reader.readAsText(file, 'utf-8');
+  else reader.readAsArrayBuffer(file);
+});
+
+// CSV читается как текст, чтобы кириллица в UTF-8 не искажалась.
+// Для отчета сохраняется номер строки в файле (заголовок — первая строка)
+export const parseImportFile = async (file) => {
+  const isCsv = file.name.toLowerCase().endsWith('.csv');
+  const content = await readFile(file, isCsv);
+  const wb = XLSX.read(content, { type: isCsv ? 'string' : 'array' });
+  const sheet = wb.Sheets[wb.SheetNames[0]];
+
+  return XLSX.utils.sheet_to_json(sheet, { defval: '', raw: true })
+    .map(sheetRow => ({ line: sheetRow.__rowNum__ + 1, vehicle: toVehicle(sheetRow) }))
+    .filter(({ vehicle }) => Object.keys(vehicle).length > 0);
+};
@@ -0,0 +1,9 @@
+import api from '../http';
+
+// PDF запрашивается через api, чтобы ушёл токен авторизации, и открывается в новой вкладке
+export const openPdf = async (url) => {
+  const res = await api.get(url, { responseType: 'blob' });
+  const blobUrl = URL.createObjectURL(new Blob([res.data], { type: 'application/pdf' }));
+  window.open(blobUrl, '_blank');
+  setTimeout(() => URL.revokeObjectURL(blobUrl), 60 * 1000);
+};
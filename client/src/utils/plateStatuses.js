@@ -0,0 +1,9 @@
+export const PLATE_STATUSES = {
+  FREE: { label: 'Свободен', color: 'success' },
+  RESERVED: { label: 'Зарезервирован', color: 'warning' },
+  ISSUED: { label: 'Выдан', color: 'primary' },
+  RETIRED: { label: 'Выведен из оборота', color: 'default' }
+};
+
+export const getPlateStatus = (status) =>
+  PLATE_STATUSES[status] || { label: status, color: 'default' };
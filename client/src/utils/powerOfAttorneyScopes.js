@@ -0,0 +1,14 @@
+export const POWER_OF_ATTORNEY_SCOPES = {
+  REGISTRATION: 'Постановка на учет',
+  DEREGISTRATION: 'Снятие с учета',
+  AMENDMENT: 'Внесение изменений в регистрационные данные'
+};
+
+export const getScopeLabel = (scope) => POWER_OF_ATTORNEY_SCOPES[scope] || scope;
+
+// Действующие полученные доверенности с нужным полномочием
+export const filterPowersOfAttorney = (powersOfAttorney, scope) =>
+  powersOfAttorney.filter(p => p.direction === 'RECEIVED' && p.isValid && p.scope.includes(scope));
+
+export const describePowerOfAttorney = (p) =>
+  `доверенность № ${p.notarialNumber}, действует до ${p.validUntil}`;
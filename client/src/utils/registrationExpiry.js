@@ -0,0 +1,21 @@
+// За сколько дней до окончания временной регистрации показывается предупреждение
+export const EXPIRY_WARNING_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getRegistrationExpiry = (validUntil) => {
+  if (!validUntil) return null;
+
+  const end = new Date(validUntil);
+  end.setHours(23, 59, 59, 999);
+  const daysLeft = Math.ceil((end - new Date()) / DAY_MS);
+  const date = end.toLocaleDateString('ru-RU');
+
+  if (daysLeft <= 0) {
+    return { label: `Срок истёк ${date}`, color: 'error', warning: true };
+  }
+  if (daysLeft <= EXPIRY_WARNING_DAYS) {
+    return { label: `Истекает ${date} (осталось ${daysLeft} дн.)`, color: 'warning', warning: true };
+  }
+  return { label: `Временная до ${date}`, color: 'info', warning: false };
+};
@@ -0,0 +1,9 @@
+export const RESTRICTION_TYPES = {
+  ARREST: { label: 'Арест', color: 'error' },
+  REGISTRATION_BAN: { label: 'Запрет на рег. действия', color: 'error' },
+  PLEDGE: { label: 'Залог', color: 'warning' },
+  WANTED: { label: 'Розыск', color: 'error' }
+};
+
+export const getRestrictionType = (type) =>
+  RESTRICTION_TYPES[type] || { label: type, color: 'default' };
@@ -0,0 +1,10 @@
+export const TRANSFER_STATUSES = {
+  PENDING_BUYER: { label: 'Ожидает покупателя', color: 'info' },
+  ACCEPTED: { label: 'Принято покупателем', color: 'primary' },
+  COMPLETED: { label: 'Оформлено', color: 'success' },
+  DECLINED: { label: 'Отклонено покупателем', color: 'error' },
+  CANCELLED: { label: 'Отменено', color: 'default' }
+};
+
+export const getTransferStatus = (status) =>
+  TRANSFER_STATUSES[status] || { label: status, color: 'default' };
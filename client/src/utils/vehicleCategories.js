@@ -0,0 +1,107 @@
+const PLATE_LETTERS = '[АВЕКМНОРСТУХ]';
+
+// Форматы регистрационных знаков; должны совпадать с vehicleCategoryService на сервере.
+// searchPattern и searchExample — шаблон поиска номера без кода региона, * — любой символ
+export const PLATE_FORMATS = {
+  STANDARD: {
+    label: 'А123ВС77',
+    pattern: new RegExp(`^${PLATE_LETTERS}\\d{3}${PLATE_LETTERS}{2}\\d{2,3}$`),
+    searchPattern: /^[АВЕКМНОРСТУХ*][\d*]{3}[АВЕКМНОРСТУХ*]{2}$/,
+    searchExample: 'А*77ВС',
+    seriesLength: 3,
+    numberLength: 3,
+    compose: (series, number) => `${series[0]}${number}${series.slice(1)}`
+  },
+  TRAILER: {
+    label: 'АВ123477',
+    pattern: new RegExp(`^${PLATE_LETTERS}{2}\\d{4}\\d{2,3}$`),
+    searchPattern: /^[АВЕКМНОРСТУХ*]{2}[\d*]{4}$/,
+    searchExample: 'АВ12*7',
+    seriesLength: 2,
+    numberLength: 4,
+    compose: (series, number) => `${series}${number}`
+  },
+  MOTORCYCLE: {
+    label: '1234АВ77',
+    pattern: new RegExp(`^\\d{4}${PLATE_LETTERS}{2}\\d{2,3}$`),
+    searchPattern: /^[\d*]{4}[АВЕКМНОРСТУХ*]{2}$/,
+    searchExample: '12*7АВ',
+    seriesLength: 2,
+    numberLength: 4,
+    compose: (series, number) => `${number}${series}`
+  }
+};
+
+// Номер любого допустимого формата, когда категория ТС не известна
+export const PLATE_PATTERN = new RegExp(
+  Object.values(PLATE_FORMATS).map(format => `(${format.pattern.source})`).join('|')
+);
+
+export const VEHICLE_CATEGORIES = {
+  A: { label: 'Мотоциклы', plateFormat: 'MOTORCYCLE', hasEngine: true },
+  A1: { label: 'Легкие мотоциклы', plateFormat: 'MOTORCYCLE', hasEngine: true },
+  B: {
+    label: 'Легковые автомобили',
+    plateFormat: 'STANDARD',
+    hasEngine: true,
+    limits: { maxMass: { max: 3500 }, seatsCount: { max: 9 } }
+  },
+  B1: { label: 'Трициклы и квадрициклы', plateFormat: 'MOTORCYCLE', hasEngine: true },
+  C: { label: 'Грузовые автомобили', plateFormat: 'STANDARD', hasEngine: true, limits: { maxMass: { min: 3501, required: true } } },
+  C1: {
+    label: 'Грузовые автомобили до 7,5 т',
+    plateFormat: 'STANDARD',
+    hasEngine: true,
+    limits: { maxMass: { min: 3501, max: 7500, required: true } }
+  },
+  D: { label: 'Автобусы', plateFormat: 'STANDARD', hasEngine: true, limits: { seatsCount: { min: 10, required: true } } },
+  D1: {
+    label: 'Автобусы до 16 пассажирских мест',
+    plateFormat: 'STANDARD',
+    hasEngine: true,
+    limits: { seatsCount: { min: 10, max: 17, required: true } }
+  },
+  E: { label: 'Прицепы', plateFormat: 'TRAILER', hasEngine: false, limits: { maxMass: { required: true } } }
+};
+
+export const DEFAULT_VEHICLE_CATEGORY = 'B';
+
+// Поля, которых нет у ТС без двигателя
+const ENGINE_FIELDS = [
+  'typeOfDrive', 'powerKw', 'powerHp', 'transmissionType', 'steeringWheel',
+  'powertrainType', 'engineModel', 'engineVolume', 'electricMotorPower', 'batteryCapacity'
+];
+
+export const getVehicleCategory = (category) =>
+  VEHICLE_CATEGORIES[category] || VEHICLE_CATEGORIES[DEFAULT_VEHICLE_CATEGORY];
+
+export const getCategoryLabel = (category) => `${category || DEFAULT_VEHICLE_CATEGORY} — ${getVehicleCategory(category).label}`;
+
+export const getPlateFormat = (category) => PLATE_FORMATS[getVehicleCategory(category).plateFormat];
+
+export const isCategoryRequired = (category, field) => !!getVehicleCategory(category).limits?.[field]?.required;
+
+// Ограничения категории на массу и число мест
+export const validateCategoryLimits = (form) => {
+  const { limits = {} } = getVehicleCategory(form.category);
+  const errors = {};
+
+  Object.entries(limits).forEach(([field, { min, max, required }]) => {
+    const value = String(form[field] ?? '').trim();
+    if (!value) {
+      if (required) errors[field] = `Обязательно для категории ${form.category}`;
+      return;
+    }
+    if ((min && Number(value) < min) || (max && Number(value) > max)) {
+      errors[field] = `Для категории ${form.category}: ${[min && `от ${min}`, max && `до ${max}`].filter(Boolean).join(' ')}`;
+    }
+  });
+
+  return errors;
+};
+
+// У прицепа характеристики двигателя и трансмиссии отправляются пустыми
+export const toCategoryPayload = (payload) => {
+  if (getVehicleCategory(payload.category).hasEngine) return payload;
+  return { ...payload, ...Object.fromEntries(ENGINE_FIELDS.map(field => [field, null])) };
+};
@@ -0,0 +1,40 @@
+import { getPowertrain } from './vehicleSpecs';
+import { getCategoryLabel } from './vehicleCategories';
+
+export const VEHICLE_FIELD_LABELS = {
+  makeAndModel: 'Марка и модель',
+  releaseYear: 'Год выпуска',
+  manufacture: 'Изготовитель',
+  category: 'Категория ТС',
+  typeOfDrive: 'Тип привода',
+  power: 'Мощность',
+  powerKw: 'Мощность, кВт',
+  powerHp: 'Мощность, л.с.',
+  bodyColor: 'Цвет кузова',
+  transmissionType: 'Коробка передач',
+  steeringWheel: 'Руль',
+  powertrainType: 'Силовая установка',
+  engineModel: 'Модель двигателя',
+  engineVolume: 'Объем двигателя, см³',
+  electricMotorPower: 'Мощность электродвигателя, кВт',
+  batteryCapacity: 'Емкость батареи, кВт·ч',
+  curbMass: 'Масса без нагрузки, кг',
+  maxMass: 'Разрешенная максимальная масса, кг',
+  seatsCount: 'Число мест для сидения'
+};
+
+export const CHANGE_STATUSES = {
+  APPROVED: { label: 'Одобрено', color: 'success' },
+  REJECTED: { label: 'Отказано', color: 'error' }
+};
+
+export const getVehicleFieldLabel = (field) => VEHICLE_FIELD_LABELS[field] || field;
+
+const formatValue = (field, value) => {
+  if (value == null || value === '') return '—';
+  if (field === 'powertrainType') return getPowertrain(value).label;
+  return field === 'category' ? getCategoryLabel(value) : value;
+};
+
+export const formatChange = (change) =>
+  `${getVehicleFieldLabel(change.field)}: "${formatValue(change.field, change.oldValue)}" → "${formatValue(change.field, change.newValue)}"`;
@@ -0,0 +1,117 @@
+import { getVehicleCategory } from './vehicleCategories';
+
+const MAX_RELEASE_YEAR = new Date().getFullYear() + 1;
+
+// Числовые характеристики ТС: в форме хранятся строками, на сервер уходят числами
+export const SPEC_FIELDS = {
+  releaseYear: { label: 'Год выпуска', min: 1900, max: MAX_RELEASE_YEAR, required: true },
+  powerKw: { label: 'Мощность, кВт', min: 1, max: 1500, required: true },
+  powerHp: { label: 'Мощность, л.с.', min: 1, max: 2000, required: true },
+  curbMass: { label: 'Масса без нагрузки, кг', min: 100, max: 60000 },
+  maxMass: { label: 'Разрешенная максимальная масса, кг', min: 100, max: 60000 },
+  seatsCount: { label: 'Число мест для сидения', min: 1, max: 120 },
+  electricMotorPower: { label: 'Мощность электродвигателя, кВт', min: 1, max: 1500 },
+  batteryCapacity: { label: 'Емкость батареи, кВт·ч', min: 0.1, max: 300, decimal: true }
+};
+
+// engine — есть ДВС (модель и объем обязательны), motor — есть тяговый электродвигатель
+export const POWERTRAIN_TYPES = {
+  ICE: { label: 'ДВС', engine: true, motor: false },
+  HEV: { label: 'Гибрид (HEV)', engine: true, motor: true },
+  PHEV: { label: 'Подключаемый гибрид (PHEV)', engine: true, motor: true },
+  BEV: { label: 'Электромобиль (BEV)', engine: false, motor: true, motorRequired: true, batteryRequired: true },
+  FCEV: { label: 'Топливные элементы (FCEV)', engine: false, motor: true, motorRequired: true }
+};
+
+export const getPowertrain = (type) => POWERTRAIN_TYPES[type] || POWERTRAIN_TYPES.ICE;
+
+const ELECTRIC_FIELDS = ['electricMotorPower', 'batteryCapacity'];
+const BASE_SPEC_FIELDS = Object.keys(SPEC_FIELDS).filter(field => !ELECTRIC_FIELDS.includes(field));
+
+const POWER_FIELDS = ['powerKw', 'powerHp'];
+
+// Характеристики, заполняемые для категории ТС: у прицепа нет мощности
+export const getSpecFields = (category) =>
+  BASE_SPEC_FIELDS.filter(field => getVehicleCategory(category).hasEngine || !POWER_FIELDS.includes(field));
+
+const isBlank = (value) => String(value ?? '').trim() === '';
+
+export const toSpecsForm = (vehicle) =>
+  Object.fromEntries(Object.keys(SPEC_FIELDS).map(field => [
+    field,
+    vehicle?.[field] == null ? '' : String(vehicle[field])
+  ]));
+
+export const toSpecsPayload = (form, fields = BASE_SPEC_FIELDS) =>
+  Object.fromEntries(fields.map(field => [
+    field,
+    isBlank(form[field]) ? null : Number(form[field])
+  ]));
+
+export const validateSpecs = (form, fields = BASE_SPEC_FIELDS, required = []) => {
+  const errors = {};
+
+  fields.forEach(field => {
+    const { min, max, decimal } = SPEC_FIELDS[field];
+    const value = String(form[field] ?? '').trim().replace(',', '.');
+
+    if (!value) {
+      if (SPEC_FIELDS[field].required || required.includes(field)) errors[field] = 'Обязательно';
+      return;
+    }
+    const pattern = decimal ? /^\d+(\.\d)?$/ : /^\d+$/;
+    if (!pattern.test(value) || Number(value) < min || Number(value) > max) {
+      errors[field] = decimal ? `Число от ${min} до ${max}, один знак после точки` : `Целое число от ${min} до ${max}`;
+    }
+  });
+
+  return errors;
+};
+
+// Проверка полей, набор которых зависит от типа силовой установки
+export const validatePowertrain = (form) => {
+  const powertrain = getPowertrain(form.powertrainType);
+  const errors = {};
+
+  if (!getVehicleCategory(form.category).hasEngine) return errors;
+
+  const engineModel = String(form.engineModel || '');
+  if (powertrain.engine || engineModel) {
+    if (!/^[A-Z0-9-]+$/.test(engineModel)) {
+      errors.engineModel = 'Допустимы латинские буквы, цифры и дефис';
+    }
+  }
+
+  if (powertrain.engine) {
+    const volume = parseInt(form.engineVolume);
+    if (isNaN(volume) || volume < 500 || volume > 7400) {
+      errors.engineVolume = 'Объем должен быть от 500 до 7400 см³';
+    }
+  }
+
+  if (powertrain.motor) {
+    const required = [
+      ...(powertrain.motorRequired ? ['electricMotorPower'] : []),
+      ...(powertrain.batteryRequired ? ['batteryCapacity'] : [])
+    ];
+    Object.assign(errors, validateSpecs(form, ELECTRIC_FIELDS, required));
+  }
+
+  return errors;
+};
+
+export const toPowertrainPayload = (form) => {
+  const powertrain = getPowertrain(form.powertrainType);
+  const electric = toSpecsPayload(
+    { ...form, batteryCapacity: String(form.batteryCapacity ?? '').replace(',', '.') },
+    ELECTRIC_FIELDS
+  );
+
+  return {
+    powertrainType: form.powertrainType || 'ICE',
+    engineModel: form.engineModel || null,
+    engineVolume: powertrain.engine ? Number(form.engineVolume) : null,
+    electricMotorPower: powertrain.motor ? electric.electricMotorPower : null,
+    batteryCapacity: powertrain.motor ? electric.batteryCapacity : null
+  };
+};
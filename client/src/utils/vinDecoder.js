@@ -0,0 +1,55 @@
+import { useEffect, useState } from 'react';
+import api from '../http';
+
+export const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+export const decodeVin = (vin) => api.get(`/vehicles/decode/${vin}`);
+
+// Расшифровка VIN запрашивается, как только введены все 17 символов
+export const useVinDecoder = (vin) => {
+  const [decoded, setDecoded] = useState(null);
+
+  useEffect(() => {
+    if (!VIN_PATTERN.test(vin || '')) {
+      setDecoded(null);
+      return;
+    }
+
+    let cancelled = false;
+    decodeVin(vin)
+      .then(res => !cancelled && setDecoded(res.data.data))
+      .catch(() => !cancelled && setDecoded(null));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [vin]);
+
+  return decoded;
+};
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-zа-яё0-9]/g, '');
+
+// Подсказки к полям формы, если введенные данные расходятся с расшифровкой VIN.
+// Модельный год может опережать фактический год выпуска на один год
+export const getVinHints = (decoded, { manufacture, releaseYear }) => {
+  const hints = {};
+  if (!decoded) return hints;
+
+  if (decoded.checkDigit.valid === false) {
+    hints.vin = `Неверная контрольная цифра (9-й символ должен быть ${decoded.checkDigit.expected})`;
+  }
+
+  const expected = normalize(decoded.manufacturer);
+  const actual = normalize(manufacture);
+  if (expected && actual && !expected.includes(actual) && !actual.includes(expected)) {
+    hints.manufacture = `По VIN изготовитель: ${decoded.manufacturer}`;
+  }
+
+  const year = Number(releaseYear);
+  if (decoded.modelYear && /^\d{4}$/.test(releaseYear || '') && year !== decoded.modelYear && year !== decoded.modelYear - 1) {
+    hints.releaseYear = `По VIN модельный год: ${decoded.modelYear}`;
+  }
+
+  return hints;
+};
@@ -4,6 +4,9 @@ const errorHandler = require('./middleware/ErrorHandlingMiddleware');
 
 const app = express();
 
+// Запросы приходят через nginx, адрес клиента для ограничения частоты берется из X-Forwarded-For
+app.set('trust proxy', 'loopback, uniquelocal');
+
 app.use(express.json());
 app.use('/api', router);
 
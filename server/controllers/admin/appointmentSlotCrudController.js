@@ -0,0 +1,170 @@
+const { AppointmentSlot, Appointment, RegistrationDepart } = require('../../models/associations');
+const ApiError = require("../../error/ApiError");
+const Joi = require('joi');
+const { Op } = require('sequelize');
+const sequelize = require('../../db');
+const { slotGenerateSchema, slotPatchSchema, slotQuerySchema } = require('../../validations/appointmentShema');
+const {
+    toZonedDateTime,
+    getDayRange,
+    withBookedCount,
+    countBookedAppointments
+} = require('../../services/appointmentService');
+
+class AppointmentSlotCrudController {
+    async getSlots(req, res, next) {
+        try {
+            const { unitCode } = req.params;
+
+            const { error, value } = slotQuerySchema.validate(req.query);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const department = await RegistrationDepart.findByPk(unitCode);
+            if (!department) throw ApiError.notFound('Department not found');
+
+            const where = { unitCode };
+            if (value.date) {
+                const { from, to } = getDayRange(value.date);
+                where.startsAt = { [Op.gte]: from, [Op.lt]: to };
+            }
+
+            const slots = await AppointmentSlot.findAll({
+                where,
+                include: [
+                    {
+                        model: Appointment,
+                        attributes: ['appointmentId', 'status'],
+                        required: false
+                    }
+                ],
+                order: [['startsAt', 'ASC']]
+            });
+
+            res.json(slots.map(withBookedCount));
+        } catch (e) {
+            console.error('GET SLOTS ERROR:', e);
+            next(e);
+        }
+    }
+
+    async createSlots(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { unitCode } = req.params;
+
+            const { error, value } = slotGenerateSchema.validate(req.body);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const department = await RegistrationDepart.findByPk(unitCode, { transaction });
+            if (!department) throw ApiError.notFound('Department not found');
+
+            const dayStart = toZonedDateTime(value.date, value.startTime);
+            const dayEnd = toZonedDateTime(value.date, value.endTime);
+
+            if (dayStart >= dayEnd) {
+                throw ApiError.badRequest('End time must be later than start time');
+            }
+
+            const slots = [];
+            for (
+                let startsAt = dayStart;
+                startsAt.getTime() + value.intervalMinutes * 60000 <= dayEnd.getTime();
+                startsAt = new Date(startsAt.getTime() + value.intervalMinutes * 60000)
+            ) {
+                slots.push({
+                    unitCode,
+                    startsAt,
+                    endsAt: new Date(startsAt.getTime() + value.intervalMinutes * 60000),
+                    capacity: value.capacity
+                });
+            }
+
+            if (slots.length === 0) {
+                throw ApiError.badRequest('The interval does not fit into the specified time range');
+            }
+
+            const overlapping = await AppointmentSlot.findOne({
+                where: {
+                    unitCode,
+                    startsAt: { [Op.lt]: dayEnd },
+                    endsAt: { [Op.gt]: dayStart }
+                },
+                transaction
+            });
+
+            if (overlapping) {
+                throw ApiError.conflict('Slots overlapping the specified time range already exist');
+            }
+
+            const created = await AppointmentSlot.bulkCreate(slots, { transaction });
+
+            await transaction.commit();
+            res.status(201).json(created);
+        } catch (e) {
+            await transaction.rollback();
+            console.error('CREATE SLOTS ERROR:', e);
+            next(e);
+        }
+    }
+
+    async patchSlot(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { error: idError } = Joi.number().integer().positive().required().validate(req.params.id);
+            if (idError) throw ApiError.badRequest('Invalid slot ID');
+
+            const { error, value } = slotPatchSchema.validate(req.body);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const slot = await AppointmentSlot.findByPk(req.params.id, {
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+            if (!slot) throw ApiError.notFound('Slot not found');
+
+            const booked = await countBookedAppointments(slot.slotId, transaction);
+            if (value.capacity < booked) {
+                throw ApiError.conflict(`Capacity cannot be less than the number of bookings (${booked})`);
+            }
+
+            await slot.update(value, { transaction });
+            await transaction.commit();
+            res.json(slot);
+        } catch (e) {
+            await transaction.rollback();
+            console.error('PATCH SLOT ERROR:', e);
+            next(e);
+        }
+    }
+
+    async deleteSlot(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { error: idError } = Joi.number().integer().positive().required().validate(req.params.id);
+            if (idError) throw ApiError.badRequest('Invalid slot ID');
+
+            const slot = await AppointmentSlot.findByPk(req.params.id, { transaction });
+            if (!slot) throw ApiError.notFound('Slot not found');
+
+            const booked = await countBookedAppointments(slot.slotId, transaction);
+            if (booked > 0) {
+                throw ApiError.badRequest('Cannot delete slot: it has active bookings');
+            }
+
+            await Appointment.destroy({ where: { slotId: slot.slotId }, transaction });
+            await slot.destroy({ transaction });
+
+            await transaction.commit();
+            res.status(204).send();
+        } catch (e) {
+            await transaction.rollback();
+            console.error('DELETE SLOT ERROR:', e);
+            next(e);
+        }
+    }
+}
+
+module.exports = new AppointmentSlotCrudController();
@@ -0,0 +1,288 @@
+const { VehicleManufacturer, VehicleModel, TransportVehicle } = require('../../models/associations');
+const ApiError = require("../../error/ApiError");
+const { Op, fn, col, where: sqlWhere } = require('sequelize');
+const sequelize = require('../../db');
+const { manufacturerSchema, vehicleModelSchema, catalogueQuerySchema } = require('../../validations/catalogueShema');
+const { buildManufacturerMatchKeys, buildModelMatchKeys } = require('../../services/catalogueService');
+
+function parseId(value) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id <= 0) {
+        throw ApiError.badRequest('Invalid catalogue entry id');
+    }
+    return id;
+}
+
+// Поиск по названию и псевдонимам, без учета регистра
+function searchCondition(columns, search) {
+    return {
+        [Op.or]: [
+            ...columns.map(column => ({ [column]: { [Op.iLike]: `%${search}%` } })),
+            sqlWhere(fn('array_to_string', col('aliases'), ' '), { [Op.iLike]: `%${search}%` })
+        ]
+    };
+}
+
+async function assertManufacturerKeysFree(matchKeys, manufacturerId, transaction) {
+    const existing = await VehicleManufacturer.findOne({
+        where: {
+            matchKeys: { [Op.overlap]: matchKeys },
+            ...(manufacturerId && { manufacturerId: { [Op.ne]: manufacturerId } })
+        },
+        transaction
+    });
+
+    if (existing) {
+        throw ApiError.conflict(`Name or alias is already used by manufacturer ${existing.name}`);
+    }
+}
+
+async function assertModelKeysFree(matchKeys, modelId, transaction) {
+    const existing = await VehicleModel.findOne({
+        where: {
+            matchKeys: { [Op.overlap]: matchKeys },
+            ...(modelId && { modelId: { [Op.ne]: modelId } })
+        },
+        transaction
+    });
+
+    if (existing) {
+        throw ApiError.conflict(`Name or alias is already used by model ${existing.make} ${existing.model}`);
+    }
+}
+
+class CatalogueCrudController {
+    async getManufacturers(req, res, next) {
+        try {
+            const { error, value } = catalogueQuerySchema.validate(req.query);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const { limit, page, search } = value;
+
+            const { count, rows } = await VehicleManufacturer.findAndCountAll({
+                where: search ? searchCondition(['name'], search) : {},
+                attributes: { exclude: ['matchKeys'] },
+                limit,
+                offset: (page - 1) * limit,
+                order: [['name', 'ASC']]
+            });
+
+            res.json({
+                total: count,
+                pages: Math.ceil(count / limit),
+                currentPage: page,
+                data: rows
+            });
+        } catch (e) {
+            console.error('GET MANUFACTURERS ERROR:', e);
+            next(e);
+        }
+    }
+
+    async createManufacturer(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { error, value } = manufacturerSchema.validate(req.body);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const matchKeys = buildManufacturerMatchKeys(value);
+            await assertManufacturerKeysFree(matchKeys, null, transaction);
+
+            const manufacturer = await VehicleManufacturer.create({ ...value, matchKeys }, { transaction });
+
+            await transaction.commit();
+            res.status(201).json(manufacturer);
+        } catch (e) {
+            await transaction.rollback();
+            console.error('CREATE MANUFACTURER ERROR:', e);
+            next(e);
+        }
+    }
+
+    async updateManufacturer(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const id = parseId(req.params.id);
+
+            const { error, value } = manufacturerSchema.validate(req.body);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const manufacturer = await VehicleManufacturer.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+            if (!manufacturer) throw ApiError.notFound('Manufacturer not found');
+
+            const matchKeys = buildManufacturerMatchKeys(value);
+            await assertManufacturerKeysFree(matchKeys, id, transaction);
+
+            const previousName = manufacturer.name;
+            await manufacturer.update({ ...value, matchKeys }, { transaction });
+
+            // Каноническое название хранится и в карточках ТС, привязанных к моделям изготовителя
+            if (previousName !== manufacturer.name) {
+                const models = await VehicleModel.findAll({ where: { manufacturerId: id }, attributes: ['modelId'], transaction });
+                await TransportVehicle.update(
+                    { manufacture: manufacturer.name },
+                    { where: { modelId: models.map(model => model.modelId) }, transaction }
+                );
+            }
+
+            await transaction.commit();
+            res.json(manufacturer);
+        } catch (e) {
+            await transaction.rollback();
+            console.error('UPDATE MANUFACTURER ERROR:', e);
+            next(e);
+        }
+    }
+
+    async deleteManufacturer(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const id = parseId(req.params.id);
+
+            const manufacturer = await VehicleManufacturer.findByPk(id, { transaction });
+            if (!manufacturer) throw ApiError.notFound('Manufacturer not found');
+
+            const hasModels = await VehicleModel.findOne({ where: { manufacturerId: id }, transaction });
+            if (hasModels) {
+                throw ApiError.badRequest('Cannot delete manufacturer: catalogue models are still assigned');
+            }
+
+            await manufacturer.destroy({ transaction });
+
+            await transaction.commit();
+            res.status(204).send();
+        } catch (e) {
+            await transaction.rollback();
+            console.error('DELETE MANUFACTURER ERROR:', e);
+            next(e);
+        }
+    }
+
+    async getModels(req, res, next) {
+        try {
+            const { error, value } = catalogueQuerySchema.validate(req.query);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const { limit, page, search, manufacturerId } = value;
+
+            const where = {};
+            if (manufacturerId) where.manufacturerId = manufacturerId;
+            if (search) {
+                Object.assign(where, {
+                    [Op.or]: [
+                        sqlWhere(fn('concat', col('make'), ' ', col('model')), { [Op.iLike]: `%${search}%` }),
+                        searchCondition([], search)
+                    ]
+                });
+            }
+
+            const { count, rows } = await VehicleModel.findAndCountAll({
+                where,
+                attributes: { exclude: ['matchKeys'] },
+                include: [{ model: VehicleManufacturer, attributes: ['manufacturerId', 'name'] }],
+                limit,
+                offset: (page - 1) * limit,
+                order: [['make', 'ASC'], ['model', 'ASC']]
+            });
+
+            res.json({
+                total: count,
+                pages: Math.ceil(count / limit),
+                currentPage: page,
+                data: rows
+            });
+        } catch (e) {
+            console.error('GET MODELS ERROR:', e);
+            next(e);
+        }
+    }
+
+    async createModel(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { error, value } = vehicleModelSchema.validate(req.body);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const manufacturer = await VehicleManufacturer.findByPk(value.manufacturerId, { transaction });
+            if (!manufacturer) throw ApiError.notFound('Manufacturer not found');
+
+            const matchKeys = buildModelMatchKeys(value);
+            await assertModelKeysFree(matchKeys, null, transaction);
+
+            const model = await VehicleModel.create({ ...value, matchKeys }, { transaction });
+
+            await transaction.commit();
+            res.status(201).json(model);
+        } catch (e) {
+            await transaction.rollback();
+            console.error('CREATE MODEL ERROR:', e);
+            next(e);
+        }
+    }
+
+    async updateModel(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const id = parseId(req.params.id);
+
+            const { error, value } = vehicleModelSchema.validate(req.body);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const model = await VehicleModel.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+            if (!model) throw ApiError.notFound('Catalogue model not found');
+
+            const manufacturer = await VehicleManufacturer.findByPk(value.manufacturerId, { transaction });
+            if (!manufacturer) throw ApiError.notFound('Manufacturer not found');
+
+            const matchKeys = buildModelMatchKeys(value);
+            await assertModelKeysFree(matchKeys, id, transaction);
+
+            await model.update({ ...value, matchKeys }, { transaction });
+
+            // Привязанные ТС получают обновленные канонические названия
+            await TransportVehicle.update(
+                { makeAndModel: `${model.make} ${model.model}`, manufacture: manufacturer.name },
+                { where: { modelId: id }, transaction }
+            );
+
+            await transaction.commit();
+            res.json(model);
+        } catch (e) {
+            await transaction.rollback();
+            console.error('UPDATE MODEL ERROR:', e);
+            next(e);
+        }
+    }
+
+    async deleteModel(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const id = parseId(req.params.id);
+
+            const model = await VehicleModel.findByPk(id, { transaction });
+            if (!model) throw ApiError.notFound('Catalogue model not found');
+
+            const vehiclesCount = await TransportVehicle.count({ where: { modelId: id }, transaction });
+            if (vehiclesCount > 0) {
+                throw ApiError.badRequest(`Cannot delete model: ${vehiclesCount} vehicles refer to it`);
+            }
+
+            await model.destroy({ transaction });
+
+            await transaction.commit();
+            res.status(204).send();
+        } catch (e) {
+            await transaction.rollback();
+            console.error('DELETE MODEL ERROR:', e);
+            next(e);
+        }
+    }
+}
+
+module.exports = new CatalogueCrudController();
@@ -0,0 +1,55 @@
+const { PlateNumber, RegistrationDepart } = require('../../models/associations');
+const ApiError = require("../../error/ApiError");
+const sequelize = require('../../db');
+const { plateGenerateSchema } = require('../../validations/plateShema');
+const { buildPlateNumbers } = require('../../services/plateService');
+const { getPlateFormat } = require('../../services/vehicleCategoryService');
+
+class PlateCrudController {
+    async generatePlates(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { error, value } = plateGenerateSchema.validate(req.body);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const { regionCode, category, series, from, to } = value;
+
+            const department = await RegistrationDepart.findOne({
+                where: { regionCode },
+                transaction
+            });
+            if (!department) {
+                throw ApiError.badRequest(`No registration department serves region ${regionCode}`);
+            }
+
+            const plates = buildPlateNumbers(getPlateFormat(category), series, regionCode, from, to).map(plateNumber => ({
+                plateNumber,
+                regionCode,
+                status: 'FREE'
+            }));
+
+            const existing = await PlateNumber.count({
+                where: { plateNumber: plates.map(plate => plate.plateNumber) },
+                transaction
+            });
+
+            await PlateNumber.bulkCreate(plates, {
+                transaction,
+                ignoreDuplicates: true
+            });
+
+            await transaction.commit();
+            res.status(201).json({
+                requested: plates.length,
+                created: plates.length - existing
+            });
+        } catch (e) {
+            await transaction.rollback();
+            console.error('GENERATE PLATES ERROR:', e);
+            next(e);
+        }
+    }
+}
+
+module.exports = new PlateCrudController();
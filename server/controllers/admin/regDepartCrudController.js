@@ -1,4 +1,4 @@
-const { RegistrationDepart, Employee } = require('../../models/associations');
+const { RegistrationDepart, Employee, AppointmentSlot } = require('../../models/associations');
 const ApiError = require("../../error/ApiError");
 const Joi = require('joi');
 const { Op } = require('sequelize');
@@ -228,6 +228,15 @@ class RegDepartCrudController {
                 throw ApiError.badRequest('Cannot delete department: employees are still assigned');
             }
 
+            const hasSlots = await AppointmentSlot.findOne({
+                where: { unitCode: department.unitCode },
+                transaction
+            });
+
+            if (hasSlots) {
+                throw ApiError.badRequest('Cannot delete department: appointment slots are configured');
+            }
+
             await department.destroy({ transaction });
 
             await transaction.commit();
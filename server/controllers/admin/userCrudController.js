@@ -5,6 +5,7 @@ const { Op } = require('sequelize');
 const sequelize = require('../../db');
 const bcrypt = require('bcrypt');
 const { userSchema, userPatchSchema } = require('../../validations/userShema');
+const { getDefaultCompanyRole } = require('../../services/companyService');
 
 function generateRandomString(length) {
     const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
@@ -106,6 +107,7 @@ class UserCrudController {
 
             let finalEmail = email;
             let finalPassword = password;
+            let companyRole = null;
             
             if (role === 'EMPLOYEE') {
                 if (!badgeNumber) throw ApiError.badRequest('badgeNumber is required');
@@ -135,6 +137,8 @@ class UserCrudController {
                 if (taxNumber) {
                     const entity = await LegalEntity.findOne({ where: { taxNumber }, transaction });
                     if (!entity) throw ApiError.notFound('LegalEntity not found');
+
+                    companyRole = await getDefaultCompanyRole(taxNumber, transaction);
                 }
             }
 
@@ -155,6 +159,7 @@ class UserCrudController {
                 role,
                 passportData: passportData || null,
                 taxNumber: taxNumber || null,
+                companyRole,
                 badgeNumber: badgeNumber || null
             }, { transaction });
 
@@ -199,9 +204,9 @@ class UserCrudController {
                 if (existing) throw ApiError.conflict('Passport data already used by another user');
             }
 
-            if (taxNumber !== undefined && taxNumber !== user.taxNumber) {
-                const existing = await User.findOne({ where: { taxNumber }, transaction });
-                if (existing) throw ApiError.conflict('Tax number already used by another user');
+            // Под одним ИНН может быть несколько учетных записей; при смене компании роль назначается заново
+            if (taxNumber !== undefined && taxNumber !== user.taxNumber && value.companyRole === undefined) {
+                value.companyRole = taxNumber ? await getDefaultCompanyRole(taxNumber, transaction) : null;
             }
 
             if (badgeNumber !== undefined && badgeNumber !== user.badgeNumber) {
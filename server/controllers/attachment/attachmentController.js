@@ -0,0 +1,85 @@
+const ApiError = require('../../error/ApiError');
+const Joi = require('joi');
+const { attachmentQuerySchema, attachmentUploadSchema } = require('../../validations/attachmentShema');
+const {
+    listAttachments,
+    saveAttachment,
+    readAttachment,
+    deleteAttachment
+} = require('../../services/attachmentService');
+
+const attachmentIdSchema = Joi.number().integer().positive().required();
+
+function handleError(label, e, next) {
+    if (e instanceof ApiError) {
+        next(e);
+    } else {
+        console.error(`${label}:`, e);
+        next(ApiError.internal(e.message));
+    }
+}
+
+class AttachmentController {
+    async getAttachments(req, res, next) {
+        try {
+            const { error, value } = attachmentQuerySchema.validate(req.query);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const attachments = await listAttachments(req.user, value.targetType, value.targetId);
+
+            res.json({ data: attachments });
+        } catch (e) {
+            handleError('GET ATTACHMENTS ERROR', e, next);
+        }
+    }
+
+    async uploadAttachment(req, res, next) {
+        try {
+            const { error, value } = attachmentUploadSchema.validate(req.query);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const mimeType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            const content = Buffer.isBuffer(req.body) ? req.body : null;
+
+            const attachment = await saveAttachment(req.user, value, mimeType, content);
+
+            res.status(201).json({
+                message: 'Файл приложен',
+                data: attachment
+            });
+        } catch (e) {
+            handleError('UPLOAD ATTACHMENT ERROR', e, next);
+        }
+    }
+
+    async getAttachmentFile(req, res, next) {
+        try {
+            const { error, value: id } = attachmentIdSchema.validate(req.params.id);
+            if (error) throw ApiError.badRequest('Invalid attachment id');
+
+            const { attachment, content } = await readAttachment(req.user, id);
+
+            res.type(attachment.mimeType);
+            res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`);
+            res.setHeader('X-Checksum-SHA256', attachment.checksum);
+            res.send(content);
+        } catch (e) {
+            handleError('GET ATTACHMENT FILE ERROR', e, next);
+        }
+    }
+
+    async deleteAttachment(req, res, next) {
+        try {
+            const { error, value: id } = attachmentIdSchema.validate(req.params.id);
+            if (error) throw ApiError.badRequest('Invalid attachment id');
+
+            await deleteAttachment(req.user, id);
+
+            res.json({ message: 'Вложение удалено' });
+        } catch (e) {
+            handleError('DELETE ATTACHMENT ERROR', e, next);
+        }
+    }
+}
+
+module.exports = new AttachmentController();
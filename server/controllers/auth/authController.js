@@ -5,6 +5,8 @@ const jwt = require('jsonwebtoken');
 const sequelize = require('../../db');
 const { translateError } = require('../../error/errorMessage');
 const { ownerRegistrationSchema, employeeRegistrationSchema } = require('../../validations/authShema');
+const { inviteRegistrationSchema } = require('../../validations/companyShema');
+const { COMPANY_ROLES, findPendingInvite } = require('../../services/companyService');
 
 const SALT_ROUNDS = parseInt(process.env.SALT_ROUNDS) || 10;
 const JWT_SECRET = process.env.SECRET_KEY || 'secret-key';
@@ -46,13 +48,24 @@ class AuthController {
                     throw ApiError.notFound(translateError('Natural person not found'));
                 }
             } else {
+                // Блокировка юр. лица не дает двум одновременным регистрациям пройти проверку ниже
                 const entity = await LegalEntity.findOne({ 
                     where: { taxNumber },
-                    transaction 
+                    transaction,
+                    lock: transaction.LOCK.UPDATE
                 });
                 if (!entity) {
                     throw ApiError.notFound(translateError('Legal entity not found'));
                 }
+
+                // Первая учетная запись становится администратором, остальные подключаются по приглашению
+                const companyUser = await User.findOne({
+                    where: { taxNumber },
+                    transaction
+                });
+                if (companyUser) {
+                    throw ApiError.conflict(translateError('Legal entity already has an account. Ask the company administrator for an invite'));
+                }
             }
 
             const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
@@ -62,7 +75,8 @@ class AuthController {
                 password: hashedPassword,
                 role,
                 passportData: isNaturalPerson ? passportData : null,
-                taxNumber: !isNaturalPerson ? taxNumber : null
+                taxNumber: !isNaturalPerson ? taxNumber : null,
+                companyRole: !isNaturalPerson ? 'COMPANY_ADMIN' : null
             }, { transaction });
 
             await transaction.commit();
@@ -86,6 +100,84 @@ class AuthController {
         }
     }
 
+    async getInvite(req, res, next) {
+        try {
+            const { error } = inviteRegistrationSchema.extract('token').validate(req.params.token);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const invite = await findPendingInvite(req.params.token);
+
+            res.json({
+                email: invite.email,
+                companyRole: invite.companyRole,
+                companyRoleLabel: COMPANY_ROLES[invite.companyRole].label,
+                company: invite.legalentity,
+                expiresAt: invite.expiresAt
+            });
+        } catch (e) {
+            console.error('GET INVITE ERROR:', e);
+            if (e instanceof ApiError) {
+                e.message = translateError(e.message);
+                next(e);
+            } else {
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async registerByInvite(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { error, value } = inviteRegistrationSchema.validate(req.body);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const invite = await findPendingInvite(value.token, transaction);
+
+            const existingUser = await User.findOne({
+                where: { email: invite.email },
+                transaction
+            });
+            if (existingUser) {
+                throw ApiError.conflict(translateError('User with this email already exists'));
+            }
+
+            const hashedPassword = await bcrypt.hash(value.password, SALT_ROUNDS);
+
+            const user = await User.create({
+                email: invite.email,
+                password: hashedPassword,
+                role: 'OWNER',
+                taxNumber: invite.taxNumber,
+                companyRole: invite.companyRole
+            }, { transaction });
+
+            await invite.update({ status: 'ACCEPTED' }, { transaction });
+
+            await transaction.commit();
+
+            const token = jwt.sign(
+                { id: user.id, email: user.email, role: user.role },
+                JWT_SECRET,
+                { expiresIn: '24h' }
+            );
+
+            const { password: _, ...userWithoutPassword } = user.toJSON();
+
+            res.status(201).json({
+                user: userWithoutPassword,
+                token
+            });
+        } catch (e) {
+            await transaction.rollback();
+            console.error('REGISTER BY INVITE ERROR:', e);
+            if (e instanceof ApiError) {
+                e.message = translateError(e.message);
+            }
+            next(e);
+        }
+    }
+
     async registerEmployee(req, res, next) {
         const transaction = await sequelize.transaction();
         
@@ -0,0 +1,72 @@
+const {
+    AppointmentSlot,
+    Appointment,
+    RegistrationApplication,
+    TransportVehicle,
+    Employee
+} = require('../../models/associations');
+const ApiError = require("../../error/ApiError");
+const { Op } = require('sequelize');
+const { slotQuerySchema } = require('../../validations/appointmentShema');
+const { getDayRange } = require('../../services/appointmentService');
+
+class AgendaController {
+    async getAgenda(req, res, next) {
+        try {
+            const { error, value } = slotQuerySchema.validate(req.query);
+            if (error) {
+                throw ApiError.badRequest(error.details[0].message);
+            }
+
+            const employee = await Employee.findByPk(req.user.badgeNumber);
+            if (!employee) {
+                throw ApiError.forbidden('Сотрудник не привязан к регистрационному подразделению');
+            }
+
+            const { from, to } = getDayRange(value.date);
+
+            const slots = await AppointmentSlot.findAll({
+                where: {
+                    unitCode: employee.unitCode,
+                    startsAt: { [Op.gte]: from, [Op.lt]: to }
+                },
+                include: [
+                    {
+                        model: Appointment,
+                        where: { status: 'BOOKED' },
+                        required: false,
+                        attributes: ['appointmentId', 'bookedAt'],
+                        include: [
+                            {
+                                model: RegistrationApplication,
+                                attributes: ['applicationId', 'vin', 'applicant', 'operationType', 'status'],
+                                include: [
+                                    {
+                                        model: TransportVehicle,
+                                        attributes: ['vin', 'makeAndModel', 'releaseYear']
+                                    }
+                                ]
+                            }
+                        ]
+                    }
+                ],
+                order: [['startsAt', 'ASC']]
+            });
+
+            res.json({
+                unitCode: employee.unitCode,
+                date: from,
+                data: slots
+            });
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('Ошибка при получении расписания приёма:', e);
+                next(ApiError.internal('Произошла ошибка при получении расписания приёма'));
+            }
+        }
+    }
+}
+
+module.exports = new AgendaController();
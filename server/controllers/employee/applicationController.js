@@ -0,0 +1,357 @@
+const {
+    RegistrationApplication,
+    ApplicationStatusHistory,
+    RegistrationOp,
+    RegistrationDoc,
+    TransportVehicle,
+    RegistrationDepart,
+    PlateNumber,
+    PowerOfAttorney
+} = require('../../models/associations');
+const ApiError = require("../../error/ApiError");
+const Joi = require('joi');
+const { Op } = require('sequelize');
+const sequelize = require('../../db');
+const {
+    applicationStatuses,
+    applicationCommentSchema,
+    applicationApproveSchema
+} = require('../../validations/applicationShema');
+const { changeApplicationStatus } = require('../../services/applicationService');
+const { applyRequestedChanges } = require('../../services/vehicleService');
+const {
+    REGISTRATION_OPERATION_TYPE,
+    DEREGISTRATION_OPERATION_TYPE,
+    syncVehicleRegistration
+} = require('../../services/registrationService');
+const { findOwnedRegistration } = require('../../services/coOwnershipService');
+const { saveCertificateData } = require('../../services/documentService');
+const { deregisterVehicle } = require('../../services/deregistrationService');
+const { assertNoBlockingRestrictions, getOperationAction } = require('../../services/restrictionService');
+const { assertPowerOfAttorneyValid } = require('../../services/powerOfAttorneyService');
+
+async function updateApplicationStatus(req, toStatus, comment) {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const application = await RegistrationApplication.findByPk(req.params.id, {
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+        if (!application) {
+            throw ApiError.notFound('Заявление не найдено');
+        }
+
+        await changeApplicationStatus(application, toStatus, req.user, comment, transaction);
+        await transaction.commit();
+
+        return application;
+    } catch (e) {
+        await transaction.rollback();
+        throw e;
+    }
+}
+
+function validateApplicationId(id) {
+    const { error } = Joi.number().integer().positive().required().validate(id);
+    if (error) {
+        throw ApiError.badRequest('Неверный формат ID заявления');
+    }
+}
+
+class ApplicationController {
+    async getAllApplications(req, res, next) {
+        try {
+            const { error, value } = Joi.object({
+                limit: Joi.number().integer().min(1).max(100).default(20),
+                page: Joi.number().integer().min(1).default(1),
+                search: Joi.string().allow('').optional(),
+                status: Joi.string().valid(...applicationStatuses).optional(),
+                unitCode: Joi.string().length(6).optional(),
+                sortField: Joi.string().valid('applicationId', 'vin', 'unitCode', 'operationType', 'status', 'applicationDate').optional(),
+                sortOrder: Joi.string().valid('ASC', 'DESC').optional()
+            }).validate(req.query);
+
+            if (error) {
+                throw ApiError.badRequest(error.details[0].message);
+            }
+
+            const { limit, page, search, status, unitCode } = value;
+            const offset = (page - 1) * limit;
+
+            const where = {};
+            if (search) {
+                where[Op.or] = [
+                    { vin: { [Op.iLike]: `%${search}%` } },
+                    { applicant: { [Op.iLike]: `%${search}%` } },
+                    { representative: { [Op.iLike]: `%${search}%` } }
+                ];
+            }
+            if (status) where.status = status;
+            if (unitCode) where.unitCode = unitCode;
+
+            const { count, rows } = await RegistrationApplication.findAndCountAll({
+                where,
+                limit,
+                offset,
+                include: [
+                    {
+                        model: TransportVehicle,
+                        attributes: ['vin', 'makeAndModel', 'releaseYear']
+                    }
+                ],
+                order: [[value.sortField || 'applicationDate', value.sortOrder || 'DESC']]
+            });
+
+            res.json({
+                total: count,
+                pages: Math.ceil(count / limit),
+                currentPage: page,
+                data: rows
+            });
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('Ошибка при получении списка заявлений:', e);
+                next(ApiError.internal('Произошла ошибка при получении списка заявлений'));
+            }
+        }
+    }
+
+    async getApplicationById(req, res, next) {
+        try {
+            validateApplicationId(req.params.id);
+
+            const application = await RegistrationApplication.findByPk(req.params.id, {
+                include: [
+                    {
+                        model: TransportVehicle,
+                        attributes: { exclude: ['createdAt', 'updatedAt'] }
+                    },
+                    {
+                        model: RegistrationDepart,
+                        attributes: ['unitCode', 'departmentName', 'address']
+                    },
+                    {
+                        model: ApplicationStatusHistory,
+                        attributes: ['fromStatus', 'toStatus', 'changedBy', 'changedByRole', 'comment', 'changedAt']
+                    },
+                    {
+                        model: PlateNumber,
+                        attributes: ['plateNumber', 'status', 'reservedUntil']
+                    },
+                    {
+                        model: PowerOfAttorney,
+                        attributes: { exclude: ['createdAt', 'updatedAt'] }
+                    }
+                ],
+                order: [[ApplicationStatusHistory, 'changedAt', 'ASC']]
+            });
+
+            if (!application) {
+                throw ApiError.notFound('Заявление не найдено');
+            }
+
+            res.json(application);
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('Ошибка при получении заявления:', e);
+                next(ApiError.internal('Произошла ошибка при получении заявления'));
+            }
+        }
+    }
+
+    async takeForReview(req, res, next) {
+        try {
+            validateApplicationId(req.params.id);
+
+            const application = await updateApplicationStatus(req, 'UNDER_REVIEW', null);
+
+            res.json(application);
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('Ошибка при изменении статуса заявления:', e);
+                next(ApiError.internal('Произошла ошибка при изменении статуса заявления'));
+            }
+        }
+    }
+
+    async requestCorrection(req, res, next) {
+        try {
+            validateApplicationId(req.params.id);
+
+            const { error } = applicationCommentSchema.validate(req.body);
+            if (error) {
+                throw ApiError.badRequest(error.details[0].message);
+            }
+
+            const application = await updateApplicationStatus(req, 'NEEDS_CORRECTION', req.body.comment);
+
+            res.json(application);
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('Ошибка при изменении статуса заявления:', e);
+                next(ApiError.internal('Произошла ошибка при изменении статуса заявления'));
+            }
+        }
+    }
+
+    async rejectApplication(req, res, next) {
+        try {
+            validateApplicationId(req.params.id);
+
+            const { error } = applicationCommentSchema.validate(req.body);
+            if (error) {
+                throw ApiError.badRequest(error.details[0].message);
+            }
+
+            const application = await updateApplicationStatus(req, 'REJECTED', req.body.comment);
+
+            res.json(application);
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('Ошибка при изменении статуса заявления:', e);
+                next(ApiError.internal('Произошла ошибка при изменении статуса заявления'));
+            }
+        }
+    }
+
+    async approveApplication(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            validateApplicationId(req.params.id);
+
+            const { error, value } = applicationApproveSchema.validate(req.body);
+            if (error) {
+                throw ApiError.badRequest(error.details[0].message);
+            }
+
+            const application = await RegistrationApplication.findByPk(req.params.id, {
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+            if (!application) {
+                throw ApiError.notFound('Заявление не найдено');
+            }
+
+            await assertNoBlockingRestrictions(application.vin, getOperationAction(application.operationType), transaction);
+
+            if (application.powerOfAttorneyId) {
+                await assertPowerOfAttorneyValid(
+                    application.powerOfAttorneyId,
+                    application.operationType,
+                    value.operationDate || new Date(),
+                    transaction
+                );
+            }
+
+            // ТС могло перейти к другому владельцу после подачи заявления
+            if (application.operationType !== REGISTRATION_OPERATION_TYPE
+                && !await findOwnedRegistration(application.vin, application.applicant, transaction)) {
+                throw ApiError.badRequest('ТС не зарегистрировано на заявителя');
+            }
+
+            const registrationNumber = value.registrationNumber !== undefined
+                ? value.registrationNumber
+                : application.registrationNumber;
+
+            const doc = registrationNumber
+                ? await RegistrationDoc.findByPk(registrationNumber, { transaction })
+                : null;
+            if (registrationNumber && !doc) {
+                throw ApiError.badRequest('Регистрационный документ не найден');
+            }
+
+            // Срок временной регистрации из заявления переносится в документ
+            if (doc && application.validUntil) {
+                await doc.update({ validUntil: application.validUntil }, { transaction });
+            }
+
+            await changeApplicationStatus(application, 'APPROVED', req.user, value.comment, transaction);
+
+            let changes = null;
+            if (application.requestedChanges) {
+                const requestedFields = application.requestedChanges.map(change => change.field);
+                const approvedFields = value.approvedFields || requestedFields;
+
+                if (approvedFields.some(field => !requestedFields.includes(field))) {
+                    throw ApiError.badRequest('Можно одобрить только изменения, указанные в заявлении');
+                }
+                if (approvedFields.length === 0) {
+                    throw ApiError.badRequest('Не выбрано ни одного изменения. Чтобы отказать полностью, отклоните заявление');
+                }
+
+                const vehicle = await TransportVehicle.findByPk(application.vin, {
+                    transaction,
+                    lock: transaction.LOCK.UPDATE
+                });
+                if (!vehicle) {
+                    throw ApiError.notFound('Транспортное средство не найдено');
+                }
+
+                changes = await applyRequestedChanges(vehicle, application.requestedChanges, approvedFields, transaction);
+            } else if (value.approvedFields) {
+                throw ApiError.badRequest('Заявление не содержит запрашиваемых изменений');
+            }
+
+            // Снятие с учета закрывает документ и выводит номер из оборота
+            const operation = application.operationType === DEREGISTRATION_OPERATION_TYPE
+                ? (await deregisterVehicle(application.vin, application.applicant, {
+                    unitCode: application.unitCode,
+                    operationBase: application.operationBase,
+                    operationDate: value.operationDate,
+                    representative: application.representative,
+                    powerOfAttorneyId: application.powerOfAttorneyId
+                }, transaction)).operation
+                : await RegistrationOp.create({
+                    vin: application.vin,
+                    registrationNumber: registrationNumber || null,
+                    unitCode: application.unitCode,
+                    operationType: application.operationType,
+                    operationBase: application.operationBase,
+                    changes,
+                    validUntil: application.operationType === REGISTRATION_OPERATION_TYPE
+                        ? doc?.validUntil || application.validUntil
+                        : null,
+                    operationDate: value.operationDate || new Date(),
+                    representative: application.representative,
+                    powerOfAttorneyId: application.powerOfAttorneyId
+                }, { transaction });
+
+            await application.update({ operationId: operation.operationId }, { transaction });
+            await saveCertificateData(operation, transaction);
+            await syncVehicleRegistration(operation.vin, transaction);
+
+            await transaction.commit();
+
+            res.json({
+                message: 'Заявление одобрено',
+                data: {
+                    application,
+                    operation
+                }
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('Ошибка при одобрении заявления:', e);
+                next(ApiError.internal('Произошла ошибка при одобрении заявления'));
+            }
+        }
+    }
+}
+
+module.exports = new ApplicationController();
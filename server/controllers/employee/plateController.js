@@ -0,0 +1,169 @@
+const { PlateNumber, Employee } = require('../../models/associations');
+const ApiError = require("../../error/ApiError");
+const { Op } = require('sequelize');
+const sequelize = require('../../db');
+const { plateNumberSchema, plateQuerySchema } = require('../../validations/plateShema');
+const {
+    PLATE_RESERVATION_HOURS,
+    availablePlateCondition,
+    isPlateAvailable,
+    isReservedBy,
+    getEmployeeRegion
+} = require('../../services/plateService');
+
+function validatePlateNumber(plateNumber) {
+    const { error } = plateNumberSchema.validate(plateNumber);
+    if (error) {
+        throw ApiError.badRequest(error.details[0].message);
+    }
+}
+
+class PlateController {
+    async getPlates(req, res, next) {
+        try {
+            const { error, value } = plateQuerySchema.validate(req.query);
+            if (error) {
+                throw ApiError.badRequest(error.details[0].message);
+            }
+
+            const { limit, page, search, status, available } = value;
+            const offset = (page - 1) * limit;
+
+            const regionCode = value.regionCode
+                || (req.user.role === 'EMPLOYEE' ? await getEmployeeRegion(req.user.badgeNumber) : undefined);
+
+            const where = {};
+            if (regionCode) where.regionCode = regionCode;
+            if (search) where.plateNumber = { [Op.iLike]: `%${search}%` };
+            if (status) where.status = status;
+            if (available) Object.assign(where, availablePlateCondition());
+
+            const { count, rows } = await PlateNumber.findAndCountAll({
+                where,
+                limit,
+                offset,
+                include: [
+                    {
+                        model: Employee,
+                        attributes: ['badgeNumber', 'lastName', 'firstName']
+                    }
+                ],
+                order: [[value.sortBy || 'plateNumber', value.sortOrder || 'ASC']]
+            });
+
+            const now = new Date();
+
+            res.json({
+                regionCode: regionCode || null,
+                total: count,
+                pages: Math.ceil(count / limit),
+                currentPage: page,
+                data: rows.map(plate => ({
+                    ...plate.toJSON(),
+                    available: isPlateAvailable(plate, now)
+                }))
+            });
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('Ошибка при получении реестра номеров:', e);
+                next(ApiError.internal('Произошла ошибка при получении реестра номеров'));
+            }
+        }
+    }
+
+    async reservePlate(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            validatePlateNumber(req.params.plateNumber);
+
+            const plate = await PlateNumber.findByPk(req.params.plateNumber, {
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+
+            if (!plate) {
+                throw ApiError.notFound('Номер не найден в реестре');
+            }
+
+            if (!isPlateAvailable(plate) && !isReservedBy(plate, req.user.badgeNumber)) {
+                throw ApiError.conflict('Номер недоступен для резервирования');
+            }
+
+            const regionCode = await getEmployeeRegion(req.user.badgeNumber, transaction);
+            if (plate.regionCode !== regionCode) {
+                throw ApiError.badRequest(`Номер ${plate.plateNumber} не относится к региону ${regionCode}`);
+            }
+
+            await plate.update({
+                status: 'RESERVED',
+                reservedBy: req.user.badgeNumber,
+                applicationId: null,
+                reservedUntil: new Date(Date.now() + PLATE_RESERVATION_HOURS * 60 * 60 * 1000)
+            }, { transaction });
+
+            await transaction.commit();
+
+            res.json({
+                message: 'Номер зарезервирован',
+                data: plate
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('Ошибка при резервировании номера:', e);
+                next(ApiError.internal('Произошла ошибка при резервировании номера'));
+            }
+        }
+    }
+
+    async releasePlate(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            validatePlateNumber(req.params.plateNumber);
+
+            const plate = await PlateNumber.findByPk(req.params.plateNumber, {
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+
+            if (!plate) {
+                throw ApiError.notFound('Номер не найден в реестре');
+            }
+
+            if (!isReservedBy(plate, req.user.badgeNumber)) {
+                throw ApiError.conflict('Номер не зарезервирован вами');
+            }
+
+            await plate.update({
+                status: 'FREE',
+                reservedBy: null,
+                reservedUntil: null
+            }, { transaction });
+
+            await transaction.commit();
+
+            res.json({
+                message: 'Резерв номера снят',
+                data: plate
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('Ошибка при снятии резерва номера:', e);
+                next(ApiError.internal('Произошла ошибка при снятии резерва номера'));
+            }
+        }
+    }
+}
+
+module.exports = new PlateController();
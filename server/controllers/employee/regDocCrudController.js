@@ -1,9 +1,30 @@
-const { RegistrationDoc, NaturalPerson, LegalEntity, Owner } = require('../../models/associations');
+const { RegistrationDoc, NaturalPerson, LegalEntity, Owner, TransportVehicle, VehicleDocument } = require('../../models/associations');
 const ApiError = require("../../error/ApiError");
 const Joi = require('joi');
 const { Op } = require('sequelize');
 const sequelize = require('../../db');
-const { regDocSchema, regDocPutSchema, regDocPatchSchema } = require('../../validations/regDocShema');
+const {
+    PTS_PATTERNS,
+    ptsTypes,
+    regDocSchema,
+    regDocPutSchema,
+    regDocPatchSchema,
+    regDocReissueSchema,
+    documentLookupSchema,
+    regDocOwnersSchema
+} = require('../../validations/regDocShema');
+const { allocatePlate, issuePlateNumber, getEmployeeRegion } = require('../../services/plateService');
+const { syncDocumentRegistrations } = require('../../services/registrationService');
+const { assertNoBlockingRestrictions } = require('../../services/restrictionService');
+const {
+    recordDocumentNumbers,
+    correctDocumentNumbers,
+    reissueDocument,
+    lookupDocumentNumber
+} = require('../../services/documentService');
+const { renderCertificate } = require('../../services/pdfService');
+const { PLATE_PATTERN } = require('../../services/vehicleCategoryService');
+const { getOwners, setOwners } = require('../../services/coOwnershipService');
 
 class RegDocCrudController {
     async getAllRegDoc(req, res, next) {
@@ -13,9 +34,11 @@ class RegDocCrudController {
                 page: Joi.number().integer().min(1).default(1),
                 search: Joi.string().allow('').optional(),
                 documentOwner: Joi.string().optional(),
+                status: Joi.string().valid('ACTIVE', 'CLOSED').optional(),
+                ptsType: Joi.string().valid(...ptsTypes).optional(),
                 startDate: Joi.date().iso().optional(),
                 endDate: Joi.date().iso().optional(),
-                sortBy: Joi.string().valid('registrationNumber', 'registrationDate', 'address', 'pts', 'sts', 'documentOwner').optional(),
+                sortBy: Joi.string().valid('registrationNumber', 'registrationDate', 'validUntil', 'address', 'pts', 'ptsType', 'sts', 'documentOwner', 'status').optional(),
                 sortOrder: Joi.string().valid('ASC', 'DESC').optional()
             }).validate(req.query);
 
@@ -23,7 +46,7 @@ class RegDocCrudController {
 
             const limit = parseInt(req.query.limit) || 10;
             const page = parseInt(req.query.page) || 1;
-            const { search, documentOwner, startDate, endDate } = req.query;
+            const { search, documentOwner, status, ptsType, startDate, endDate } = req.query;
             const offset = (page - 1) * limit;
 
             const where = {};
@@ -31,6 +54,11 @@ class RegDocCrudController {
             if (search) {
                 where[Op.or] = [
                     { pts: { [Op.iLike]: `%${search}%` }},
+                    // Номер бумажного ПТС ищется и без пробелов, как номер ЭПТС
+                    sequelize.where(
+                        sequelize.fn('replace', sequelize.col('pts'), ' ', ''),
+                        { [Op.iLike]: `%${search.replace(/\s/g, '')}%` }
+                    ),
                     { sts: { [Op.iLike]: `%${search}%` }},
                     { address: { [Op.iLike]: `%${search}%` }},
                     { registrationNumber: { [Op.iLike]: `%${search}%` }},
@@ -42,6 +70,14 @@ class RegDocCrudController {
                 where.documentOwner = documentOwner;
             }
 
+            if (status) {
+                where.status = status;
+            }
+
+            if (ptsType) {
+                where.ptsType = ptsType;
+            }
+
             if (startDate && endDate) {
                 const start = new Date(startDate);
                 const end = new Date(endDate);
@@ -111,7 +147,7 @@ class RegDocCrudController {
         try {
             const { regNumber } = req.params;
 
-            if (!/^[АВЕКМНОРСТУХ]\d{3}[АВЕКМНОРСТУХ]{2}\d{2,3}$/.test(regNumber)) {
+            if (!PLATE_PATTERN.test(regNumber)) {
                 throw ApiError.badRequest('Invalid registration number format');
             }
 
@@ -166,10 +202,30 @@ class RegDocCrudController {
         const transaction = await sequelize.transaction();
         
         try {
-            const { error } = regDocSchema.validate(req.body);
+            const { error, value } = regDocSchema.validate(req.body);
             if (error) throw ApiError.badRequest(error.details[0].message);
 
-            const { registrationNumber, address, pts, sts, registrationDate, documentOwner } = req.body;
+            const { address, pts, ptsType, ptsStatus, ptsIssuedAt, sts, registrationDate, validUntil, documentOwner, vin } = value;
+
+            if (ptsType === 'ELECTRONIC' && ptsStatus !== 'ACTIVE') {
+                throw ApiError.badRequest('Only an active electronic PTS can be used for registration');
+            }
+
+            // Документ на конкретное ТС не выдается, пока на него действует запрет
+            const vehicle = await TransportVehicle.findByPk(vin, { transaction });
+            if (!vehicle) {
+                throw ApiError.badRequest('Vehicle with the specified VIN was not found');
+            }
+            await assertNoBlockingRestrictions(vin, 'REGISTRATION', transaction);
+
+            const plate = req.body.registrationNumber
+                ? await issuePlateNumber(req.body.registrationNumber, {
+                    badgeNumber: req.user.badgeNumber,
+                    documentOwner,
+                    category: vehicle.category
+                }, transaction)
+                : await allocatePlate(await getEmployeeRegion(req.user.badgeNumber, transaction), vehicle.category, transaction);
+            const registrationNumber = plate.plateNumber;
 
             const existingDoc = await RegistrationDoc.findOne({
                 where: { registrationNumber },
@@ -181,12 +237,14 @@ class RegDocCrudController {
             }
 
             const existingPts = await RegistrationDoc.findOne({
-                where: { pts },
+                where: { pts, ptsType, status: 'ACTIVE' },
                 transaction
             });
 
             if (existingPts) {
-                throw ApiError.conflict('Document with this PTS number already exists');
+                throw ApiError.conflict(ptsType === 'ELECTRONIC'
+                    ? 'Document with this electronic PTS number already exists'
+                    : 'Document with this PTS number already exists');
             }
 
             const existingSts = await RegistrationDoc.findOne({
@@ -241,14 +299,20 @@ class RegDocCrudController {
                 registrationNumber,
                 address,
                 pts,
+                ptsType,
+                ptsStatus: ptsStatus || null,
+                ptsIssuedAt: ptsIssuedAt ? new Date(ptsIssuedAt).toISOString().split('T')[0] : null,
                 sts,
                 registrationDate: new Date(registrationDate).toISOString().split('T')[0], 
+                validUntil: validUntil ? new Date(validUntil).toISOString().split('T')[0] : null,
                 documentOwner
             }, {
                 transaction,
                 returning: true
             });
 
+            await recordDocumentNumbers(newDoc, { badgeNumber: req.user.badgeNumber }, transaction);
+
             await transaction.commit();
             res.status(201).json(newDoc);
         } catch (e) {
@@ -262,7 +326,7 @@ class RegDocCrudController {
         
         try {
             const { regNumber } = req.params;
-            const { error } = regDocPutSchema.validate(req.body);
+            const { error, value } = regDocPutSchema.validate(req.body);
             if (error) throw ApiError.badRequest(error.details[0].message);
 
             const doc = await RegistrationDoc.findByPk(regNumber, { transaction });
@@ -271,7 +335,7 @@ class RegDocCrudController {
                 throw ApiError.notFound('Document not found');
             }
 
-            const { address, pts, sts, registrationDate, documentOwner } = req.body;
+            const { address, pts, ptsType, ptsStatus, ptsIssuedAt, sts, registrationDate, validUntil, documentOwner } = value;
 
             let ownerExists = false;
             if (documentOwner.length === 11) {
@@ -316,6 +380,8 @@ class RegDocCrudController {
                 const existingPts = await RegistrationDoc.findOne({
                     where: { 
                         pts,
+                        ptsType,
+                        status: 'ACTIVE',
                         registrationNumber: { [Op.ne]: regNumber }
                     },
                     transaction
@@ -338,17 +404,25 @@ class RegDocCrudController {
                 }
             }
 
+            await correctDocumentNumbers(doc, { pts, sts }, req.user.badgeNumber, transaction);
+
             await doc.update({
                 address,
                 pts,
+                ptsType,
+                ptsStatus: ptsStatus || null,
+                ptsIssuedAt: ptsIssuedAt ? new Date(ptsIssuedAt).toISOString().split('T')[0] : null,
                 sts,
                 registrationDate: new Date(registrationDate).toISOString().split('T')[0],
+                validUntil: validUntil ? new Date(validUntil).toISOString().split('T')[0] : null,
                 documentOwner
             }, {
                 transaction,
-                fields: ['address', 'pts', 'sts', 'registrationDate', 'documentOwner']
+                fields: ['address', 'pts', 'ptsType', 'ptsStatus', 'ptsIssuedAt', 'sts', 'registrationDate', 'validUntil', 'documentOwner']
             });
 
+            await syncDocumentRegistrations(doc.registrationNumber, transaction);
+
             await transaction.commit();
 
             const updatedDoc = await RegistrationDoc.findByPk(regNumber, {
@@ -461,10 +535,37 @@ class RegDocCrudController {
                 }
             }
 
+            // Номер и реквизиты паспорта ТС проверяются по итоговому виду ПТС
+            const ptsType = value.ptsType || doc.ptsType;
+            if (!PTS_PATTERNS[ptsType].test(value.pts || doc.pts)) {
+                throw ApiError.badRequest(ptsType === 'ELECTRONIC'
+                    ? 'Electronic PTS number must consist of 15 digits'
+                    : 'PTS must match format: 12 АБ 345678');
+            }
+
+            if (ptsType === 'ELECTRONIC') {
+                if (!(value.ptsStatus !== undefined ? value.ptsStatus : doc.ptsStatus)) {
+                    throw ApiError.badRequest('Electronic PTS status is required');
+                }
+                if (!(value.ptsIssuedAt !== undefined ? value.ptsIssuedAt : doc.ptsIssuedAt)) {
+                    throw ApiError.badRequest('Electronic PTS issue date is required');
+                }
+            } else if (value.ptsStatus) {
+                throw ApiError.badRequest('Paper PTS has no status');
+            } else if (value.ptsType) {
+                value.ptsStatus = null;
+            }
+
+            if (value.ptsIssuedAt) {
+                value.ptsIssuedAt = new Date(value.ptsIssuedAt).toISOString().split('T')[0];
+            }
+
             if (value.pts && value.pts !== doc.pts) {
                 const existingPts = await RegistrationDoc.findOne({
                     where: { 
                         pts: value.pts,
+                        ptsType,
+                        status: 'ACTIVE',
                         registrationNumber: { [Op.ne]: regNumber }
                     },
                     transaction
@@ -491,11 +592,24 @@ class RegDocCrudController {
                 value.registrationDate = new Date(value.registrationDate).toISOString().split('T')[0];
             }
 
+            if (value.validUntil) {
+                value.validUntil = new Date(value.validUntil).toISOString().split('T')[0];
+
+                const registrationDate = value.registrationDate || new Date(doc.registrationDate).toISOString().split('T')[0];
+                if (value.validUntil <= registrationDate) {
+                    throw ApiError.badRequest('Temporary registration must end after the registration date');
+                }
+            }
+
+            await correctDocumentNumbers(doc, value, req.user.badgeNumber, transaction);
+
             await doc.update(value, {
                 transaction,
-                fields: ['address', 'pts', 'sts', 'registrationDate', 'documentOwner']
+                fields: ['address', 'pts', 'ptsType', 'ptsStatus', 'ptsIssuedAt', 'sts', 'registrationDate', 'validUntil', 'documentOwner']
             });
 
+            await syncDocumentRegistrations(doc.registrationNumber, transaction);
+
             await transaction.commit();
 
             const updatedDoc = await RegistrationDoc.findByPk(regNumber, {
@@ -512,6 +626,146 @@ class RegDocCrudController {
             next(e);
         }
     }
+
+    async getDocumentHistory(req, res, next) {
+        try {
+            const doc = await RegistrationDoc.findByPk(req.params.regNumber);
+            if (!doc) {
+                throw ApiError.notFound('Registration document not found');
+            }
+
+            const documents = await VehicleDocument.findAll({
+                where: { registrationNumber: doc.registrationNumber },
+                include: [
+                    {
+                        model: VehicleDocument,
+                        as: 'replacedBy',
+                        attributes: ['documentId', 'number', 'issuedAt']
+                    }
+                ],
+                order: [['kind', 'ASC'], ['issuedAt', 'DESC'], ['documentId', 'DESC']]
+            });
+
+            res.json({ data: documents });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async reissueDocument(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { error, value } = regDocReissueSchema.validate(req.body);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const doc = await RegistrationDoc.findByPk(req.params.regNumber, {
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+            if (!doc) {
+                throw ApiError.notFound('Registration document not found');
+            }
+
+            const { previous, replacement } = await reissueDocument(doc, value, req.user.badgeNumber, transaction);
+
+            await transaction.commit();
+
+            res.status(201).json({
+                message: `${value.kind} ${previous.number} replaced with ${replacement.number}`,
+                data: { doc, previous, replacement }
+            });
+        } catch (e) {
+            await transaction.rollback();
+            next(e);
+        }
+    }
+
+    async getDocumentOwners(req, res, next) {
+        try {
+            const doc = await RegistrationDoc.findByPk(req.params.regNumber);
+            if (!doc) {
+                throw ApiError.notFound('Registration document not found');
+            }
+
+            res.json({ data: await getOwners(doc) });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async updateDocumentOwners(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { error, value } = regDocOwnersSchema.validate(req.body);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const doc = await RegistrationDoc.findByPk(req.params.regNumber, {
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+            if (!doc) {
+                throw ApiError.notFound('Registration document not found');
+            }
+            if (doc.status !== 'ACTIVE') {
+                throw ApiError.conflict('Owners can be changed only for an active registration document');
+            }
+
+            const owners = await setOwners(doc, value.owners, transaction);
+
+            await transaction.commit();
+
+            res.json({
+                message: 'Owners updated',
+                data: owners
+            });
+        } catch (e) {
+            await transaction.rollback();
+            next(e);
+        }
+    }
+
+    async lookupDocument(req, res, next) {
+        try {
+            const { error, value } = documentLookupSchema.validate(req.query);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const document = await lookupDocumentNumber(value.kind, value.number);
+            if (!document) {
+                throw ApiError.notFound(`${value.kind} ${value.number} was never issued`);
+            }
+
+            const message = document.replacedBy
+                ? `${value.kind} ${value.number} is invalid: replaced with ${document.replacedBy.number} on ${document.invalidatedAt}`
+                : document.status === 'ACTIVE'
+                    ? `${value.kind} ${value.number} is valid`
+                    : `${value.kind} ${value.number} is invalid since ${document.invalidatedAt}`;
+
+            res.json({ message, data: document });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async getCertificate(req, res, next) {
+        try {
+            const { regNumber } = req.params;
+
+            if (!PLATE_PATTERN.test(regNumber)) {
+                throw ApiError.badRequest('Invalid registration number format');
+            }
+
+            const { fileName, content } = await renderCertificate(regNumber);
+
+            // Регистрационный номер записан кириллицей, поэтому имя файла передается в кодировке RFC 5987
+            res.type('application/pdf');
+            res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+            res.send(content);
+        } catch (e) {
+            next(e);
+        }
+    }
 }
 
-module.exports = new RegDocCrudController();
\ No newline at end of file
+module.exports = new RegDocCrudController();
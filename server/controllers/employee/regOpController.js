@@ -4,6 +4,7 @@ const Joi = require('joi');
 const { Op } = require('sequelize');
 const sequelize = require('../../db');
 const { regOpPatchSchema } = require('../../validations/regOpShema');
+const { syncVehicleRegistration } = require('../../services/registrationService');
 
 class RegOpController {
     async getAllRegOp(req, res, next) {
@@ -166,6 +167,7 @@ class RegOpController {
             }
 
             await operation.update(updateData, { transaction });
+            await syncVehicleRegistration(operation.vin, transaction);
             await transaction.commit();
 
             const updatedOperation = await RegistrationOp.findByPk(id, {
@@ -0,0 +1,155 @@
+const { VehicleRestriction, TransportVehicle, Employee } = require('../../models/associations');
+const ApiError = require("../../error/ApiError");
+const Joi = require('joi');
+const sequelize = require('../../db');
+const { restrictionSchema, restrictionLiftSchema } = require('../../validations/restrictionShema');
+const { RESTRICTION_TYPES, isRestrictionActive } = require('../../services/restrictionService');
+
+function toDateOnly(value) {
+    return new Date(value).toISOString().split('T')[0];
+}
+
+function withActivity(restriction) {
+    return {
+        ...restriction.toJSON(),
+        label: RESTRICTION_TYPES[restriction.type].label,
+        active: isRestrictionActive(restriction)
+    };
+}
+
+class RestrictionController {
+    async getVehicleRestrictions(req, res, next) {
+        try {
+            const vehicle = await TransportVehicle.findByPk(req.params.vin);
+            if (!vehicle) {
+                throw ApiError.notFound('Транспортное средство не найдено');
+            }
+
+            const restrictions = await VehicleRestriction.findAll({
+                where: { vin: vehicle.vin },
+                include: [
+                    {
+                        model: Employee,
+                        attributes: ['badgeNumber', 'lastName', 'firstName']
+                    }
+                ],
+                order: [['imposedAt', 'DESC']]
+            });
+
+            res.json({
+                data: restrictions.map(withActivity)
+            });
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('Ошибка при получении ограничений ТС:', e);
+                next(ApiError.internal('Произошла ошибка при получении ограничений ТС'));
+            }
+        }
+    }
+
+    async createRestriction(req, res, next) {
+        try {
+            const { error, value } = restrictionSchema.validate(req.body);
+            if (error) {
+                throw ApiError.badRequest(error.details[0].message);
+            }
+
+            const vehicle = await TransportVehicle.findByPk(req.params.vin);
+            if (!vehicle) {
+                throw ApiError.notFound('Транспортное средство не найдено');
+            }
+
+            const duplicate = await VehicleRestriction.findOne({
+                where: {
+                    vin: vehicle.vin,
+                    type: value.type,
+                    documentNumber: value.documentNumber
+                }
+            });
+            if (duplicate) {
+                throw ApiError.conflict('Ограничение по этому документу уже внесено');
+            }
+
+            const restriction = await VehicleRestriction.create({
+                vin: vehicle.vin,
+                type: value.type,
+                authority: value.authority,
+                documentNumber: value.documentNumber,
+                imposedAt: toDateOnly(value.imposedAt),
+                liftedAt: value.liftedAt ? toDateOnly(value.liftedAt) : null,
+                comment: value.comment || null,
+                createdBy: req.user.badgeNumber
+            });
+
+            res.status(201).json({
+                message: 'Ограничение внесено',
+                data: withActivity(restriction)
+            });
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('Ошибка при внесении ограничения:', e);
+                next(ApiError.internal('Произошла ошибка при внесении ограничения'));
+            }
+        }
+    }
+
+    async liftRestriction(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { error: idError } = Joi.number().integer().positive().required().validate(req.params.id);
+            if (idError) {
+                throw ApiError.badRequest('Некорректный идентификатор ограничения');
+            }
+
+            const { error, value } = restrictionLiftSchema.validate(req.body);
+            if (error) {
+                throw ApiError.badRequest(error.details[0].message);
+            }
+
+            const restriction = await VehicleRestriction.findByPk(req.params.id, {
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+            if (!restriction) {
+                throw ApiError.notFound('Ограничение не найдено');
+            }
+
+            if (!isRestrictionActive(restriction)) {
+                throw ApiError.conflict('Ограничение уже снято');
+            }
+
+            const liftedAt = toDateOnly(value.liftedAt || new Date());
+            if (liftedAt < restriction.imposedAt) {
+                throw ApiError.badRequest('Дата снятия не может быть раньше даты наложения');
+            }
+
+            await restriction.update({
+                liftedAt,
+                liftDocumentNumber: value.liftDocumentNumber
+            }, { transaction });
+
+            await transaction.commit();
+
+            res.json({
+                message: 'Ограничение снято',
+                data: withActivity(restriction)
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('Ошибка при снятии ограничения:', e);
+                next(ApiError.internal('Произошла ошибка при снятии ограничения'));
+            }
+        }
+    }
+}
+
+module.exports = new RestrictionController();
@@ -0,0 +1,124 @@
+const {
+    OwnershipTransfer,
+    TransportVehicle,
+    RegistrationDepart
+} = require('../../models/associations');
+const ApiError = require("../../error/ApiError");
+const Joi = require('joi');
+const { Op } = require('sequelize');
+const sequelize = require('../../db');
+const { transferStatuses, transferFinalizeSchema } = require('../../validations/transferShema');
+const { completeTransfer } = require('../../services/transferService');
+
+class TransferController {
+    async getAllTransfers(req, res, next) {
+        try {
+            const { error, value } = Joi.object({
+                limit: Joi.number().integer().min(1).max(100).default(20),
+                page: Joi.number().integer().min(1).default(1),
+                search: Joi.string().allow('').optional(),
+                status: Joi.string().valid(...transferStatuses).optional(),
+                sortField: Joi.string().valid('transferId', 'vin', 'status', 'createdAt', 'acceptedAt').optional(),
+                sortOrder: Joi.string().valid('ASC', 'DESC').optional()
+            }).validate(req.query);
+
+            if (error) {
+                throw ApiError.badRequest(error.details[0].message);
+            }
+
+            const { limit, page, search, status } = value;
+            const offset = (page - 1) * limit;
+
+            const where = {};
+            if (search) {
+                where[Op.or] = [
+                    { vin: { [Op.iLike]: `%${search}%` } },
+                    { seller: { [Op.iLike]: `%${search}%` } },
+                    { buyer: { [Op.iLike]: `%${search}%` } },
+                    { registrationNumber: { [Op.iLike]: `%${search}%` } }
+                ];
+            }
+            if (status) where.status = status;
+
+            const { count, rows } = await OwnershipTransfer.findAndCountAll({
+                where,
+                limit,
+                offset,
+                include: [
+                    {
+                        model: TransportVehicle,
+                        attributes: ['vin', 'makeAndModel', 'releaseYear']
+                    },
+                    {
+                        model: RegistrationDepart,
+                        attributes: ['unitCode', 'departmentName']
+                    }
+                ],
+                order: [[value.sortField || 'createdAt', value.sortOrder || 'DESC']]
+            });
+
+            res.json({
+                total: count,
+                pages: Math.ceil(count / limit),
+                currentPage: page,
+                data: rows
+            });
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('Ошибка при получении списка передач ТС:', e);
+                next(ApiError.internal('Произошла ошибка при получении списка передач ТС'));
+            }
+        }
+    }
+
+    async finalizeTransfer(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { error: idError } = Joi.number().integer().positive().required().validate(req.params.id);
+            if (idError) {
+                throw ApiError.badRequest('Неверный формат ID передачи');
+            }
+
+            const { error, value } = transferFinalizeSchema.validate(req.body);
+            if (error) {
+                throw ApiError.badRequest(error.details[0].message);
+            }
+
+            const transfer = await OwnershipTransfer.findByPk(req.params.id, {
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+
+            if (!transfer) {
+                throw ApiError.notFound('Передача ТС не найдена');
+            }
+
+            const { buyerDoc, operation } = await completeTransfer(transfer, value, req.user.badgeNumber, transaction);
+
+            await transaction.commit();
+
+            res.json({
+                message: 'Передача ТС оформлена',
+                data: {
+                    transfer,
+                    registrationDoc: buyerDoc,
+                    operation
+                }
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('Ошибка при оформлении передачи ТС:', e);
+                next(ApiError.internal('Произошла ошибка при оформлении передачи ТС'));
+            }
+        }
+    }
+}
+
+module.exports = new TransferController();
@@ -1,9 +1,12 @@
-const { TransportVehicle } = require('../../models/associations');
+const { TransportVehicle, VehicleRegistration, RegistrationDoc } = require('../../models/associations');
 const ApiError = require("../../error/ApiError");
 const Joi = require('joi');
 const { Op } = require('sequelize');
 const sequelize = require('../../db');
-const { vehicleUpdateSchema, vehiclePatchSchema } = require('../../validations/vehicleShema');
+const { vehicleUpdateSchema, vehiclePatchSchema, vehicleListQuerySchema } = require('../../validations/vehicleShema');
+const { patchVehicle, normalizeVehicleSpecs } = require('../../services/vehicleService');
+const { findActiveRestrictions } = require('../../services/restrictionService');
+const { applyCatalogue } = require('../../services/catalogueService');
 
 class TransportVehicleController {
     async getAllTransportVehicle(req, res, next) {
@@ -21,15 +24,24 @@ class TransportVehicleController {
                 'makeAndModel',
                 'releaseYear',
                 'manufacture',
+                'category',
                 'typeOfDrive',
                 'power',
+                'powerKw',
+                'powerHp',
                 'chassisNumber',
                 'bodyNumber',
                 'bodyColor',
                 'transmissionType',
                 'steeringWheel',
+                'powertrainType',
                 'engineModel',
                 'engineVolume',
+                'electricMotorPower',
+                'batteryCapacity',
+                'curbMass',
+                'maxMass',
+                'seatsCount',
                 'createdAt',
                 'updatedAt'
             ];
@@ -42,6 +54,11 @@ class TransportVehicleController {
                 throw ApiError.badRequest('Invalid sort order');
             }
 
+            const { error, value: filters } = vehicleListQuerySchema.validate(req.query);
+            if (error) {
+                throw ApiError.badRequest(error.details[0].message);
+            }
+
             const offset = (page - 1) * limit;
 
             const where = {};
@@ -52,10 +69,30 @@ class TransportVehicleController {
                 ];
             }
 
-            const order = sortBy === 'power'
-                ? sequelize.literal(`CAST(REGEXP_REPLACE(SPLIT_PART(power, '/', 2), '\\D', '', 'g') AS INTEGER) ${sortOrder}`)
-                : [[sortBy, sortOrder.toUpperCase()]];
-                
+            if (filters.powertrainType) {
+                where.powertrainType = filters.powertrainType;
+            }
+
+            if (filters.category) {
+                where.category = filters.category;
+            }
+
+            const rangeFilters = {
+                powerHp: ['powerHpFrom', 'powerHpTo'],
+                releaseYear: ['releaseYearFrom', 'releaseYearTo'],
+                engineVolume: ['engineVolumeFrom', 'engineVolumeTo']
+            };
+
+            for (const [field, [fromKey, toKey]] of Object.entries(rangeFilters)) {
+                const range = {};
+                if (filters[fromKey] !== undefined) range[Op.gte] = filters[fromKey];
+                if (filters[toKey] !== undefined) range[Op.lte] = filters[toKey];
+                if (Object.getOwnPropertySymbols(range).length) where[field] = range;
+            }
+
+            // Мощность сортируется по л.с., как и фильтруется
+            const order = [[sortBy === 'power' ? 'powerHp' : sortBy, sortOrder.toUpperCase()]];
+
             const { count, rows } = await TransportVehicle.findAndCountAll({
                 where,
                 limit: parseInt(limit),
@@ -63,8 +100,13 @@ class TransportVehicleController {
                 order
             });
 
+            const restrictions = await findActiveRestrictions(rows.map(vehicle => vehicle.vin));
+
             res.json({
-                data: rows,
+                data: rows.map(vehicle => ({
+                    ...vehicle.toJSON(),
+                    restrictions: restrictions.filter(restriction => restriction.vin === vehicle.vin)
+                })),
                 pagination: {
                     total: count,
                     page: parseInt(page),
@@ -93,15 +135,24 @@ class TransportVehicleController {
                     'makeAndModel',
                     'releaseYear',
                     'manufacture',
+                    'category',
                     'typeOfDrive',
                     'power',
+                    'powerKw',
+                    'powerHp',
                     'chassisNumber',
                     'bodyNumber',
                     'bodyColor',
                     'transmissionType',
                     'steeringWheel',
+                    'powertrainType',
                     'engineModel',
-                    'engineVolume'
+                    'engineVolume',
+                    'electricMotorPower',
+                    'batteryCapacity',
+                    'curbMass',
+                    'maxMass',
+                    'seatsCount'
                 ]
             });
 
@@ -118,6 +169,46 @@ class TransportVehicleController {
         }
     }
 
+    async getVehicleStatus(req, res, next) {
+        try {
+            const { vin } = req.params;
+
+            if (!/^[A-HJ-NPR-Z0-9]{17}$/.test(vin)) {
+                throw ApiError.badRequest('Неверный формат VIN. VIN должен содержать 17 символов и не может содержать буквы I, O, Q');
+            }
+
+            const vehicle = await TransportVehicle.findByPk(vin, { attributes: ['vin'] });
+            if (!vehicle) {
+                throw ApiError.notFound('Транспортное средство не найдено');
+            }
+
+            const registration = await VehicleRegistration.findByPk(vin, {
+                attributes: { exclude: ['createdAt', 'updatedAt'] },
+                include: [
+                    {
+                        model: RegistrationDoc,
+                        attributes: ['registrationNumber', 'sts', 'pts', 'registrationDate', 'status']
+                    }
+                ]
+            });
+
+            return res.json({
+                data: registration || {
+                    vin,
+                    status: 'NOT_REGISTERED',
+                    registrationNumber: null,
+                    documentOwner: null,
+                    operationId: null,
+                    since: null,
+                    registrationdoc: null
+                }
+            });
+        } catch (e) {
+            console.error("GET VEHICLE STATUS ERROR:", e);
+            next(e);
+        }
+    }
+
     async updateTransportVehicle(req, res, next) {
         const transaction = await sequelize.transaction();
         
@@ -128,11 +219,6 @@ class TransportVehicleController {
                 throw ApiError.badRequest('Неверный формат VIN. VIN должен содержать 17 символов и не может содержать буквы I, O, Q');
             }
 
-            const { error } = vehicleUpdateSchema.validate(req.body);
-            if (error) {
-                throw ApiError.badRequest(error.details[0].message);
-            }
-
             const vehicle = await TransportVehicle.findOne({
                 where: { vin },
                 transaction
@@ -142,8 +228,15 @@ class TransportVehicleController {
                 throw ApiError.notFound('Транспортное средство не найдено');
             }
 
+            // Без явной категории данные проверяются по правилам текущей категории ТС
+            const { error } = vehicleUpdateSchema.validate({ category: vehicle.category, ...req.body });
+            if (error) {
+                throw ApiError.badRequest(error.details[0].message);
+            }
+
             const updateData = {
-                ...req.body,
+                ...normalizeVehicleSpecs(req.body),
+                ...await applyCatalogue(req.body, transaction),
                 chassisNumber: req.body.hasChassisNumber ? vin : null
             };
 
@@ -153,14 +246,23 @@ class TransportVehicleController {
                     'makeAndModel',
                     'releaseYear',
                     'manufacture',
+                    'category',
                     'typeOfDrive',
-                    'power',
+                    'powerKw',
+                    'powerHp',
                     'bodyColor',
                     'transmissionType',
                     'steeringWheel',
+                    'powertrainType',
                     'engineModel',
                     'engineVolume',
-                    'chassisNumber'
+                    'electricMotorPower',
+                    'batteryCapacity',
+                    'curbMass',
+                    'maxMass',
+                    'seatsCount',
+                    'chassisNumber',
+                    'modelId'
                 ]
             });
 
@@ -173,15 +275,24 @@ class TransportVehicleController {
                     'makeAndModel',
                     'releaseYear',
                     'manufacture',
+                    'category',
                     'typeOfDrive',
                     'power',
+                    'powerKw',
+                    'powerHp',
                     'chassisNumber',
                     'bodyNumber',
                     'bodyColor',
                     'transmissionType',
                     'steeringWheel',
+                    'powertrainType',
                     'engineModel',
-                    'engineVolume'
+                    'engineVolume',
+                    'electricMotorPower',
+                    'batteryCapacity',
+                    'curbMass',
+                    'maxMass',
+                    'seatsCount'
                 ]
             });
 
@@ -220,30 +331,7 @@ class TransportVehicleController {
                 throw ApiError.notFound('Транспортное средство не найдено');
             }
 
-            const updateData = {
-                ...req.body
-            };
-
-            if ('hasChassisNumber' in req.body) {
-                updateData.chassisNumber = req.body.hasChassisNumber ? vin : null;
-            }
-
-            await vehicle.update(updateData, {
-                transaction,
-                fields: Object.keys(updateData).filter(field => [
-                    'makeAndModel',
-                    'releaseYear',
-                    'manufacture',
-                    'typeOfDrive',
-                    'power',
-                    'bodyColor',
-                    'transmissionType',
-                    'steeringWheel',
-                    'engineModel',
-                    'engineVolume',
-                    'chassisNumber'
-                ].includes(field))
-            });
+            await patchVehicle(vehicle, req.body, transaction);
 
             await transaction.commit();
 
@@ -254,15 +342,24 @@ class TransportVehicleController {
                     'makeAndModel',
                     'releaseYear',
                     'manufacture',
+                    'category',
                     'typeOfDrive',
                     'power',
+                    'powerKw',
+                    'powerHp',
                     'chassisNumber',
                     'bodyNumber',
                     'bodyColor',
                     'transmissionType',
                     'steeringWheel',
+                    'powertrainType',
                     'engineModel',
-                    'engineVolume'
+                    'engineVolume',
+                    'electricMotorPower',
+                    'batteryCapacity',
+                    'curbMass',
+                    'maxMass',
+                    'seatsCount'
                 ]
             });
 
@@ -0,0 +1,415 @@
+const {
+    RegistrationApplication,
+    ApplicationStatusHistory,
+    TransportVehicle,
+    RegistrationDoc,
+    RegistrationDepart,
+    Appointment,
+    AppointmentSlot,
+    PlateNumber,
+    PowerOfAttorney
+} = require('../../models/associations');
+const ApiError = require("../../error/ApiError");
+const Joi = require('joi');
+const { Op } = require('sequelize');
+const sequelize = require('../../db');
+const {
+    applicationStatuses,
+    applicationSchema,
+    applicationCorrectionSchema
+} = require('../../validations/applicationShema');
+const { logApplicationStatus, changeApplicationStatus } = require('../../services/applicationService');
+const { cancelApplicationAppointments } = require('../../services/appointmentService');
+const { buildRequestedChanges, snapshotVehicle } = require('../../services/vehicleService');
+const { holdPlateForApplication, releaseApplicationPlate } = require('../../services/plateService');
+const { REGISTRATION_OPERATION_TYPE, DEREGISTRATION_OPERATION_TYPE } = require('../../services/registrationService');
+const { ownedBy, findOwnedRegistration, requestConsents } = require('../../services/coOwnershipService');
+const { resolveApplicant, filedBy } = require('../../services/powerOfAttorneyService');
+const { renderApplicationForm } = require('../../services/pdfService');
+
+const powerOfAttorneyInclude = {
+    model: PowerOfAttorney,
+    attributes: ['powerOfAttorneyId', 'principal', 'representative', 'notarialNumber', 'validUntil']
+};
+
+class ApplicationController {
+    async getMyApplications(req, res, next) {
+        try {
+            const { error, value } = Joi.object({
+                limit: Joi.number().integer().min(1).max(100).default(10),
+                page: Joi.number().integer().min(1).default(1),
+                status: Joi.string().valid(...applicationStatuses).optional()
+            }).validate(req.query);
+
+            if (error) throw ApiError.badRequest(error.details[0].message);
+            const { limit, page, status } = value;
+            const offset = (page - 1) * limit;
+
+            const user = req.user;
+            if (user.role !== 'OWNER') throw ApiError.forbidden('Only owners can view their applications');
+
+            const applicant = user.passportData || user.taxNumber;
+            if (!applicant) throw ApiError.forbidden('Unable to determine the applicant');
+
+            // Представитель видит заявления, поданные им от имени доверителей
+            const where = filedBy(applicant);
+            if (status) where.status = status;
+
+            const { count, rows } = await RegistrationApplication.findAndCountAll({
+                where,
+                include: [
+                    {
+                        model: TransportVehicle,
+                        attributes: ['vin', 'makeAndModel', 'releaseYear']
+                    },
+                    {
+                        model: RegistrationDepart,
+                        attributes: ['unitCode', 'departmentName', 'address']
+                    },
+                    {
+                        model: Appointment,
+                        where: { status: 'BOOKED' },
+                        required: false,
+                        attributes: ['appointmentId', 'slotId', 'bookedAt'],
+                        include: [
+                            {
+                                model: AppointmentSlot,
+                                attributes: ['slotId', 'startsAt', 'endsAt']
+                            }
+                        ]
+                    },
+                    {
+                        model: PlateNumber,
+                        attributes: ['plateNumber', 'status', 'reservedUntil']
+                    },
+                    powerOfAttorneyInclude
+                ],
+                distinct: true,
+                limit,
+                offset,
+                order: [['applicationDate', 'DESC'], ['applicationId', 'DESC']]
+            });
+
+            res.json({
+                total: count,
+                pages: Math.ceil(count / limit),
+                currentPage: page,
+                data: rows
+            });
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('GET MY APPLICATIONS ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async getMyApplicationById(req, res, next) {
+        try {
+            const { error: idError } = Joi.number().integer().positive().required().validate(req.params.id);
+            if (idError) throw ApiError.badRequest('Invalid application ID');
+
+            const user = req.user;
+            if (user.role !== 'OWNER') throw ApiError.forbidden('Only owners can view their applications');
+
+            const applicant = user.passportData || user.taxNumber;
+            if (!applicant) throw ApiError.forbidden('Unable to determine the applicant');
+
+            const application = await RegistrationApplication.findOne({
+                where: { applicationId: req.params.id, ...filedBy(applicant) },
+                include: [
+                    {
+                        model: TransportVehicle,
+                        attributes: ['vin', 'makeAndModel', 'releaseYear']
+                    },
+                    {
+                        model: RegistrationDepart,
+                        attributes: ['unitCode', 'departmentName', 'address']
+                    },
+                    {
+                        model: ApplicationStatusHistory,
+                        attributes: ['fromStatus', 'toStatus', 'changedByRole', 'comment', 'changedAt']
+                    },
+                    {
+                        model: PlateNumber,
+                        attributes: ['plateNumber', 'status', 'reservedUntil']
+                    },
+                    powerOfAttorneyInclude
+                ],
+                order: [[ApplicationStatusHistory, 'changedAt', 'ASC']]
+            });
+
+            if (!application) throw ApiError.notFound('Application not found or access is denied');
+
+            res.json(application);
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('GET APPLICATION BY ID ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async getApplicationForm(req, res, next) {
+        try {
+            const { error } = Joi.number().integer().positive().required().validate(req.params.id);
+            if (error) throw ApiError.badRequest('Invalid application ID');
+
+            const applicant = req.user.passportData || req.user.taxNumber;
+            if (!applicant) throw ApiError.forbidden('Unable to determine the applicant');
+
+            const { fileName, content } = await renderApplicationForm(Number(req.params.id), applicant);
+
+            res.type('application/pdf');
+            res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+            res.send(content);
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('APPLICATION FORM ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async createApplication(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { error } = applicationSchema.validate(req.body, {
+                abortEarly: false,
+                allowUnknown: false
+            });
+
+            if (error) {
+                const errorMessages = error.details.map(detail => detail.message);
+                throw ApiError.badRequest(errorMessages.join(', '));
+            }
+
+            const user = req.user;
+            if (user.role !== 'OWNER') throw ApiError.forbidden('Only owners can submit applications');
+
+            // Представитель действует от имени доверителя в пределах полномочий по доверенности
+            const { applicant, representative, powerOfAttorneyId } = await resolveApplicant(
+                user, req.body.principal, req.body.operationType, transaction
+            );
+
+            const vehicle = await TransportVehicle.findOne({
+                where: { vin: req.body.vin },
+                transaction
+            });
+
+            if (!vehicle) {
+                throw ApiError.badRequest('Vehicle with the specified VIN was not found');
+            }
+
+            const department = await RegistrationDepart.findByPk(req.body.unitCode, { transaction });
+            if (!department) {
+                throw ApiError.badRequest('Registration department was not found');
+            }
+
+            // Кроме постановки на учет, заявление подает только владелец зарегистрированного ТС
+            const registration = req.body.operationType === REGISTRATION_OPERATION_TYPE
+                ? null
+                : await findOwnedRegistration(req.body.vin, applicant, transaction);
+
+            if (req.body.operationType !== REGISTRATION_OPERATION_TYPE && !registration) {
+                throw ApiError.forbidden('The vehicle is not registered to the applicant');
+            }
+
+            if (registration && req.body.registrationNumber && req.body.registrationNumber !== registration.registrationNumber) {
+                throw ApiError.badRequest('Registration document does not belong to the vehicle');
+            }
+
+            if (req.body.registrationNumber) {
+                const doc = await RegistrationDoc.findOne({
+                    where: {
+                        [Op.and]: [{ registrationNumber: req.body.registrationNumber }, ownedBy(applicant)],
+                        status: 'ACTIVE'
+                    },
+                    transaction
+                });
+
+                if (!doc) {
+                    throw ApiError.badRequest('Registration document was not found');
+                }
+            }
+
+            const requestedChanges = req.body.requestedChanges
+                ? buildRequestedChanges(vehicle, req.body.requestedChanges)
+                : null;
+
+            const application = await RegistrationApplication.create({
+                vin: req.body.vin,
+                registrationNumber: req.body.registrationNumber || null,
+                unitCode: req.body.unitCode,
+                operationType: req.body.operationType,
+                operationBase: req.body.operationBase,
+                requestedChanges,
+                requestedPlateNumber: req.body.requestedPlateNumber || null,
+                validUntil: req.body.validUntil || null,
+                vehicleData: snapshotVehicle(vehicle),
+                applicant,
+                representative,
+                powerOfAttorneyId,
+                status: 'SUBMITTED',
+                applicationDate: req.body.applicationDate
+            }, { transaction });
+
+            if (application.requestedPlateNumber) {
+                await holdPlateForApplication(application.requestedPlateNumber, application, transaction);
+            }
+
+            // Совладельцы получают запрос согласия на снятие с учета вместе с подачей заявления
+            if (application.operationType === DEREGISTRATION_OPERATION_TYPE) {
+                const doc = await RegistrationDoc.findByPk(registration.registrationNumber, { transaction });
+                if (doc) {
+                    await requestConsents(doc, 'DEREGISTRATION', applicant, {}, transaction);
+                }
+            }
+
+            await logApplicationStatus(application, null, user, null, transaction);
+
+            await transaction.commit();
+
+            res.status(201).json({
+                message: 'Application successfully submitted',
+                data: application
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('CREATE APPLICATION ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async resubmitApplication(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { error: idError } = Joi.number().integer().positive().required().validate(req.params.id);
+            if (idError) throw ApiError.badRequest('Invalid application ID');
+
+            const { error, value } = applicationCorrectionSchema.validate(req.body);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const user = req.user;
+            const applicant = user.passportData || user.taxNumber;
+            if (!applicant) throw ApiError.forbidden('Unable to determine the applicant');
+
+            const application = await RegistrationApplication.findOne({
+                where: { applicationId: req.params.id, ...filedBy(applicant) },
+                transaction
+            });
+
+            if (!application) throw ApiError.notFound('Application not found or access is denied');
+
+            if (application.status !== 'NEEDS_CORRECTION') {
+                throw ApiError.conflict('Only applications returned for correction can be resubmitted');
+            }
+
+            if (value.unitCode) {
+                const department = await RegistrationDepart.findByPk(value.unitCode, { transaction });
+                if (!department) {
+                    throw ApiError.badRequest('Registration department was not found');
+                }
+            }
+
+            if (value.requestedChanges && !application.requestedChanges) {
+                throw ApiError.badRequest('Requested changes can only be set for vehicle data amendment applications');
+            }
+
+            // Исправленное заявление подается заново, сведения о ТС фиксируются на дату повторной подачи
+            const vehicle = await TransportVehicle.findByPk(application.vin, { transaction });
+            if (value.requestedChanges) {
+                value.requestedChanges = buildRequestedChanges(vehicle, value.requestedChanges);
+            }
+            value.vehicleData = snapshotVehicle(vehicle);
+
+            const departmentChanged = value.unitCode && value.unitCode !== application.unitCode;
+
+            await application.update(value, {
+                transaction,
+                fields: ['unitCode', 'operationBase', 'requestedChanges', 'applicationDate', 'vehicleData']
+            });
+
+            if (departmentChanged) {
+                await cancelApplicationAppointments(application.applicationId, transaction);
+            }
+
+            // Удержание номера продлевается и перепроверяется на регион нового отдела
+            if (application.requestedPlateNumber) {
+                await releaseApplicationPlate(application.applicationId, transaction);
+                await holdPlateForApplication(application.requestedPlateNumber, application, transaction);
+            }
+
+            await changeApplicationStatus(application, 'SUBMITTED', user, null, transaction);
+
+            await transaction.commit();
+
+            res.json({
+                message: 'Application successfully resubmitted',
+                data: application
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('RESUBMIT APPLICATION ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async cancelApplication(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { error: idError } = Joi.number().integer().positive().required().validate(req.params.id);
+            if (idError) throw ApiError.badRequest('Invalid application ID');
+
+            const user = req.user;
+            const applicant = user.passportData || user.taxNumber;
+            if (!applicant) throw ApiError.forbidden('Unable to determine the applicant');
+
+            const application = await RegistrationApplication.findOne({
+                where: { applicationId: req.params.id, ...filedBy(applicant) },
+                transaction
+            });
+
+            if (!application) throw ApiError.notFound('Application not found or access is denied');
+
+            await changeApplicationStatus(application, 'CANCELLED', user, req.body?.comment, transaction);
+
+            await transaction.commit();
+
+            res.json({
+                message: 'Application cancelled',
+                data: application
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('CANCEL APPLICATION ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+}
+
+module.exports = new ApplicationController();
@@ -0,0 +1,146 @@
+const {
+    AppointmentSlot,
+    Appointment,
+    RegistrationApplication,
+    RegistrationDepart
+} = require('../../models/associations');
+const ApiError = require("../../error/ApiError");
+const Joi = require('joi');
+const { Op } = require('sequelize');
+const sequelize = require('../../db');
+const { slotQuerySchema, appointmentSchema } = require('../../validations/appointmentShema');
+const { getDayRange, withBookedCount, bookAppointment } = require('../../services/appointmentService');
+const { filedBy } = require('../../services/powerOfAttorneyService');
+
+async function findOwnApplication(req, transaction) {
+    const { error: idError } = Joi.number().integer().positive().required().validate(req.params.id);
+    if (idError) throw ApiError.badRequest('Invalid application ID');
+
+    const applicant = req.user.passportData || req.user.taxNumber;
+    if (!applicant) throw ApiError.forbidden('Unable to determine the applicant');
+
+    const application = await RegistrationApplication.findOne({
+        where: { applicationId: req.params.id, ...filedBy(applicant) },
+        transaction
+    });
+
+    if (!application) throw ApiError.notFound('Application not found or access is denied');
+
+    return application;
+}
+
+class AppointmentController {
+    async getAvailableSlots(req, res, next) {
+        try {
+            const { unitCode } = req.params;
+
+            const { error, value } = slotQuerySchema.validate(req.query);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const department = await RegistrationDepart.findByPk(unitCode);
+            if (!department) throw ApiError.notFound('Registration department was not found');
+
+            const now = new Date();
+            const where = { unitCode, startsAt: { [Op.gt]: now } };
+            if (value.date) {
+                const { from, to } = getDayRange(value.date);
+                where.startsAt = { [Op.gt]: from > now ? from : now, [Op.lt]: to };
+            }
+
+            const slots = await AppointmentSlot.findAll({
+                where,
+                include: [
+                    {
+                        model: Appointment,
+                        attributes: ['status'],
+                        required: false
+                    }
+                ],
+                order: [['startsAt', 'ASC']],
+                limit: 200
+            });
+
+            res.json(
+                slots
+                    .map(withBookedCount)
+                    .filter(slot => slot.free > 0)
+                    .map(({ booked, ...slot }) => slot)
+            );
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('GET AVAILABLE SLOTS ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async bookAppointment(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { error, value } = appointmentSchema.validate(req.body);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const application = await findOwnApplication(req, transaction);
+
+            const appointment = await bookAppointment(application, value.slotId, transaction);
+
+            await transaction.commit();
+
+            const result = await Appointment.findByPk(appointment.appointmentId, {
+                include: [{ model: AppointmentSlot }]
+            });
+
+            res.status(201).json({
+                message: 'Appointment successfully booked',
+                data: result
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('BOOK APPOINTMENT ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async cancelAppointment(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const application = await findOwnApplication(req, transaction);
+
+            const appointment = await Appointment.findOne({
+                where: { applicationId: application.applicationId, status: 'BOOKED' },
+                transaction
+            });
+
+            if (!appointment) throw ApiError.notFound('The application has no active appointment');
+
+            await appointment.update({ status: 'CANCELLED', cancelledAt: new Date() }, { transaction });
+
+            await transaction.commit();
+
+            res.json({
+                message: 'Appointment cancelled',
+                data: appointment
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('CANCEL APPOINTMENT ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+}
+
+module.exports = new AppointmentController();
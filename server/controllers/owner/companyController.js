@@ -0,0 +1,165 @@
+const { LegalEntity } = require('../../models/associations');
+const ApiError = require("../../error/ApiError");
+const Joi = require('joi');
+const sequelize = require('../../db');
+const { companyInviteSchema, companyMemberSchema } = require('../../validations/companyShema');
+const {
+    COMPANY_ROLES,
+    getCompanyMembers,
+    getPendingInvites,
+    createInvite,
+    revokeInvite,
+    changeMemberRole,
+    removeMember
+} = require('../../services/companyService');
+
+function validateId(id, message) {
+    const { error } = Joi.number().integer().positive().required().validate(id);
+    if (error) throw ApiError.badRequest(message);
+}
+
+class CompanyController {
+    // Компания текущего пользователя; у физического лица ее нет
+    async getMyCompany(req, res, next) {
+        try {
+            const { taxNumber, companyRole } = req.user;
+            if (!taxNumber) {
+                return res.json({ data: null });
+            }
+
+            const company = await LegalEntity.findByPk(taxNumber);
+            if (!company) throw ApiError.notFound('Legal entity not found');
+
+            const members = await getCompanyMembers(taxNumber);
+            // Приглашения видит только администратор компании
+            const invites = companyRole === 'COMPANY_ADMIN' ? await getPendingInvites(taxNumber) : [];
+
+            res.json({
+                data: {
+                    company,
+                    companyRole,
+                    companyRoleLabel: COMPANY_ROLES[companyRole]?.label || null,
+                    members,
+                    invites
+                }
+            });
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('GET MY COMPANY ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async createInvite(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { error, value } = companyInviteSchema.validate(req.body);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const invite = await createInvite(req.user, value, transaction);
+
+            await transaction.commit();
+
+            res.status(201).json({
+                message: 'Invite created',
+                data: invite
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('CREATE COMPANY INVITE ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async revokeInvite(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            validateId(req.params.id, 'Invalid invite ID');
+
+            const invite = await revokeInvite(req.user, req.params.id, transaction);
+
+            await transaction.commit();
+
+            res.json({
+                message: 'Invite revoked',
+                data: { inviteId: invite.inviteId, status: invite.status }
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('REVOKE COMPANY INVITE ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async changeMemberRole(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            validateId(req.params.id, 'Invalid user ID');
+
+            const { error, value } = companyMemberSchema.validate(req.body);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const member = await changeMemberRole(req.user, req.params.id, value.companyRole, transaction);
+
+            await transaction.commit();
+
+            res.json({
+                message: 'Company role updated',
+                data: { id: member.id, email: member.email, companyRole: member.companyRole }
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('CHANGE COMPANY ROLE ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async removeMember(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            validateId(req.params.id, 'Invalid user ID');
+
+            const member = await removeMember(req.user, req.params.id, transaction);
+
+            await transaction.commit();
+
+            res.json({
+                message: 'User removed from the company',
+                data: { id: member.id, email: member.email }
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('REMOVE COMPANY MEMBER ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+}
+
+module.exports = new CompanyController();
@@ -0,0 +1,151 @@
+const {
+    CoOwnerConsent,
+    RegistrationDoc,
+    VehicleRegistration,
+    TransportVehicle
+} = require('../../models/associations');
+const ApiError = require("../../error/ApiError");
+const Joi = require('joi');
+const { Op } = require('sequelize');
+const sequelize = require('../../db');
+const { CONSENT_ACTIONS, CONSENT_STATUSES, decideConsent } = require('../../services/coOwnershipService');
+
+async function findConsentForOwner(req, transaction) {
+    const { error } = Joi.number().integer().positive().required().validate(req.params.id);
+    if (error) throw ApiError.badRequest('Invalid consent ID');
+
+    const owner = req.user.passportData || req.user.taxNumber;
+    if (!owner) throw ApiError.forbidden('Unable to determine the owner');
+
+    const consent = await CoOwnerConsent.findOne({
+        where: { consentId: req.params.id, owner },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+
+    if (!consent) throw ApiError.notFound('Consent request not found or access is denied');
+
+    return consent;
+}
+
+class ConsentController {
+    async getMyConsents(req, res, next) {
+        try {
+            const { error, value } = Joi.object({
+                limit: Joi.number().integer().min(1).max(100).default(10),
+                page: Joi.number().integer().min(1).default(1),
+                status: Joi.string().valid(...CONSENT_STATUSES).optional()
+            }).validate(req.query);
+
+            if (error) throw ApiError.badRequest(error.details[0].message);
+            const { limit, page, status } = value;
+            const offset = (page - 1) * limit;
+
+            const identifier = req.user.passportData || req.user.taxNumber;
+            if (!identifier) throw ApiError.forbidden('Unable to determine the owner');
+
+            const where = {
+                [Op.or]: [{ owner: identifier }, { requestedBy: identifier }]
+            };
+            if (status) where.status = status;
+
+            const { count, rows } = await CoOwnerConsent.findAndCountAll({
+                where,
+                include: [
+                    {
+                        model: RegistrationDoc,
+                        attributes: ['registrationNumber'],
+                        include: [
+                            {
+                                model: VehicleRegistration,
+                                attributes: ['vin'],
+                                include: [
+                                    {
+                                        model: TransportVehicle,
+                                        attributes: ['makeAndModel']
+                                    }
+                                ]
+                            }
+                        ]
+                    }
+                ],
+                distinct: true,
+                limit,
+                offset,
+                order: [['createdAt', 'DESC']]
+            });
+
+            res.json({
+                total: count,
+                pages: Math.ceil(count / limit),
+                currentPage: page,
+                data: rows.map(consent => ({
+                    ...consent.toJSON(),
+                    label: CONSENT_ACTIONS[consent.action].label,
+                    direction: consent.owner === identifier ? 'INCOMING' : 'OUTGOING'
+                }))
+            });
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('GET MY CONSENTS ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async grantConsent(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const consent = await findConsentForOwner(req, transaction);
+
+            await decideConsent(consent, 'GRANTED', transaction);
+
+            await transaction.commit();
+
+            res.json({
+                message: 'Consent granted',
+                data: consent
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('GRANT CONSENT ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async declineConsent(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const consent = await findConsentForOwner(req, transaction);
+
+            await decideConsent(consent, 'DECLINED', transaction);
+
+            await transaction.commit();
+
+            res.json({
+                message: 'Consent declined',
+                data: consent
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('DECLINE CONSENT ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+}
+
+module.exports = new ConsentController();
@@ -0,0 +1,48 @@
+const { PlateNumber } = require('../../models/associations');
+const ApiError = require("../../error/ApiError");
+const { Op } = require('sequelize');
+const { plateSearchSchema } = require('../../validations/plateShema');
+const { availablePlateCondition, getDepartmentRegion, patternToLike } = require('../../services/plateService');
+const { getPlateFormat } = require('../../services/vehicleCategoryService');
+
+class PlateController {
+    async searchPlates(req, res, next) {
+        try {
+            const { error, value } = plateSearchSchema.validate(req.query);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const { category, pattern, unitCode, limit } = value;
+            const regionCode = await getDepartmentRegion(unitCode);
+
+            // Шаблон с * может совпасть с номерами другого формата, поэтому номера отбираются и по формату знака категории ТС
+            const { count, rows } = await PlateNumber.findAndCountAll({
+                where: {
+                    regionCode,
+                    plateNumber: {
+                        [Op.like]: `${patternToLike(pattern)}${regionCode}`,
+                        [Op.regexp]: getPlateFormat(category).pattern.source
+                    },
+                    ...availablePlateCondition()
+                },
+                attributes: ['plateNumber', 'regionCode'],
+                limit,
+                order: [['plateNumber', 'ASC']]
+            });
+
+            res.json({
+                regionCode,
+                total: count,
+                data: rows
+            });
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('SEARCH PLATES ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+}
+
+module.exports = new PlateController();
@@ -0,0 +1,207 @@
+const {
+    PowerOfAttorney,
+    VehicleRegistration,
+    RegistrationDoc,
+    TransportVehicle
+} = require('../../models/associations');
+const ApiError = require("../../error/ApiError");
+const Joi = require('joi');
+const { Op } = require('sequelize');
+const sequelize = require('../../db');
+const { powerOfAttorneySchema } = require('../../validations/powerOfAttorneyShema');
+const { findPersonByIdentifier } = require('../../services/transferService');
+const { ownedBy } = require('../../services/coOwnershipService');
+const { POWER_OF_ATTORNEY_SCOPES, isPowerOfAttorneyValid } = require('../../services/powerOfAttorneyService');
+
+function getIdentifier(req) {
+    const identifier = req.user.passportData || req.user.taxNumber;
+    if (!identifier) throw ApiError.forbidden('Unable to determine the owner');
+    return identifier;
+}
+
+async function findPowerOfAttorneyForParty(req, party, transaction) {
+    const { error } = Joi.number().integer().positive().required().validate(req.params.id);
+    if (error) throw ApiError.badRequest('Invalid power of attorney ID');
+
+    const powerOfAttorney = await PowerOfAttorney.findOne({
+        where: { powerOfAttorneyId: req.params.id, [party]: getIdentifier(req) },
+        transaction,
+        lock: transaction?.LOCK.UPDATE
+    });
+
+    if (!powerOfAttorney) throw ApiError.notFound('Power of attorney not found or access is denied');
+
+    return powerOfAttorney;
+}
+
+function toPowerOfAttorneyJson(powerOfAttorney, identifier) {
+    return {
+        ...powerOfAttorney.toJSON(),
+        direction: powerOfAttorney.principal === identifier ? 'GIVEN' : 'RECEIVED',
+        isValid: powerOfAttorney.scope.some(scope => isPowerOfAttorneyValid(powerOfAttorney, scope))
+    };
+}
+
+class PowerOfAttorneyController {
+    async getMyPowersOfAttorney(req, res, next) {
+        try {
+            const { error, value } = Joi.object({
+                limit: Joi.number().integer().min(1).max(100).default(10),
+                page: Joi.number().integer().min(1).default(1),
+                direction: Joi.string().valid('GIVEN', 'RECEIVED').optional()
+            }).validate(req.query);
+
+            if (error) throw ApiError.badRequest(error.details[0].message);
+            const { limit, page, direction } = value;
+            const offset = (page - 1) * limit;
+
+            const identifier = getIdentifier(req);
+
+            const where = direction
+                ? { [direction === 'GIVEN' ? 'principal' : 'representative']: identifier }
+                : { [Op.or]: [{ principal: identifier }, { representative: identifier }] };
+
+            const { count, rows } = await PowerOfAttorney.findAndCountAll({
+                where,
+                limit,
+                offset,
+                order: [['validUntil', 'DESC'], ['powerOfAttorneyId', 'DESC']]
+            });
+
+            res.json({
+                total: count,
+                pages: Math.ceil(count / limit),
+                currentPage: page,
+                data: rows.map(powerOfAttorney => toPowerOfAttorneyJson(powerOfAttorney, identifier))
+            });
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('GET MY POWERS OF ATTORNEY ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async createPowerOfAttorney(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { error, value } = powerOfAttorneySchema.validate(req.body);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            // Доверенность выдает только сам доверитель из своего кабинета
+            const principal = getIdentifier(req);
+            if (value.representative === principal) {
+                throw ApiError.badRequest('A power of attorney cannot be issued to yourself');
+            }
+
+            const representative = await findPersonByIdentifier(value.representative, transaction);
+            if (!representative) {
+                throw ApiError.badRequest('Representative with the specified passport or tax number was not found');
+            }
+
+            const existing = await PowerOfAttorney.findOne({
+                where: { notarialNumber: value.notarialNumber },
+                transaction
+            });
+            if (existing) {
+                throw ApiError.conflict(`Power of attorney with notarial number ${value.notarialNumber} is already registered`);
+            }
+
+            const powerOfAttorney = await PowerOfAttorney.create({
+                principal,
+                representative: value.representative,
+                scope: value.scope,
+                validFrom: value.validFrom,
+                validUntil: value.validUntil,
+                notarialNumber: value.notarialNumber
+            }, { transaction });
+
+            await transaction.commit();
+
+            res.status(201).json({
+                message: 'Power of attorney registered',
+                data: toPowerOfAttorneyJson(powerOfAttorney, principal)
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('CREATE POWER OF ATTORNEY ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async revokePowerOfAttorney(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const powerOfAttorney = await findPowerOfAttorneyForParty(req, 'principal', transaction);
+            if (powerOfAttorney.revokedAt) {
+                throw ApiError.conflict('Power of attorney has already been revoked');
+            }
+
+            await powerOfAttorney.update({ revokedAt: new Date() }, { transaction });
+
+            await transaction.commit();
+
+            res.json({
+                message: 'Power of attorney revoked',
+                data: toPowerOfAttorneyJson(powerOfAttorney, powerOfAttorney.principal)
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('REVOKE POWER OF ATTORNEY ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    // ТС доверителя, доступные представителю, пока доверенность действует
+    async getPrincipalVehicles(req, res, next) {
+        try {
+            const powerOfAttorney = await findPowerOfAttorneyForParty(req, 'representative');
+            if (!powerOfAttorney.scope.some(scope => isPowerOfAttorneyValid(powerOfAttorney, scope))) {
+                throw ApiError.forbidden('Power of attorney is revoked or expired');
+            }
+
+            const registrations = await VehicleRegistration.findAll({
+                where: { ...ownedBy(powerOfAttorney.principal), status: 'REGISTERED' },
+                include: [
+                    {
+                        model: TransportVehicle,
+                        attributes: { exclude: ['createdAt', 'updatedAt'] }
+                    },
+                    {
+                        model: RegistrationDoc,
+                        attributes: ['registrationNumber', 'pts', 'ptsType', 'sts']
+                    }
+                ],
+                order: [['since', 'DESC']]
+            });
+
+            res.json({
+                data: registrations,
+                scope: powerOfAttorney.scope.map(scope => ({ scope, label: POWER_OF_ATTORNEY_SCOPES[scope].label }))
+            });
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('GET PRINCIPAL VEHICLES ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+}
+
+module.exports = new PowerOfAttorneyController();
@@ -31,7 +31,7 @@ class RegDepartController {
                 limit,
                 offset,
                 order: [['departmentName', 'ASC']],
-                attributes: ['unitCode', 'departmentName', 'address']
+                attributes: ['unitCode', 'departmentName', 'address', 'regionCode']
             });
 
             res.json({
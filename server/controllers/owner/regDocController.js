@@ -1,6 +1,14 @@
-const { RegistrationDoc, RegistrationOp, TransportVehicle } = require('../../models/associations');
+const { RegistrationDoc, RegistrationOp, TransportVehicle, VehicleShare } = require('../../models/associations');
 const ApiError = require("../../error/ApiError");
 const Joi = require('joi');
+const { Op } = require('sequelize');
+const { ownedBy } = require('../../services/coOwnershipService');
+
+// Доли совладельцев выдаются вместе с документом
+const shareInclude = {
+    model: VehicleShare,
+    attributes: ['owner', 'shareNumerator', 'shareDenominator', 'isPrimary']
+};
 
 class RegDocController {
     async getAllRegDoc(req, res, next) {
@@ -21,8 +29,9 @@ class RegDocController {
             if (!documentOwner) throw ApiError.forbidden('Unable to determine the document owner');
 
             const { count, rows } = await RegistrationDoc.findAndCountAll({
-                where: { documentOwner },
-                include: [{
+                where: ownedBy(documentOwner),
+                distinct: true,
+                include: [shareInclude, {
                     model: RegistrationOp,
                     attributes: ['vin', 'operationDate', 'operationType'],
                     include: [{
@@ -58,10 +67,9 @@ class RegDocController {
 
             const doc = await RegistrationDoc.findOne({
                 where: {
-                    registrationNumber: regNumber,
-                    documentOwner
+                    [Op.and]: [{ registrationNumber: regNumber }, ownedBy(documentOwner)]
                 },
-                include: [{
+                include: [shareInclude, {
                     model: RegistrationOp,
                     attributes: ['vin', 'operationDate', 'operationType'],
                     include: [{
@@ -1,9 +1,15 @@
-const { RegistrationOp, TransportVehicle, RegistrationDoc } = require('../../models/associations');
+const { RegistrationOp, TransportVehicle, RegistrationDoc, RegistrationApplication } = require('../../models/associations');
 const ApiError = require("../../error/ApiError");
 const { Op } = require('sequelize');
 const Joi = require('joi');
 const sequelize = require('../../db');
 const { regOpSchema } = require('../../validations/regOpShema');
+const { syncVehicleRegistration } = require('../../services/registrationService');
+const { saveCertificateData } = require('../../services/documentService');
+const { assertNoBlockingRestrictions, getOperationAction } = require('../../services/restrictionService');
+const { ownedBy } = require('../../services/coOwnershipService');
+const { filedBy } = require('../../services/powerOfAttorneyService');
+const { renderApplicationForm } = require('../../services/pdfService');
 
 class RegOpController {
     async getAllRegOp(req, res, next) {
@@ -24,7 +30,7 @@ class RegOpController {
             if (!documentOwner) throw ApiError.forbidden('Unable to determine the document owner');
 
             const docs = await RegistrationDoc.findAll({
-            where: { documentOwner },
+            where: { ...ownedBy(documentOwner), status: 'ACTIVE' },
             attributes: ['registrationNumber']
             });
 
@@ -104,8 +110,7 @@ class RegOpController {
 
             const docs = await RegistrationDoc.findAll({
                 where: {
-                    registrationNumber: { [Op.in]: regNumbers },
-                    documentOwner
+                    [Op.and]: [{ registrationNumber: { [Op.in]: regNumbers } }, ownedBy(documentOwner)]
                 },
                 attributes: ['registrationNumber']
             });
@@ -152,6 +157,36 @@ class RegOpController {
         }
     }
 
+    // Бланк заявления, по которому проведена операция
+    async getApplicationForm(req, res, next) {
+        try {
+            const { error } = Joi.number().integer().positive().required().validate(req.params.id);
+            if (error) throw ApiError.badRequest('Invalid operation ID');
+
+            const applicant = req.user.passportData || req.user.taxNumber;
+            if (!applicant) throw ApiError.forbidden('Unable to determine the applicant');
+
+            const application = await RegistrationApplication.findOne({
+                where: { operationId: Number(req.params.id), ...filedBy(applicant) },
+                attributes: ['applicationId']
+            });
+            if (!application) throw ApiError.notFound('Application for the operation was not found or access is denied');
+
+            const { fileName, content } = await renderApplicationForm(application.applicationId, applicant);
+
+            res.type('application/pdf');
+            res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+            res.send(content);
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('REG-OP APPLICATION FORM ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
     async createRegOp(req, res, next) {
         const transaction = await sequelize.transaction();
         
@@ -175,6 +210,8 @@ class RegOpController {
                 throw ApiError.badRequest('Vehicle with the specified VIN was not found');
             }
 
+            await assertNoBlockingRestrictions(vehicle.vin, getOperationAction(req.body.operationType), transaction);
+
             if (req.body.registrationNumber) {
                 const doc = await RegistrationDoc.findOne({
                     where: { registrationNumber: req.body.registrationNumber },
@@ -192,9 +229,13 @@ class RegOpController {
                 unitCode: req.body.unitCode,
                 operationType: req.body.operationType,
                 operationBase: req.body.operationBase,
+                validUntil: req.body.validUntil || null,
                 operationDate: req.body.operationDate
             }, { transaction });
 
+            await saveCertificateData(operation, transaction);
+            await syncVehicleRegistration(operation.vin, transaction);
+
             await transaction.commit();
 
             const createdOperation = await RegistrationOp.findByPk(operation.operationId, {
@@ -0,0 +1,272 @@
+const {
+    OwnershipTransfer,
+    RegistrationDoc,
+    RegistrationOp,
+    RegistrationDepart,
+    TransportVehicle
+} = require('../../models/associations');
+const ApiError = require("../../error/ApiError");
+const Joi = require('joi');
+const { Op } = require('sequelize');
+const sequelize = require('../../db');
+const { transferStatuses, transferSchema } = require('../../validations/transferShema');
+const { assertNoBlockingRestrictions } = require('../../services/restrictionService');
+const {
+    ACTIVE_TRANSFER_STATUSES,
+    findPersonByIdentifier,
+    changeTransferStatus
+} = require('../../services/transferService');
+const { ownedBy, ownedRegistrationNumbers, requestConsents, useConsents } = require('../../services/coOwnershipService');
+
+async function findTransferForParty(req, party, transaction) {
+    const { error: idError } = Joi.number().integer().positive().required().validate(req.params.id);
+    if (idError) throw ApiError.badRequest('Invalid transfer ID');
+
+    const identifier = req.user.passportData || req.user.taxNumber;
+    if (!identifier) throw ApiError.forbidden('Unable to determine the owner');
+
+    const transfer = await OwnershipTransfer.findOne({
+        where: { transferId: req.params.id, [party]: identifier },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+
+    if (!transfer) throw ApiError.notFound('Transfer not found or access is denied');
+
+    return transfer;
+}
+
+class TransferController {
+    async getMyTransfers(req, res, next) {
+        try {
+            const { error, value } = Joi.object({
+                limit: Joi.number().integer().min(1).max(100).default(10),
+                page: Joi.number().integer().min(1).default(1),
+                status: Joi.string().valid(...transferStatuses).optional()
+            }).validate(req.query);
+
+            if (error) throw ApiError.badRequest(error.details[0].message);
+            const { limit, page, status } = value;
+            const offset = (page - 1) * limit;
+
+            const identifier = req.user.passportData || req.user.taxNumber;
+            if (!identifier) throw ApiError.forbidden('Unable to determine the owner');
+
+            // Совладельцы видят передачи ТС по общим документам наравне с продавцом
+            const where = {
+                [Op.or]: [
+                    { seller: identifier },
+                    { buyer: identifier },
+                    { registrationNumber: { [Op.in]: ownedRegistrationNumbers(identifier) } }
+                ]
+            };
+            if (status) where.status = status;
+
+            const { count, rows } = await OwnershipTransfer.findAndCountAll({
+                where,
+                include: [
+                    {
+                        model: TransportVehicle,
+                        attributes: ['vin', 'makeAndModel', 'releaseYear']
+                    },
+                    {
+                        model: RegistrationDepart,
+                        attributes: ['unitCode', 'departmentName', 'address']
+                    }
+                ],
+                limit,
+                offset,
+                order: [['createdAt', 'DESC']]
+            });
+
+            res.json({
+                total: count,
+                pages: Math.ceil(count / limit),
+                currentPage: page,
+                data: rows.map(transfer => ({
+                    ...transfer.toJSON(),
+                    direction: transfer.buyer === identifier ? 'INCOMING' : 'OUTGOING'
+                }))
+            });
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('GET MY TRANSFERS ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async createTransfer(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { error, value } = transferSchema.validate(req.body, { abortEarly: false });
+            if (error) {
+                const errorMessages = error.details.map(detail => detail.message);
+                throw ApiError.badRequest(errorMessages.join(', '));
+            }
+
+            const seller = req.user.passportData || req.user.taxNumber;
+            if (!seller) throw ApiError.forbidden('Unable to determine the owner');
+
+            if (value.buyer === seller) {
+                throw ApiError.badRequest('The buyer must differ from the current owner');
+            }
+
+            const docs = await RegistrationDoc.findAll({
+                where: { ...ownedBy(seller), status: 'ACTIVE' },
+                attributes: ['registrationNumber'],
+                transaction
+            });
+
+            const operation = await RegistrationOp.findOne({
+                where: {
+                    vin: value.vin,
+                    registrationNumber: { [Op.in]: docs.map(doc => doc.registrationNumber) }
+                },
+                order: [['operationDate', 'DESC']],
+                transaction
+            });
+
+            if (!operation) {
+                throw ApiError.forbidden('The vehicle is not registered to the current owner');
+            }
+
+            const department = await RegistrationDepart.findByPk(value.unitCode, { transaction });
+            if (!department) throw ApiError.badRequest('Registration department was not found');
+
+            const buyer = await findPersonByIdentifier(value.buyer, transaction);
+            if (!buyer) throw ApiError.badRequest('Buyer with the specified passport or tax number was not found');
+
+            const activeTransfer = await OwnershipTransfer.findOne({
+                where: { vin: value.vin, status: { [Op.in]: ACTIVE_TRANSFER_STATUSES } },
+                transaction
+            });
+
+            if (activeTransfer) {
+                throw ApiError.conflict('An active transfer already exists for this vehicle');
+            }
+
+            await assertNoBlockingRestrictions(value.vin, 'TRANSFER', transaction);
+
+            // Пока не все совладельцы согласились на передачу этому покупателю, запрашивается их согласие
+            const doc = await RegistrationDoc.findByPk(operation.registrationNumber, { transaction });
+            const pendingOwners = await requestConsents(doc, 'TRANSFER', seller, { buyer: value.buyer }, transaction);
+            if (pendingOwners.length) {
+                await transaction.commit();
+                return res.status(202).json({
+                    message: 'The transfer requires consent of all co-owners',
+                    data: { pendingOwners }
+                });
+            }
+            await useConsents(doc, 'TRANSFER', seller, { buyer: value.buyer }, transaction);
+
+            const transfer = await OwnershipTransfer.create({
+                vin: value.vin,
+                registrationNumber: operation.registrationNumber,
+                unitCode: value.unitCode,
+                seller,
+                buyer: value.buyer,
+                status: 'PENDING_BUYER'
+            }, { transaction });
+
+            await transaction.commit();
+
+            res.status(201).json({
+                message: 'Transfer created. The buyer has to accept it',
+                data: transfer
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('CREATE TRANSFER ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async acceptTransfer(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const transfer = await findTransferForParty(req, 'buyer', transaction);
+
+            await changeTransferStatus(transfer, 'ACCEPTED', transaction, { acceptedAt: new Date() });
+
+            await transaction.commit();
+
+            res.json({
+                message: 'Transfer accepted',
+                data: transfer
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('ACCEPT TRANSFER ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async declineTransfer(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const transfer = await findTransferForParty(req, 'buyer', transaction);
+
+            await changeTransferStatus(transfer, 'DECLINED', transaction);
+
+            await transaction.commit();
+
+            res.json({
+                message: 'Transfer declined',
+                data: transfer
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('DECLINE TRANSFER ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async cancelTransfer(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const transfer = await findTransferForParty(req, 'seller', transaction);
+
+            await changeTransferStatus(transfer, 'CANCELLED', transaction);
+
+            await transaction.commit();
+
+            res.json({
+                message: 'Transfer cancelled',
+                data: transfer
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('CANCEL TRANSFER ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+}
+
+module.exports = new TransferController();
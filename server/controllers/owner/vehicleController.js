@@ -1,20 +1,33 @@
-const { RegistrationDoc, RegistrationOp, TransportVehicle } = require('../../models/associations');
+const { RegistrationDoc, RegistrationOp, TransportVehicle, VehicleRegistration, VehicleShare, RegistrationDepart } = require('../../models/associations');
 const ApiError = require("../../error/ApiError");
 const sequelize = require('../../db');
-const { Op } = require('sequelize');
 const Joi = require('joi');
-const { vehicleCreateSchema } = require('../../validations/vehicleShema');
+const { vehicleCreateSchema, vehicleDeregisterSchema } = require('../../validations/vehicleShema');
+const { buildDeregistrationBase, deregisterVehicle } = require('../../services/deregistrationService');
+const { RESTRICTION_TYPES, findActiveRestrictions } = require('../../services/restrictionService');
+const { applyCatalogue } = require('../../services/catalogueService');
+const { normalizeVehicleSpecs } = require('../../services/vehicleService');
+const { ownedBy, requestConsents } = require('../../services/coOwnershipService');
+const { resolveApplicant } = require('../../services/powerOfAttorneyService');
+const { DEREGISTRATION_OPERATION_TYPE } = require('../../services/registrationService');
+const { fleetImportSchema } = require('../../validations/fleetImportShema');
+const {
+    REGISTRATION_OPERATION_TYPE,
+    validateImportRows,
+    toImportReport,
+    importFleet
+} = require('../../services/fleetImportService');
 
 class VehicleController {
     async getMyVehicles(req, res, next) {
         try {
-            const { error } = Joi.object({
+            const { error, value } = Joi.object({
                 limit: Joi.number().integer().min(1).max(100).default(10),
                 page: Joi.number().integer().min(1).default(1)
             }).validate(req.query);
             if (error) throw ApiError.badRequest(error.details[0].message);
 
-            const { limit, page } = req.query;
+            const { limit, page } = value;
             const offset = (page - 1) * limit;
 
             const user = req.user;
@@ -23,38 +36,64 @@ class VehicleController {
             const documentOwner = user.passportData || user.taxNumber;
             if (!documentOwner) throw ApiError.forbidden('Unable to determine document owner');
 
-            const docs = await RegistrationDoc.findAll({
-                where: { documentOwner },
-                attributes: ['registrationNumber']
-            });
-
-            const regNumbers = docs.map(doc => doc.registrationNumber);
-            if (!regNumbers.length) return res.json({ total: 0, pages: 0, currentPage: +page, data: [] });
-
-            const regOps = await RegistrationOp.findAll({
-                where: { registrationNumber: { [Op.in]: regNumbers } },
-                attributes: ['vin']
-            });
-
-            const vins = [...new Set(regOps.map(op => op.vin))]; 
-            if (!vins.length) return res.json({ total: 0, pages: 0, currentPage: +page, data: [] });
-
-            const { count, rows } = await TransportVehicle.findAndCountAll({
-                where: { vin: vins },
+            const { count, rows } = await VehicleRegistration.findAndCountAll({
+                where: { ...ownedBy(documentOwner), status: 'REGISTERED' },
+                attributes: { exclude: ['createdAt', 'updatedAt'] },
+                distinct: true,
+                include: [
+                    {
+                        model: TransportVehicle,
+                        attributes: { exclude: ['createdAt', 'updatedAt'] }
+                    },
+                    {
+                        model: RegistrationDoc,
+                        attributes: ['registrationNumber', 'registrationDate', 'pts', 'ptsType', 'sts'],
+                        include: [
+                            {
+                                model: VehicleShare,
+                                attributes: ['owner', 'shareNumerator', 'shareDenominator', 'isPrimary']
+                            }
+                        ]
+                    },
+                    {
+                        model: RegistrationOp,
+                        attributes: ['operationId', 'unitCode']
+                    }
+                ],
                 limit,
                 offset,
-                order: [['vin', 'ASC']]
+                order: [['since', 'DESC'], ['vin', 'ASC']]
             });
 
+            const restrictions = await findActiveRestrictions(rows.map(registration => registration.vin));
+
             res.json({
                 total: count,
                 pages: Math.ceil(count / limit),
                 currentPage: page,
-                data: rows
+                data: rows.map(registration => ({
+                    ...registration.toJSON(),
+                    unitCode: registration.registrationop?.unitCode || null,
+                    restrictions: restrictions
+                        .filter(restriction => restriction.vin === registration.vin)
+                        .map(({ restrictionId, type, authority, documentNumber, imposedAt, liftedAt }) => ({
+                            restrictionId,
+                            type,
+                            label: RESTRICTION_TYPES[type].label,
+                            authority,
+                            documentNumber,
+                            imposedAt,
+                            liftedAt
+                        }))
+                }))
             });
         } catch (e) {
-            console.error('GET MY VEHICLES ERROR:', e);
-            next(ApiError.internal(e.message));
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('GET MY VEHICLES ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
         }
     }
 
@@ -68,25 +107,11 @@ class VehicleController {
             const documentOwner = user.passportData || user.taxNumber;
             if (!documentOwner) throw ApiError.forbidden('Unable to determine the document owner');
 
-            const docs = await RegistrationDoc.findAll({
-                where: { documentOwner },
-                attributes: ['registrationNumber']
-            });
-
-            const regNumbers = docs.map(doc => doc.registrationNumber);
-
-            if (!regNumbers.length) {
-                throw ApiError.notFound('Vehicle not found or no access');
-            }
-
-            const regOp = await RegistrationOp.findOne({
-                where: {
-                    vin,
-                    registrationNumber: regNumbers
-                }
+            const registration = await VehicleRegistration.findOne({
+                where: { vin, ...ownedBy(documentOwner), status: 'REGISTERED' }
             });
 
-            if (!regOp) {
+            if (!registration) {
                 throw ApiError.notFound('Vehicle not found or does not belong to you');
             }
 
@@ -98,8 +123,75 @@ class VehicleController {
 
             res.json(vehicle);
         } catch (e) {
-            console.error("GET VEHICLE BY VIN ERROR:", e);
-            next(ApiError.internal(e.message));
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error("GET VEHICLE BY VIN ERROR:", e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+
+    async deregisterVehicle(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { vin } = req.params;
+            if (!/^[A-HJ-NPR-Z0-9]{17}$/.test(vin)) throw ApiError.badRequest('Invalid VIN format');
+
+            const { error, value } = vehicleDeregisterSchema.validate(req.body);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const user = req.user;
+            if (user.role !== 'OWNER') throw ApiError.forbidden('Only owners can deregister their vehicles');
+
+            // Представитель снимает с учета ТС доверителя по доверенности с полномочием на снятие
+            const { applicant: documentOwner, representative, powerOfAttorneyId } = await resolveApplicant(
+                user, value.principal, DEREGISTRATION_OPERATION_TYPE, transaction
+            );
+
+            // Пока не все совладельцы согласились, снятие с учета только запрашивает их согласие
+            const registration = await VehicleRegistration.findOne({
+                where: { vin, ...ownedBy(documentOwner), status: 'REGISTERED' },
+                include: [{ model: RegistrationDoc }],
+                transaction
+            });
+            if (registration?.registrationdoc) {
+                const pendingOwners = await requestConsents(registration.registrationdoc, 'DEREGISTRATION', documentOwner, {}, transaction);
+                if (pendingOwners.length) {
+                    await transaction.commit();
+                    return res.status(202).json({
+                        message: 'Deregistration requires consent of all co-owners',
+                        data: { pendingOwners }
+                    });
+                }
+            }
+
+            const { doc, operation } = await deregisterVehicle(vin, documentOwner, {
+                operationBase: buildDeregistrationBase(value.reason, value.comment),
+                representative,
+                powerOfAttorneyId
+            }, transaction);
+
+            await transaction.commit();
+
+            res.json({
+                message: 'Vehicle successfully deregistered',
+                data: {
+                    registrationNumber: doc.registrationNumber,
+                    closedAt: doc.closedAt,
+                    operation
+                }
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('DEREGISTER VEHICLE ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
         }
     }
 
@@ -129,7 +221,8 @@ class VehicleController {
             }
 
             const vehicleData = {
-                ...req.body,
+                ...normalizeVehicleSpecs(req.body),
+                ...await applyCatalogue(req.body, transaction),
                 bodyNumber: vin.slice(-6), 
                 chassisNumber: req.body.hasChassisNumber ? vin : null 
             };
@@ -161,6 +254,70 @@ class VehicleController {
             }
         }
     }
+
+    // Импорт автопарка из файла: с dryRun возвращается только построчный отчет, без dryRun
+    // принятые строки становятся ТС и заявлениями на постановку на учет в одной транзакции
+    async importVehicles(req, res, next) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { error, value } = fleetImportSchema.validate(req.body);
+            if (error) throw ApiError.badRequest(error.details[0].message);
+
+            const { applicant, representative, powerOfAttorneyId } = await resolveApplicant(
+                req.user, value.principal, REGISTRATION_OPERATION_TYPE, transaction
+            );
+
+            const department = await RegistrationDepart.findByPk(value.unitCode, { transaction });
+            if (!department) {
+                throw ApiError.badRequest('Registration department was not found');
+            }
+
+            const results = await validateImportRows(value.rows, applicant, transaction);
+            const rows = toImportReport(results);
+            const summary = {
+                total: rows.length,
+                accepted: rows.filter(row => row.valid).length,
+                rejected: rows.filter(row => !row.valid).length
+            };
+
+            if (value.dryRun) {
+                await transaction.rollback();
+                return res.json({ dryRun: true, ...summary, rows });
+            }
+
+            if (!summary.accepted) {
+                throw ApiError.badRequest('The file contains no valid vehicles to import');
+            }
+
+            const applications = await importFleet(req.user, {
+                unitCode: value.unitCode,
+                operationBase: value.operationBase,
+                applicationDate: value.applicationDate,
+                applicant,
+                representative,
+                powerOfAttorneyId
+            }, results, transaction);
+
+            await transaction.commit();
+
+            res.status(201).json({
+                message: `${applications.length} vehicles imported and registration applications submitted`,
+                ...summary,
+                rows,
+                data: applications
+            });
+        } catch (e) {
+            await transaction.rollback();
+
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('IMPORT VEHICLES ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
 }
 
 module.exports = new VehicleController();
\ No newline at end of file
@@ -0,0 +1,26 @@
+const Joi = require('joi');
+const ApiError = require('../../error/ApiError');
+const { buildVinHistory } = require('../../services/vehicleHistoryService');
+
+class VehicleHistoryController {
+    async getVinHistory(req, res, next) {
+        try {
+            const { error, value: vin } = Joi.string().uppercase().pattern(/^[A-HJ-NPR-Z0-9]{17}$/).required()
+                .validate(req.params.vin);
+            if (error) throw ApiError.badRequest('Invalid VIN format');
+
+            const data = await buildVinHistory(vin);
+
+            return res.json({ data });
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('VIN HISTORY ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+}
+
+module.exports = new VehicleHistoryController();
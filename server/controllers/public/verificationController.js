@@ -0,0 +1,21 @@
+const ApiError = require('../../error/ApiError');
+const { verifyToken } = require('../../services/verificationService');
+
+class VerificationController {
+    async verifyDocument(req, res, next) {
+        try {
+            const data = await verifyToken(req.params.token);
+
+            return res.json({ data });
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('DOCUMENT VERIFICATION ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+}
+
+module.exports = new VerificationController();
@@ -0,0 +1,22 @@
+const ApiError = require('../../error/ApiError');
+const { VIN_PATTERN, decodeVin } = require('../../services/vinService');
+
+class VinController {
+    async decode(req, res, next) {
+        try {
+            const vin = String(req.params.vin).toUpperCase();
+            if (!VIN_PATTERN.test(vin)) throw ApiError.badRequest('Invalid VIN format');
+
+            return res.json({ data: decodeVin(vin) });
+        } catch (e) {
+            if (e instanceof ApiError) {
+                next(e);
+            } else {
+                console.error('VIN DECODE ERROR:', e);
+                next(ApiError.internal(e.message));
+            }
+        }
+    }
+}
+
+module.exports = new VinController();
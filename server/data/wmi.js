@@ -0,0 +1,98 @@
+// Локальный справочник WMI (первые три символа VIN) → изготовитель.
+// Отечественные заводы указаны так, как их принято вносить в поле «Изготовитель»
+module.exports = {
+    // Россия и страны СНГ
+    XTA: 'АвтоВАЗ',
+    X9L: 'GM-АвтоВАЗ',
+    XTT: 'УАЗ',
+    XTH: 'ГАЗ',
+    X96: 'ГАЗ',
+    XTC: 'КАМАЗ',
+    X1M: 'ПАЗ',
+    X4X: 'Автотор (BMW)',
+    XWE: 'Автотор (Kia)',
+    XW8: 'Volkswagen Group Rus',
+    XW7: 'Toyota Motor Manufacturing Russia',
+    Z94: 'Hyundai Motor Manufacturing Rus',
+    X7L: 'Renault Россия',
+    Z8N: 'Nissan Manufacturing Rus',
+    X9F: 'Ford Motor Company',
+    Z6F: 'Ford Sollers',
+    XUF: 'General Motors Auto',
+    Z8T: 'ПСМА Рус',
+    Y6D: 'ЗАЗ',
+    Y3M: 'МАЗ',
+
+    // Европа
+    WVW: 'Volkswagen',
+    WV1: 'Volkswagen',
+    WV2: 'Volkswagen',
+    WAU: 'Audi',
+    WBA: 'BMW',
+    WBS: 'BMW M',
+    WDB: 'Mercedes-Benz',
+    WDC: 'Mercedes-Benz',
+    WDD: 'Mercedes-Benz',
+    WMW: 'MINI',
+    WP0: 'Porsche',
+    WP1: 'Porsche',
+    W0L: 'Opel',
+    WF0: 'Ford',
+    VF1: 'Renault',
+    VF3: 'Peugeot',
+    VF7: 'Citroën',
+    VSS: 'SEAT',
+    TMB: 'Škoda',
+    UU1: 'Dacia',
+    ZFA: 'Fiat',
+    ZAR: 'Alfa Romeo',
+    ZFF: 'Ferrari',
+    ZHW: 'Lamborghini',
+    YV1: 'Volvo',
+    YS3: 'Saab',
+    SAL: 'Land Rover',
+    SAJ: 'Jaguar',
+
+    // Азия
+    JTD: 'Toyota',
+    JTE: 'Toyota',
+    JTN: 'Toyota',
+    JTM: 'Toyota',
+    JT2: 'Toyota',
+    JTH: 'Lexus',
+    JTJ: 'Lexus',
+    JHM: 'Honda',
+    JN1: 'Nissan',
+    JN8: 'Nissan',
+    JM1: 'Mazda',
+    JMZ: 'Mazda',
+    JF1: 'Subaru',
+    JS2: 'Suzuki',
+    JMB: 'Mitsubishi',
+    KMH: 'Hyundai',
+    KNA: 'Kia',
+    KNM: 'Renault Samsung',
+    KPT: 'SsangYong',
+    LSV: 'SAIC Volkswagen',
+    LFV: 'FAW-Volkswagen',
+    LVS: 'Changan Ford',
+    LGW: 'Great Wall',
+    LVV: 'Chery',
+    LB3: 'Geely',
+    LGX: 'BYD',
+    LRW: 'Tesla',
+
+    // Северная Америка
+    '1G1': 'Chevrolet',
+    '1FA': 'Ford',
+    '1FT': 'Ford',
+    '1HG': 'Honda',
+    '1N4': 'Nissan',
+    '1C4': 'Chrysler',
+    '2T1': 'Toyota',
+    '3VW': 'Volkswagen',
+    '4T1': 'Toyota',
+    '4S3': 'Subaru',
+    '5UX': 'BMW',
+    '5YJ': 'Tesla'
+};
@@ -28,6 +28,10 @@ class ApiError extends Error {
     static unauthorized(message) {
         return new ApiError(401, message);
     }
+
+    static tooManyRequests(message) {
+        return new ApiError(429, message);
+    }
 }
 
 module.exports = ApiError;
\ No newline at end of file
@@ -11,6 +11,8 @@ const errorMessages = {
   'Legal entity not found': 'Юридическое лицо не найдено',
   'Natural person with this passport already exists': 'Физическое лицо с таким паспортом уже существует',
   'Legal entity with this tax number already exists': 'Юридическое лицо с таким ИНН уже существует',
+  'Legal entity already has an account. Ask the company administrator for an invite': 'У юридического лица уже есть учетная запись. Запросите приглашение у администратора компании',
+  'Invite not found or expired': 'Приглашение не найдено или истек срок его действия',
 
   'Invalid passport format (should be "XXXX XXXXXX")': 'Неверный формат паспорта (должен быть "XXXX XXXXXX")',
   'Invalid tax number format (should be 10 digits)': 'Неверный формат ИНН (должен быть из 10 цифр)',
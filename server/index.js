@@ -1,6 +1,7 @@
 require('dotenv').config();
 const app = require('./app');
 const sequelize = require('./db');
+const { startRegistrationExpiryJob } = require('./services/registrationExpiryService');
 
 const PORT = process.env.PORT || 5000;
 
@@ -9,6 +10,7 @@ const start = async () => {
     // await sequelize.authenticate();
     await sequelize.sync(); // sync в проде = осторожно! в тестах лучше force: true
     app.listen(PORT, () => console.log(`Server started on port ${PORT}`));
+    startRegistrationExpiryJob();
   } catch (e) {
     console.error(e);
   }
@@ -0,0 +1,17 @@
+const express = require('express');
+const ApiError = require('../error/ApiError');
+const { MAX_ATTACHMENT_SIZE } = require('../services/attachmentService');
+
+// Файл передается телом запроса как есть, тип берется из Content-Type
+const parseFile = express.raw({ type: () => true, limit: MAX_ATTACHMENT_SIZE });
+
+module.exports = function (req, res, next) {
+    parseFile(req, res, (err) => {
+        if (!err) return next();
+
+        if (err.type === 'entity.too.large') {
+            return next(ApiError.badRequest(`File size must not exceed ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB`));
+        }
+        next(ApiError.badRequest('Unable to read the uploaded file'));
+    });
+};
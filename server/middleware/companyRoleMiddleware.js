@@ -0,0 +1,20 @@
+const ApiError = require('../error/ApiError');
+
+// Ограничивает действия сотрудников юридического лица ролью в компании; физических лиц не касается
+module.exports = function (requiredCompanyRoles) {
+    return function (req, res, next) {
+        if (!req.user) {
+            return next(ApiError.unauthorized('Пользователь не авторизован'));
+        }
+
+        if (req.user.role !== 'OWNER' || req.user.passportData || !req.user.taxNumber) {
+            return next();
+        }
+
+        if (!requiredCompanyRoles.includes(req.user.companyRole)) {
+            return next(ApiError.forbidden('Недостаточно прав в компании'));
+        }
+
+        next();
+    };
+};
@@ -0,0 +1,36 @@
+const ApiError = require('../error/ApiError');
+
+// Ограничение числа запросов с одного адреса в окне фиксированной длины.
+// Счетчики хранятся в памяти процесса, у каждого вызова фабрики они свои
+module.exports = function ({ windowMs, max }) {
+    const hits = new Map();
+    let nextCleanup = Date.now() + windowMs;
+
+    return function (req, res, next) {
+        const now = Date.now();
+
+        if (now >= nextCleanup) {
+            for (const [key, entry] of hits) {
+                if (entry.resetAt <= now) hits.delete(key);
+            }
+            nextCleanup = now + windowMs;
+        }
+
+        let entry = hits.get(req.ip);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(req.ip, entry);
+        }
+
+        entry.count++;
+        res.setHeader('X-RateLimit-Limit', max);
+        res.setHeader('X-RateLimit-Remaining', Math.max(max - entry.count, 0));
+
+        if (entry.count > max) {
+            res.setHeader('Retry-After', Math.ceil((entry.resetAt - now) / 1000));
+            return next(ApiError.tooManyRequests('Too many requests, please try again later'));
+        }
+
+        next();
+    };
+};
@@ -0,0 +1,43 @@
+const sequelize = require("../db");
+const {DataTypes} = require("sequelize");
+
+const ApplicationStatusHistory = sequelize.define('applicationstatushistory', {
+    historyId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+    },
+    applicationId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    fromStatus: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    toStatus: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    changedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    changedByRole: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    comment: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    changedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    }
+}, {
+    tableName: 'applicationstatushistory'
+});
+
+module.exports = ApplicationStatusHistory;
@@ -0,0 +1,36 @@
+const sequelize = require("../db");
+const {DataTypes} = require("sequelize");
+
+const Appointment = sequelize.define('appointment', {
+    appointmentId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+    },
+    slotId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    applicationId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('BOOKED', 'CANCELLED'),
+        allowNull: false,
+        defaultValue: 'BOOKED'
+    },
+    bookedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    cancelledAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'appointment'
+});
+
+module.exports = Appointment;
@@ -0,0 +1,38 @@
+const sequelize = require("../db");
+const {DataTypes} = require("sequelize");
+
+const AppointmentSlot = sequelize.define('appointmentslot', {
+    slotId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+    },
+    unitCode: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    startsAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    endsAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    capacity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+    }
+}, {
+    tableName: 'appointmentslot',
+    indexes: [
+        {
+            unique: true,
+            fields: ['unitCode', 'startsAt']
+        }
+    ]
+});
+
+module.exports = AppointmentSlot;
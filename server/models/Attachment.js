@@ -0,0 +1,57 @@
+const sequelize = require("../db");
+const {DataTypes} = require("sequelize");
+
+const Attachment = sequelize.define('attachment', {
+    attachmentId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+    },
+    targetType: {
+        type: DataTypes.ENUM('VEHICLE', 'REG_DOC', 'APPLICATION'),
+        allowNull: false
+    },
+    targetId: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    kind: {
+        type: DataTypes.ENUM('VIN_PLATE_PHOTO', 'BODY_PHOTO', 'SALE_CONTRACT', 'INSURANCE_POLICY', 'OTHER'),
+        allowNull: false
+    },
+    fileName: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    mimeType: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    size: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    checksum: {
+        type: DataTypes.STRING(64),
+        allowNull: false
+    },
+    storageKey: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+    },
+    uploadedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    }
+}, {
+    tableName: 'attachment',
+    indexes: [
+        {
+            fields: ['targetType', 'targetId']
+        }
+    ]
+});
+
+module.exports = Attachment;
@@ -0,0 +1,52 @@
+const sequelize = require("../db");
+const {DataTypes} = require("sequelize");
+
+const CoOwnerConsent = sequelize.define('coownerconsent', {
+    consentId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+    },
+    registrationNumber: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    action: {
+        type: DataTypes.ENUM('TRANSFER', 'DEREGISTRATION'),
+        allowNull: false
+    },
+    buyer: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    requestedBy: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    owner: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('PENDING', 'GRANTED', 'DECLINED', 'USED'),
+        allowNull: false,
+        defaultValue: 'PENDING'
+    },
+    decidedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'coownerconsent',
+    indexes: [
+        {
+            fields: ['registrationNumber', 'action']
+        },
+        {
+            fields: ['owner']
+        }
+    ]
+});
+
+module.exports = CoOwnerConsent;
@@ -0,0 +1,50 @@
+const sequelize = require("../db");
+const {DataTypes} = require("sequelize");
+
+const CompanyInvite = sequelize.define('companyinvite', {
+    inviteId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+    },
+    taxNumber: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    email: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    companyRole: {
+        type: DataTypes.ENUM('COMPANY_ADMIN', 'FLEET_MANAGER', 'VIEWER'),
+        allowNull: false
+    },
+    token: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+    },
+    invitedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('PENDING', 'ACCEPTED', 'REVOKED'),
+        allowNull: false,
+        defaultValue: 'PENDING'
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    }
+}, {
+    tableName: 'companyinvite',
+    indexes: [
+        {
+            fields: ['taxNumber']
+        }
+    ]
+});
+
+module.exports = CompanyInvite;
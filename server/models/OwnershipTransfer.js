@@ -0,0 +1,56 @@
+const sequelize = require("../db");
+const {DataTypes} = require("sequelize");
+
+const OwnershipTransfer = sequelize.define('ownershiptransfer', {
+    transferId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+    },
+    vin: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    registrationNumber: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    unitCode: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    seller: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    buyer: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('PENDING_BUYER', 'ACCEPTED', 'COMPLETED', 'DECLINED', 'CANCELLED'),
+        allowNull: false,
+        defaultValue: 'PENDING_BUYER'
+    },
+    acceptedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    newRegistrationNumber: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    operationId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    }
+}, {
+    tableName: 'ownershiptransfer'
+});
+
+module.exports = OwnershipTransfer;
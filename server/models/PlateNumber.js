@@ -0,0 +1,53 @@
+const sequelize = require("../db");
+const {DataTypes} = require("sequelize");
+
+const PlateNumber = sequelize.define('platenumber', {
+    plateNumber: {
+        type: DataTypes.STRING,
+        unique: true,
+        primaryKey: true,
+        allowNull: false
+    },
+    regionCode: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('FREE', 'RESERVED', 'ISSUED', 'RETIRED'),
+        allowNull: false,
+        defaultValue: 'FREE'
+    },
+    reservedBy: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    applicationId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    reservedUntil: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    issuedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    retiredAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    availableFrom: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'platenumber',
+    indexes: [
+        {
+            fields: ['regionCode', 'status']
+        }
+    ]
+});
+
+module.exports = PlateNumber;
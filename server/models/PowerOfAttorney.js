@@ -0,0 +1,52 @@
+const sequelize = require("../db");
+const {DataTypes} = require("sequelize");
+
+const PowerOfAttorney = sequelize.define('powerofattorney', {
+    powerOfAttorneyId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+    },
+    principal: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    representative: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    scope: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false
+    },
+    validFrom: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    validUntil: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    notarialNumber: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+    },
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'powerofattorney',
+    indexes: [
+        {
+            fields: ['principal']
+        },
+        {
+            fields: ['representative']
+        }
+    ]
+});
+
+module.exports = PowerOfAttorney;
@@ -0,0 +1,88 @@
+const sequelize = require("../db");
+const {DataTypes} = require("sequelize");
+const { CURRENT_TEMPLATE_VERSIONS } = require('../templates/pdf/versions');
+
+const RegistrationApplication = sequelize.define('registrationapplication', {
+    applicationId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+    },
+    vin: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    registrationNumber: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    unitCode: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    operationType: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    operationBase: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    validUntil: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    requestedPlateNumber: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    requestedChanges: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    },
+    applicant: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('SUBMITTED', 'UNDER_REVIEW', 'NEEDS_CORRECTION', 'APPROVED', 'REJECTED', 'CANCELLED'),
+        allowNull: false,
+        defaultValue: 'SUBMITTED'
+    },
+    statusComment: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    applicationDate: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    // Сведения о ТС на дату подачи: печатная форма заявления выводит их, а не текущие данные ТС
+    vehicleData: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    },
+    applicationTemplate: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        defaultValue: CURRENT_TEMPLATE_VERSIONS.application
+    },
+    // Заявитель — доверитель; представитель подает заявление от его имени
+    representative: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    powerOfAttorneyId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    operationId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    }
+}, {
+    tableName: 'registrationapplication'
+});
+
+module.exports = RegistrationApplication;
@@ -18,6 +18,10 @@ const RegistrationDepart = sequelize.define('registrationdepart', {
         type: DataTypes.STRING,
         unique: true,
         allowNull: false
+    },
+    regionCode: {
+        type: DataTypes.STRING,
+        allowNull: true
     }
 }, {
     tableName: 'registrationdepart'
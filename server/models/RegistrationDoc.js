@@ -1,5 +1,6 @@
 const sequelize = require("../db");
 const {DataTypes} = require("sequelize");
+const { CURRENT_TEMPLATE_VERSIONS } = require('../templates/pdf/versions');
 
 const RegistrationDoc = sequelize.define('registrationdoc', {
     registrationNumber: {
@@ -14,9 +15,21 @@ const RegistrationDoc = sequelize.define('registrationdoc', {
     },
     pts: {
         type: DataTypes.STRING,
-        unique: true,
         allowNull: false
     },
+    ptsType: {
+        type: DataTypes.ENUM('PAPER', 'ELECTRONIC'),
+        allowNull: false,
+        defaultValue: 'PAPER'
+    },
+    ptsStatus: {
+        type: DataTypes.ENUM('ACTIVE', 'INCOMPLETE', 'CANCELLED'),
+        allowNull: true
+    },
+    ptsIssuedAt: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
     sts: {
         type: DataTypes.STRING,
         unique: true,
@@ -29,9 +42,39 @@ const RegistrationDoc = sequelize.define('registrationdoc', {
     registrationDate: {
         type: DataTypes.DATE,
         allowNull: false
-    }    
+    },
+    validUntil: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.ENUM('ACTIVE', 'CLOSED'),
+        allowNull: false,
+        defaultValue: 'ACTIVE'
+    },
+    closedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    certificateTemplate: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        defaultValue: CURRENT_TEMPLATE_VERSIONS.certificate
+    },
+    // Сведения о ТС, владельце и подразделении на дату регистрации, по ним печатается СТС
+    certificateData: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    }
 }, {
-    tableName: 'registrationdoc'
+    tableName: 'registrationdoc',
+    indexes: [
+        {
+            unique: true,
+            fields: ['pts'],
+            where: { status: 'ACTIVE' }
+        }
+    ]
 });
 
 module.exports = RegistrationDoc;
\ No newline at end of file
@@ -28,9 +28,26 @@ const RegistrationOp = sequelize.define('registrationop', {
         type: DataTypes.STRING,
         allowNull: false
     },
+    changes: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    },
+    validUntil: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
     operationDate: {
         type: DataTypes.DATE,
         allowNull: false
+    },
+    // Операция, оформленная по заявлению представителя, хранит его и доверенность
+    representative: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    powerOfAttorneyId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
     }
 }, {
     tableName: 'registrationop'
@@ -13,20 +13,40 @@ const TransportVehicle = sequelize.define('transportvehicle', {
         allowNull: false
     },
     releaseYear: {
-        type: DataTypes.STRING,
+        type: DataTypes.INTEGER,
         allowNull: false
     },
     manufacture: {
         type: DataTypes.STRING,
         allowNull: false
     },
+    // Категория ТС (A, B, C, D, E и подкатегории): задает обязательные поля и формат знака
+    category: {
+        type: DataTypes.ENUM('A', 'A1', 'B', 'B1', 'C', 'C1', 'D', 'D1', 'E'),
+        allowNull: false,
+        defaultValue: 'B'
+    },
+    // Привод, мощность, трансмиссия и руль не заполняются у прицепов
     typeOfDrive: {
         type: DataTypes.STRING,
-        allowNull: false
+        allowNull: true
+    },
+    powerKw: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    powerHp: {
+        type: DataTypes.INTEGER,
+        allowNull: true
     },
+    // Мощность в формате СТС, например "110 кВт/150 л.с."
     power: {
-        type: DataTypes.STRING,
-        allowNull: false
+        type: DataTypes.VIRTUAL(DataTypes.STRING, ['powerKw', 'powerHp']),
+        get() {
+            const powerKw = this.getDataValue('powerKw');
+            const powerHp = this.getDataValue('powerHp');
+            return powerKw == null || powerHp == null ? null : `${powerKw} кВт/${powerHp} л.с.`;
+        }
     },
     chassisNumber: {
         type: DataTypes.STRING,
@@ -42,19 +62,52 @@ const TransportVehicle = sequelize.define('transportvehicle', {
     },
     transmissionType: {
         type: DataTypes.STRING,
-        allowNull: false
+        allowNull: true
     },
     steeringWheel: {
         type: DataTypes.STRING,
-        allowNull: false
+        allowNull: true
+    },
+    // Тип силовой установки: ДВС, гибриды, электромобиль, топливный элемент; у прицепа — null
+    powertrainType: {
+        type: DataTypes.ENUM('ICE', 'HEV', 'PHEV', 'BEV', 'FCEV'),
+        allowNull: true,
+        defaultValue: 'ICE'
     },
+    // Для BEV и FCEV двигателя внутреннего сгорания нет: модель и объем не заполняются
     engineModel: {
         type: DataTypes.STRING,
-        allowNull: false
+        allowNull: true
     },
     engineVolume: {
         type: DataTypes.INTEGER,
-        allowNull: false
+        allowNull: true
+    },
+    // Мощность электродвигателя, кВт
+    electricMotorPower: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    // Емкость тяговой батареи, кВт·ч
+    batteryCapacity: {
+        type: DataTypes.FLOAT,
+        allowNull: true
+    },
+    curbMass: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    maxMass: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    seatsCount: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    modelId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
     }
 }, {
     tableName: 'transportvehicle'
@@ -26,9 +26,13 @@ const User = sequelize.define('user', {
         unique: true,
         allowNull: true
     },
+    // У юридического лица может быть несколько учетных записей с одним ИНН
     taxNumber: {
         type: DataTypes.STRING,
-        unique: true,
+        allowNull: true
+    },
+    companyRole: {
+        type: DataTypes.ENUM('COMPANY_ADMIN', 'FLEET_MANAGER', 'VIEWER'),
         allowNull: true
     },
     badgeNumber: {
@@ -37,7 +41,12 @@ const User = sequelize.define('user', {
         allowNull: true
     }
 }, {
-    tableName: 'user'
+    tableName: 'user',
+    indexes: [
+        {
+            fields: ['taxNumber']
+        }
+    ]
 });
 
 module.exports = User;
\ No newline at end of file
@@ -0,0 +1,60 @@
+const sequelize = require("../db");
+const {DataTypes} = require("sequelize");
+
+const VehicleDocument = sequelize.define('vehicledocument', {
+    documentId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+    },
+    registrationNumber: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    kind: {
+        type: DataTypes.ENUM('PTS', 'STS'),
+        allowNull: false
+    },
+    number: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('ACTIVE', 'LOST', 'REPLACED', 'CANCELLED'),
+        allowNull: false,
+        defaultValue: 'ACTIVE'
+    },
+    reason: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    issuedAt: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    invalidatedAt: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    replacedById: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    issuedBy: {
+        type: DataTypes.STRING,
+        allowNull: true
+    }
+}, {
+    tableName: 'vehicledocument',
+    indexes: [
+        {
+            fields: ['kind', 'number']
+        },
+        {
+            fields: ['registrationNumber']
+        }
+    ]
+});
+
+module.exports = VehicleDocument;
@@ -0,0 +1,36 @@
+const sequelize = require("../db");
+const {DataTypes} = require("sequelize");
+
+const VehicleManufacturer = sequelize.define('vehiclemanufacturer', {
+    manufacturerId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+    },
+    name: {
+        type: DataTypes.STRING,
+        unique: true,
+        allowNull: false
+    },
+    aliases: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        defaultValue: []
+    },
+    matchKeys: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        defaultValue: []
+    }
+}, {
+    tableName: 'vehiclemanufacturer',
+    indexes: [
+        {
+            fields: ['matchKeys'],
+            using: 'gin'
+        }
+    ]
+});
+
+module.exports = VehicleManufacturer;
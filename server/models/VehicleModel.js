@@ -0,0 +1,57 @@
+const sequelize = require("../db");
+const {DataTypes} = require("sequelize");
+
+const VehicleModel = sequelize.define('vehiclemodel', {
+    modelId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+    },
+    manufacturerId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    make: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    model: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    aliases: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        defaultValue: []
+    },
+    engineModels: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        defaultValue: []
+    },
+    typesOfDrive: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        defaultValue: []
+    },
+    matchKeys: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        defaultValue: []
+    }
+}, {
+    tableName: 'vehiclemodel',
+    indexes: [
+        {
+            unique: true,
+            fields: ['make', 'model']
+        },
+        {
+            fields: ['matchKeys'],
+            using: 'gin'
+        }
+    ]
+});
+
+module.exports = VehicleModel;
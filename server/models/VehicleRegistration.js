@@ -0,0 +1,45 @@
+const sequelize = require("../db");
+const {DataTypes} = require("sequelize");
+
+const VehicleRegistration = sequelize.define('vehicleregistration', {
+    vin: {
+        type: DataTypes.STRING,
+        unique: true,
+        primaryKey: true,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('NOT_REGISTERED', 'REGISTERED', 'DEREGISTERED'),
+        allowNull: false,
+        defaultValue: 'NOT_REGISTERED'
+    },
+    registrationNumber: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    documentOwner: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    operationId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    validUntil: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    since: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'vehicleregistration',
+    indexes: [
+        {
+            fields: ['documentOwner', 'status']
+        }
+    ]
+});
+
+module.exports = VehicleRegistration;
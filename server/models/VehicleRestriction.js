@@ -0,0 +1,56 @@
+const sequelize = require("../db");
+const {DataTypes} = require("sequelize");
+
+const VehicleRestriction = sequelize.define('vehiclerestriction', {
+    restrictionId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+    },
+    vin: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    type: {
+        type: DataTypes.ENUM('ARREST', 'REGISTRATION_BAN', 'PLEDGE', 'WANTED'),
+        allowNull: false
+    },
+    authority: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    documentNumber: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    imposedAt: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    liftedAt: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    liftDocumentNumber: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    comment: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    createdBy: {
+        type: DataTypes.STRING,
+        allowNull: true
+    }
+}, {
+    tableName: 'vehiclerestriction',
+    indexes: [
+        {
+            fields: ['vin']
+        }
+    ]
+});
+
+module.exports = VehicleRestriction;
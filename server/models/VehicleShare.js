@@ -0,0 +1,45 @@
+const sequelize = require("../db");
+const {DataTypes} = require("sequelize");
+
+const VehicleShare = sequelize.define('vehicleshare', {
+    shareId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+    },
+    registrationNumber: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    owner: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    shareNumerator: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    shareDenominator: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    isPrimary: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    }
+}, {
+    tableName: 'vehicleshare',
+    indexes: [
+        {
+            unique: true,
+            fields: ['registrationNumber', 'owner']
+        },
+        {
+            fields: ['owner']
+        }
+    ]
+});
+
+module.exports = VehicleShare;
@@ -8,6 +8,22 @@ const LegalEntity = require('./LegalEntity');
 const RegistrationDepart = require('./RegistrationDepart');
 const Employee = require('./Employee');
 const Work = require('./Work');
+const RegistrationApplication = require('./RegistrationApplication');
+const ApplicationStatusHistory = require('./ApplicationStatusHistory');
+const AppointmentSlot = require('./AppointmentSlot');
+const Appointment = require('./Appointment');
+const OwnershipTransfer = require('./OwnershipTransfer');
+const PlateNumber = require('./PlateNumber');
+const VehicleRegistration = require('./VehicleRegistration');
+const VehicleRestriction = require('./VehicleRestriction');
+const VehicleDocument = require('./VehicleDocument');
+const VehicleManufacturer = require('./VehicleManufacturer');
+const VehicleModel = require('./VehicleModel');
+const Attachment = require('./Attachment');
+const VehicleShare = require('./VehicleShare');
+const CoOwnerConsent = require('./CoOwnerConsent');
+const PowerOfAttorney = require('./PowerOfAttorney');
+const CompanyInvite = require('./CompanyInvite');
 
 
 User.belongsTo(NaturalPerson, { foreignKey: 'passportData', targetKey: 'passportData', constraints: false });
@@ -15,7 +31,7 @@ User.belongsTo(LegalEntity, { foreignKey: 'taxNumber', targetKey: 'taxNumber', c
 User.belongsTo(Employee, { foreignKey: 'badgeNumber', targetKey: 'badgeNumber', constraints: false });
 
 NaturalPerson.hasOne(User, { foreignKey: 'passportData', sourceKey: 'passportData' });
-LegalEntity.hasOne(User, { foreignKey: 'taxNumber', sourceKey: 'taxNumber' });
+LegalEntity.hasMany(User, { foreignKey: 'taxNumber', sourceKey: 'taxNumber' });
 Employee.hasOne(User, { foreignKey: 'badgeNumber', sourceKey: 'badgeNumber' });
 
 Owner.hasOne(NaturalPerson, { foreignKey: 'address' });
@@ -44,6 +60,98 @@ Work.belongsTo(Employee, { foreignKey: 'badgeNumber' });
 RegistrationOp.hasMany(Work, { foreignKey: 'operationId' });
 Work.belongsTo(RegistrationOp, { foreignKey: 'operationId' });
 
+TransportVehicle.hasMany(RegistrationApplication, { foreignKey: 'vin' });
+RegistrationApplication.belongsTo(TransportVehicle, { foreignKey: 'vin' });
+
+RegistrationDepart.hasMany(RegistrationApplication, { foreignKey: 'unitCode' });
+RegistrationApplication.belongsTo(RegistrationDepart, { foreignKey: 'unitCode' });
+
+RegistrationOp.hasOne(RegistrationApplication, { foreignKey: 'operationId' });
+RegistrationApplication.belongsTo(RegistrationOp, { foreignKey: 'operationId' });
+
+RegistrationApplication.hasMany(ApplicationStatusHistory, { foreignKey: 'applicationId' });
+ApplicationStatusHistory.belongsTo(RegistrationApplication, { foreignKey: 'applicationId' });
+
+User.hasMany(ApplicationStatusHistory, { foreignKey: 'changedBy' });
+ApplicationStatusHistory.belongsTo(User, { foreignKey: 'changedBy' });
+
+RegistrationDepart.hasMany(AppointmentSlot, { foreignKey: 'unitCode' });
+AppointmentSlot.belongsTo(RegistrationDepart, { foreignKey: 'unitCode' });
+
+AppointmentSlot.hasMany(Appointment, { foreignKey: 'slotId' });
+Appointment.belongsTo(AppointmentSlot, { foreignKey: 'slotId' });
+
+RegistrationApplication.hasMany(Appointment, { foreignKey: 'applicationId' });
+Appointment.belongsTo(RegistrationApplication, { foreignKey: 'applicationId' });
+
+TransportVehicle.hasMany(OwnershipTransfer, { foreignKey: 'vin' });
+OwnershipTransfer.belongsTo(TransportVehicle, { foreignKey: 'vin' });
+
+RegistrationDoc.hasMany(OwnershipTransfer, { foreignKey: 'registrationNumber' });
+OwnershipTransfer.belongsTo(RegistrationDoc, { foreignKey: 'registrationNumber' });
+
+RegistrationDepart.hasMany(OwnershipTransfer, { foreignKey: 'unitCode' });
+OwnershipTransfer.belongsTo(RegistrationDepart, { foreignKey: 'unitCode' });
+
+RegistrationOp.hasOne(OwnershipTransfer, { foreignKey: 'operationId' });
+OwnershipTransfer.belongsTo(RegistrationOp, { foreignKey: 'operationId' });
+
+Employee.hasMany(PlateNumber, { foreignKey: 'reservedBy' });
+PlateNumber.belongsTo(Employee, { foreignKey: 'reservedBy' });
+
+RegistrationApplication.hasOne(PlateNumber, { foreignKey: 'applicationId' });
+PlateNumber.belongsTo(RegistrationApplication, { foreignKey: 'applicationId' });
+
+TransportVehicle.hasOne(VehicleRegistration, { foreignKey: 'vin' });
+VehicleRegistration.belongsTo(TransportVehicle, { foreignKey: 'vin' });
+
+RegistrationDoc.hasMany(VehicleRegistration, { foreignKey: 'registrationNumber' });
+VehicleRegistration.belongsTo(RegistrationDoc, { foreignKey: 'registrationNumber' });
+
+RegistrationOp.hasOne(VehicleRegistration, { foreignKey: 'operationId' });
+VehicleRegistration.belongsTo(RegistrationOp, { foreignKey: 'operationId' });
+
+TransportVehicle.hasMany(VehicleRestriction, { foreignKey: 'vin' });
+VehicleRestriction.belongsTo(TransportVehicle, { foreignKey: 'vin' });
+
+Employee.hasMany(VehicleRestriction, { foreignKey: 'createdBy' });
+VehicleRestriction.belongsTo(Employee, { foreignKey: 'createdBy' });
+
+RegistrationDoc.hasMany(VehicleDocument, { foreignKey: 'registrationNumber' });
+VehicleDocument.belongsTo(RegistrationDoc, { foreignKey: 'registrationNumber' });
+
+VehicleDocument.belongsTo(VehicleDocument, { as: 'replacedBy', foreignKey: 'replacedById' });
+
+Employee.hasMany(VehicleDocument, { foreignKey: 'issuedBy' });
+VehicleDocument.belongsTo(Employee, { foreignKey: 'issuedBy' });
+
+VehicleManufacturer.hasMany(VehicleModel, { foreignKey: 'manufacturerId' });
+VehicleModel.belongsTo(VehicleManufacturer, { foreignKey: 'manufacturerId' });
+
+VehicleModel.hasMany(TransportVehicle, { foreignKey: 'modelId' });
+TransportVehicle.belongsTo(VehicleModel, { foreignKey: 'modelId' });
+
+User.hasMany(Attachment, { foreignKey: 'uploadedBy' });
+Attachment.belongsTo(User, { foreignKey: 'uploadedBy' });
+
+RegistrationDoc.hasMany(VehicleShare, { foreignKey: 'registrationNumber' });
+VehicleShare.belongsTo(RegistrationDoc, { foreignKey: 'registrationNumber' });
+
+RegistrationDoc.hasMany(CoOwnerConsent, { foreignKey: 'registrationNumber' });
+CoOwnerConsent.belongsTo(RegistrationDoc, { foreignKey: 'registrationNumber' });
+
+PowerOfAttorney.hasMany(RegistrationApplication, { foreignKey: 'powerOfAttorneyId' });
+RegistrationApplication.belongsTo(PowerOfAttorney, { foreignKey: 'powerOfAttorneyId' });
+
+PowerOfAttorney.hasMany(RegistrationOp, { foreignKey: 'powerOfAttorneyId' });
+RegistrationOp.belongsTo(PowerOfAttorney, { foreignKey: 'powerOfAttorneyId' });
+
+LegalEntity.hasMany(CompanyInvite, { foreignKey: 'taxNumber', sourceKey: 'taxNumber' });
+CompanyInvite.belongsTo(LegalEntity, { foreignKey: 'taxNumber', targetKey: 'taxNumber' });
+
+User.hasMany(CompanyInvite, { foreignKey: 'invitedBy' });
+CompanyInvite.belongsTo(User, { foreignKey: 'invitedBy' });
+
 module.exports = {
     TransportVehicle,
     RegistrationOp,
@@ -54,5 +162,21 @@ module.exports = {
     RegistrationDepart,
     Employee,
     Work,
-    User
+    User,
+    RegistrationApplication,
+    ApplicationStatusHistory,
+    AppointmentSlot,
+    Appointment,
+    OwnershipTransfer,
+    PlateNumber,
+    VehicleRegistration,
+    VehicleRestriction,
+    VehicleDocument,
+    VehicleManufacturer,
+    VehicleModel,
+    Attachment,
+    VehicleShare,
+    CoOwnerConsent,
+    PowerOfAttorney,
+    CompanyInvite
 };
\ No newline at end of file
@@ -3,6 +3,9 @@ const router = new Router();
 const employeeCrudController = require('../controllers/admin/employeeCrudController');
 const regDepartCrudController = require('../controllers/admin/regDepartCrudController');
 const userCrudController = require('../controllers/admin/userCrudController');
+const appointmentSlotCrudController = require('../controllers/admin/appointmentSlotCrudController');
+const plateCrudController = require('../controllers/admin/plateCrudController');
+const catalogueCrudController = require('../controllers/admin/catalogueCrudController');
 const authMiddleware = require('../middleware/authMiddleware');
 const roleMiddleware = require('../middleware/roleMiddleware');
 
@@ -20,6 +23,23 @@ router.put('/reg-depart/:unitCode', authMiddleware, roleMiddleware(['ADMIN']), r
 router.patch('/reg-depart/:unitCode', authMiddleware, roleMiddleware(['ADMIN']), regDepartCrudController.patchRegDepart);
 router.delete('/reg-depart/:unitCode', authMiddleware, roleMiddleware(['ADMIN']), regDepartCrudController.deleteRegDepart);
 
+router.get('/reg-depart/:unitCode/slots', authMiddleware, roleMiddleware(['ADMIN']), appointmentSlotCrudController.getSlots);
+router.post('/reg-depart/:unitCode/slots', authMiddleware, roleMiddleware(['ADMIN']), appointmentSlotCrudController.createSlots);
+router.patch('/slots/:id', authMiddleware, roleMiddleware(['ADMIN']), appointmentSlotCrudController.patchSlot);
+router.delete('/slots/:id', authMiddleware, roleMiddleware(['ADMIN']), appointmentSlotCrudController.deleteSlot);
+
+router.post('/plates/generate', authMiddleware, roleMiddleware(['ADMIN']), plateCrudController.generatePlates);
+
+router.get('/catalogue/manufacturers', authMiddleware, roleMiddleware(['ADMIN', 'EMPLOYEE', 'OWNER']), catalogueCrudController.getManufacturers);
+router.post('/catalogue/manufacturers', authMiddleware, roleMiddleware(['ADMIN']), catalogueCrudController.createManufacturer);
+router.put('/catalogue/manufacturers/:id', authMiddleware, roleMiddleware(['ADMIN']), catalogueCrudController.updateManufacturer);
+router.delete('/catalogue/manufacturers/:id', authMiddleware, roleMiddleware(['ADMIN']), catalogueCrudController.deleteManufacturer);
+
+router.get('/catalogue/models', authMiddleware, roleMiddleware(['ADMIN', 'EMPLOYEE', 'OWNER']), catalogueCrudController.getModels);
+router.post('/catalogue/models', authMiddleware, roleMiddleware(['ADMIN']), catalogueCrudController.createModel);
+router.put('/catalogue/models/:id', authMiddleware, roleMiddleware(['ADMIN']), catalogueCrudController.updateModel);
+router.delete('/catalogue/models/:id', authMiddleware, roleMiddleware(['ADMIN']), catalogueCrudController.deleteModel);
+
 router.get('/users', authMiddleware, roleMiddleware(['ADMIN']), userCrudController.getAllUser);
 router.get('/users/search', authMiddleware, roleMiddleware(['ADMIN']), userCrudController.getUserByField);
 router.post('/users', authMiddleware, roleMiddleware(['ADMIN']), userCrudController.createUser);
@@ -0,0 +1,15 @@
+const Router = require('express');
+const router = new Router();
+const attachmentController = require('../controllers/attachment/attachmentController');
+const authMiddleware = require('../middleware/authMiddleware');
+const roleMiddleware = require('../middleware/roleMiddleware');
+const companyRoleMiddleware = require('../middleware/companyRoleMiddleware');
+const { COMPANY_WRITE_ROLES } = require('../services/companyService');
+const attachmentUploadMiddleware = require('../middleware/attachmentUploadMiddleware');
+
+router.get('/', authMiddleware, roleMiddleware(['OWNER', 'EMPLOYEE']), attachmentController.getAttachments);
+router.post('/', authMiddleware, roleMiddleware(['OWNER', 'EMPLOYEE']), companyRoleMiddleware(COMPANY_WRITE_ROLES), attachmentUploadMiddleware, attachmentController.uploadAttachment);
+router.get('/:id/file', authMiddleware, roleMiddleware(['OWNER', 'EMPLOYEE']), attachmentController.getAttachmentFile);
+router.delete('/:id', authMiddleware, roleMiddleware(['OWNER', 'EMPLOYEE']), companyRoleMiddleware(COMPANY_WRITE_ROLES), attachmentController.deleteAttachment);
+
+module.exports = router;
@@ -6,6 +6,9 @@ const authMiddleware = require('../middleware/authMiddleware');
 
 router.post('/register/owner', authController.registerOwner);
 
+router.get('/invites/:token', authController.getInvite);
+router.post('/register/invite', authController.registerByInvite);
+
 router.post('/register/employee', authController.registerEmployee);
 
 router.post('/login', authController.login);
@@ -5,6 +5,11 @@ const ownerController = require('../controllers/employee/ownerController');
 const regOpController = require('../controllers/employee/regOpController');
 const workController = require('../controllers/employee/workController');
 const vehicleController = require('../controllers/employee/vehicleController');
+const applicationController = require('../controllers/employee/applicationController');
+const agendaController = require('../controllers/employee/agendaController');
+const transferController = require('../controllers/employee/transferController');
+const plateController = require('../controllers/employee/plateController');
+const restrictionController = require('../controllers/employee/restrictionController');
 const authMiddleware = require('../middleware/authMiddleware');
 const roleMiddleware = require('../middleware/roleMiddleware');
 
@@ -23,16 +28,42 @@ router.get('/reg-docs/:regNumber', authMiddleware, roleMiddleware(['EMPLOYEE']),
 router.post('/reg-docs', authMiddleware, roleMiddleware(['EMPLOYEE']), regDocCrudController.createRegDoc);
 router.put('/reg-docs/:regNumber', authMiddleware, roleMiddleware(['EMPLOYEE']), regDocCrudController.updateRegDoc);
 router.patch('/reg-docs/:regNumber', authMiddleware, roleMiddleware(['EMPLOYEE']), regDocCrudController.patchRegDoc);
+router.get('/reg-docs/:regNumber/certificate.pdf', authMiddleware, roleMiddleware(['EMPLOYEE']), regDocCrudController.getCertificate);
+router.get('/reg-docs/:regNumber/documents', authMiddleware, roleMiddleware(['EMPLOYEE']), regDocCrudController.getDocumentHistory);
+router.post('/reg-docs/:regNumber/reissue', authMiddleware, roleMiddleware(['EMPLOYEE']), regDocCrudController.reissueDocument);
+router.get('/reg-docs/:regNumber/owners', authMiddleware, roleMiddleware(['EMPLOYEE']), regDocCrudController.getDocumentOwners);
+router.put('/reg-docs/:regNumber/owners', authMiddleware, roleMiddleware(['EMPLOYEE']), regDocCrudController.updateDocumentOwners);
+router.get('/documents/lookup', authMiddleware, roleMiddleware(['EMPLOYEE']), regDocCrudController.lookupDocument);
 
 router.get('/reg-op', authMiddleware, roleMiddleware(['EMPLOYEE']), regOpController.getAllRegOp);
 router.get('/reg-op/:vin', authMiddleware, roleMiddleware(['EMPLOYEE']), regOpController.getRegOpByVin);
-router.patch('/reg-op/:id', authMiddleware, roleMiddleware(['EMPLOYEE', 'OWNER']), regOpController.patchRegOp);
+router.patch('/reg-op/:id', authMiddleware, roleMiddleware(['EMPLOYEE']), regOpController.patchRegOp);
+
+router.get('/applications', authMiddleware, roleMiddleware(['EMPLOYEE']), applicationController.getAllApplications);
+router.get('/applications/:id', authMiddleware, roleMiddleware(['EMPLOYEE']), applicationController.getApplicationById);
+router.post('/applications/:id/review', authMiddleware, roleMiddleware(['EMPLOYEE']), applicationController.takeForReview);
+router.post('/applications/:id/request-correction', authMiddleware, roleMiddleware(['EMPLOYEE']), applicationController.requestCorrection);
+router.post('/applications/:id/approve', authMiddleware, roleMiddleware(['EMPLOYEE']), applicationController.approveApplication);
+router.post('/applications/:id/reject', authMiddleware, roleMiddleware(['EMPLOYEE']), applicationController.rejectApplication);
+
+router.get('/agenda', authMiddleware, roleMiddleware(['EMPLOYEE']), agendaController.getAgenda);
+
+router.get('/transfers', authMiddleware, roleMiddleware(['EMPLOYEE']), transferController.getAllTransfers);
+router.post('/transfers/:id/finalize', authMiddleware, roleMiddleware(['EMPLOYEE']), transferController.finalizeTransfer);
+
+router.get('/plates', authMiddleware, roleMiddleware(['EMPLOYEE', 'ADMIN']), plateController.getPlates);
+router.post('/plates/:plateNumber/reserve', authMiddleware, roleMiddleware(['EMPLOYEE']), plateController.reservePlate);
+router.post('/plates/:plateNumber/release', authMiddleware, roleMiddleware(['EMPLOYEE']), plateController.releasePlate);
 
 router.get('/work', authMiddleware, roleMiddleware(['EMPLOYEE']), workController.getAllWork);
 router.post('/work', authMiddleware, roleMiddleware(['EMPLOYEE']), workController.createWork);
 router.patch('/work/:id', authMiddleware, roleMiddleware(['EMPLOYEE']), workController.patchWork);
 
 router.get('/vehicles', authMiddleware, roleMiddleware(['EMPLOYEE']), vehicleController.getAllTransportVehicle);
+router.get('/vehicles/:vin/status', authMiddleware, roleMiddleware(['EMPLOYEE']), vehicleController.getVehicleStatus);
+router.get('/vehicles/:vin/restrictions', authMiddleware, roleMiddleware(['EMPLOYEE']), restrictionController.getVehicleRestrictions);
+router.post('/vehicles/:vin/restrictions', authMiddleware, roleMiddleware(['EMPLOYEE']), restrictionController.createRestriction);
+router.post('/restrictions/:id/lift', authMiddleware, roleMiddleware(['EMPLOYEE']), restrictionController.liftRestriction);
 router.get('/vehicles/:vin', authMiddleware, roleMiddleware(['EMPLOYEE']), vehicleController.getTransportVehicleByVin);
 router.put('/vehicles/:vin', authMiddleware, roleMiddleware(['EMPLOYEE']), vehicleController.updateTransportVehicle);
 router.patch('/vehicles/:vin', authMiddleware, roleMiddleware(['EMPLOYEE']), vehicleController.patchTransportVehicle);
@@ -4,10 +4,16 @@ const authRouter = require('./authRouter');
 const ownerRouter = require('./ownerRouter');
 const employeeRouter = require('./employeeRouter');
 const adminRouter = require('./adminRouter');
+const publicRouter = require('./publicRouter');
+const vehicleRouter = require('./vehicleRouter');
+const attachmentRouter = require('./attachmentRouter');
 
 router.use('/auth', authRouter);
 router.use('/owner', ownerRouter);
 router.use('/employee', employeeRouter);
 router.use('/admin', adminRouter);
+router.use('/public', publicRouter);
+router.use('/vehicles', vehicleRouter);
+router.use('/attachments', attachmentRouter);
 
 module.exports = router;
\ No newline at end of file
@@ -4,20 +4,65 @@ const regDocController = require('../controllers/owner/regDocController');
 const vehicleController = require('../controllers/owner/vehicleController');
 const regDepartController = require('../controllers/owner/regDepartController');
 const regOpController = require('../controllers/owner/regOpController');
+const applicationController = require('../controllers/owner/applicationController');
+const appointmentController = require('../controllers/owner/appointmentController');
+const transferController = require('../controllers/owner/transferController');
+const plateController = require('../controllers/owner/plateController');
+const consentController = require('../controllers/owner/consentController');
+const powerOfAttorneyController = require('../controllers/owner/powerOfAttorneyController');
+const companyController = require('../controllers/owner/companyController');
 const authMiddleware = require('../middleware/authMiddleware');
 const roleMiddleware = require('../middleware/roleMiddleware');
+const companyRoleMiddleware = require('../middleware/companyRoleMiddleware');
+const { COMPANY_WRITE_ROLES } = require('../services/companyService');
 
 router.get('/reg-docs', authMiddleware, roleMiddleware(['OWNER']), regDocController.getAllRegDoc);
 router.get('/reg-docs/:regNumber', authMiddleware, roleMiddleware(['OWNER']), regDocController.getRegDocByRegNumber);
 
 router.get('/reg-op', authMiddleware, roleMiddleware(['OWNER']), regOpController.getAllRegOp);
 router.get('/reg-op/:vin', authMiddleware, roleMiddleware(['OWNER']), regOpController.getRegOpByVin);
-router.post('/reg-op', authMiddleware, roleMiddleware(['EMPLOYEE', 'OWNER']), regOpController.createRegOp);
+router.get('/reg-op/:id/application.pdf', authMiddleware, roleMiddleware(['OWNER']), regOpController.getApplicationForm);
+router.post('/reg-op', authMiddleware, roleMiddleware(['EMPLOYEE']), regOpController.createRegOp);
+
+router.get('/applications', authMiddleware, roleMiddleware(['OWNER']), applicationController.getMyApplications);
+router.get('/applications/:id', authMiddleware, roleMiddleware(['OWNER']), applicationController.getMyApplicationById);
+router.get('/applications/:id/application.pdf', authMiddleware, roleMiddleware(['OWNER']), applicationController.getApplicationForm);
+router.post('/applications', authMiddleware, roleMiddleware(['OWNER']), companyRoleMiddleware(COMPANY_WRITE_ROLES), applicationController.createApplication);
+router.patch('/applications/:id', authMiddleware, roleMiddleware(['OWNER']), companyRoleMiddleware(COMPANY_WRITE_ROLES), applicationController.resubmitApplication);
+router.post('/applications/:id/cancel', authMiddleware, roleMiddleware(['OWNER']), companyRoleMiddleware(COMPANY_WRITE_ROLES), applicationController.cancelApplication);
+router.post('/applications/:id/appointment', authMiddleware, roleMiddleware(['OWNER']), companyRoleMiddleware(COMPANY_WRITE_ROLES), appointmentController.bookAppointment);
+router.delete('/applications/:id/appointment', authMiddleware, roleMiddleware(['OWNER']), companyRoleMiddleware(COMPANY_WRITE_ROLES), appointmentController.cancelAppointment);
+
+router.get('/transfers', authMiddleware, roleMiddleware(['OWNER']), transferController.getMyTransfers);
+router.post('/transfers', authMiddleware, roleMiddleware(['OWNER']), companyRoleMiddleware(COMPANY_WRITE_ROLES), transferController.createTransfer);
+router.post('/transfers/:id/accept', authMiddleware, roleMiddleware(['OWNER']), companyRoleMiddleware(COMPANY_WRITE_ROLES), transferController.acceptTransfer);
+router.post('/transfers/:id/decline', authMiddleware, roleMiddleware(['OWNER']), companyRoleMiddleware(COMPANY_WRITE_ROLES), transferController.declineTransfer);
+router.post('/transfers/:id/cancel', authMiddleware, roleMiddleware(['OWNER']), companyRoleMiddleware(COMPANY_WRITE_ROLES), transferController.cancelTransfer);
+
+router.get('/consents', authMiddleware, roleMiddleware(['OWNER']), consentController.getMyConsents);
+router.post('/consents/:id/grant', authMiddleware, roleMiddleware(['OWNER']), companyRoleMiddleware(COMPANY_WRITE_ROLES), consentController.grantConsent);
+router.post('/consents/:id/decline', authMiddleware, roleMiddleware(['OWNER']), companyRoleMiddleware(COMPANY_WRITE_ROLES), consentController.declineConsent);
+
+router.get('/powers-of-attorney', authMiddleware, roleMiddleware(['OWNER']), powerOfAttorneyController.getMyPowersOfAttorney);
+router.post('/powers-of-attorney', authMiddleware, roleMiddleware(['OWNER']), companyRoleMiddleware(COMPANY_WRITE_ROLES), powerOfAttorneyController.createPowerOfAttorney);
+router.post('/powers-of-attorney/:id/revoke', authMiddleware, roleMiddleware(['OWNER']), companyRoleMiddleware(COMPANY_WRITE_ROLES), powerOfAttorneyController.revokePowerOfAttorney);
+router.get('/powers-of-attorney/:id/vehicles', authMiddleware, roleMiddleware(['OWNER']), powerOfAttorneyController.getPrincipalVehicles);
+
+router.get('/company', authMiddleware, roleMiddleware(['OWNER']), companyController.getMyCompany);
+router.post('/company/invites', authMiddleware, roleMiddleware(['OWNER']), companyRoleMiddleware(['COMPANY_ADMIN']), companyController.createInvite);
+router.delete('/company/invites/:id', authMiddleware, roleMiddleware(['OWNER']), companyRoleMiddleware(['COMPANY_ADMIN']), companyController.revokeInvite);
+router.patch('/company/members/:id', authMiddleware, roleMiddleware(['OWNER']), companyRoleMiddleware(['COMPANY_ADMIN']), companyController.changeMemberRole);
+router.delete('/company/members/:id', authMiddleware, roleMiddleware(['OWNER']), companyRoleMiddleware(['COMPANY_ADMIN']), companyController.removeMember);
+
+router.get('/plates', authMiddleware, roleMiddleware(['OWNER']), plateController.searchPlates);
 
 router.get('/vehicles', authMiddleware, roleMiddleware(['OWNER']), vehicleController.getMyVehicles);
 router.get('/vehicles/:vin/', authMiddleware, roleMiddleware(['OWNER']), vehicleController.getMyVehicleByVin);
-router.post('/vehicles', authMiddleware, roleMiddleware(['EMPLOYEE', 'OWNER']), vehicleController.createVehicle);
+router.post('/vehicles/:vin/deregister', authMiddleware, roleMiddleware(['OWNER']), companyRoleMiddleware(COMPANY_WRITE_ROLES), vehicleController.deregisterVehicle);
+router.post('/vehicles/import', authMiddleware, roleMiddleware(['OWNER']), companyRoleMiddleware(COMPANY_WRITE_ROLES), vehicleController.importVehicles);
+router.post('/vehicles', authMiddleware, roleMiddleware(['EMPLOYEE', 'OWNER']), companyRoleMiddleware(COMPANY_WRITE_ROLES), vehicleController.createVehicle);
 
 router.get('/depart-info', authMiddleware, roleMiddleware(['OWNER']), regDepartController.getRegDepart);
+router.get('/depart-info/:unitCode/slots', authMiddleware, roleMiddleware(['OWNER']), appointmentController.getAvailableSlots);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,19 @@
+const Router = require('express');
+const router = new Router();
+const verificationController = require('../controllers/public/verificationController');
+const vehicleHistoryController = require('../controllers/public/vehicleHistoryController');
+const rateLimitMiddleware = require('../middleware/rateLimitMiddleware');
+
+// Сколько проверок документов в минуту допускается с одного адреса
+const VERIFY_RATE_LIMIT = parseInt(process.env.VERIFY_RATE_LIMIT) || 30;
+
+// Сколько отчетов по VIN в минуту допускается с одного адреса
+const VIN_HISTORY_RATE_LIMIT = parseInt(process.env.VIN_HISTORY_RATE_LIMIT) || 10;
+
+const verifyRateLimit = rateLimitMiddleware({ windowMs: 60 * 1000, max: VERIFY_RATE_LIMIT });
+const vinHistoryRateLimit = rateLimitMiddleware({ windowMs: 60 * 1000, max: VIN_HISTORY_RATE_LIMIT });
+
+router.get('/verify/:token', verifyRateLimit, verificationController.verifyDocument);
+router.get('/vehicles/:vin/history', vinHistoryRateLimit, vehicleHistoryController.getVinHistory);
+
+module.exports = router;
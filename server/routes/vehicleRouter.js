@@ -0,0 +1,9 @@
+const Router = require('express');
+const router = new Router();
+const vinController = require('../controllers/vehicle/vinController');
+const authMiddleware = require('../middleware/authMiddleware');
+const roleMiddleware = require('../middleware/roleMiddleware');
+
+router.get('/decode/:vin', authMiddleware, roleMiddleware(['OWNER', 'EMPLOYEE']), vinController.decode);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+require('dotenv').config();
+const sequelize = require('../db');
+const { mapVehiclesToCatalogue } = require('../services/catalogueService');
+
+// Привязка существующих ТС к справочнику марок и моделей. С флагом --dry-run только отчет
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await sequelize.sync();
+    const { total, mapped, unmatched } = await mapVehiclesToCatalogue({ dryRun });
+    console.log(`Vehicles without catalogue model: ${total}, ${dryRun ? 'matched' : 'mapped'}: ${mapped}`);
+    unmatched.forEach(({ makeAndModel, count }) => console.log(`  not in catalogue: ${makeAndModel} (${count})`));
+  } catch (e) {
+    console.error(e);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+run();
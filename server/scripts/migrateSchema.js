@@ -0,0 +1,411 @@
+require('dotenv').config();
+const { DataTypes, QueryTypes } = require('sequelize');
+const sequelize = require('../db');
+const { VehicleManufacturer, VehicleModel, PowerOfAttorney, RegistrationApplication } = require('../models/associations');
+const { LEGACY_TEMPLATE_VERSION } = require('../templates/pdf/versions');
+const { parsePower } = require('../services/vehicleService');
+
+// sequelize.sync() при запуске приложения создает только недостающие таблицы и индексы,
+// новые колонки в существующих таблицах добавляет этот скрипт. Его запускают до старта новой версии.
+// Скрипт можно запускать повторно: уже примененные шаги пропускаются
+
+// Заявления, которые еще могут быть одобрены
+const PENDING_STATUSES = ['SUBMITTED', 'UNDER_REVIEW', 'NEEDS_CORRECTION'];
+
+// Таблицы, которых еще нет в базе, целиком создаст sync
+const addMissingColumns = async (queryInterface, table, attributes, transaction) => {
+  if (!await queryInterface.tableExists(table, { transaction })) return false;
+
+  const columns = await queryInterface.describeTable(table, { transaction });
+  for (const [column, attribute] of Object.entries(attributes)) {
+    if (!columns[column]) {
+      await queryInterface.addColumn(table, column, attribute, { transaction });
+      console.log(`${table}.${column} added`);
+    }
+  }
+  return true;
+};
+
+// Статус регистрационного документа: существующие документы действующие.
+// ПТС уникален только среди действующих документов, закрытые сохраняются в истории
+const migrateRegistrationDocStatus = async (queryInterface, transaction) => {
+  const table = 'registrationdoc';
+
+  const exists = await addMissingColumns(queryInterface, table, {
+    status: { type: DataTypes.ENUM('ACTIVE', 'CLOSED'), allowNull: false, defaultValue: 'ACTIVE' },
+    closedAt: { type: DataTypes.DATE, allowNull: true }
+  }, transaction);
+  if (!exists) return;
+
+  const [, updated] = await sequelize.query(
+    `UPDATE ${table} SET status = 'ACTIVE' WHERE status IS NULL`,
+    { type: QueryTypes.UPDATE, transaction }
+  );
+  console.log(`Registration documents set to ACTIVE: ${updated}`);
+
+  const constraints = await sequelize.query(`
+    SELECT con.conname AS name
+    FROM pg_constraint con
+    JOIN pg_class rel ON rel.oid = con.conrelid
+    JOIN pg_attribute att ON att.attrelid = rel.oid AND att.attnum = ANY(con.conkey)
+    WHERE rel.relname = :table AND att.attname = 'pts' AND con.contype = 'u'
+  `, { replacements: { table }, type: QueryTypes.SELECT, transaction });
+
+  for (const { name } of constraints) {
+    await queryInterface.removeConstraint(table, name, { transaction });
+    console.log(`Unique constraint ${name} removed`);
+  }
+
+  const indexes = await queryInterface.showIndex(table, { transaction });
+  if (!indexes.some(index => index.name === 'registrationdoc_pts')) {
+    await queryInterface.addIndex(table, ['pts'], {
+      name: 'registrationdoc_pts',
+      unique: true,
+      where: { status: 'ACTIVE' },
+      transaction
+    });
+    console.log('Partial unique index registrationdoc_pts created');
+  }
+};
+
+// Изменения данных ТС, внесенные операцией
+const migrateRegistrationOpChanges = async (queryInterface, transaction) => {
+  await addMissingColumns(queryInterface, 'registrationop', {
+    changes: { type: DataTypes.JSONB, allowNull: true }
+  }, transaction);
+};
+
+// Код региона отдела определяется по номерам, которые отдел уже выдавал (самый частый регион).
+// Отделы без операций выводятся в консоль, код для них задается в админ-панели
+const migrateRegistrationDepartRegion = async (queryInterface, transaction) => {
+  const table = 'registrationdepart';
+
+  const exists = await addMissingColumns(queryInterface, table, {
+    regionCode: { type: DataTypes.STRING, allowNull: true }
+  }, transaction);
+  if (!exists) return;
+
+  const [, updated] = await sequelize.query(`
+    UPDATE ${table} d
+    SET "regionCode" = r.region
+    FROM (
+      SELECT DISTINCT ON ("unitCode") "unitCode", substring("registrationNumber" from 7) AS region
+      FROM registrationop
+      WHERE "registrationNumber" ~ '^[АВЕКМНОРСТУХ]\\d{3}[АВЕКМНОРСТУХ]{2}\\d{2,3}$'
+      GROUP BY "unitCode", region
+      ORDER BY "unitCode", count(*) DESC
+    ) r
+    WHERE d."unitCode" = r."unitCode" AND d."regionCode" IS NULL
+  `, { type: QueryTypes.UPDATE, transaction });
+  console.log(`Department region codes filled: ${updated}`);
+
+  const missing = await sequelize.query(
+    `SELECT "unitCode", "departmentName" FROM ${table} WHERE "regionCode" IS NULL`,
+    { type: QueryTypes.SELECT, transaction }
+  );
+  missing.forEach(({ unitCode, departmentName }) => console.error(`  region code not set: ${unitCode} ${departmentName}`));
+};
+
+// Срок действия временной регистрации; по нему задача при запуске приложения ищет истекшие регистрации
+const migrateTemporaryRegistration = async (queryInterface, transaction) => {
+  for (const table of ['registrationdoc', 'registrationapplication', 'registrationop']) {
+    await addMissingColumns(queryInterface, table, {
+      validUntil: { type: DataTypes.DATEONLY, allowNull: true }
+    }, transaction);
+  }
+};
+
+// Электронный ПТС: существующие документы оформлены на бумажный ПТС, статус ЭПТС у них не заполняется
+const migrateElectronicPts = async (queryInterface, transaction) => {
+  const table = 'registrationdoc';
+
+  const exists = await addMissingColumns(queryInterface, table, {
+    ptsType: { type: DataTypes.ENUM('PAPER', 'ELECTRONIC'), allowNull: false, defaultValue: 'PAPER' },
+    ptsStatus: { type: DataTypes.ENUM('ACTIVE', 'INCOMPLETE', 'CANCELLED'), allowNull: true },
+    ptsIssuedAt: { type: DataTypes.DATEONLY, allowNull: true }
+  }, transaction);
+  if (!exists) return;
+
+  const [, updated] = await sequelize.query(
+    `UPDATE ${table} SET "ptsType" = 'PAPER' WHERE "ptsType" IS NULL`,
+    { type: QueryTypes.UPDATE, transaction }
+  );
+  console.log(`Registration documents set to PAPER: ${updated}`);
+};
+
+// Версия шаблона СТС. Колонка добавляется без значения по умолчанию,
+// чтобы ранее оформленные документы печатались по первой версии, а не по текущей
+const migratePrintTemplates = async (queryInterface, transaction) => {
+  const table = 'registrationdoc';
+
+  const exists = await addMissingColumns(queryInterface, table, {
+    certificateTemplate: { type: DataTypes.STRING, allowNull: true }
+  }, transaction);
+  if (!exists) return;
+
+  const [, updated] = await sequelize.query(
+    `UPDATE ${table} SET "certificateTemplate" = :version WHERE "certificateTemplate" IS NULL`,
+    { replacements: { version: LEGACY_TEMPLATE_VERSION }, type: QueryTypes.UPDATE, transaction }
+  );
+  console.log(`Registration documents set to certificate template ${LEGACY_TEMPLATE_VERSION}: ${updated}`);
+};
+
+// Версия шаблона заявления и сведения о ТС на дату подачи хранятся в заявлении. Колонки добавляются
+// без значений, поэтому ранее поданные заявления печатаются по первой версии с текущими данными ТС
+const migrateApplicationTemplates = async (queryInterface, transaction) => {
+  await addMissingColumns(queryInterface, 'registrationapplication', {
+    vehicleData: { type: DataTypes.JSONB, allowNull: true },
+    applicationTemplate: { type: DataTypes.STRING, allowNull: true }
+  }, transaction);
+};
+
+// Привязка ТС к справочнику марок и моделей. Внешнему ключу нужна таблица моделей,
+// поэтому справочник создается здесь, если новая версия приложения еще не запускалась
+const migrateVehicleModel = async (queryInterface, transaction) => {
+  if (!await queryInterface.tableExists('transportvehicle', { transaction })) return;
+
+  await VehicleManufacturer.sync({ transaction });
+  await VehicleModel.sync({ transaction });
+
+  await addMissingColumns(queryInterface, 'transportvehicle', {
+    modelId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'vehiclemodel', key: 'modelId' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    }
+  }, transaction);
+};
+
+// Заявления и операции, оформленные представителем по доверенности. Таблица доверенностей
+// создается здесь, как и справочник моделей, чтобы на нее можно было сослаться
+const migrateRepresentatives = async (queryInterface, transaction) => {
+  await PowerOfAttorney.sync({ transaction });
+
+  for (const table of ['registrationapplication', 'registrationop']) {
+    await addMissingColumns(queryInterface, table, {
+      representative: { type: DataTypes.STRING, allowNull: true },
+      powerOfAttorneyId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'powerofattorney', key: 'powerOfAttorneyId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      }
+    }, transaction);
+  }
+};
+
+// Строковые мощность и год выпуска переносятся в числовые колонки.
+// Строки, которые не удалось разобрать, выводятся в консоль, и миграция откатывается целиком
+const migrateVehicleSpecs = async (queryInterface, transaction) => {
+  const table = 'transportvehicle';
+
+  const exists = await addMissingColumns(queryInterface, table, Object.fromEntries(
+    ['powerKw', 'powerHp', 'curbMass', 'maxMass', 'seatsCount'].map(column => [column, { type: DataTypes.INTEGER, allowNull: true }])
+  ), transaction);
+  if (!exists) return;
+
+  const columns = await queryInterface.describeTable(table, { transaction });
+
+  if (columns.power) {
+    await sequelize.query(`
+      UPDATE ${table}
+      SET "powerKw" = substring(power from '^\\s*(\\d+)\\s*кВт')::integer,
+          "powerHp" = substring(power from '/\\s*(\\d+)\\s*л')::integer
+      WHERE "powerKw" IS NULL OR "powerHp" IS NULL
+    `, { transaction });
+
+    const invalid = await sequelize.query(
+      `SELECT vin, power FROM ${table} WHERE "powerKw" IS NULL OR "powerHp" IS NULL`,
+      { type: QueryTypes.SELECT, transaction }
+    );
+    if (invalid.length) {
+      invalid.forEach(({ vin, power }) => console.error(`  unparsable power: ${vin} "${power}"`));
+      throw new Error(`Power could not be parsed for ${invalid.length} vehicles, fix them and run again`);
+    }
+
+    await queryInterface.removeColumn(table, 'power', { transaction });
+    console.log('Power moved to powerKw/powerHp');
+  }
+
+  if (columns.releaseYear.type !== 'INTEGER') {
+    const invalid = await sequelize.query(
+      `SELECT vin, "releaseYear" FROM ${table} WHERE "releaseYear" !~ '^\\s*\\d{4}\\s*$'`,
+      { type: QueryTypes.SELECT, transaction }
+    );
+    if (invalid.length) {
+      invalid.forEach(({ vin, releaseYear }) => console.error(`  unparsable release year: ${vin} "${releaseYear}"`));
+      throw new Error(`Release year could not be parsed for ${invalid.length} vehicles, fix them and run again`);
+    }
+
+    await sequelize.query(
+      `ALTER TABLE ${table} ALTER COLUMN "releaseYear" TYPE INTEGER USING trim("releaseYear")::integer`,
+      { transaction }
+    );
+    console.log('releaseYear converted to INTEGER');
+  }
+};
+
+// Тип силовой установки (существующие ТС — ДВС) и категория ТС (существующие ТС — легковые, B).
+// Поля двигателя и трансмиссии становятся необязательными: у электромобилей и прицепов их нет
+const migrateVehicleTypes = async (queryInterface, transaction) => {
+  const table = 'transportvehicle';
+
+  const exists = await addMissingColumns(queryInterface, table, {
+    powertrainType: { type: DataTypes.ENUM('ICE', 'HEV', 'PHEV', 'BEV', 'FCEV'), allowNull: true, defaultValue: 'ICE' },
+    electricMotorPower: { type: DataTypes.INTEGER, allowNull: true },
+    batteryCapacity: { type: DataTypes.FLOAT, allowNull: true },
+    category: { type: DataTypes.ENUM('A', 'A1', 'B', 'B1', 'C', 'C1', 'D', 'D1', 'E'), allowNull: false, defaultValue: 'B' }
+  }, transaction);
+  if (!exists) return;
+
+  const columns = await queryInterface.describeTable(table, { transaction });
+  for (const column of ['engineModel', 'engineVolume', 'typeOfDrive', 'powerKw', 'powerHp', 'transmissionType', 'steeringWheel']) {
+    if (!columns[column].allowNull) {
+      await sequelize.query(`ALTER TABLE ${table} ALTER COLUMN "${column}" DROP NOT NULL`, { transaction });
+    }
+  }
+};
+
+// Запрошенные изменения мощности в незавершенных заявлениях переводятся в числовые поля.
+// Шаг выполняется после добавления колонок заявлений, так как читает их через модель
+const migrateApplicationPower = async (queryInterface, transaction) => {
+  if (!await queryInterface.tableExists('registrationapplication', { transaction })) return;
+
+  const applications = await RegistrationApplication.findAll({
+    where: { status: PENDING_STATUSES },
+    transaction
+  });
+
+  let updated = 0;
+  for (const application of applications) {
+    const changes = application.requestedChanges || [];
+    const powerChange = changes.find(change => change.field === 'power');
+    if (!powerChange) continue;
+
+    const newPower = parsePower(powerChange.newValue);
+    if (!newPower) {
+      console.error(`  application ${application.applicationId}: unparsable requested power "${powerChange.newValue}"`);
+      continue;
+    }
+    const oldPower = parsePower(powerChange.oldValue) || {};
+
+    const requestedChanges = changes.flatMap(change => change.field !== 'power' ? [change] : ['powerKw', 'powerHp'].map(field => ({
+      ...change,
+      field,
+      oldValue: oldPower[field] ?? null,
+      newValue: newPower[field]
+    })));
+
+    await application.update({ requestedChanges }, { transaction });
+    updated++;
+  }
+
+  console.log(`Pending applications with requested power updated: ${updated}`);
+};
+
+// Учетные записи компаний: ИНН перестает быть уникальным, под одним юридическим лицом может быть
+// несколько учетных записей. Существующие учетные записи юридических лиц становятся администраторами
+const migrateCompanyAccounts = async (queryInterface, transaction) => {
+  const table = 'user';
+
+  const exists = await addMissingColumns(queryInterface, table, {
+    companyRole: { type: DataTypes.ENUM('COMPANY_ADMIN', 'FLEET_MANAGER', 'VIEWER'), allowNull: true }
+  }, transaction);
+  if (!exists) return;
+
+  const constraints = await sequelize.query(`
+    SELECT con.conname AS name
+    FROM pg_constraint con
+    JOIN pg_class rel ON rel.oid = con.conrelid
+    JOIN pg_attribute att ON att.attrelid = rel.oid AND att.attnum = ANY(con.conkey)
+    WHERE rel.relname = :table AND att.attname = 'taxNumber' AND con.contype = 'u'
+  `, { replacements: { table }, type: QueryTypes.SELECT, transaction });
+
+  for (const { name } of constraints) {
+    await queryInterface.removeConstraint(table, name, { transaction });
+    console.log(`Unique constraint ${name} removed`);
+  }
+
+  const [, updated] = await sequelize.query(
+    `UPDATE "${table}" SET "companyRole" = 'COMPANY_ADMIN' WHERE "taxNumber" IS NOT NULL AND "companyRole" IS NULL`,
+    { type: QueryTypes.UPDATE, transaction }
+  );
+  console.log(`Company administrators assigned: ${updated}`);
+};
+
+// Сведения для печати СТС. Ранее оформленным документам они заполняются по первой операции
+// документа из текущих данных ТС, владельца и подразделения
+const migrateCertificateData = async (queryInterface, transaction) => {
+  const table = 'registrationdoc';
+
+  const exists = await addMissingColumns(queryInterface, table, {
+    certificateData: { type: DataTypes.JSONB, allowNull: true }
+  }, transaction);
+  if (!exists) return;
+
+  const [, updated] = await sequelize.query(`
+    UPDATE ${table} d
+    SET "certificateData" = jsonb_build_object(
+      'vehicle', (to_jsonb(v) - 'createdAt' - 'updatedAt')
+        || jsonb_build_object('power', v."powerKw" || ' кВт/' || v."powerHp" || ' л.с.'),
+      'owner', jsonb_build_object(
+        'name', COALESCE(
+          (SELECT NULLIF(concat_ws(' ', np."lastName", np."firstName", np."patronymic"), '')
+            FROM naturalperson np WHERE np."passportData" = d."documentOwner"),
+          (SELECT le."companyName" FROM legalentity le WHERE le."taxNumber" = d."documentOwner")
+        ),
+        'identifier', d."documentOwner",
+        'address', COALESCE(
+          (SELECT np.address FROM naturalperson np WHERE np."passportData" = d."documentOwner"),
+          (SELECT le.address FROM legalentity le WHERE le."taxNumber" = d."documentOwner")
+        ),
+        'isNaturalPerson', length(d."documentOwner") = 11
+      ),
+      'department', CASE WHEN dep."unitCode" IS NULL THEN NULL
+        ELSE jsonb_build_object('unitCode', dep."unitCode", 'departmentName', dep."departmentName") END
+    )
+    FROM (
+      SELECT DISTINCT ON ("registrationNumber") "registrationNumber", vin, "unitCode"
+      FROM registrationop
+      WHERE "registrationNumber" IS NOT NULL
+      ORDER BY "registrationNumber", "operationDate", "operationId"
+    ) op
+    JOIN transportvehicle v ON v.vin = op.vin
+    LEFT JOIN registrationdepart dep ON dep."unitCode" = op."unitCode"
+    WHERE d."registrationNumber" = op."registrationNumber" AND d."certificateData" IS NULL
+  `, { type: QueryTypes.UPDATE, transaction });
+  console.log(`Registration documents with certificate data: ${updated}`);
+};
+
+const run = async () => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    await migrateRegistrationDocStatus(sequelize.getQueryInterface(), transaction);
+    await migrateRegistrationOpChanges(sequelize.getQueryInterface(), transaction);
+    await migrateRegistrationDepartRegion(sequelize.getQueryInterface(), transaction);
+    await migrateTemporaryRegistration(sequelize.getQueryInterface(), transaction);
+    await migrateElectronicPts(sequelize.getQueryInterface(), transaction);
+    await migratePrintTemplates(sequelize.getQueryInterface(), transaction);
+    await migrateApplicationTemplates(sequelize.getQueryInterface(), transaction);
+    await migrateVehicleModel(sequelize.getQueryInterface(), transaction);
+    await migrateRepresentatives(sequelize.getQueryInterface(), transaction);
+    await migrateVehicleSpecs(sequelize.getQueryInterface(), transaction);
+    await migrateVehicleTypes(sequelize.getQueryInterface(), transaction);
+    await migrateApplicationPower(sequelize.getQueryInterface(), transaction);
+    await migrateCompanyAccounts(sequelize.getQueryInterface(), transaction);
+    await migrateCertificateData(sequelize.getQueryInterface(), transaction);
+    await transaction.commit();
+  } catch (e) {
+    await transaction.rollback();
+    console.error(e);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+run();
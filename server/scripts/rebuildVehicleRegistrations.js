@@ -0,0 +1,19 @@
+require('dotenv').config();
+const sequelize = require('../db');
+const { rebuildVehicleRegistrations } = require('../services/registrationService');
+
+// Полная перестройка таблицы текущих регистраций по истории операций и документов
+const run = async () => {
+  try {
+    await sequelize.sync();
+    const count = await rebuildVehicleRegistrations();
+    console.log(`Vehicle registrations rebuilt: ${count}`);
+  } catch (e) {
+    console.error(e);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+run();
@@ -0,0 +1,54 @@
+const { ApplicationStatusHistory } = require('../models/associations');
+const ApiError = require('../error/ApiError');
+const { cancelApplicationAppointments } = require('./appointmentService');
+const { releaseApplicationPlate } = require('./plateService');
+
+// Допустимые переходы между статусами заявления
+const STATUS_TRANSITIONS = {
+    SUBMITTED: ['UNDER_REVIEW', 'CANCELLED'],
+    UNDER_REVIEW: ['NEEDS_CORRECTION', 'APPROVED', 'REJECTED', 'CANCELLED'],
+    NEEDS_CORRECTION: ['SUBMITTED', 'CANCELLED'],
+    APPROVED: [],
+    REJECTED: [],
+    CANCELLED: []
+};
+
+async function logApplicationStatus(application, fromStatus, user, comment, transaction) {
+    await ApplicationStatusHistory.create({
+        applicationId: application.applicationId,
+        fromStatus,
+        toStatus: application.status,
+        changedBy: user.id,
+        changedByRole: user.role,
+        comment: comment || null,
+        changedAt: new Date()
+    }, { transaction });
+}
+
+async function changeApplicationStatus(application, toStatus, user, comment, transaction) {
+    const fromStatus = application.status;
+
+    if (!STATUS_TRANSITIONS[fromStatus].includes(toStatus)) {
+        throw ApiError.conflict(`Application status cannot be changed from ${fromStatus} to ${toStatus}`);
+    }
+
+    await application.update({
+        status: toStatus,
+        statusComment: comment || null
+    }, { transaction });
+
+    await logApplicationStatus(application, fromStatus, user, comment, transaction);
+
+    if (['REJECTED', 'CANCELLED'].includes(toStatus)) {
+        await cancelApplicationAppointments(application.applicationId, transaction);
+        await releaseApplicationPlate(application.applicationId, transaction);
+    }
+
+    return application;
+}
+
+module.exports = {
+    STATUS_TRANSITIONS,
+    logApplicationStatus,
+    changeApplicationStatus
+};
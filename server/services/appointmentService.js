@@ -0,0 +1,127 @@
+const { AppointmentSlot, Appointment } = require('../models/associations');
+const ApiError = require('../error/ApiError');
+
+// Статусы заявления, при которых владелец может записаться на приём
+const BOOKABLE_APPLICATION_STATUSES = ['SUBMITTED', 'UNDER_REVIEW', 'NEEDS_CORRECTION'];
+
+// Часовой пояс, в котором задаются часы приема: время слотов не зависит от часового пояса сервера
+const APPOINTMENT_TIMEZONE = process.env.APPOINTMENT_TIMEZONE || 'Europe/Moscow';
+
+const zonedClock = new Intl.DateTimeFormat('en-US', {
+    timeZone: APPOINTMENT_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+});
+
+// Смещение часового пояса приема от UTC в указанный момент, в миллисекундах
+function getTimezoneOffset(instant) {
+    const parts = Object.fromEntries(zonedClock.formatToParts(instant).map(({ type, value }) => [type, Number(value)]));
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+    return wallClock - (instant.getTime() - instant.getMilliseconds());
+}
+
+// Момент, когда на часах в часовом поясе приема указанные дата и время.
+// Дату без времени Joi разбирает как полночь UTC, поэтому день берется по UTC
+function toZonedDateTime(date, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClock = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hours, minutes);
+
+    return new Date(wallClock - getTimezoneOffset(new Date(wallClock)));
+}
+
+// Без даты берется текущий день в часовом поясе приема
+function getDayRange(date = new Date(Date.now() + getTimezoneOffset(new Date()))) {
+    return {
+        from: toZonedDateTime(date, '00:00'),
+        to: toZonedDateTime(date, '24:00')
+    };
+}
+
+function withBookedCount(slot) {
+    const { appointments = [], ...data } = slot.toJSON();
+    const booked = appointments.filter(a => a.status === 'BOOKED').length;
+
+    return {
+        ...data,
+        booked,
+        free: Math.max(data.capacity - booked, 0)
+    };
+}
+
+async function countBookedAppointments(slotId, transaction) {
+    return Appointment.count({
+        where: { slotId, status: 'BOOKED' },
+        transaction
+    });
+}
+
+async function cancelApplicationAppointments(applicationId, transaction) {
+    await Appointment.update(
+        { status: 'CANCELLED', cancelledAt: new Date() },
+        { where: { applicationId, status: 'BOOKED' }, transaction }
+    );
+}
+
+async function bookAppointment(application, slotId, transaction) {
+    if (!BOOKABLE_APPLICATION_STATUSES.includes(application.status)) {
+        throw ApiError.conflict('Appointments can only be booked for active applications');
+    }
+
+    const slot = await AppointmentSlot.findByPk(slotId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+
+    if (!slot) {
+        throw ApiError.notFound('Appointment slot not found');
+    }
+
+    if (slot.unitCode !== application.unitCode) {
+        throw ApiError.badRequest('The slot belongs to a different registration department');
+    }
+
+    if (new Date(slot.startsAt) <= new Date()) {
+        throw ApiError.badRequest('The slot has already started');
+    }
+
+    const current = await Appointment.findOne({
+        where: { applicationId: application.applicationId, status: 'BOOKED' },
+        transaction
+    });
+
+    if (current && current.slotId === slot.slotId) {
+        throw ApiError.conflict('The application is already booked for this slot');
+    }
+
+    const booked = await countBookedAppointments(slot.slotId, transaction);
+    if (booked >= slot.capacity) {
+        throw ApiError.conflict('The slot is fully booked');
+    }
+
+    if (current) {
+        await current.update({ status: 'CANCELLED', cancelledAt: new Date() }, { transaction });
+    }
+
+    return Appointment.create({
+        slotId: slot.slotId,
+        applicationId: application.applicationId,
+        status: 'BOOKED',
+        bookedAt: new Date()
+    }, { transaction });
+}
+
+module.exports = {
+    BOOKABLE_APPLICATION_STATUSES,
+    toZonedDateTime,
+    getDayRange,
+    withBookedCount,
+    countBookedAppointments,
+    cancelApplicationAppointments,
+    bookAppointment
+};
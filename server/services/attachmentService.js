@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { Op } = require('sequelize');
+const {
+    Attachment,
+    TransportVehicle,
+    VehicleRegistration,
+    RegistrationDoc,
+    RegistrationApplication
+} = require('../models/associations');
+const ApiError = require('../error/ApiError');
+const { ownedBy } = require('./coOwnershipService');
+const { filedBy } = require('./powerOfAttorneyService');
+
+const ATTACHMENTS_DIR = process.env.ATTACHMENTS_DIR || path.join(__dirname, '..', 'uploads', 'attachments');
+
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+// Сигнатуры начала файла для каждого допустимого MIME-типа
+const FILE_SIGNATURES = {
+    'image/jpeg': [Buffer.from([0xFF, 0xD8, 0xFF])],
+    'image/png': [Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])],
+    'application/pdf': [Buffer.from('%PDF-')]
+};
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png'];
+const SCAN_TYPES = ['application/pdf', ...IMAGE_TYPES];
+
+const ATTACHMENT_KINDS = {
+    VIN_PLATE_PHOTO: { label: 'Фото таблички VIN', mimeTypes: IMAGE_TYPES },
+    BODY_PHOTO: { label: 'Фото кузова', mimeTypes: IMAGE_TYPES },
+    SALE_CONTRACT: { label: 'Договор купли-продажи', mimeTypes: SCAN_TYPES },
+    INSURANCE_POLICY: { label: 'Страховой полис', mimeTypes: SCAN_TYPES },
+    OTHER: { label: 'Прочий документ', mimeTypes: SCAN_TYPES }
+};
+
+const ATTACHMENT_TARGETS = ['VEHICLE', 'REG_DOC', 'APPLICATION'];
+
+// Владелец прикладывает файлы только к своему заявлению, пока оно ожидает рассмотрения или возвращено на доработку
+const OWNER_EDITABLE_APPLICATION_STATUSES = ['SUBMITTED', 'NEEDS_CORRECTION'];
+
+function getDocumentOwner(user) {
+    if (user.role !== 'OWNER') throw ApiError.forbidden('Only owners are allowed to view attachments');
+
+    const documentOwner = user.passportData || user.taxNumber;
+    if (!documentOwner) throw ApiError.forbidden('Unable to determine the document owner');
+
+    return documentOwner;
+}
+
+// Объект, к которому относятся вложения; владельцу доступны только его ТС, документы и заявления
+async function findAttachmentTarget(user, targetType, targetId) {
+    const isEmployee = user.role === 'EMPLOYEE';
+    const documentOwner = isEmployee ? null : getDocumentOwner(user);
+
+    if (targetType === 'VEHICLE') {
+        if (!isEmployee) {
+            const registration = await VehicleRegistration.findOne({
+                where: { vin: targetId, ...ownedBy(documentOwner), status: 'REGISTERED' }
+            });
+            if (!registration) throw ApiError.notFound('Vehicle not found or does not belong to you');
+        }
+
+        const vehicle = await TransportVehicle.findByPk(targetId);
+        if (!vehicle) throw ApiError.notFound('Vehicle not found');
+        return vehicle;
+    }
+
+    if (targetType === 'REG_DOC') {
+        const where = isEmployee
+            ? { registrationNumber: targetId }
+            : { [Op.and]: [{ registrationNumber: targetId }, ownedBy(documentOwner)] };
+
+        const doc = await RegistrationDoc.findOne({ where });
+        if (!doc) throw ApiError.notFound('Registration document not found or access is denied');
+        return doc;
+    }
+
+    const where = isEmployee
+        ? { applicationId: targetId }
+        : { applicationId: targetId, ...filedBy(documentOwner) };
+
+    const application = await RegistrationApplication.findOne({ where });
+    if (!application) throw ApiError.notFound('Application not found');
+    return application;
+}
+
+function assertCanUpload(user, targetType, target) {
+    if (user.role === 'EMPLOYEE') return;
+
+    if (targetType !== 'APPLICATION') {
+        throw ApiError.forbidden('Owners can attach files only to their applications');
+    }
+    if (!OWNER_EDITABLE_APPLICATION_STATUSES.includes(target.status)) {
+        throw ApiError.conflict(`Files cannot be attached to an application in status ${target.status}`);
+    }
+}
+
+function assertFileType(kind, mimeType, content) {
+    const { label, mimeTypes } = ATTACHMENT_KINDS[kind];
+    if (!mimeTypes.includes(mimeType)) {
+        throw ApiError.badRequest(`${label}: allowed file types are ${mimeTypes.join(', ')}`);
+    }
+
+    const signatures = FILE_SIGNATURES[mimeType];
+    if (!signatures.some(signature => content.subarray(0, signature.length).equals(signature))) {
+        throw ApiError.badRequest(`File content does not match the declared type ${mimeType}`);
+    }
+}
+
+function getChecksum(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function toAttachmentJson(attachment, user) {
+    const { storageKey, ...data } = attachment.toJSON();
+    return {
+        ...data,
+        label: ATTACHMENT_KINDS[attachment.kind].label,
+        canDelete: attachment.uploadedBy === user.id
+    };
+}
+
+async function listAttachments(user, targetType, targetId) {
+    await findAttachmentTarget(user, targetType, targetId);
+
+    const attachments = await Attachment.findAll({
+        where: { targetType, targetId: String(targetId) },
+        order: [['createdAt', 'DESC']]
+    });
+
+    return attachments.map(attachment => toAttachmentJson(attachment, user));
+}
+
+// Файл сначала пишется на диск, запись в БД создается после; при ошибке записи файл удаляется
+async function saveAttachment(user, { targetType, targetId, kind, fileName }, mimeType, content) {
+    if (!content?.length) throw ApiError.badRequest('File is empty');
+    if (content.length > MAX_ATTACHMENT_SIZE) {
+        throw ApiError.badRequest(`File size must not exceed ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB`);
+    }
+
+    const target = await findAttachmentTarget(user, targetType, targetId);
+    assertCanUpload(user, targetType, target);
+    assertFileType(kind, mimeType, content);
+
+    const storageKey = crypto.randomUUID();
+    const filePath = path.join(ATTACHMENTS_DIR, storageKey);
+
+    await fs.mkdir(ATTACHMENTS_DIR, { recursive: true });
+    await fs.writeFile(filePath, content);
+
+    try {
+        const attachment = await Attachment.create({
+            targetType,
+            targetId: String(targetId),
+            kind,
+            fileName,
+            mimeType,
+            size: content.length,
+            checksum: getChecksum(content),
+            storageKey,
+            uploadedBy: user.id
+        });
+
+        return toAttachmentJson(attachment, user);
+    } catch (e) {
+        await fs.rm(filePath, { force: true });
+        throw e;
+    }
+}
+
+async function findAccessibleAttachment(user, attachmentId) {
+    const attachment = await Attachment.findByPk(attachmentId);
+    if (!attachment) throw ApiError.notFound('Attachment not found');
+
+    const target = await findAttachmentTarget(user, attachment.targetType, attachment.targetId);
+    return { attachment, target };
+}
+
+// Содержимое файла сверяется с контрольной суммой, сохраненной при загрузке
+async function readAttachment(user, attachmentId) {
+    const { attachment } = await findAccessibleAttachment(user, attachmentId);
+
+    let content;
+    try {
+        content = await fs.readFile(path.join(ATTACHMENTS_DIR, attachment.storageKey));
+    } catch (e) {
+        if (e.code === 'ENOENT') throw ApiError.notFound('Attachment file is missing from storage');
+        throw e;
+    }
+
+    if (getChecksum(content) !== attachment.checksum) {
+        throw ApiError.internal('Attachment file is corrupted: checksum mismatch');
+    }
+
+    return { attachment, content };
+}
+
+// Удалить вложение может только загрузивший его пользователь; владелец — пока заявление можно дополнять
+async function deleteAttachment(user, attachmentId) {
+    const { attachment, target } = await findAccessibleAttachment(user, attachmentId);
+
+    if (attachment.uploadedBy !== user.id) {
+        throw ApiError.forbidden('Only the user who uploaded the file can delete it');
+    }
+
+    assertCanUpload(user, attachment.targetType, target);
+
+    await attachment.destroy();
+    await fs.rm(path.join(ATTACHMENTS_DIR, attachment.storageKey), { force: true });
+}
+
+module.exports = {
+    ATTACHMENTS_DIR,
+    MAX_ATTACHMENT_SIZE,
+    ATTACHMENT_KINDS,
+    ATTACHMENT_TARGETS,
+    listAttachments,
+    saveAttachment,
+    readAttachment,
+    deleteAttachment
+};
@@ -0,0 +1,127 @@
+const { Op } = require('sequelize');
+const { TransportVehicle, VehicleManufacturer, VehicleModel } = require('../models/associations');
+const ApiError = require('../error/ApiError');
+
+// Ключ сравнения названий: не учитываются регистр, пробелы, дефисы и буква «ё»,
+// поэтому «VW Passat», «vw-passat» и «VW  PASSAT» считаются одним названием
+function toMatchKey(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/ё/g, 'е')
+        .replace(/[^a-zа-я0-9]/g, '');
+}
+
+function uniqueKeys(names) {
+    return [...new Set(names.map(toMatchKey).filter(Boolean))];
+}
+
+function buildManufacturerMatchKeys({ name, aliases = [] }) {
+    return uniqueKeys([name, ...aliases]);
+}
+
+function buildModelMatchKeys({ make, model, aliases = [] }) {
+    return uniqueKeys([`${make} ${model}`, ...aliases]);
+}
+
+function getMakeAndModel(model) {
+    return `${model.make} ${model.model}`;
+}
+
+async function findCatalogueModel(makeAndModel, transaction) {
+    const key = toMatchKey(makeAndModel);
+    if (!key) {
+        return null;
+    }
+
+    return VehicleModel.findOne({
+        where: { matchKeys: { [Op.contains]: [key] } },
+        include: [{ model: VehicleManufacturer }],
+        transaction
+    });
+}
+
+// Сверка данных ТС со справочником. Возвращает канонические названия и ссылку на модель.
+// Пока справочник не заполнен, данные принимаются как есть
+async function applyCatalogue(values, transaction) {
+    if (await VehicleModel.count({ transaction }) === 0) {
+        return { modelId: null };
+    }
+
+    const model = await findCatalogueModel(values.makeAndModel, transaction);
+    if (!model) {
+        throw ApiError.badRequest(`Make and model "${values.makeAndModel}" is not in the vehicle catalogue`);
+    }
+
+    const makeAndModel = getMakeAndModel(model);
+    const manufacturer = model.vehiclemanufacturer;
+
+    if (!manufacturer.matchKeys.includes(toMatchKey(values.manufacture))) {
+        throw ApiError.badRequest(`Manufacturer "${values.manufacture}" does not match ${makeAndModel} (${manufacturer.name})`);
+    }
+
+    // У электромобиля модель двигателя может отсутствовать
+    if (values.engineModel && model.engineModels.length && !model.engineModels.includes(values.engineModel)) {
+        throw ApiError.badRequest(
+            `Engine model ${values.engineModel} is not listed for ${makeAndModel}: ${model.engineModels.join(', ')}`
+        );
+    }
+
+    // У прицепа привода нет
+    if (values.typeOfDrive && model.typesOfDrive.length && !model.typesOfDrive.includes(values.typeOfDrive)) {
+        throw ApiError.badRequest(
+            `Drive type ${values.typeOfDrive} is not listed for ${makeAndModel}: ${model.typesOfDrive.join(', ')}`
+        );
+    }
+
+    return {
+        makeAndModel,
+        manufacture: manufacturer.name,
+        modelId: model.modelId
+    };
+}
+
+// Разовая привязка существующих ТС к справочнику по названию марки и модели
+async function mapVehiclesToCatalogue({ dryRun = false } = {}) {
+    const vehicles = await TransportVehicle.findAll({ where: { modelId: null } });
+    const models = new Map();
+    const unmatched = new Map();
+    let mapped = 0;
+
+    for (const vehicle of vehicles) {
+        const key = toMatchKey(vehicle.makeAndModel);
+        if (!models.has(key)) {
+            models.set(key, await findCatalogueModel(vehicle.makeAndModel));
+        }
+
+        const model = models.get(key);
+        if (!model) {
+            unmatched.set(vehicle.makeAndModel, (unmatched.get(vehicle.makeAndModel) || 0) + 1);
+            continue;
+        }
+
+        mapped++;
+        if (!dryRun) {
+            await vehicle.update({
+                modelId: model.modelId,
+                makeAndModel: getMakeAndModel(model),
+                manufacture: model.vehiclemanufacturer.name
+            });
+        }
+    }
+
+    return {
+        total: vehicles.length,
+        mapped,
+        unmatched: [...unmatched].map(([makeAndModel, count]) => ({ makeAndModel, count }))
+    };
+}
+
+module.exports = {
+    toMatchKey,
+    buildManufacturerMatchKeys,
+    buildModelMatchKeys,
+    getMakeAndModel,
+    findCatalogueModel,
+    applyCatalogue,
+    mapVehiclesToCatalogue
+};
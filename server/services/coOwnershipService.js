@@ -0,0 +1,228 @@
+const { Op } = require('sequelize');
+const sequelize = require('../db');
+const {
+    VehicleShare,
+    CoOwnerConsent,
+    NaturalPerson,
+    LegalEntity,
+    Owner,
+    VehicleRegistration
+} = require('../models/associations');
+const ApiError = require('../error/ApiError');
+const { syncDocumentRegistrations } = require('./registrationService');
+
+// Действия с ТС, на которые нужно согласие всех совладельцев
+const CONSENT_ACTIONS = {
+    TRANSFER: { label: 'Передача ТС другому владельцу' },
+    DEREGISTRATION: { label: 'Снятие ТС с учета' }
+};
+
+const CONSENT_STATUSES = ['PENDING', 'GRANTED', 'DECLINED', 'USED'];
+
+// Подзапрос номеров регистрационных документов, в которых лицо — основной владелец или совладелец
+function ownedRegistrationNumbers(owner) {
+    const escaped = sequelize.escape(owner);
+    return sequelize.literal(
+        `(SELECT "registrationNumber" FROM registrationdoc WHERE "documentOwner" = ${escaped}`
+        + ` UNION SELECT "registrationNumber" FROM vehicleshare WHERE "owner" = ${escaped})`
+    );
+}
+
+// Условие для RegistrationDoc, VehicleRegistration, RegistrationOp и других таблиц с номером документа
+function ownedBy(owner) {
+    return { registrationNumber: { [Op.in]: ownedRegistrationNumbers(owner) } };
+}
+
+// Действующая регистрация ТС, в которой лицо — основной владелец или совладелец
+async function findOwnedRegistration(vin, owner, transaction) {
+    return VehicleRegistration.findOne({
+        where: { vin, status: 'REGISTERED', ...ownedBy(owner) },
+        transaction
+    });
+}
+
+function toShareJson(share) {
+    return {
+        owner: share.owner,
+        shareNumerator: share.shareNumerator,
+        shareDenominator: share.shareDenominator,
+        isPrimary: share.isPrimary
+    };
+}
+
+// Документ без записей о долях принадлежит одному владельцу из documentOwner
+async function getOwners(doc, transaction) {
+    const shares = await VehicleShare.findAll({
+        where: { registrationNumber: doc.registrationNumber },
+        order: [['isPrimary', 'DESC'], ['shareId', 'ASC']],
+        transaction
+    });
+
+    if (shares.length) return shares.map(toShareJson);
+
+    return doc.documentOwner
+        ? [{ owner: doc.documentOwner, shareNumerator: 1, shareDenominator: 1, isPrimary: true }]
+        : [];
+}
+
+async function isDocumentOwner(doc, owner, transaction) {
+    if (doc.documentOwner === owner) return true;
+
+    const share = await VehicleShare.findOne({
+        where: { registrationNumber: doc.registrationNumber, owner },
+        transaction
+    });
+    return !!share;
+}
+
+function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+}
+
+// Доли складываются как обыкновенные дроби, в сумме должна получиться единица
+function sharesSumToOne(owners) {
+    let numerator = 0;
+    let denominator = 1;
+
+    for (const { shareNumerator, shareDenominator } of owners) {
+        numerator = numerator * shareDenominator + shareNumerator * denominator;
+        denominator *= shareDenominator;
+
+        const divisor = gcd(numerator, denominator);
+        numerator /= divisor;
+        denominator /= divisor;
+    }
+
+    return numerator === denominator;
+}
+
+async function findPerson(identifier, transaction) {
+    return identifier.length === 11
+        ? NaturalPerson.findOne({ where: { passportData: identifier }, transaction })
+        : LegalEntity.findOne({ where: { taxNumber: identifier }, transaction });
+}
+
+// Замена состава владельцев; основной владелец становится documentOwner документа,
+// согласия, данные при прежнем составе, теряют силу
+async function setOwners(doc, owners, transaction) {
+    if (!sharesSumToOne(owners)) {
+        throw ApiError.badRequest('Ownership shares must add up to 1');
+    }
+
+    const primary = owners.find(owner => owner.isPrimary);
+    const persons = {};
+    for (const { owner } of owners) {
+        persons[owner] = await findPerson(owner, transaction);
+        if (!persons[owner]) {
+            throw ApiError.badRequest(`Owner ${owner} was not found`);
+        }
+    }
+
+    await VehicleShare.destroy({ where: { registrationNumber: doc.registrationNumber }, transaction });
+    if (owners.length > 1) {
+        await VehicleShare.bulkCreate(owners.map(owner => ({
+            registrationNumber: doc.registrationNumber,
+            owner: owner.owner,
+            shareNumerator: owner.shareNumerator,
+            shareDenominator: owner.shareDenominator,
+            isPrimary: owner.isPrimary
+        })), { transaction });
+    }
+
+    await CoOwnerConsent.destroy({
+        where: { registrationNumber: doc.registrationNumber, status: { [Op.in]: ['PENDING', 'GRANTED'] } },
+        transaction
+    });
+
+    const { address } = persons[primary.owner];
+    await Owner.findOrCreate({ where: { address }, transaction });
+    await doc.update({ documentOwner: primary.owner, address }, { transaction });
+    await syncDocumentRegistrations(doc.registrationNumber, transaction);
+
+    return getOwners(doc, transaction);
+}
+
+async function getOtherOwners(doc, initiator, transaction) {
+    const owners = await getOwners(doc, transaction);
+    return owners.map(({ owner }) => owner).filter(owner => owner !== initiator);
+}
+
+function consentWhere(doc, action, buyer, owners) {
+    return {
+        registrationNumber: doc.registrationNumber,
+        action,
+        buyer: buyer || null,
+        owner: { [Op.in]: owners }
+    };
+}
+
+// Запрашивает согласие у совладельцев, которые его еще не дали; возвращает тех, чье согласие ожидается
+async function requestConsents(doc, action, initiator, { buyer } = {}, transaction) {
+    const others = await getOtherOwners(doc, initiator, transaction);
+    if (!others.length) return [];
+
+    const consents = await CoOwnerConsent.findAll({
+        where: { ...consentWhere(doc, action, buyer, others), status: { [Op.in]: ['PENDING', 'GRANTED'] } },
+        transaction
+    });
+
+    const hasConsent = (owner, status) => consents.some(consent => consent.owner === owner && consent.status === status);
+    const pending = others.filter(owner => !hasConsent(owner, 'GRANTED'));
+
+    await CoOwnerConsent.bulkCreate(pending
+        .filter(owner => !hasConsent(owner, 'PENDING'))
+        .map(owner => ({
+            registrationNumber: doc.registrationNumber,
+            action,
+            buyer: buyer || null,
+            requestedBy: initiator,
+            owner
+        })), { transaction });
+
+    return pending;
+}
+
+// Проверяет согласие всех совладельцев и погашает его, чтобы оно не использовалось повторно
+async function useConsents(doc, action, initiator, { buyer } = {}, transaction) {
+    const others = await getOtherOwners(doc, initiator, transaction);
+    if (!others.length) return;
+
+    const consents = await CoOwnerConsent.findAll({
+        where: { ...consentWhere(doc, action, buyer, others), status: 'GRANTED' },
+        transaction
+    });
+
+    const missing = others.filter(owner => !consents.some(consent => consent.owner === owner));
+    if (missing.length) {
+        throw ApiError.conflict(`Consent of all co-owners is required. Waiting for: ${missing.join(', ')}`);
+    }
+
+    await CoOwnerConsent.update(
+        { status: 'USED' },
+        { where: { consentId: { [Op.in]: consents.map(consent => consent.consentId) } }, transaction }
+    );
+}
+
+async function decideConsent(consent, status, transaction) {
+    if (consent.status !== 'PENDING') {
+        throw ApiError.conflict(`Consent has already been ${consent.status.toLowerCase()}`);
+    }
+
+    await consent.update({ status, decidedAt: new Date() }, { transaction });
+    return consent;
+}
+
+module.exports = {
+    CONSENT_ACTIONS,
+    CONSENT_STATUSES,
+    ownedRegistrationNumbers,
+    ownedBy,
+    findOwnedRegistration,
+    getOwners,
+    isDocumentOwner,
+    sharesSumToOne,
+    setOwners,
+    requestConsents,
+    useConsents,
+    decideConsent
+};
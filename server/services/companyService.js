@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, CompanyInvite, LegalEntity } = require('../models/associations');
+const ApiError = require('../error/ApiError');
+
+// Роли сотрудников юридического лица в его личном кабинете
+const COMPANY_ROLES = {
+    COMPANY_ADMIN: { label: 'Администратор компании' },
+    FLEET_MANAGER: { label: 'Управляющий автопарком' },
+    VIEWER: { label: 'Наблюдатель' }
+};
+
+// Роли, которым доступны действия с ТС: заявления, передачи, снятие с учета
+const COMPANY_WRITE_ROLES = ['COMPANY_ADMIN', 'FLEET_MANAGER'];
+
+const INVITE_TTL_DAYS = 7;
+
+function assertCompanyAdmin(user) {
+    if (!user.taxNumber || user.companyRole !== 'COMPANY_ADMIN') {
+        throw ApiError.forbidden('Only a company administrator can manage company accounts');
+    }
+}
+
+// Первая учетная запись компании становится администратором, последующие получают минимальные права.
+// Строка юр. лица блокируется до конца транзакции, чтобы две одновременные учетные записи не стали администраторами обе
+async function getDefaultCompanyRole(taxNumber, transaction) {
+    await LegalEntity.findOne({ where: { taxNumber }, transaction, lock: transaction.LOCK.UPDATE });
+    const members = await User.count({ where: { taxNumber }, transaction });
+    return members ? 'VIEWER' : 'COMPANY_ADMIN';
+}
+
+async function getCompanyMembers(taxNumber, transaction) {
+    return User.findAll({
+        where: { taxNumber, role: 'OWNER' },
+        attributes: ['id', 'email', 'companyRole', 'createdAt'],
+        order: [['createdAt', 'ASC']],
+        transaction
+    });
+}
+
+async function getPendingInvites(taxNumber, transaction) {
+    return CompanyInvite.findAll({
+        where: { taxNumber, status: 'PENDING', expiresAt: { [Op.gt]: new Date() } },
+        attributes: { exclude: ['token'] },
+        order: [['createdAt', 'DESC']],
+        transaction
+    });
+}
+
+// Приглашение действует ограниченный срок; ссылку с токеном администратор передает коллеге сам
+async function createInvite(admin, { email, companyRole }, transaction) {
+    assertCompanyAdmin(admin);
+
+    const existingUser = await User.findOne({ where: { email }, transaction });
+    if (existingUser) {
+        throw ApiError.conflict('User with this email already exists');
+    }
+
+    await CompanyInvite.update(
+        { status: 'REVOKED' },
+        { where: { taxNumber: admin.taxNumber, email, status: 'PENDING' }, transaction }
+    );
+
+    return CompanyInvite.create({
+        taxNumber: admin.taxNumber,
+        email,
+        companyRole,
+        token: crypto.randomBytes(32).toString('hex'),
+        invitedBy: admin.id,
+        expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }, { transaction });
+}
+
+async function revokeInvite(admin, inviteId, transaction) {
+    assertCompanyAdmin(admin);
+
+    const invite = await CompanyInvite.findOne({
+        where: { inviteId, taxNumber: admin.taxNumber, status: 'PENDING' },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+    if (!invite) throw ApiError.notFound('Invite not found');
+
+    await invite.update({ status: 'REVOKED' }, { transaction });
+    return invite;
+}
+
+async function findPendingInvite(token, transaction) {
+    const invite = await CompanyInvite.findOne({
+        where: { token, status: 'PENDING', expiresAt: { [Op.gt]: new Date() } },
+        include: [{ model: LegalEntity, attributes: ['taxNumber', 'companyName'] }],
+        transaction,
+        lock: transaction ? { level: transaction.LOCK.UPDATE, of: CompanyInvite } : undefined
+    });
+    if (!invite) throw ApiError.notFound('Invite not found or expired');
+
+    return invite;
+}
+
+async function findCompanyMember(admin, userId, transaction) {
+    const member = await User.findOne({
+        where: { id: userId, taxNumber: admin.taxNumber, role: 'OWNER' },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+    if (!member) throw ApiError.notFound('Company member not found');
+
+    return member;
+}
+
+// В компании всегда остается хотя бы один администратор
+async function assertOtherAdminExists(member, transaction) {
+    if (member.companyRole !== 'COMPANY_ADMIN') return;
+
+    const admins = await User.count({
+        where: { taxNumber: member.taxNumber, companyRole: 'COMPANY_ADMIN', id: { [Op.ne]: member.id } },
+        transaction
+    });
+    if (!admins) {
+        throw ApiError.conflict('The company must keep at least one administrator');
+    }
+}
+
+async function changeMemberRole(admin, userId, companyRole, transaction) {
+    assertCompanyAdmin(admin);
+
+    const member = await findCompanyMember(admin, userId, transaction);
+    if (companyRole !== 'COMPANY_ADMIN') {
+        await assertOtherAdminExists(member, transaction);
+    }
+
+    await member.update({ companyRole }, { transaction });
+    return member;
+}
+
+// Учетная запись не удаляется, а отвязывается от компании: на нее ссылаются история заявлений и вложения
+async function removeMember(admin, userId, transaction) {
+    assertCompanyAdmin(admin);
+
+    const member = await findCompanyMember(admin, userId, transaction);
+    await assertOtherAdminExists(member, transaction);
+
+    await member.update({ taxNumber: null, companyRole: null }, { transaction });
+    return member;
+}
+
+module.exports = {
+    COMPANY_ROLES,
+    COMPANY_WRITE_ROLES,
+    INVITE_TTL_DAYS,
+    getDefaultCompanyRole,
+    getCompanyMembers,
+    getPendingInvites,
+    createInvite,
+    revokeInvite,
+    findPendingInvite,
+    changeMemberRole,
+    removeMember
+};
@@ -0,0 +1,95 @@
+const { Op } = require('sequelize');
+const {
+    RegistrationDoc,
+    RegistrationOp,
+    OwnershipTransfer,
+    VehicleRegistration
+} = require('../models/associations');
+const ApiError = require('../error/ApiError');
+const { retirePlateNumber } = require('./plateService');
+const { DEREGISTRATION_OPERATION_TYPE, syncVehicleRegistration } = require('./registrationService');
+const { ACTIVE_TRANSFER_STATUSES } = require('./transferService');
+const { assertNoBlockingRestrictions } = require('./restrictionService');
+const { cancelDocumentNumbers } = require('./documentService');
+const { isDocumentOwner, useConsents } = require('./coOwnershipService');
+
+// Причины снятия ТС с учета по заявлению владельца
+const DEREGISTRATION_REASONS = {
+    DISPOSAL: 'Утилизация ТС',
+    EXPORT: 'Вывоз ТС за пределы Российской Федерации',
+    THEFT: 'Хищение ТС',
+    OWNERSHIP_TERMINATED: 'Прекращение права собственности',
+    OTHER: 'Иная причина'
+};
+
+function buildDeregistrationBase(reason, comment) {
+    const label = DEREGISTRATION_REASONS[reason];
+    return comment ? `${label}: ${comment}` : label;
+}
+
+async function closeRegistration(registration, doc, { unitCode, operationBase, operationDate, representative, powerOfAttorneyId }, transaction) {
+    const currentOperation = registration.operationId
+        ? await RegistrationOp.findByPk(registration.operationId, { transaction })
+        : null;
+
+    const date = operationDate || new Date();
+
+    const operation = await RegistrationOp.create({
+        vin: registration.vin,
+        registrationNumber: doc.registrationNumber,
+        unitCode: unitCode || currentOperation?.unitCode,
+        operationType: DEREGISTRATION_OPERATION_TYPE,
+        operationBase,
+        operationDate: date,
+        representative: representative || null,
+        powerOfAttorneyId: powerOfAttorneyId || null
+    }, { transaction });
+
+    await cancelDocumentNumbers(doc, { reason: operationBase, date }, transaction);
+    await doc.update({ status: 'CLOSED', closedAt: date }, { transaction });
+    await retirePlateNumber(doc.registrationNumber, transaction);
+    await syncVehicleRegistration(registration.vin, transaction);
+
+    return { doc, operation };
+}
+
+async function deregisterVehicle(vin, documentOwner, options, transaction) {
+    const registration = await VehicleRegistration.findByPk(vin, { transaction });
+    if (!registration || registration.status !== 'REGISTERED') {
+        throw ApiError.conflict('Vehicle is not registered');
+    }
+
+    const doc = await RegistrationDoc.findOne({
+        where: {
+            registrationNumber: registration.registrationNumber,
+            status: 'ACTIVE'
+        },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+
+    if (!doc || !(await isDocumentOwner(doc, documentOwner, transaction))) {
+        throw ApiError.forbidden('Vehicle is not registered to you');
+    }
+
+    const activeTransfer = await OwnershipTransfer.findOne({
+        where: { vin, status: { [Op.in]: ACTIVE_TRANSFER_STATUSES } },
+        transaction
+    });
+
+    if (activeTransfer) {
+        throw ApiError.conflict('The vehicle has an active ownership transfer. Cancel it before deregistration');
+    }
+
+    await assertNoBlockingRestrictions(vin, 'DEREGISTRATION', transaction);
+    await useConsents(doc, 'DEREGISTRATION', documentOwner, {}, transaction);
+
+    return closeRegistration(registration, doc, options, transaction);
+}
+
+module.exports = {
+    DEREGISTRATION_REASONS,
+    buildDeregistrationBase,
+    closeRegistration,
+    deregisterVehicle
+};
@@ -0,0 +1,280 @@
+const { Op } = require('sequelize');
+const {
+    VehicleDocument,
+    RegistrationDoc,
+    TransportVehicle,
+    RegistrationDepart,
+    NaturalPerson,
+    LegalEntity
+} = require('../models/associations');
+const ApiError = require('../error/ApiError');
+
+// Поля регистрационного документа, в которых хранится текущий номер ПТС/СТС
+const DOCUMENT_FIELDS = {
+    PTS: 'pts',
+    STS: 'sts'
+};
+
+// Причины выдачи нового ПТС/СТС и статус, который получает прежний номер
+const REISSUE_REASONS = {
+    LOST: { label: 'Утрата', status: 'LOST' },
+    DAMAGED: { label: 'Повреждение', status: 'REPLACED' },
+    UNUSABLE: { label: 'Непригодность для использования', status: 'REPLACED' },
+    DATA_CHANGE: { label: 'Изменение регистрационных данных', status: 'REPLACED' }
+};
+
+const CORRECTION_REASON = 'Исправление ошибочно внесенного номера';
+
+function getPtsType(number) {
+    return /^\d{15}$/.test(number) ? 'ELECTRONIC' : 'PAPER';
+}
+
+function toDateOnly(value) {
+    return new Date(value).toISOString().split('T')[0];
+}
+
+async function recordDocumentNumbers(doc, { issuedAt, badgeNumber }, transaction) {
+    const date = toDateOnly(issuedAt || doc.registrationDate);
+
+    return Promise.all(Object.entries(DOCUMENT_FIELDS).map(([kind, field]) => VehicleDocument.create({
+        registrationNumber: doc.registrationNumber,
+        kind,
+        number: doc[field],
+        issuedAt: date,
+        issuedBy: badgeNumber || null
+    }, { transaction })));
+}
+
+// Документы, выданные до ведения истории, заносятся в нее при первом обращении
+async function findActiveDocument(doc, kind, transaction) {
+    const [document] = await VehicleDocument.findOrCreate({
+        where: {
+            registrationNumber: doc.registrationNumber,
+            kind,
+            number: doc[DOCUMENT_FIELDS[kind]],
+            status: 'ACTIVE'
+        },
+        defaults: {
+            issuedAt: toDateOnly(doc.registrationDate)
+        },
+        transaction
+    });
+
+    return document;
+}
+
+async function assertNumberAvailable(kind, number, registrationNumber, transaction) {
+    const invalidated = await VehicleDocument.findOne({
+        where: { kind, number, status: { [Op.in]: ['LOST', 'REPLACED'] } },
+        transaction
+    });
+    if (invalidated) {
+        throw ApiError.conflict(`${kind} ${number} was invalidated and cannot be issued again`);
+    }
+
+    const field = DOCUMENT_FIELDS[kind];
+    const where = {
+        [field]: number,
+        registrationNumber: { [Op.ne]: registrationNumber }
+    };
+    // СТС выдается один раз, ПТС переходит к новому документу при смене собственника
+    if (kind === 'PTS') {
+        where.status = 'ACTIVE';
+    }
+
+    const existing = await RegistrationDoc.findOne({ where, transaction });
+    if (existing) {
+        throw ApiError.conflict(`${kind} number already in use`);
+    }
+}
+
+async function replaceDocumentNumber(doc, kind, number, { status, reason, date, badgeNumber }, transaction) {
+    const field = DOCUMENT_FIELDS[kind];
+    if (doc[field] === number) {
+        throw ApiError.badRequest(`The new ${kind} number must differ from the current one`);
+    }
+
+    await assertNumberAvailable(kind, number, doc.registrationNumber, transaction);
+
+    const previous = await findActiveDocument(doc, kind, transaction);
+    const issuedAt = toDateOnly(date || new Date());
+
+    const replacement = await VehicleDocument.create({
+        registrationNumber: doc.registrationNumber,
+        kind,
+        number,
+        issuedAt,
+        issuedBy: badgeNumber || null
+    }, { transaction });
+
+    await previous.update({
+        status,
+        reason,
+        invalidatedAt: issuedAt,
+        replacedById: replacement.documentId
+    }, { transaction });
+
+    await doc.update({ [field]: number }, { transaction });
+
+    return { previous, replacement };
+}
+
+async function reissueDocument(doc, { kind, number, reason, issuedAt }, badgeNumber, transaction) {
+    if (doc.status !== 'ACTIVE') {
+        throw ApiError.conflict('Documents can be reissued only for an active registration');
+    }
+
+    // ЭПТС не утрачивается и не повреждается, изменения вносятся в него самого
+    if (kind === 'PTS' && doc.ptsType === 'ELECTRONIC') {
+        throw ApiError.conflict('An electronic PTS cannot be reissued');
+    }
+
+    const result = await replaceDocumentNumber(doc, kind, number, {
+        status: REISSUE_REASONS[reason].status,
+        reason: REISSUE_REASONS[reason].label,
+        date: issuedAt,
+        badgeNumber
+    }, transaction);
+
+    // Взамен бумажного ПТС может быть оформлен ЭПТС
+    if (kind === 'PTS') {
+        const ptsType = getPtsType(number);
+        await doc.update({
+            ptsType,
+            ptsStatus: ptsType === 'ELECTRONIC' ? 'ACTIVE' : null,
+            ptsIssuedAt: result.replacement.issuedAt
+        }, { transaction });
+    }
+
+    return result;
+}
+
+async function correctDocumentNumbers(doc, values, badgeNumber, transaction) {
+    for (const [kind, field] of Object.entries(DOCUMENT_FIELDS)) {
+        if (values[field] && values[field] !== doc[field]) {
+            await replaceDocumentNumber(doc, kind, values[field], {
+                status: 'CANCELLED',
+                reason: CORRECTION_REASON,
+                badgeNumber
+            }, transaction);
+        }
+    }
+}
+
+async function cancelDocumentNumbers(doc, { reason, date }, transaction) {
+    await Promise.all(Object.keys(DOCUMENT_FIELDS).map(kind => findActiveDocument(doc, kind, transaction)));
+
+    await VehicleDocument.update({
+        status: 'CANCELLED',
+        reason,
+        invalidatedAt: toDateOnly(date || new Date())
+    }, {
+        where: { registrationNumber: doc.registrationNumber, status: 'ACTIVE' },
+        transaction
+    });
+}
+
+async function lookupDocumentNumber(kind, number) {
+    const document = await VehicleDocument.findOne({
+        where: { kind, number },
+        include: [
+            {
+                model: VehicleDocument,
+                as: 'replacedBy',
+                attributes: ['documentId', 'number', 'issuedAt', 'status']
+            },
+            {
+                model: RegistrationDoc,
+                attributes: ['registrationNumber', 'status']
+            }
+        ],
+        order: [['issuedAt', 'DESC'], ['documentId', 'DESC']]
+    });
+
+    if (document) {
+        return document.toJSON();
+    }
+
+    // Номер мог быть выдан до ведения истории документов
+    const doc = await RegistrationDoc.findOne({
+        where: { [DOCUMENT_FIELDS[kind]]: number },
+        order: [['registrationDate', 'DESC']]
+    });
+
+    if (!doc) {
+        return null;
+    }
+
+    return {
+        registrationNumber: doc.registrationNumber,
+        kind,
+        number,
+        status: doc.status === 'ACTIVE' ? 'ACTIVE' : 'CANCELLED',
+        reason: null,
+        issuedAt: toDateOnly(doc.registrationDate),
+        invalidatedAt: doc.closedAt ? toDateOnly(doc.closedAt) : null,
+        replacedBy: null,
+        registrationdoc: { registrationNumber: doc.registrationNumber, status: doc.status }
+    };
+}
+
+async function describePerson(identifier, transaction) {
+    const isNaturalPerson = identifier.length === 11;
+    const person = isNaturalPerson
+        ? await NaturalPerson.findOne({ where: { passportData: identifier }, transaction })
+        : await LegalEntity.findOne({ where: { taxNumber: identifier }, transaction });
+
+    if (!person) {
+        return { name: null, identifier, address: null, isNaturalPerson };
+    }
+
+    return {
+        name: isNaturalPerson
+            ? [person.lastName, person.firstName, person.patronymic].filter(Boolean).join(' ')
+            : person.companyName,
+        identifier,
+        address: person.address,
+        isNaturalPerson
+    };
+}
+
+// Сведения для СТС сохраняются при первой операции по документу,
+// поэтому повторная печать не зависит от последующих изменений ТС и владельца
+async function saveCertificateData(operation, transaction) {
+    if (!operation.registrationNumber) return null;
+
+    const doc = await RegistrationDoc.findByPk(operation.registrationNumber, { transaction });
+    if (!doc || doc.certificateData) return doc;
+
+    const vehicle = await TransportVehicle.findByPk(operation.vin, { transaction });
+    if (!vehicle) return doc;
+
+    const department = await RegistrationDepart.findByPk(operation.unitCode, {
+        attributes: ['unitCode', 'departmentName'],
+        transaction
+    });
+
+    const { createdAt, updatedAt, ...vehicleData } = vehicle.toJSON();
+
+    return doc.update({
+        certificateData: {
+            vehicle: vehicleData,
+            owner: await describePerson(doc.documentOwner, transaction),
+            department: department?.toJSON() || null
+        }
+    }, { transaction });
+}
+
+module.exports = {
+    DOCUMENT_FIELDS,
+    REISSUE_REASONS,
+    getPtsType,
+    recordDocumentNumbers,
+    replaceDocumentNumber,
+    reissueDocument,
+    correctDocumentNumbers,
+    cancelDocumentNumbers,
+    lookupDocumentNumber,
+    describePerson,
+    saveCertificateData
+};
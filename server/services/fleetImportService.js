@@ -0,0 +1,134 @@
+const { Op } = require('sequelize');
+const {
+    TransportVehicle,
+    VehicleRegistration,
+    RegistrationApplication
+} = require('../models/associations');
+const ApiError = require('../error/ApiError');
+const { vehicleCreateSchema } = require('../validations/vehicleShema');
+const { applyCatalogue } = require('./catalogueService');
+const { normalizeVehicleSpecs, snapshotVehicle } = require('./vehicleService');
+const { logApplicationStatus } = require('./applicationService');
+const { REGISTRATION_OPERATION_TYPE } = require('./registrationService');
+const { findOwnedRegistration } = require('./coOwnershipService');
+
+// Ограничение держит тело запроса в пределах лимита express.json
+const MAX_IMPORT_ROWS = 100;
+
+// Заявления, которые еще могут быть одобрены
+const PENDING_STATUSES = ['SUBMITTED', 'UNDER_REVIEW', 'NEEDS_CORRECTION'];
+
+// Проверка одной строки файла: схема, справочник марок и моделей, текущее состояние ТС в базе
+async function validateImportRow(row, seenVins, applicant, transaction) {
+    const { error, value } = vehicleCreateSchema.validate(row, { abortEarly: false, allowUnknown: false });
+    if (error) {
+        return { errors: error.details.map(detail => detail.message) };
+    }
+
+    if (seenVins.has(value.vin)) {
+        return { errors: [`VIN ${value.vin} повторяется в файле`] };
+    }
+    seenVins.add(value.vin);
+
+    const errors = [];
+
+    const registration = await VehicleRegistration.findOne({
+        where: { vin: value.vin, status: 'REGISTERED' },
+        transaction
+    });
+    if (registration) {
+        // Заявление на ТС другого владельца не подается, как и при подаче по одному ТС
+        const owned = await findOwnedRegistration(value.vin, applicant, transaction);
+        errors.push(owned ? 'ТС уже состоит на учете' : 'ТС зарегистрировано на другого владельца');
+    }
+
+    const pendingApplication = await RegistrationApplication.findOne({
+        where: {
+            vin: value.vin,
+            operationType: REGISTRATION_OPERATION_TYPE,
+            status: { [Op.in]: PENDING_STATUSES }
+        },
+        transaction
+    });
+    if (pendingApplication) errors.push(`По ТС уже подано заявление № ${pendingApplication.applicationId}`);
+
+    // Уже внесенное в базу ТС не создается повторно, заявление подается на него
+    const existingVehicle = await TransportVehicle.findByPk(value.vin, { transaction });
+
+    let catalogue = {};
+    if (!existingVehicle) {
+        try {
+            catalogue = await applyCatalogue(value, transaction);
+        } catch (e) {
+            if (!(e instanceof ApiError)) throw e;
+            errors.push(e.message);
+        }
+    }
+
+    return { errors, vehicle: value, catalogue, existingVehicle };
+}
+
+async function validateImportRows(rows, applicant, transaction) {
+    const seenVins = new Set();
+    const results = [];
+
+    for (const [index, row] of rows.entries()) {
+        const result = await validateImportRow(row, seenVins, applicant, transaction);
+        results.push({ row: index + 1, vin: row.vin || null, ...result });
+    }
+
+    return results;
+}
+
+function toImportReport(results) {
+    return results.map(({ row, vin, errors, existingVehicle }) => ({
+        row,
+        vin,
+        valid: errors.length === 0,
+        existingVehicle: !!existingVehicle,
+        errors
+    }));
+}
+
+// Принятые строки становятся ТС и заявлениями на постановку на учет одним пакетом
+async function importFleet(user, batch, results, transaction) {
+    const applications = [];
+
+    for (const { errors, vehicle, catalogue, existingVehicle } of results) {
+        if (errors.length) continue;
+
+        const record = existingVehicle || await TransportVehicle.create({
+            ...normalizeVehicleSpecs(vehicle),
+            ...catalogue,
+            bodyNumber: vehicle.vin.slice(-6),
+            chassisNumber: vehicle.hasChassisNumber ? vehicle.vin : null
+        }, { transaction });
+
+        const application = await RegistrationApplication.create({
+            vin: vehicle.vin,
+            registrationNumber: null,
+            unitCode: batch.unitCode,
+            operationType: REGISTRATION_OPERATION_TYPE,
+            operationBase: batch.operationBase,
+            vehicleData: snapshotVehicle(record),
+            applicant: batch.applicant,
+            representative: batch.representative,
+            powerOfAttorneyId: batch.powerOfAttorneyId,
+            status: 'SUBMITTED',
+            applicationDate: batch.applicationDate
+        }, { transaction });
+
+        await logApplicationStatus(application, null, user, null, transaction);
+        applications.push(application);
+    }
+
+    return applications;
+}
+
+module.exports = {
+    REGISTRATION_OPERATION_TYPE,
+    MAX_IMPORT_ROWS,
+    validateImportRows,
+    toImportReport,
+    importFleet
+};
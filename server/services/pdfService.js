@@ -0,0 +1,153 @@
+const PDFDocument = require('pdfkit');
+const {
+    RegistrationDoc,
+    RegistrationOp,
+    RegistrationDepart,
+    RegistrationApplication,
+    TransportVehicle
+} = require('../models/associations');
+const ApiError = require('../error/ApiError');
+const { filedBy } = require('./powerOfAttorneyService');
+const { describePerson } = require('./documentService');
+const {
+    createCertificateToken,
+    createApplicationToken,
+    getVerificationUrl
+} = require('./verificationService');
+const PDF_TEMPLATES = require('../templates/pdf');
+const { LEGACY_TEMPLATE_VERSION } = require('../templates/pdf/versions');
+
+// Шаблоны заявления v1–v3 печатались по регистрационной операции и выводят ее номер, дату и документы
+const OPERATION_APPLICATION_TEMPLATES = ['v1', 'v2', 'v3'];
+
+// Шрифты с кириллицей встраиваются в документ, внешние сервисы для отрисовки не используются
+const FONTS = {
+    Regular: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf'),
+    Bold: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf')
+};
+
+function getTemplate(kind, version) {
+    const template = PDF_TEMPLATES[kind][version || LEGACY_TEMPLATE_VERSION];
+    if (!template) {
+        throw ApiError.internal(`PDF template ${kind} ${version} is not available`);
+    }
+
+    return template;
+}
+
+// Дата создания берется из документа, чтобы повторная печать давала тот же файл
+function renderPdf(template, data, creationDate) {
+    return new Promise((resolve, reject) => {
+        const pdf = new PDFDocument({
+            size: template.size,
+            layout: template.layout,
+            margin: 36,
+            info: {
+                Title: template.title(data),
+                CreationDate: new Date(creationDate)
+            }
+        });
+
+        const chunks = [];
+        pdf.on('data', chunk => chunks.push(chunk));
+        pdf.on('end', () => resolve(Buffer.concat(chunks)));
+        pdf.on('error', reject);
+
+        Object.entries(FONTS).forEach(([name, path]) => pdf.registerFont(name, path));
+        template.render(pdf, data);
+        pdf.end();
+    });
+}
+
+async function renderCertificate(registrationNumber) {
+    const doc = await RegistrationDoc.findByPk(registrationNumber);
+    if (!doc) {
+        throw ApiError.notFound('Registration document not found');
+    }
+
+    if (!doc.certificateData) {
+        throw ApiError.conflict('No vehicle has been registered under this document yet');
+    }
+
+    const template = getTemplate('certificate', doc.certificateTemplate);
+    const data = {
+        registrationNumber: doc.registrationNumber,
+        sts: doc.sts,
+        pts: doc.pts,
+        ptsType: doc.ptsType,
+        registrationDate: doc.registrationDate.toISOString(),
+        validUntil: doc.validUntil,
+        status: doc.status,
+        closedAt: doc.closedAt ? doc.closedAt.toISOString() : null,
+        vehicle: doc.certificateData.vehicle,
+        owner: doc.certificateData.owner,
+        department: doc.certificateData.department,
+        verificationUrl: getVerificationUrl(createCertificateToken(doc))
+    };
+
+    return {
+        fileName: `certificate-${doc.registrationNumber}.pdf`,
+        content: await renderPdf(template, data, doc.registrationDate)
+    };
+}
+
+// Поля, которые шаблоны v1–v3 брали из операции. До проведения операции бланк нумеруется и датируется
+// по заявлению; заявлению, поданному без сведений о ТС, подставляются текущие данные ТС
+async function getOperationApplicationFields(application) {
+    const operation = application.operationId
+        ? await RegistrationOp.findByPk(application.operationId, { include: [{ model: RegistrationDoc }] })
+        : null;
+    const doc = operation?.registrationdoc
+        || (application.registrationNumber ? await RegistrationDoc.findByPk(application.registrationNumber) : null);
+    const vehicle = application.vehicleData || (await TransportVehicle.findByPk(application.vin))?.toJSON() || {};
+
+    return {
+        operationId: operation?.operationId || application.applicationId,
+        operationDate: new Date(operation?.operationDate || application.applicationDate).toISOString(),
+        pts: doc?.pts || null,
+        ptsType: doc?.ptsType || null,
+        sts: doc?.sts || null,
+        vehicle
+    };
+}
+
+// Бланк печатается по данным, сохраненным в заявлении при подаче, и доступен заявителю и его представителю
+async function renderApplicationForm(applicationId, documentOwner) {
+    const application = await RegistrationApplication.findOne({
+        where: { applicationId, ...filedBy(documentOwner) },
+        include: [{ model: RegistrationDepart, attributes: ['unitCode', 'departmentName'] }]
+    });
+
+    if (!application) {
+        throw ApiError.notFound('Application not found or access is denied');
+    }
+
+    const version = application.applicationTemplate || LEGACY_TEMPLATE_VERSION;
+    const template = getTemplate('application', version);
+    const data = {
+        applicationId: application.applicationId,
+        operationType: application.operationType,
+        operationBase: application.operationBase,
+        applicationDate: new Date(application.applicationDate).toISOString(),
+        registrationNumber: application.registrationNumber,
+        requestedPlateNumber: application.requestedPlateNumber,
+        validUntil: application.validUntil,
+        changes: application.requestedChanges,
+        vehicle: application.vehicleData,
+        applicant: await describePerson(application.applicant),
+        representative: application.representative ? await describePerson(application.representative) : null,
+        department: application.registrationdepart?.toJSON() || null,
+        verificationUrl: getVerificationUrl(createApplicationToken(application)),
+        ...(OPERATION_APPLICATION_TEMPLATES.includes(version) ? await getOperationApplicationFields(application) : {})
+    };
+
+    return {
+        fileName: `application-${application.applicationId}.pdf`,
+        content: await renderPdf(template, data, application.applicationDate)
+    };
+}
+
+module.exports = {
+    renderCertificate,
+    renderApplicationForm
+};
@@ -0,0 +1,243 @@
+const { Op } = require('sequelize');
+const { PlateNumber, RegistrationDepart, Employee, RegistrationApplication, TransportVehicle } = require('../models/associations');
+const ApiError = require('../error/ApiError');
+const { getPlateFormat, assertPlateMatchesCategory } = require('./vehicleCategoryService');
+
+// Срок карантина номера после вывода из оборота, в днях
+const PLATE_QUARANTINE_DAYS = parseInt(process.env.PLATE_QUARANTINE_DAYS) || 180;
+
+// Срок резервирования номера сотрудником, в часах
+const PLATE_RESERVATION_HOURS = parseInt(process.env.PLATE_RESERVATION_HOURS) || 24;
+
+// Срок удержания номера, выбранного владельцем в заявлении, в днях
+const PLATE_HOLD_DAYS = parseInt(process.env.PLATE_HOLD_DAYS) || 14;
+
+function getPlateRegion(plateNumber) {
+    return plateNumber.slice(6);
+}
+
+function availablePlateCondition(now = new Date()) {
+    return {
+        [Op.or]: [
+            { status: 'FREE' },
+            { status: 'RESERVED', reservedUntil: { [Op.lt]: now } },
+            { status: 'RETIRED', availableFrom: { [Op.lte]: now } }
+        ]
+    };
+}
+
+function isPlateAvailable(plate, now = new Date()) {
+    switch (plate.status) {
+        case 'FREE':
+            return true;
+        case 'RESERVED':
+            return plate.reservedUntil < now;
+        case 'RETIRED':
+            return plate.availableFrom <= now;
+        default:
+            return false;
+    }
+}
+
+function isReservedBy(plate, badgeNumber, now = new Date()) {
+    return plate.status === 'RESERVED' && !!badgeNumber && plate.reservedBy === badgeNumber && plate.reservedUntil >= now;
+}
+
+async function isHeldFor(plate, documentOwner, transaction) {
+    if (plate.status !== 'RESERVED' || !plate.applicationId || plate.reservedUntil < new Date()) {
+        return false;
+    }
+
+    const application = await RegistrationApplication.findByPk(plate.applicationId, { transaction });
+    return application?.applicant === documentOwner;
+}
+
+function patternToLike(pattern) {
+    return pattern.replace(/\*/g, '_');
+}
+
+function buildPlateNumbers(format, series, regionCode, from, to) {
+    const plates = [];
+    for (let number = from; number <= to; number++) {
+        plates.push(`${format.compose(series, String(number).padStart(format.numberLength, '0'))}${regionCode}`);
+    }
+    return plates;
+}
+
+async function getEmployeeRegion(badgeNumber, transaction) {
+    const employee = await Employee.findByPk(badgeNumber, {
+        include: [{ model: RegistrationDepart, attributes: ['unitCode', 'regionCode'] }],
+        transaction
+    });
+
+    if (!employee) {
+        throw ApiError.forbidden('Employee is not assigned to a registration department');
+    }
+
+    const regionCode = employee.registrationdepart?.regionCode;
+    if (!regionCode) {
+        throw ApiError.badRequest(`Region code is not set for department ${employee.unitCode}`);
+    }
+
+    return regionCode;
+}
+
+async function getDepartmentRegion(unitCode, transaction) {
+    const department = await RegistrationDepart.findByPk(unitCode, { transaction });
+    if (!department?.regionCode) {
+        throw ApiError.badRequest(`Region code is not set for department ${unitCode}`);
+    }
+
+    return department.regionCode;
+}
+
+async function issuePlate(plate, transaction) {
+    await plate.update({
+        status: 'ISSUED',
+        issuedAt: new Date(),
+        reservedBy: null,
+        applicationId: null,
+        reservedUntil: null,
+        retiredAt: null,
+        availableFrom: null
+    }, { transaction });
+
+    return plate;
+}
+
+// Из реестра выбирается свободный номер того формата, который положен категории ТС
+async function allocatePlate(regionCode, category, transaction) {
+    const format = getPlateFormat(category);
+
+    const plate = await PlateNumber.findOne({
+        where: {
+            regionCode,
+            plateNumber: { [Op.regexp]: format.pattern.source },
+            ...availablePlateCondition()
+        },
+        order: [['plateNumber', 'ASC']],
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+        skipLocked: true
+    });
+
+    if (!plate) {
+        throw ApiError.conflict(`No free registration numbers of format ${format.label} left for region ${regionCode}`);
+    }
+
+    return issuePlate(plate, transaction);
+}
+
+async function issuePlateNumber(plateNumber, { badgeNumber, documentOwner, category }, transaction) {
+    if (category) {
+        assertPlateMatchesCategory(plateNumber, category);
+    }
+
+    const plate = await PlateNumber.findByPk(plateNumber, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+
+    // Номер вне реестра (введен вручную) заносится в реестр как выданный
+    if (!plate) {
+        return PlateNumber.create({
+            plateNumber,
+            regionCode: getPlateRegion(plateNumber),
+            status: 'ISSUED',
+            issuedAt: new Date()
+        }, { transaction });
+    }
+
+    if (
+        !isPlateAvailable(plate)
+        && !isReservedBy(plate, badgeNumber)
+        && !(await isHeldFor(plate, documentOwner, transaction))
+    ) {
+        throw ApiError.conflict(`Registration number ${plateNumber} is not available`);
+    }
+
+    return issuePlate(plate, transaction);
+}
+
+async function holdPlateForApplication(plateNumber, application, transaction) {
+    const plate = await PlateNumber.findByPk(plateNumber, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+
+    if (!plate || !isPlateAvailable(plate)) {
+        throw ApiError.conflict(`Registration number ${plateNumber} is not available`);
+    }
+
+    const vehicle = await TransportVehicle.findByPk(application.vin, { attributes: ['category'], transaction });
+    assertPlateMatchesCategory(plateNumber, vehicle?.category);
+
+    const regionCode = await getDepartmentRegion(application.unitCode, transaction);
+    if (plate.regionCode !== regionCode) {
+        throw ApiError.badRequest(`Registration number ${plateNumber} does not belong to region ${regionCode}`);
+    }
+
+    await plate.update({
+        status: 'RESERVED',
+        reservedBy: null,
+        applicationId: application.applicationId,
+        reservedUntil: new Date(Date.now() + PLATE_HOLD_DAYS * 24 * 60 * 60 * 1000)
+    }, { transaction });
+
+    return plate;
+}
+
+async function releaseApplicationPlate(applicationId, transaction) {
+    await PlateNumber.update({
+        status: 'FREE',
+        applicationId: null,
+        reservedUntil: null
+    }, {
+        where: { applicationId, status: 'RESERVED' },
+        transaction
+    });
+}
+
+async function retirePlateNumber(plateNumber, transaction) {
+    const retiredAt = new Date();
+    const availableFrom = new Date(retiredAt.getTime() + PLATE_QUARANTINE_DAYS * 24 * 60 * 60 * 1000);
+
+    const plate = await PlateNumber.findByPk(plateNumber, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+
+    if (!plate) {
+        return PlateNumber.create({
+            plateNumber,
+            regionCode: getPlateRegion(plateNumber),
+            status: 'RETIRED',
+            retiredAt,
+            availableFrom
+        }, { transaction });
+    }
+
+    await plate.update({ status: 'RETIRED', retiredAt, availableFrom }, { transaction });
+
+    return plate;
+}
+
+module.exports = {
+    PLATE_QUARANTINE_DAYS,
+    PLATE_RESERVATION_HOURS,
+    PLATE_HOLD_DAYS,
+    getPlateRegion,
+    availablePlateCondition,
+    isPlateAvailable,
+    isReservedBy,
+    isHeldFor,
+    patternToLike,
+    buildPlateNumbers,
+    getEmployeeRegion,
+    getDepartmentRegion,
+    allocatePlate,
+    issuePlateNumber,
+    retirePlateNumber,
+    holdPlateForApplication,
+    releaseApplicationPlate
+};
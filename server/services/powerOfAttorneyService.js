@@ -0,0 +1,88 @@
+const { Op } = require('sequelize');
+const { PowerOfAttorney } = require('../models/associations');
+const ApiError = require('../error/ApiError');
+const { DEREGISTRATION_OPERATION_TYPE } = require('./registrationService');
+const { CHANGE_REQUEST_OPERATION_TYPE } = require('./vehicleService');
+
+// Полномочия по доверенности и регистрационные действия, которые они покрывают
+const POWER_OF_ATTORNEY_SCOPES = {
+    REGISTRATION: { label: 'Постановка на учет', operationType: 'Постановка на учет' },
+    DEREGISTRATION: { label: 'Снятие с учета', operationType: DEREGISTRATION_OPERATION_TYPE },
+    AMENDMENT: { label: 'Внесение изменений в регистрационные данные', operationType: CHANGE_REQUEST_OPERATION_TYPE }
+};
+
+function getOperationScope(operationType) {
+    return Object.keys(POWER_OF_ATTORNEY_SCOPES)
+        .find(scope => POWER_OF_ATTORNEY_SCOPES[scope].operationType === operationType);
+}
+
+function toDateOnly(date) {
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+function isPowerOfAttorneyValid(powerOfAttorney, scope, date = new Date()) {
+    const day = toDateOnly(date);
+    return !powerOfAttorney.revokedAt
+        && powerOfAttorney.validFrom <= day
+        && powerOfAttorney.validUntil >= day
+        && powerOfAttorney.scope.includes(scope);
+}
+
+// Действующая на дату доверенность доверителя на представителя, покрывающая операцию
+async function findPowerOfAttorney(principal, representative, operationType, transaction) {
+    const scope = getOperationScope(operationType);
+    const powersOfAttorney = await PowerOfAttorney.findAll({
+        where: { principal, representative, revokedAt: null },
+        order: [['validUntil', 'DESC']],
+        transaction
+    });
+
+    const powerOfAttorney = scope && powersOfAttorney.find(poa => isPowerOfAttorneyValid(poa, scope));
+    if (!powerOfAttorney) {
+        throw ApiError.forbidden(`No valid power of attorney from ${principal} covering the operation "${operationType}"`);
+    }
+
+    return powerOfAttorney;
+}
+
+// Заявитель операции: сам пользователь либо доверитель, от имени которого он действует
+async function resolveApplicant(user, principal, operationType, transaction) {
+    const identifier = user.passportData || user.taxNumber;
+    if (!identifier) throw ApiError.forbidden('Unable to determine the applicant');
+
+    if (!principal || principal === identifier) {
+        return { applicant: identifier, representative: null, powerOfAttorneyId: null };
+    }
+
+    const powerOfAttorney = await findPowerOfAttorney(principal, identifier, operationType, transaction);
+    return {
+        applicant: principal,
+        representative: identifier,
+        powerOfAttorneyId: powerOfAttorney.powerOfAttorneyId
+    };
+}
+
+// Доверенность перепроверяется при оформлении: ее могли отозвать или срок мог истечь после подачи заявления
+async function assertPowerOfAttorneyValid(powerOfAttorneyId, operationType, date, transaction) {
+    const powerOfAttorney = await PowerOfAttorney.findByPk(powerOfAttorneyId, { transaction });
+    if (!powerOfAttorney || !isPowerOfAttorneyValid(powerOfAttorney, getOperationScope(operationType), date)) {
+        throw ApiError.conflict(`Power of attorney ${powerOfAttorney?.notarialNumber || powerOfAttorneyId} is revoked, expired or does not cover the operation`);
+    }
+
+    return powerOfAttorney;
+}
+
+// Заявления, поданные лицом лично или через представителя
+function filedBy(identifier) {
+    return { [Op.or]: [{ applicant: identifier }, { representative: identifier }] };
+}
+
+module.exports = {
+    POWER_OF_ATTORNEY_SCOPES,
+    getOperationScope,
+    isPowerOfAttorneyValid,
+    findPowerOfAttorney,
+    resolveApplicant,
+    assertPowerOfAttorneyValid,
+    filedBy
+};
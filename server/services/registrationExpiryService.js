@@ -0,0 +1,110 @@
+const { Op } = require('sequelize');
+const sequelize = require('../db');
+const { RegistrationDoc, OwnershipTransfer, VehicleRegistration } = require('../models/associations');
+const { retirePlateNumber } = require('./plateService');
+const { closeRegistration } = require('./deregistrationService');
+const { ACTIVE_TRANSFER_STATUSES, changeTransferStatus } = require('./transferService');
+const { cancelDocumentNumbers } = require('./documentService');
+
+// Интервал проверки истекших временных регистраций, в минутах
+const REGISTRATION_EXPIRY_CHECK_MINUTES = parseInt(process.env.REGISTRATION_EXPIRY_CHECK_MINUTES) || 60;
+
+const EXPIRY_OPERATION_BASE = 'Автоматическое прекращение: истек срок временной регистрации';
+
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+async function expireRegistration(registrationNumber) {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const doc = await RegistrationDoc.findOne({
+            where: {
+                registrationNumber,
+                status: 'ACTIVE',
+                validUntil: { [Op.lt]: today() }
+            },
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+
+        // Документ уже закрыт или продлен другой транзакцией
+        if (!doc) {
+            await transaction.commit();
+            return false;
+        }
+
+        const registration = await VehicleRegistration.findOne({
+            where: { registrationNumber, status: 'REGISTERED' },
+            transaction
+        });
+
+        if (registration) {
+            const transfers = await OwnershipTransfer.findAll({
+                where: { vin: registration.vin, status: { [Op.in]: ACTIVE_TRANSFER_STATUSES } },
+                transaction
+            });
+
+            for (const transfer of transfers) {
+                await changeTransferStatus(transfer, 'CANCELLED', transaction);
+            }
+
+            await closeRegistration(registration, doc, {
+                operationBase: `${EXPIRY_OPERATION_BASE} (до ${doc.validUntil})`
+            }, transaction);
+        } else {
+            await cancelDocumentNumbers(doc, { reason: `${EXPIRY_OPERATION_BASE} (до ${doc.validUntil})` }, transaction);
+            await doc.update({ status: 'CLOSED', closedAt: new Date() }, { transaction });
+            await retirePlateNumber(doc.registrationNumber, transaction);
+        }
+
+        await transaction.commit();
+        return true;
+    } catch (e) {
+        await transaction.rollback();
+        throw e;
+    }
+}
+
+async function expireTemporaryRegistrations() {
+    const docs = await RegistrationDoc.findAll({
+        where: {
+            status: 'ACTIVE',
+            validUntil: { [Op.lt]: today() }
+        },
+        attributes: ['registrationNumber']
+    });
+
+    let expired = 0;
+    for (const { registrationNumber } of docs) {
+        try {
+            if (await expireRegistration(registrationNumber)) expired++;
+        } catch (e) {
+            console.error(`REGISTRATION EXPIRY ERROR (${registrationNumber}):`, e);
+        }
+    }
+
+    return expired;
+}
+
+function startRegistrationExpiryJob() {
+    const run = async () => {
+        try {
+            const expired = await expireTemporaryRegistrations();
+            if (expired) console.log(`Temporary registrations expired: ${expired}`);
+        } catch (e) {
+            console.error('REGISTRATION EXPIRY JOB ERROR:', e);
+        }
+    };
+
+    run();
+    return setInterval(run, REGISTRATION_EXPIRY_CHECK_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+    REGISTRATION_EXPIRY_CHECK_MINUTES,
+    expireRegistration,
+    expireTemporaryRegistrations,
+    startRegistrationExpiryJob
+};
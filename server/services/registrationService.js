@@ -0,0 +1,133 @@
+const sequelize = require('../db');
+const { RegistrationOp, RegistrationDoc, VehicleRegistration } = require('../models/associations');
+
+// Тип операции первичной регистрации ТС
+const REGISTRATION_OPERATION_TYPE = 'Постановка на учет';
+
+// Тип операции, прекращающей регистрацию ТС
+const DEREGISTRATION_OPERATION_TYPE = 'Снятие с учета';
+
+async function resolveVehicleRegistration(vin, transaction) {
+    const lastOperation = await RegistrationOp.findOne({
+        where: { vin },
+        order: [['operationDate', 'DESC'], ['operationId', 'DESC']],
+        transaction
+    });
+
+    if (!lastOperation) {
+        return { status: 'NOT_REGISTERED', registrationNumber: null, documentOwner: null, operationId: null, validUntil: null, since: null };
+    }
+
+    if (lastOperation.operationType === DEREGISTRATION_OPERATION_TYPE) {
+        return {
+            status: 'DEREGISTERED',
+            registrationNumber: null,
+            documentOwner: null,
+            operationId: lastOperation.operationId,
+            validUntil: null,
+            since: lastOperation.operationDate
+        };
+    }
+
+    const currentOperation = await RegistrationOp.findOne({
+        where: { vin },
+        include: [
+            {
+                model: RegistrationDoc,
+                where: { status: 'ACTIVE' },
+                required: true
+            }
+        ],
+        order: [['operationDate', 'DESC'], ['operationId', 'DESC']],
+        transaction
+    });
+
+    if (currentOperation) {
+        const doc = currentOperation.registrationdoc;
+        return {
+            status: 'REGISTERED',
+            registrationNumber: doc.registrationNumber,
+            documentOwner: doc.documentOwner,
+            operationId: currentOperation.operationId,
+            validUntil: doc.validUntil,
+            since: doc.registrationDate
+        };
+    }
+
+    // Без действующего документа ТС считается снятым, если ранее у него был документ
+    const closedDoc = await RegistrationDoc.findOne({
+        where: { status: 'CLOSED' },
+        include: [
+            {
+                model: RegistrationOp,
+                where: { vin },
+                attributes: [],
+                required: true
+            }
+        ],
+        order: [['closedAt', 'DESC']],
+        transaction
+    });
+
+    return {
+        status: closedDoc ? 'DEREGISTERED' : 'NOT_REGISTERED',
+        registrationNumber: null,
+        documentOwner: null,
+        operationId: lastOperation.operationId,
+        validUntil: null,
+        since: closedDoc ? closedDoc.closedAt : null
+    };
+}
+
+async function syncVehicleRegistration(vin, transaction) {
+    const state = await resolveVehicleRegistration(vin, transaction);
+    const [registration] = await VehicleRegistration.upsert({ vin, ...state }, { transaction });
+    return registration;
+}
+
+async function syncDocumentRegistrations(registrationNumber, transaction) {
+    const operations = await RegistrationOp.findAll({
+        where: { registrationNumber },
+        attributes: ['vin'],
+        transaction
+    });
+
+    const vins = [...new Set(operations.map(op => op.vin))];
+    for (const vin of vins) {
+        await syncVehicleRegistration(vin, transaction);
+    }
+}
+
+async function rebuildVehicleRegistrations() {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const operations = await RegistrationOp.findAll({
+            attributes: ['vin'],
+            group: ['vin'],
+            transaction
+        });
+
+        await VehicleRegistration.destroy({ where: {}, transaction });
+
+        for (const { vin } of operations) {
+            await syncVehicleRegistration(vin, transaction);
+        }
+
+        await transaction.commit();
+
+        return operations.length;
+    } catch (e) {
+        await transaction.rollback();
+        throw e;
+    }
+}
+
+module.exports = {
+    REGISTRATION_OPERATION_TYPE,
+    DEREGISTRATION_OPERATION_TYPE,
+    resolveVehicleRegistration,
+    syncVehicleRegistration,
+    syncDocumentRegistrations,
+    rebuildVehicleRegistrations
+};
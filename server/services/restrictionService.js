@@ -0,0 +1,67 @@
+const { Op } = require('sequelize');
+const { VehicleRestriction } = require('../models/associations');
+const ApiError = require('../error/ApiError');
+
+// Виды ограничений и регистрационные действия, которые они запрещают
+const RESTRICTION_TYPES = {
+    ARREST: { label: 'Арест', blocks: ['REGISTRATION', 'TRANSFER', 'DEREGISTRATION'] },
+    REGISTRATION_BAN: { label: 'Запрет на регистрационные действия', blocks: ['REGISTRATION', 'TRANSFER', 'DEREGISTRATION'] },
+    PLEDGE: { label: 'Залог', blocks: ['TRANSFER'] },
+    WANTED: { label: 'Розыск', blocks: ['REGISTRATION', 'TRANSFER', 'DEREGISTRATION'] }
+};
+
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+function activeRestrictionCondition() {
+    return {
+        [Op.or]: [
+            { liftedAt: null },
+            { liftedAt: { [Op.gt]: today() } }
+        ]
+    };
+}
+
+function isRestrictionActive(restriction) {
+    return !restriction.liftedAt || restriction.liftedAt > today();
+}
+
+function getOperationAction(operationType) {
+    return operationType === 'Снятие с учета' ? 'DEREGISTRATION' : 'REGISTRATION';
+}
+
+function describeRestriction(restriction) {
+    return `${RESTRICTION_TYPES[restriction.type].label} (${restriction.authority}, № ${restriction.documentNumber})`;
+}
+
+async function findActiveRestrictions(vins, transaction) {
+    return VehicleRestriction.findAll({
+        where: {
+            vin: vins,
+            ...activeRestrictionCondition()
+        },
+        order: [['imposedAt', 'DESC']],
+        transaction
+    });
+}
+
+async function assertNoBlockingRestrictions(vin, action, transaction) {
+    const restrictions = await findActiveRestrictions([vin], transaction);
+    const blocking = restrictions.filter(restriction => RESTRICTION_TYPES[restriction.type].blocks.includes(action));
+
+    if (blocking.length) {
+        throw ApiError.conflict(
+            `Vehicle ${vin} has active restrictions that block this operation: ${blocking.map(describeRestriction).join('; ')}`
+        );
+    }
+}
+
+module.exports = {
+    RESTRICTION_TYPES,
+    activeRestrictionCondition,
+    isRestrictionActive,
+    getOperationAction,
+    findActiveRestrictions,
+    assertNoBlockingRestrictions
+};
@@ -0,0 +1,144 @@
+const {
+    RegistrationDoc,
+    RegistrationOp,
+    NaturalPerson,
+    LegalEntity,
+    Owner,
+    TransportVehicle
+} = require('../models/associations');
+const ApiError = require('../error/ApiError');
+const { allocatePlate, issuePlateNumber, retirePlateNumber, getDepartmentRegion } = require('./plateService');
+const { syncVehicleRegistration } = require('./registrationService');
+const { assertNoBlockingRestrictions } = require('./restrictionService');
+const { recordDocumentNumbers, cancelDocumentNumbers, saveCertificateData } = require('./documentService');
+const { isDocumentOwner } = require('./coOwnershipService');
+
+// Допустимые переходы между статусами передачи ТС
+const TRANSFER_TRANSITIONS = {
+    PENDING_BUYER: ['ACCEPTED', 'DECLINED', 'CANCELLED'],
+    ACCEPTED: ['COMPLETED', 'CANCELLED'],
+    COMPLETED: [],
+    DECLINED: [],
+    CANCELLED: []
+};
+
+const ACTIVE_TRANSFER_STATUSES = ['PENDING_BUYER', 'ACCEPTED'];
+
+async function findPersonByIdentifier(identifier, transaction) {
+    if (identifier.length === 11) {
+        return NaturalPerson.findOne({ where: { passportData: identifier }, transaction });
+    }
+
+    return LegalEntity.findOne({ where: { taxNumber: identifier }, transaction });
+}
+
+async function changeTransferStatus(transfer, toStatus, transaction, fields = {}) {
+    if (!TRANSFER_TRANSITIONS[transfer.status].includes(toStatus)) {
+        throw ApiError.conflict(`Transfer status cannot be changed from ${transfer.status} to ${toStatus}`);
+    }
+
+    await transfer.update({ ...fields, status: toStatus }, { transaction });
+
+    return transfer;
+}
+
+async function completeTransfer(transfer, data, badgeNumber, transaction) {
+    // Переход проверяется до изменения документов и номеров, как при одобрении заявления
+    await changeTransferStatus(transfer, 'COMPLETED', transaction, { completedAt: new Date() });
+
+    await assertNoBlockingRestrictions(transfer.vin, 'TRANSFER', transaction);
+
+    const sellerDoc = await RegistrationDoc.findOne({
+        where: {
+            registrationNumber: transfer.registrationNumber,
+            status: 'ACTIVE'
+        },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+
+    if (!sellerDoc || !(await isDocumentOwner(sellerDoc, transfer.seller, transaction))) {
+        throw ApiError.conflict('The seller registration document was not found or is already closed');
+    }
+
+    const buyer = await findPersonByIdentifier(transfer.buyer, transaction);
+    if (!buyer) {
+        throw ApiError.badRequest('Buyer was not found');
+    }
+
+    const vehicle = await TransportVehicle.findByPk(transfer.vin, { attributes: ['category'], transaction });
+
+    const plate = data.registrationNumber
+        ? await issuePlateNumber(data.registrationNumber, {
+            badgeNumber,
+            documentOwner: transfer.buyer,
+            category: vehicle?.category
+        }, transaction)
+        : await allocatePlate(await getDepartmentRegion(transfer.unitCode, transaction), vehicle?.category, transaction);
+    const registrationNumber = plate.plateNumber;
+
+    const existingNumber = await RegistrationDoc.findByPk(registrationNumber, { transaction });
+    if (existingNumber) {
+        throw ApiError.conflict('Document with this registration number already exists');
+    }
+
+    const existingSts = await RegistrationDoc.findOne({ where: { sts: data.sts }, transaction });
+    if (existingSts) {
+        throw ApiError.conflict('Document with this STS number already exists');
+    }
+
+    const operationDate = data.operationDate || new Date();
+
+    await Owner.findOrCreate({
+        where: { address: buyer.address },
+        transaction
+    });
+
+    await cancelDocumentNumbers(sellerDoc, {
+        reason: `Смена собственника по передаче №${transfer.transferId}`,
+        date: operationDate
+    }, transaction);
+    await sellerDoc.update({ status: 'CLOSED', closedAt: operationDate }, { transaction });
+    await retirePlateNumber(sellerDoc.registrationNumber, transaction);
+
+    const buyerDoc = await RegistrationDoc.create({
+        registrationNumber,
+        address: buyer.address,
+        pts: sellerDoc.pts,
+        ptsType: sellerDoc.ptsType,
+        ptsStatus: sellerDoc.ptsStatus,
+        ptsIssuedAt: sellerDoc.ptsIssuedAt,
+        sts: data.sts,
+        registrationDate: operationDate,
+        documentOwner: transfer.buyer
+    }, { transaction });
+
+    await recordDocumentNumbers(buyerDoc, { issuedAt: operationDate, badgeNumber }, transaction);
+
+    const operation = await RegistrationOp.create({
+        vin: transfer.vin,
+        registrationNumber: buyerDoc.registrationNumber,
+        unitCode: transfer.unitCode,
+        operationType: 'Внесение измененеий в регистрационные данные',
+        operationBase: `Смена собственника по передаче №${transfer.transferId}: ${transfer.seller} → ${transfer.buyer}`,
+        operationDate
+    }, { transaction });
+
+    await saveCertificateData(operation, transaction);
+    await syncVehicleRegistration(transfer.vin, transaction);
+
+    await transfer.update({
+        newRegistrationNumber: buyerDoc.registrationNumber,
+        operationId: operation.operationId
+    }, { transaction });
+
+    return { sellerDoc, buyerDoc, operation };
+}
+
+module.exports = {
+    TRANSFER_TRANSITIONS,
+    ACTIVE_TRANSFER_STATUSES,
+    findPersonByIdentifier,
+    changeTransferStatus,
+    completeTransfer
+};
@@ -0,0 +1,132 @@
+const ApiError = require('../error/ApiError');
+
+const PLATE_LETTERS = '[АВЕКМНОРСТУХ]';
+
+// Форматы регистрационных знаков по ГОСТ Р 50577: серия, номер и код региона.
+// seriesLength и numberLength задают генерацию номеров, compose — порядок серии и номера на знаке,
+// searchPattern — шаблон поиска номера без кода региона, где * означает любой символ
+const PLATE_FORMATS = {
+    STANDARD: {
+        label: 'А123ВС77',
+        pattern: new RegExp(`^${PLATE_LETTERS}\\d{3}${PLATE_LETTERS}{2}\\d{2,3}$`),
+        searchPattern: /^[АВЕКМНОРСТУХ*][\d*]{3}[АВЕКМНОРСТУХ*]{2}$/,
+        seriesLength: 3,
+        numberLength: 3,
+        compose: (series, number) => `${series[0]}${number}${series.slice(1)}`
+    },
+    TRAILER: {
+        label: 'АВ123477',
+        pattern: new RegExp(`^${PLATE_LETTERS}{2}\\d{4}\\d{2,3}$`),
+        searchPattern: /^[АВЕКМНОРСТУХ*]{2}[\d*]{4}$/,
+        seriesLength: 2,
+        numberLength: 4,
+        compose: (series, number) => `${series}${number}`
+    },
+    MOTORCYCLE: {
+        label: '1234АВ77',
+        pattern: new RegExp(`^\\d{4}${PLATE_LETTERS}{2}\\d{2,3}$`),
+        searchPattern: /^[\d*]{4}[АВЕКМНОРСТУХ*]{2}$/,
+        seriesLength: 2,
+        numberLength: 4,
+        compose: (series, number) => `${number}${series}`
+    }
+};
+
+// Номер любого из допустимых форматов, когда категория ТС заранее не известна
+const PLATE_PATTERN = new RegExp(
+    Object.values(PLATE_FORMATS).map(format => `(${format.pattern.source})`).join('|')
+);
+
+// Категории и подкатегории ТС. hasEngine: false — ТС без двигателя и трансмиссии (прицепы),
+// limits — ограничения на массу и число мест, характерные для категории
+const VEHICLE_CATEGORIES = {
+    A: { label: 'Мотоциклы', plateFormat: 'MOTORCYCLE', hasEngine: true },
+    A1: { label: 'Легкие мотоциклы', plateFormat: 'MOTORCYCLE', hasEngine: true },
+    B: {
+        label: 'Легковые автомобили',
+        plateFormat: 'STANDARD',
+        hasEngine: true,
+        limits: { maxMass: { max: 3500 }, seatsCount: { max: 9 } }
+    },
+    B1: { label: 'Трициклы и квадрициклы', plateFormat: 'MOTORCYCLE', hasEngine: true },
+    C: {
+        label: 'Грузовые автомобили',
+        plateFormat: 'STANDARD',
+        hasEngine: true,
+        limits: { maxMass: { min: 3501, required: true } }
+    },
+    C1: {
+        label: 'Грузовые автомобили до 7,5 т',
+        plateFormat: 'STANDARD',
+        hasEngine: true,
+        limits: { maxMass: { min: 3501, max: 7500, required: true } }
+    },
+    D: {
+        label: 'Автобусы',
+        plateFormat: 'STANDARD',
+        hasEngine: true,
+        limits: { seatsCount: { min: 10, required: true } }
+    },
+    D1: {
+        label: 'Автобусы до 16 пассажирских мест',
+        plateFormat: 'STANDARD',
+        hasEngine: true,
+        limits: { seatsCount: { min: 10, max: 17, required: true } }
+    },
+    E: {
+        label: 'Прицепы',
+        plateFormat: 'TRAILER',
+        hasEngine: false,
+        limits: { maxMass: { required: true } }
+    }
+};
+
+const DEFAULT_VEHICLE_CATEGORY = 'B';
+
+// Поля, которых нет у ТС без двигателя
+const ENGINE_FIELDS = [
+    'typeOfDrive',
+    'powerKw',
+    'powerHp',
+    'transmissionType',
+    'steeringWheel',
+    'powertrainType',
+    'engineModel',
+    'engineVolume',
+    'electricMotorPower',
+    'batteryCapacity'
+];
+
+function getVehicleCategory(category) {
+    return VEHICLE_CATEGORIES[category] || VEHICLE_CATEGORIES[DEFAULT_VEHICLE_CATEGORY];
+}
+
+function getPlateFormat(category) {
+    return PLATE_FORMATS[getVehicleCategory(category).plateFormat];
+}
+
+function getPlateFormatCategories(plateFormat) {
+    return Object.keys(VEHICLE_CATEGORIES).filter(category => VEHICLE_CATEGORIES[category].plateFormat === plateFormat);
+}
+
+// Номер, выдаваемый на конкретное ТС, должен соответствовать формату знака его категории
+function assertPlateMatchesCategory(plateNumber, category) {
+    const format = getPlateFormat(category);
+    if (!format.pattern.test(plateNumber)) {
+        throw ApiError.badRequest(
+            `Registration number ${plateNumber} does not match the plate format for category ${category || DEFAULT_VEHICLE_CATEGORY} (${format.label})`
+        );
+    }
+}
+
+module.exports = {
+    PLATE_FORMATS,
+    PLATE_PATTERN,
+    VEHICLE_CATEGORIES,
+    DEFAULT_VEHICLE_CATEGORY,
+    ENGINE_FIELDS,
+    getVehicleCategory,
+    getPlateFormat,
+    getPlateFormatCategories,
+    assertPlateMatchesCategory
+};
@@ -0,0 +1,94 @@
+const {
+    TransportVehicle,
+    RegistrationOp,
+    RegistrationDoc,
+    VehicleRegistration
+} = require('../models/associations');
+const ApiError = require('../error/ApiError');
+const { DEREGISTRATION_OPERATION_TYPE } = require('./registrationService');
+const { RESTRICTION_TYPES, findActiveRestrictions } = require('./restrictionService');
+
+const REGISTRATION_OPERATION_TYPE = 'Постановка на учет';
+
+function toDateOnly(value) {
+    return new Date(value).toISOString().slice(0, 10);
+}
+
+// Отчет по истории ТС для покупателей. Владельцы сравниваются внутри,
+// в отчет попадают только даты и технические данные, без ФИО, паспортов и ИНН
+async function buildVinHistory(vin) {
+    const vehicle = await TransportVehicle.findByPk(vin, {
+        attributes: ['vin', 'makeAndModel', 'releaseYear']
+    });
+
+    if (!vehicle) {
+        throw ApiError.notFound('Vehicle not found');
+    }
+
+    const [operations, registration, restrictions] = await Promise.all([
+        RegistrationOp.findAll({
+            where: { vin },
+            include: [{ model: RegistrationDoc, attributes: ['documentOwner'] }],
+            order: [['operationDate', 'ASC'], ['operationId', 'ASC']]
+        }),
+        VehicleRegistration.findByPk(vin),
+        findActiveRestrictions([vin])
+    ]);
+
+    const owners = new Set();
+    const ownershipChanges = [];
+    const deregistrations = [];
+    const amendments = [];
+    let registrationsCount = 0;
+    let previousOwner = null;
+
+    operations.forEach(operation => {
+        const date = toDateOnly(operation.operationDate);
+
+        if (operation.operationType === DEREGISTRATION_OPERATION_TYPE) {
+            deregistrations.push(date);
+        } else {
+            if (operation.operationType === REGISTRATION_OPERATION_TYPE) {
+                registrationsCount++;
+            }
+
+            const owner = operation.registrationdoc?.documentOwner;
+            if (owner) {
+                if (previousOwner && owner !== previousOwner) {
+                    ownershipChanges.push(date);
+                }
+                owners.add(owner);
+                previousOwner = owner;
+            }
+        }
+
+        if (operation.changes?.length) {
+            amendments.push({
+                date,
+                changes: operation.changes.map(({ field, oldValue, newValue }) => ({ field, oldValue, newValue }))
+            });
+        }
+    });
+
+    return {
+        vin: vehicle.vin,
+        makeAndModel: vehicle.makeAndModel,
+        releaseYear: vehicle.releaseYear,
+        status: registration?.status || 'NOT_REGISTERED',
+        firstRegisteredAt: operations.length ? toDateOnly(operations[0].operationDate) : null,
+        registrationsCount,
+        ownersCount: owners.size,
+        ownershipChanges,
+        deregistrations,
+        amendments,
+        restrictions: restrictions.map(restriction => ({
+            type: restriction.type,
+            label: RESTRICTION_TYPES[restriction.type].label,
+            imposedAt: restriction.imposedAt
+        }))
+    };
+}
+
+module.exports = {
+    buildVinHistory
+};
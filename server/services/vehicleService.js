@@ -0,0 +1,163 @@
+const ApiError = require('../error/ApiError');
+const { vehiclePatchSchema, vehicleCategorySchema } = require('../validations/vehicleShema');
+const { ENGINE_FIELDS, getVehicleCategory } = require('./vehicleCategoryService');
+const { applyCatalogue } = require('./catalogueService');
+
+// Поля ТС, которые можно изменить частичным обновлением
+const VEHICLE_PATCH_FIELDS = [
+    'makeAndModel',
+    'releaseYear',
+    'manufacture',
+    'category',
+    'typeOfDrive',
+    'powerKw',
+    'powerHp',
+    'bodyColor',
+    'transmissionType',
+    'steeringWheel',
+    'powertrainType',
+    'engineModel',
+    'engineVolume',
+    'electricMotorPower',
+    'batteryCapacity',
+    'curbMass',
+    'maxMass',
+    'seatsCount',
+    'chassisNumber'
+];
+
+// Поля, изменение которых владелец может запросить заявлением
+const CHANGEABLE_VEHICLE_FIELDS = VEHICLE_PATCH_FIELDS.filter(field => field !== 'chassisNumber');
+
+// Поля, допустимые значения которых зависят от категории ТС и типа силовой установки
+const CATEGORY_DEPENDENT_FIELDS = ['category', ...ENGINE_FIELDS, 'maxMass', 'seatsCount'];
+
+// Поля, которые сверяются со справочником марок и моделей
+const CATALOGUE_FIELDS = ['makeAndModel', 'manufacture', 'engineModel', 'typeOfDrive'];
+
+const CHANGE_REQUEST_OPERATION_TYPE = 'Внесение измененеий в регистрационные данные';
+
+// Сочетание полей категории и силовой установки проверяется по итоговым значениям ТС
+function checkVehicleCategory(vehicle, data) {
+    if (!CATEGORY_DEPENDENT_FIELDS.some(field => field in data)) return;
+
+    const current = Object.fromEntries(CATEGORY_DEPENDENT_FIELDS.map(field => [field, vehicle[field]]));
+    const { error } = vehicleCategorySchema.validate({ ...current, ...data });
+    if (error) {
+        throw ApiError.badRequest(error.details[0].message);
+    }
+}
+
+// Разбор мощности в формате СТС "110 кВт/150 л.с."
+function parsePower(value) {
+    const match = /^(\d+)\s*кВт\/(\d+)\s*л\.с\.$/.exec(String(value || '').trim());
+    return match ? { powerKw: Number(match[1]), powerHp: Number(match[2]) } : null;
+}
+
+// Приводит строковую мощность к числовым полям, а у ТС без двигателя обнуляет его характеристики
+function normalizeVehicleSpecs(data) {
+    let normalized = data;
+
+    if ('power' in data) {
+        const { power, ...rest } = data;
+        const parsed = parsePower(power);
+        if (!parsed) {
+            throw ApiError.badRequest('Power must be given as "<kW> кВт/<hp> л.с."');
+        }
+        normalized = { ...rest, ...parsed };
+    }
+
+    if ('category' in data && !getVehicleCategory(data.category).hasEngine) {
+        normalized = { ...normalized, ...Object.fromEntries(ENGINE_FIELDS.map(field => [field, null])) };
+    }
+
+    return normalized;
+}
+
+async function patchVehicle(vehicle, data, transaction) {
+    data = normalizeVehicleSpecs(data);
+    const updateData = { ...data };
+
+    if ('hasChassisNumber' in data) {
+        updateData.chassisNumber = data.hasChassisNumber ? vehicle.vin : null;
+    }
+
+    checkVehicleCategory(vehicle, data);
+
+    const fields = Object.keys(updateData).filter(field => VEHICLE_PATCH_FIELDS.includes(field));
+
+    if (CATALOGUE_FIELDS.some(field => field in data)) {
+        const current = Object.fromEntries(CATALOGUE_FIELDS.map(field => [field, vehicle[field]]));
+        const catalogue = await applyCatalogue({ ...current, ...data }, transaction);
+
+        Object.assign(updateData, catalogue);
+        fields.push(...Object.keys(catalogue).filter(field => !fields.includes(field)));
+    }
+
+    await vehicle.update(updateData, { transaction, fields });
+
+    return vehicle;
+}
+
+function buildRequestedChanges(vehicle, requestedChanges) {
+    const patch = Object.fromEntries(requestedChanges.map(change => [change.field, change.newValue]));
+
+    const { error, value } = vehiclePatchSchema.validate(patch);
+    if (error) {
+        throw ApiError.badRequest(error.details[0].message);
+    }
+
+    checkVehicleCategory(vehicle, normalizeVehicleSpecs(value));
+
+    const changes = Object.entries(value)
+        .filter(([field, newValue]) => String(vehicle[field]) !== String(newValue))
+        .map(([field, newValue]) => ({
+            field,
+            oldValue: vehicle[field],
+            newValue
+        }));
+
+    if (changes.length === 0) {
+        throw ApiError.badRequest('Requested values do not differ from the current vehicle data');
+    }
+
+    return changes;
+}
+
+// Сведения о ТС, сохраняемые в заявлении на дату подачи
+function snapshotVehicle(vehicle) {
+    const { createdAt, updatedAt, ...data } = vehicle.toJSON();
+    return data;
+}
+
+async function applyRequestedChanges(vehicle, requestedChanges, approvedFields, transaction) {
+    const approved = requestedChanges.filter(change => approvedFields.includes(change.field));
+
+    for (const change of approved) {
+        if (String(vehicle[change.field]) !== String(change.oldValue)) {
+            throw ApiError.conflict(`Field ${change.field} has changed since the application was submitted`);
+        }
+    }
+
+    const patch = Object.fromEntries(approved.map(change => [change.field, change.newValue]));
+    if (approved.length > 0) {
+        await patchVehicle(vehicle, patch, transaction);
+    }
+
+    return requestedChanges.map(change => ({
+        ...change,
+        status: approvedFields.includes(change.field) ? 'APPROVED' : 'REJECTED'
+    }));
+}
+
+module.exports = {
+    VEHICLE_PATCH_FIELDS,
+    CHANGEABLE_VEHICLE_FIELDS,
+    CHANGE_REQUEST_OPERATION_TYPE,
+    parsePower,
+    normalizeVehicleSpecs,
+    patchVehicle,
+    buildRequestedChanges,
+    snapshotVehicle,
+    applyRequestedChanges
+};
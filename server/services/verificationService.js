@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const {
+    RegistrationOp,
+    RegistrationApplication,
+    TransportVehicle
+} = require('../models/associations');
+const ApiError = require('../error/ApiError');
+const { lookupDocumentNumber } = require('./documentService');
+
+// Ключ подписи токенов проверки подлинности печатных документов
+const VERIFICATION_SECRET = process.env.VERIFICATION_SECRET || process.env.SECRET_KEY || 'secret-key';
+
+// Адрес клиентского приложения, на который ведет QR-код
+const PUBLIC_URL = (process.env.PUBLIC_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+function sign(payload) {
+    return crypto.createHmac('sha256', VERIFICATION_SECRET).update(payload).digest('base64url');
+}
+
+function encodeToken(claims) {
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+function decodeToken(token) {
+    const [payload, signature, ...rest] = String(token).split('.');
+    if (!payload || !signature || rest.length) {
+        throw ApiError.badRequest('Invalid verification token');
+    }
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw ApiError.badRequest('Invalid verification token');
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch (e) {
+        throw ApiError.badRequest('Invalid verification token');
+    }
+
+    if (!Array.isArray(claims)) {
+        throw ApiError.badRequest('Invalid verification token');
+    }
+
+    return claims;
+}
+
+// Номер СТС входит в токен, чтобы бланк, замененный при перевыдаче, не проходил проверку
+function createCertificateToken(doc) {
+    return encodeToken(['certificate', doc.registrationNumber, doc.sts]);
+}
+
+function createApplicationToken(application) {
+    return encodeToken(['application', application.applicationId]);
+}
+
+function getVerificationUrl(token) {
+    return `${PUBLIC_URL}/verify/${token}`;
+}
+
+async function findMakeAndModel(where) {
+    const operation = await RegistrationOp.findOne({
+        where,
+        include: [{ model: TransportVehicle, attributes: ['makeAndModel'] }],
+        order: [['operationDate', 'ASC'], ['operationId', 'ASC']]
+    });
+
+    return operation?.transportvehicle?.makeAndModel || null;
+}
+
+async function verifyCertificate(registrationNumber, sts) {
+    const document = await lookupDocumentNumber('STS', sts);
+    if (!document || document.registrationNumber !== registrationNumber) {
+        throw ApiError.notFound('Document not found');
+    }
+
+    return {
+        documentType: 'CERTIFICATE',
+        registrationNumber,
+        makeAndModel: await findMakeAndModel({ registrationNumber }),
+        status: document.status,
+        issuedAt: document.issuedAt
+    };
+}
+
+// Номер одобренного заявления на постановку на учет известен только из операции
+async function verifyApplication(applicationId) {
+    const application = await RegistrationApplication.findByPk(applicationId, {
+        include: [{ model: RegistrationOp, attributes: ['registrationNumber'] }]
+    });
+
+    if (!application) {
+        throw ApiError.notFound('Document not found');
+    }
+
+    return {
+        documentType: 'APPLICATION',
+        registrationNumber: application.registrationNumber || application.registrationop?.registrationNumber || null,
+        makeAndModel: application.vehicleData?.makeAndModel || null,
+        operationType: application.operationType,
+        status: application.status,
+        issuedAt: new Date(application.applicationDate).toISOString().slice(0, 10)
+    };
+}
+
+// В ответ попадают только сведения, напечатанные на документе открыто: без VIN и данных владельца
+async function verifyToken(token) {
+    const [kind, ...claims] = decodeToken(token);
+
+    switch (kind) {
+        case 'certificate':
+            return verifyCertificate(...claims);
+        case 'application':
+            return verifyApplication(...claims);
+        default:
+            throw ApiError.badRequest('Invalid verification token');
+    }
+}
+
+module.exports = {
+    createCertificateToken,
+    createApplicationToken,
+    getVerificationUrl,
+    verifyToken
+};
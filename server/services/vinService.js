@@ -0,0 +1,92 @@
+const WMI_MANUFACTURERS = require('../data/wmi');
+
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+// Числовые значения букв и веса позиций для контрольной цифры по ISO 3779
+const TRANSLITERATION = {
+    A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+    J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+    S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const POSITION_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Контрольная цифра обязательна для ТС Северной Америки (1-5) и Китая (L)
+const CHECK_DIGIT_REGIONS = /^[1-5L]/;
+
+// Коды модельного года (10-й символ) повторяются с периодом 30 лет, начиная с 1980
+const MODEL_YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+const MODEL_YEAR_BASE = 1980;
+
+const REGIONS = [
+    { pattern: /^[A-H]/, name: 'Африка' },
+    { pattern: /^[J-R]/, name: 'Азия' },
+    { pattern: /^[S-Z]/, name: 'Европа' },
+    { pattern: /^[1-5]/, name: 'Северная Америка' },
+    { pattern: /^[6-7]/, name: 'Океания' },
+    { pattern: /^[89]/, name: 'Южная Америка' }
+];
+
+function calculateCheckDigit(vin) {
+    const sum = vin.split('').reduce((acc, char, index) => {
+        const value = /\d/.test(char) ? Number(char) : TRANSLITERATION[char];
+        return acc + value * POSITION_WEIGHTS[index];
+    }, 0);
+
+    const remainder = sum % 11;
+    return remainder === 10 ? 'X' : String(remainder);
+}
+
+function checkDigitApplies(vin) {
+    return CHECK_DIGIT_REGIONS.test(vin);
+}
+
+// Для VIN, где контрольная цифра не обязательна, проверка считается пройденной
+function hasValidCheckDigit(vin) {
+    return !checkDigitApplies(vin) || calculateCheckDigit(vin) === vin[8];
+}
+
+function decodeModelYear(vin, currentYear = new Date().getFullYear()) {
+    const index = MODEL_YEAR_CODES.indexOf(vin[9]);
+    if (index === -1) {
+        return null;
+    }
+
+    // В Северной Америке цикл определяется 7-м символом: цифра — 1980-2009, буква — 2010-2039
+    if (/^[1-5]/.test(vin)) {
+        return MODEL_YEAR_BASE + index + (/\d/.test(vin[6]) ? 0 : 30);
+    }
+
+    // В остальных случаях выбирается последний год цикла, не позже следующего календарного
+    let year = MODEL_YEAR_BASE + index;
+    while (year + 30 <= currentYear + 1) {
+        year += 30;
+    }
+    return year;
+}
+
+function decodeVin(vin) {
+    const wmi = vin.slice(0, 3);
+    const applies = checkDigitApplies(vin);
+    const expected = calculateCheckDigit(vin);
+
+    return {
+        vin,
+        wmi,
+        manufacturer: WMI_MANUFACTURERS[wmi] || null,
+        region: REGIONS.find(region => region.pattern.test(vin))?.name || null,
+        checkDigit: {
+            applies,
+            valid: applies ? expected === vin[8] : null,
+            expected
+        },
+        modelYear: decodeModelYear(vin)
+    };
+}
+
+module.exports = {
+    VIN_PATTERN,
+    calculateCheckDigit,
+    hasValidCheckDigit,
+    decodeModelYear,
+    decodeVin
+};
@@ -0,0 +1,22 @@
+const v1 = require('./v1');
+const { drawQrCode } = require('../qr');
+
+const QR_SIZE = 72;
+
+// v2: оформление v1 и QR-код проверки подлинности в левом верхнем углу
+module.exports = {
+    ...v1,
+    version: 'v2',
+
+    render(pdf, data) {
+        const x = pdf.page.margins.left;
+        const y = pdf.page.margins.top;
+        drawQrCode(pdf, data.verificationUrl, x, y, QR_SIZE);
+
+        pdf.font('Regular').fontSize(6).fillColor('#777777')
+            .text('Проверка подлинности', x, y + QR_SIZE + 2, { width: QR_SIZE, align: 'center' })
+            .fillColor('#000000');
+
+        v1.render.call(this, pdf, data);
+    }
+};
@@ -0,0 +1,147 @@
+const { drawQrCode } = require('../qr');
+
+const LABEL_WIDTH = 210;
+const QR_SIZE = 72;
+
+const FIELD_LABELS = {
+    makeAndModel: 'Марка, модель',
+    releaseYear: 'Год выпуска',
+    manufacture: 'Изготовитель',
+    category: 'Категория ТС',
+    typeOfDrive: 'Тип привода',
+    power: 'Мощность двигателя',
+    powerKw: 'Мощность двигателя, кВт',
+    powerHp: 'Мощность двигателя, л.с.',
+    chassisNumber: 'Шасси (рама) №',
+    bodyNumber: 'Кузов (кабина, прицеп) №',
+    bodyColor: 'Цвет',
+    transmissionType: 'Коробка передач',
+    steeringWheel: 'Положение руля',
+    powertrainType: 'Тип силовой установки',
+    engineModel: 'Модель двигателя',
+    engineVolume: 'Рабочий объем двигателя, см³',
+    electricMotorPower: 'Мощность электродвигателя, кВт',
+    batteryCapacity: 'Емкость тяговой батареи, кВт·ч',
+    curbMass: 'Масса без нагрузки, кг',
+    maxMass: 'Разрешенная максимальная масса, кг',
+    seatsCount: 'Число мест для сидения'
+};
+
+function formatDate(value) {
+    if (!value) return null;
+    const [year, month, day] = String(value).slice(0, 10).split('-');
+    return `${day}.${month}.${year}`;
+}
+
+function row(pdf, label, value) {
+    const left = pdf.page.margins.left;
+    const valueWidth = pdf.page.width - pdf.page.margins.right - left - LABEL_WIDTH;
+    const text = value === null || value === undefined || value === '' ? '—' : String(value);
+    const y = pdf.y;
+
+    pdf.font('Regular').fontSize(9).fillColor('#555555');
+    const labelHeight = pdf.heightOfString(label, { width: LABEL_WIDTH - 10 });
+    pdf.text(label, left, y, { width: LABEL_WIDTH - 10 });
+
+    pdf.font('Regular').fontSize(10).fillColor('#000000');
+    const valueHeight = pdf.heightOfString(text, { width: valueWidth });
+    pdf.text(text, left + LABEL_WIDTH, y, { width: valueWidth });
+
+    pdf.x = left;
+    pdf.y = y + Math.max(labelHeight, valueHeight) + 4;
+}
+
+function section(pdf, title) {
+    pdf.moveDown(0.6);
+    pdf.font('Bold').fontSize(10).fillColor('#000000').text(title, pdf.page.margins.left);
+    pdf.moveDown(0.3);
+}
+
+// v4: оформление v3 по данным заявления на дату подачи — без сведений об операции и документах,
+// с представителем заявителя
+module.exports = {
+    version: 'v4',
+    size: 'A4',
+    layout: 'portrait',
+    title: data => `Заявление о регистрационном действии №${data.applicationId}`,
+
+    render(pdf, data) {
+        const qrX = pdf.page.margins.left;
+        const qrY = pdf.page.margins.top;
+        drawQrCode(pdf, data.verificationUrl, qrX, qrY, QR_SIZE);
+
+        pdf.font('Regular').fontSize(6).fillColor('#777777')
+            .text('Проверка подлинности', qrX, qrY + QR_SIZE + 2, { width: QR_SIZE, align: 'center' })
+            .fillColor('#000000');
+
+        const left = pdf.page.width / 2;
+        const width = pdf.page.width - pdf.page.margins.right - left;
+
+        pdf.font('Regular').fontSize(10);
+        pdf.text(`В ${data.department ? data.department.departmentName : 'регистрационное подразделение'}`, left, pdf.page.margins.top, { width });
+        if (data.department) {
+            pdf.text(`код подразделения ${data.department.unitCode}`, left, pdf.y, { width });
+        }
+        pdf.text(`от ${data.applicant.name}`, left, pdf.y, { width });
+        pdf.text(`${data.applicant.isNaturalPerson ? 'паспорт' : 'ИНН'} ${data.applicant.identifier}`, left, pdf.y, { width });
+        pdf.text(`адрес: ${data.applicant.address}`, left, pdf.y, { width });
+        if (data.representative) {
+            pdf.text(`через представителя ${data.representative.name || data.representative.identifier}`, left, pdf.y, { width });
+            pdf.text(`${data.representative.isNaturalPerson ? 'паспорт' : 'ИНН'} ${data.representative.identifier}`, left, pdf.y, { width });
+        }
+
+        pdf.moveDown(2);
+        pdf.font('Bold').fontSize(14).text('ЗАЯВЛЕНИЕ', pdf.page.margins.left, pdf.y, { align: 'center' });
+        pdf.font('Regular').fontSize(10).text('о совершении регистрационного действия', { align: 'center' });
+        pdf.moveDown();
+
+        pdf.font('Regular').fontSize(11)
+            .text(`Прошу произвести регистрационное действие: ${data.operationType.toLowerCase()}.`);
+        pdf.text(`Основание: ${data.operationBase}.`);
+
+        section(pdf, 'Сведения о транспортном средстве');
+        row(pdf, 'Идентификационный номер (VIN)', data.vehicle.vin);
+        row(pdf, 'Марка, модель', data.vehicle.makeAndModel);
+        row(pdf, 'Год выпуска', data.vehicle.releaseYear);
+        row(pdf, 'Категория ТС', data.vehicle.category);
+        row(pdf, 'Изготовитель', data.vehicle.manufacture);
+        row(pdf, 'Шасси (рама) №', data.vehicle.chassisNumber || 'отсутствует');
+        row(pdf, 'Кузов (кабина, прицеп) №', data.vehicle.bodyNumber);
+        row(pdf, 'Цвет', data.vehicle.bodyColor);
+        row(pdf, 'Модель двигателя', data.vehicle.engineModel);
+        row(pdf, 'Мощность двигателя', data.vehicle.power);
+        row(pdf, 'Рабочий объем двигателя, см³', data.vehicle.engineVolume);
+
+        const registration = [
+            ['Регистрационный знак', data.registrationNumber],
+            ['Выбранный регистрационный знак', data.requestedPlateNumber],
+            ['Временная регистрация до', formatDate(data.validUntil)]
+        ].filter(([, value]) => value);
+
+        if (registration.length) {
+            section(pdf, 'Регистрационные данные');
+            registration.forEach(([label, value]) => row(pdf, label, value));
+        }
+
+        if (data.changes && data.changes.length) {
+            section(pdf, 'Запрашиваемые изменения');
+            data.changes.forEach(change => {
+                row(pdf, FIELD_LABELS[change.field] || change.field, `${change.oldValue ?? '—'} → ${change.newValue ?? '—'}`);
+            });
+        }
+
+        pdf.moveDown(2);
+        pdf.font('Regular').fontSize(10);
+        pdf.text(`Заявление №${data.applicationId} подано ${formatDate(data.applicationDate)} через личный кабинет.`);
+        pdf.moveDown(2);
+        pdf.text(`${data.representative ? 'Представитель' : 'Заявитель'}: ____________________ / ____________________ /`);
+        pdf.font('Regular').fontSize(7).fillColor('#777777')
+            .text('подпись', pdf.page.margins.left + 90, pdf.y)
+            .fillColor('#000000');
+
+        pdf.font('Regular').fontSize(7).fillColor('#777777')
+            .text(`Форма заявления, шаблон ${this.version}`, pdf.page.margins.left, pdf.page.height - pdf.page.margins.bottom - 10, {
+                lineBreak: false
+            });
+    }
+};
@@ -0,0 +1,79 @@
+const LABEL_WIDTH = 190;
+
+function formatDate(value) {
+    if (!value) return null;
+    const [year, month, day] = String(value).slice(0, 10).split('-');
+    return `${day}.${month}.${year}`;
+}
+
+function row(pdf, label, value) {
+    const left = pdf.page.margins.left;
+    const valueWidth = pdf.page.width - pdf.page.margins.right - left - LABEL_WIDTH;
+    const text = value === null || value === undefined || value === '' ? '—' : String(value);
+    const y = pdf.y;
+
+    pdf.font('Regular').fontSize(8).fillColor('#555555');
+    const labelHeight = pdf.heightOfString(label, { width: LABEL_WIDTH - 10 });
+    pdf.text(label, left, y, { width: LABEL_WIDTH - 10 });
+
+    pdf.font('Bold').fontSize(9).fillColor('#000000');
+    const valueHeight = pdf.heightOfString(text, { width: valueWidth });
+    pdf.text(text, left + LABEL_WIDTH, y, { width: valueWidth });
+
+    pdf.x = left;
+    pdf.y = y + Math.max(labelHeight, valueHeight) + 3;
+}
+
+function section(pdf, title) {
+    pdf.moveDown(0.4);
+    pdf.font('Bold').fontSize(9).fillColor('#000000').text(title.toUpperCase(), pdf.page.margins.left);
+    pdf.moveDown(0.2);
+}
+
+module.exports = {
+    version: 'v1',
+    size: 'A5',
+    layout: 'landscape',
+    title: data => `Свидетельство о регистрации ТС ${data.sts}`,
+
+    render(pdf, data) {
+        pdf.font('Bold').fontSize(12).text('СВИДЕТЕЛЬСТВО О РЕГИСТРАЦИИ ТРАНСПОРТНОГО СРЕДСТВА', { align: 'center' });
+        pdf.font('Regular').fontSize(11).text(data.sts, { align: 'center' });
+        if (data.status === 'CLOSED') {
+            pdf.font('Bold').fontSize(9).fillColor('#b00020')
+                .text(`Регистрация прекращена ${formatDate(data.closedAt)}`, { align: 'center' })
+                .fillColor('#000000');
+        }
+        pdf.moveDown(0.6);
+
+        row(pdf, 'Регистрационный знак', data.registrationNumber);
+        row(pdf, 'Идентификационный номер (VIN)', data.vehicle.vin);
+        row(pdf, 'Марка, модель', data.vehicle.makeAndModel);
+        row(pdf, 'Год выпуска', data.vehicle.releaseYear);
+        row(pdf, 'Шасси (рама) №', data.vehicle.chassisNumber || 'отсутствует');
+        row(pdf, 'Кузов (кабина, прицеп) №', data.vehicle.bodyNumber);
+        row(pdf, 'Цвет', data.vehicle.bodyColor);
+        row(pdf, 'Мощность двигателя', data.vehicle.power);
+        row(pdf, 'Рабочий объем двигателя, см³', data.vehicle.engineVolume);
+        row(pdf, data.ptsType === 'ELECTRONIC' ? 'Электронный паспорт ТС' : 'Паспорт ТС', data.pts);
+
+        section(pdf, 'Собственник');
+        row(pdf, data.owner.isNaturalPerson ? 'Фамилия, имя, отчество' : 'Наименование', data.owner.name);
+        row(pdf, data.owner.isNaturalPerson ? 'Паспорт' : 'ИНН', data.owner.identifier);
+        row(pdf, 'Адрес', data.owner.address);
+
+        section(pdf, 'Регистрация');
+        row(pdf, 'Дата регистрации', formatDate(data.registrationDate));
+        if (data.validUntil) {
+            row(pdf, 'Временная регистрация до', formatDate(data.validUntil));
+        }
+        row(pdf, 'Подразделение', data.department
+            ? `${data.department.departmentName} (код ${data.department.unitCode})`
+            : null);
+
+        pdf.font('Regular').fontSize(6).fillColor('#777777')
+            .text(`Форма СТС, шаблон ${this.version}`, pdf.page.margins.left, pdf.page.height - pdf.page.margins.bottom - 8, {
+                lineBreak: false
+            });
+    }
+};
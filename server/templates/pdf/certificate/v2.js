@@ -0,0 +1,25 @@
+const v1 = require('./v1');
+const { drawQrCode } = require('../qr');
+
+const QR_SIZE = 72;
+
+// v2: оформление v1 и QR-код проверки подлинности в правом нижнем углу
+module.exports = {
+    ...v1,
+    version: 'v2',
+
+    render(pdf, data) {
+        v1.render.call(this, pdf, data);
+
+        const x = pdf.page.width - pdf.page.margins.right - QR_SIZE;
+        const y = pdf.page.height - pdf.page.margins.bottom - QR_SIZE;
+        drawQrCode(pdf, data.verificationUrl, x, y, QR_SIZE);
+
+        pdf.font('Regular').fontSize(6).fillColor('#777777')
+            .text('Проверка подлинности: отсканируйте QR-код', x - 160, pdf.page.height - pdf.page.margins.bottom - 8, {
+                width: 150,
+                align: 'right',
+                lineBreak: false
+            });
+    }
+};
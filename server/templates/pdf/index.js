@@ -0,0 +1,14 @@
+// Реестр шаблонов: выпущенные версии не изменяются и не удаляются
+module.exports = {
+    certificate: {
+        v1: require('./certificate/v1'),
+        v2: require('./certificate/v2'),
+        v3: require('./certificate/v3')
+    },
+    application: {
+        v1: require('./application/v1'),
+        v2: require('./application/v2'),
+        v3: require('./application/v3'),
+        v4: require('./application/v4')
+    }
+};
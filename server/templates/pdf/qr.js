@@ -0,0 +1,26 @@
+const QRCode = require('qrcode');
+
+// QR-код рисуется векторными прямоугольниками, поэтому повторная печать дает тот же файл
+function drawQrCode(pdf, text, x, y, size) {
+    const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+    const cell = size / modules.size;
+
+    pdf.save().fillColor('#000000');
+    for (let row = 0; row < modules.size; row++) {
+        let start = null;
+        for (let col = 0; col <= modules.size; col++) {
+            const dark = col < modules.size && modules.get(row, col);
+            if (dark && start === null) {
+                start = col;
+            } else if (!dark && start !== null) {
+                pdf.rect(x + start * cell, y + row * cell, (col - start) * cell, cell);
+                start = null;
+            }
+        }
+    }
+    pdf.fill().restore();
+}
+
+module.exports = {
+    drawQrCode
+};
@@ -0,0 +1,14 @@
+// Текущие версии шаблонов печатных форм. Изменение оформления выпускается новой версией,
+// ранее оформленные документы печатаются по версии, сохраненной при их оформлении
+const CURRENT_TEMPLATE_VERSIONS = {
+    certificate: 'v3',
+    application: 'v4'
+};
+
+// Версия для документов, оформленных до появления печатных форм
+const LEGACY_TEMPLATE_VERSION = 'v1';
+
+module.exports = {
+    CURRENT_TEMPLATE_VERSIONS,
+    LEGACY_TEMPLATE_VERSION
+};
@@ -0,0 +1,111 @@
+const request = require('supertest');
+const app = require('../../app');
+const { createAuth } = require('../helpers/auth');
+
+describe('Appointment Slot API', () => {
+  const department = {
+    unitCode: '777111',
+    departmentName: 'Отдел записи на приём',
+    address: 'ул. Расписания, д. 3'
+  };
+
+  const generation = {
+    date: '2030-05-20',
+    startTime: '09:00',
+    endTime: '11:00',
+    intervalMinutes: 30,
+    capacity: 2
+  };
+
+  let slotId;
+
+  let adminAuth;
+
+  beforeAll(async () => {
+    adminAuth = await createAuth('ADMIN');
+    await request(app).post('/api/admin/reg-depart').set('Authorization', adminAuth).send(department);
+  });
+
+  afterAll(async () => {
+    await request(app).delete(`/api/admin/reg-depart/${department.unitCode}`).set('Authorization', adminAuth).catch(() => {});
+  });
+
+  describe('Create & Read', () => {
+    // Генерация слотов на день с заданным интервалом
+    test('should generate slots for a day', async () => {
+      const res = await request(app)
+        .post(`/api/admin/reg-depart/${department.unitCode}/slots`)
+        .set('Authorization', adminAuth)
+        .send(generation);
+      expect(res.statusCode).toBe(201);
+      expect(res.body).toHaveLength(4);
+      expect(res.body[0]).toHaveProperty('capacity', 2);
+      slotId = res.body[0].slotId;
+    });
+
+    // Часы приема задаются в часовом поясе приема (по умолчанию Europe/Moscow, UTC+3), а не сервера
+    test('should place slots in appointment time zone', async () => {
+      const res = await request(app)
+        .get(`/api/admin/reg-depart/${department.unitCode}/slots`)
+        .set('Authorization', adminAuth)
+        .query({ date: generation.date });
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toHaveLength(4);
+      expect(res.body[0].startsAt).toBe('2030-05-20T06:00:00.000Z');
+      expect(res.body[3].endsAt).toBe('2030-05-20T08:00:00.000Z');
+    });
+
+    // Запрет пересекающихся слотов
+    test('should not create overlapping slots', async () => {
+      const res = await request(app)
+        .post(`/api/admin/reg-depart/${department.unitCode}/slots`)
+        .set('Authorization', adminAuth)
+        .send({ ...generation, startTime: '10:00', endTime: '12:00' });
+      expect(res.statusCode).toBe(409);
+    });
+
+    // Проверка корректности временного диапазона
+    test('should validate time range', async () => {
+      const res = await request(app)
+        .post(`/api/admin/reg-depart/${department.unitCode}/slots`)
+        .set('Authorization', adminAuth)
+        .send({ ...generation, date: '2030-05-21', startTime: '12:00', endTime: '11:00' });
+      expect(res.statusCode).toBe(400);
+    });
+
+    // Получение слотов отдела на дату
+    test('should return slots with booking counters', async () => {
+      const res = await request(app)
+        .get(`/api/admin/reg-depart/${department.unitCode}/slots`)
+        .set('Authorization', adminAuth)
+        .query({ date: generation.date });
+      expect(res.statusCode).toBe(200);
+      expect(res.body[0]).toHaveProperty('booked', 0);
+      expect(res.body[0]).toHaveProperty('free', 2);
+    });
+  });
+
+  describe('Update & Delete', () => {
+    // Изменение вместимости слота
+    test('should patch slot capacity', async () => {
+      const res = await request(app)
+        .patch(`/api/admin/slots/${slotId}`)
+        .set('Authorization', adminAuth)
+        .send({ capacity: 3 });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.capacity).toBe(3);
+    });
+
+    // Удаление слота без записей
+    test('should delete slot without bookings', async () => {
+      const res = await request(app).delete(`/api/admin/slots/${slotId}`).set('Authorization', adminAuth);
+      expect(res.statusCode).toBe(204);
+    });
+
+    // Обработка несуществующего слота
+    test('should return 404 for non-existent slot', async () => {
+      const res = await request(app).delete('/api/admin/slots/999999').set('Authorization', adminAuth);
+      expect(res.statusCode).toBe(404);
+    });
+  });
+});
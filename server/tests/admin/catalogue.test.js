@@ -0,0 +1,74 @@
+const request = require('supertest');
+const app = require('../../app');
+const { createAuth } = require('../helpers/auth');
+
+describe('Vehicle Catalogue API', () => {
+  const manufacturer = {
+    name: 'Тестовый автозавод',
+    aliases: ['ТАЗ Тест']
+  };
+
+  let adminAuth, manufacturerId;
+
+  beforeAll(async () => {
+    adminAuth = await createAuth('ADMIN');
+  });
+
+  afterAll(async () => {
+    if (manufacturerId) {
+      await request(app).delete(`/api/admin/catalogue/manufacturers/${manufacturerId}`).set('Authorization', adminAuth).catch(() => {});
+    }
+  });
+
+  describe('Manufacturers', () => {
+    // Создание изготовителя с псевдонимами
+    test('should create manufacturer', async () => {
+      const res = await request(app)
+        .post('/api/admin/catalogue/manufacturers')
+        .set('Authorization', adminAuth)
+        .send(manufacturer);
+      expect(res.statusCode).toBe(201);
+      expect(res.body).toHaveProperty('name', manufacturer.name);
+      manufacturerId = res.body.manufacturerId;
+    });
+
+    // Псевдоним не может совпадать с названием другого изготовителя с точностью до регистра и пробелов
+    test('should reject overlapping alias', async () => {
+      const res = await request(app)
+        .post('/api/admin/catalogue/manufacturers')
+        .set('Authorization', adminAuth)
+        .send({ name: 'Другой завод', aliases: ['таз-тест'] });
+      expect(res.statusCode).toBe(409);
+    });
+
+    // Поиск по псевдониму
+    test('should find manufacturer by alias', async () => {
+      const res = await request(app)
+        .get('/api/admin/catalogue/manufacturers')
+        .set('Authorization', adminAuth)
+        .query({ search: 'ТАЗ Тест' });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.some(m => m.manufacturerId === manufacturerId)).toBe(true);
+    });
+  });
+
+  describe('Models', () => {
+    // Модель нельзя добавить к несуществующему изготовителю
+    test('should return 404 for unknown manufacturer', async () => {
+      const res = await request(app)
+        .post('/api/admin/catalogue/models')
+        .set('Authorization', adminAuth)
+        .send({ manufacturerId: 999999, make: 'Тест', model: 'Один' });
+      expect(res.statusCode).toBe(404);
+    });
+
+    // Проверка формата моделей двигателя
+    test('should validate engine models', async () => {
+      const res = await request(app)
+        .post('/api/admin/catalogue/models')
+        .set('Authorization', adminAuth)
+        .send({ manufacturerId, make: 'Тест', model: 'Один', engineModels: ['двигатель'] });
+      expect(res.statusCode).toBe(400);
+    });
+  });
+});
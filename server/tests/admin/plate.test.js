@@ -0,0 +1,280 @@
+const request = require('supertest');
+const app = require('../../app');
+const { createAuth } = require('../helpers/auth');
+
+describe('Plate Number API', () => {
+  const department = {
+    unitCode: '777222',
+    departmentName: 'Отдел выдачи номеров',
+    address: 'ул. Номерная, д. 12',
+    regionCode: '799'
+  };
+
+  const otherDepartment = {
+    unitCode: '777333',
+    departmentName: 'Отдел другого региона',
+    address: 'ул. Соседняя, д. 3',
+    regionCode: '797'
+  };
+
+  const employee = {
+    badgeNumber: '79-9001',
+    unitCode: department.unitCode,
+    lastName: 'Номеров',
+    firstName: 'Павел',
+    patronymic: 'Петрович',
+    rank: 'Лейтенант'
+  };
+
+  const generation = {
+    regionCode: '799',
+    series: 'АВЕ',
+    from: 1,
+    to: 5
+  };
+
+  let adminAuth, employeeAuth, ownerAuth;
+
+  beforeAll(async () => {
+    adminAuth = await createAuth('ADMIN');
+    ownerAuth = await createAuth('OWNER');
+    await request(app).post('/api/admin/reg-depart').set('Authorization', adminAuth).send(department);
+    await request(app).post('/api/admin/reg-depart').set('Authorization', adminAuth).send(otherDepartment);
+    await request(app).post('/api/admin/employees').set('Authorization', adminAuth).send(employee);
+    employeeAuth = await createAuth('EMPLOYEE', { badgeNumber: employee.badgeNumber });
+  });
+
+  describe('Generate', () => {
+    // Генерация диапазона номеров для региона
+    test('should generate plate numbers for region', async () => {
+      const res = await request(app)
+        .post('/api/admin/plates/generate')
+        .set('Authorization', adminAuth)
+        .send(generation);
+      expect(res.statusCode).toBe(201);
+      expect(res.body).toEqual({ requested: 5, created: 5 });
+    });
+
+    // Повторная генерация не создает дубликаты
+    test('should skip existing plate numbers', async () => {
+      const res = await request(app)
+        .post('/api/admin/plates/generate')
+        .set('Authorization', adminAuth)
+        .send({ ...generation, to: 7 });
+      expect(res.statusCode).toBe(201);
+      expect(res.body).toEqual({ requested: 7, created: 2 });
+    });
+
+    // Проверка серии номера
+    test('should validate series', async () => {
+      const res = await request(app)
+        .post('/api/admin/plates/generate')
+        .set('Authorization', adminAuth)
+        .send({ ...generation, series: 'ABC' });
+      expect(res.statusCode).toBe(400);
+    });
+
+    // Регион должен обслуживаться подразделением
+    test('should reject region without department', async () => {
+      const res = await request(app)
+        .post('/api/admin/plates/generate')
+        .set('Authorization', adminAuth)
+        .send({ ...generation, regionCode: '798' });
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('Registry', () => {
+    // Получение свободных номеров региона
+    test('should list available plate numbers', async () => {
+      const res = await request(app)
+        .get('/api/employee/plates')
+        .set('Authorization', employeeAuth)
+        .query({ regionCode: '799', available: true });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data[0]).toHaveProperty('plateNumber', 'А001ВЕ799');
+      expect(res.body.data.every(plate => plate.available)).toBe(true);
+    });
+
+    // Резервирование номера, отсутствующего в реестре
+    test('should not reserve unknown plate number', async () => {
+      const res = await request(app)
+        .post('/api/employee/plates/А999ВЕ799/reserve')
+        .set('Authorization', employeeAuth);
+      expect(res.statusCode).toBe(404);
+    });
+
+    // Резервирование номера региона своего отдела
+    test('should reserve plate number of employee region', async () => {
+      const res = await request(app)
+        .post('/api/employee/plates/А002ВЕ799/reserve')
+        .set('Authorization', employeeAuth);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data).toHaveProperty('status', 'RESERVED');
+      expect(res.body.data).toHaveProperty('reservedBy', employee.badgeNumber);
+    });
+
+    // Номер другого региона сотрудник зарезервировать не может
+    test('should not reserve plate number of another region', async () => {
+      await request(app)
+        .post('/api/admin/plates/generate')
+        .set('Authorization', adminAuth)
+        .send({ ...generation, regionCode: otherDepartment.regionCode, to: 1 });
+
+      const res = await request(app)
+        .post('/api/employee/plates/А001ВЕ797/reserve')
+        .set('Authorization', employeeAuth);
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('Owner search', () => {
+    // Поиск свободных номеров по шаблону в регионе отдела
+    test('should find available plate numbers by pattern', async () => {
+      const res = await request(app)
+        .get('/api/owner/plates')
+        .set('Authorization', ownerAuth)
+        .query({ pattern: 'А00*ВЕ', unitCode: department.unitCode });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.regionCode).toBe('799');
+      expect(res.body.data.map(plate => plate.plateNumber)).toContain('А001ВЕ799');
+    });
+
+    // Проверка формата шаблона
+    test('should validate search pattern', async () => {
+      const res = await request(app)
+        .get('/api/owner/plates')
+        .set('Authorization', ownerAuth)
+        .query({ pattern: 'А%', unitCode: department.unitCode });
+      expect(res.statusCode).toBe(400);
+    });
+
+    // Желаемый номер указывается только при постановке на учет
+    test('should reject requested plate for other operations', async () => {
+      const res = await request(app)
+        .post('/api/owner/applications')
+        .set('Authorization', ownerAuth)
+        .send({
+          vin: 'XTA210990Y2765432',
+          unitCode: department.unitCode,
+          operationType: 'Снятие с учета',
+          operationBase: 'Продажа',
+          requestedPlateNumber: 'А001ВЕ799',
+          applicationDate: new Date().toISOString()
+        });
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('Category plate formats', () => {
+    const owner = {
+      isNaturalPerson: true,
+      passportData: '7990 123456',
+      address: 'г. Москва, ул. Мотоциклетная, д. 4',
+      lastName: 'Колесов',
+      firstName: 'Максим',
+      patronymic: 'Игоревич'
+    };
+
+    const motorcycle = {
+      vin: 'JYARN23E0HA000123',
+      makeAndModel: 'Yamaha YZF-R6',
+      releaseYear: 2017,
+      manufacture: 'Yamaha',
+      category: 'A',
+      typeOfDrive: 'RWD',
+      powerKw: 87,
+      powerHp: 118,
+      hasChassisNumber: true,
+      bodyColor: 'Синий',
+      transmissionType: 'MT',
+      steeringWheel: 'Левостороннее',
+      engineModel: 'J523E',
+      engineVolume: 599
+    };
+
+    const trailer = {
+      vin: 'X8982940ZKG000799',
+      makeAndModel: 'МЗСА 817711',
+      releaseYear: 2022,
+      manufacture: 'МЗСА',
+      category: 'E',
+      bodyColor: 'Серый',
+      maxMass: 750
+    };
+
+    const regDoc = (vin, n) => ({
+      address: owner.address,
+      pts: `79 МТ 00000${n}`,
+      sts: `79 79 00000${n}`,
+      registrationDate: '2024-05-20',
+      documentOwner: owner.passportData,
+      vin
+    });
+
+    beforeAll(async () => {
+      await request(app).post('/api/auth/register/natural-person').send(owner);
+      await request(app).post('/api/owner/vehicles').set('Authorization', ownerAuth).send(motorcycle);
+      await request(app).post('/api/owner/vehicles').set('Authorization', ownerAuth).send(trailer);
+    });
+
+    // Генерация номеров мотоциклетного формата по категории ТС
+    test('should generate motorcycle plate numbers', async () => {
+      const res = await request(app)
+        .post('/api/admin/plates/generate')
+        .set('Authorization', adminAuth)
+        .send({ regionCode: '799', category: 'A', series: 'МТ', from: 1, to: 3 });
+      expect(res.statusCode).toBe(201);
+      expect(res.body).toEqual({ requested: 3, created: 3 });
+    });
+
+    // Генерация номеров формата прицепов по категории ТС
+    test('should generate trailer plate numbers', async () => {
+      const res = await request(app)
+        .post('/api/admin/plates/generate')
+        .set('Authorization', adminAuth)
+        .send({ regionCode: '799', category: 'E', series: 'ХР', from: 1, to: 3 });
+      expect(res.statusCode).toBe(201);
+      expect(res.body).toEqual({ requested: 3, created: 3 });
+    });
+
+    // Серия стандартного знака не подходит для знака прицепа
+    test('should validate series length for category', async () => {
+      const res = await request(app)
+        .post('/api/admin/plates/generate')
+        .set('Authorization', adminAuth)
+        .send({ regionCode: '799', category: 'E', series: 'АВЕ', from: 1, to: 3 });
+      expect(res.statusCode).toBe(400);
+    });
+
+    // Поиск свободных номеров по шаблону знака категории
+    test('should find motorcycle plate numbers by pattern', async () => {
+      const res = await request(app)
+        .get('/api/owner/plates')
+        .set('Authorization', ownerAuth)
+        .query({ category: 'A', pattern: '000*МТ', unitCode: department.unitCode });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.map(plate => plate.plateNumber)).toEqual(['0001МТ799', '0002МТ799', '0003МТ799']);
+    });
+
+    // Выдача мотоциклу номера мотоциклетного формата
+    test('should allocate motorcycle plate number for category A', async () => {
+      const res = await request(app)
+        .post('/api/employee/reg-docs')
+        .set('Authorization', employeeAuth)
+        .send(regDoc(motorcycle.vin, 1));
+      expect(res.statusCode).toBe(201);
+      expect(res.body.registrationNumber).toBe('0001МТ799');
+    });
+
+    // Выдача прицепу номера формата прицепов
+    test('should allocate trailer plate number for category E', async () => {
+      const res = await request(app)
+        .post('/api/employee/reg-docs')
+        .set('Authorization', employeeAuth)
+        .send(regDoc(trailer.vin, 2));
+      expect(res.statusCode).toBe(201);
+      expect(res.body.registrationNumber).toBe('ХР0001799');
+    });
+  });
+});
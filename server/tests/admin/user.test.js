@@ -1,8 +1,10 @@
 const request = require('supertest');
 const app = require('../../app');
+const { createAuth } = require('../helpers/auth');
 
 describe('User API', () => {
-  let createdAdmin, createdOwnerNatural, createdOwnerLegal, createdEmployee;
+  let createdAdmin, createdOwnerNatural, createdOwnerLegal, createdOwnerLegalSecond, createdEmployee;
+  let adminAuth;
 
   const testData = {
     naturalPerson: {
@@ -49,6 +51,12 @@ describe('User API', () => {
       role: 'OWNER',
       taxNumber: '1234567890'
     },
+    ownerLegalSecondUser: {
+      email: 'owner_legal_second@example.com',
+      password: 'OwnerPass789',
+      role: 'OWNER',
+      taxNumber: '1234567890'
+    },
     employeeUser: {
       role: 'EMPLOYEE',
       badgeNumber: '68-6306'
@@ -56,6 +64,7 @@ describe('User API', () => {
   };
 
   beforeAll(async () => {
+    adminAuth = await createAuth('ADMIN');
     await request(app).post('/api/auth/register/natural-person').send(testData.naturalPerson);
     await request(app).post('/api/auth/register/legal-entity').send(testData.legalEntity);
     await request(app).post('/api/admin/reg-depart').send(testData.regDepart);
@@ -66,6 +75,7 @@ describe('User API', () => {
     await request(app).delete(`/api/admin/users/${createdAdmin.id}`).catch(() => {});
     await request(app).delete(`/api/admin/users/${createdOwnerNatural.id}`).catch(() => {});
     await request(app).delete(`/api/admin/users/${createdOwnerLegal.id}`).catch(() => {});
+    await request(app).delete(`/api/admin/users/${createdOwnerLegalSecond.id}`).catch(() => {});
     await request(app).delete(`/api/admin/users/${createdEmployee.id}`).catch(() => {});
 
     await request(app).delete(`/api/admin/employees/${testData.employee.badgeNumber}`).catch(() => {});
@@ -103,14 +113,28 @@ describe('User API', () => {
     test('должен создать пользователя OWNER с LegalEntity', async () => {
       const res = await request(app)
         .post('/api/admin/users')
+        .set('Authorization', adminAuth)
         .send(testData.ownerLegalUser);
       expect(res.statusCode).toBe(201);
       expect(res.body).toHaveProperty('id');
       expect(res.body.role).toBe('OWNER');
       expect(res.body.taxNumber).toBe(testData.legalEntity.taxNumber);
+      expect(res.body.companyRole).toBe('COMPANY_ADMIN');
       createdOwnerLegal = res.body;
     });
 
+    // Вторая учетная запись того же юр. лица
+    test('должен создать вторую учетную запись OWNER с тем же ИНН', async () => {
+      const res = await request(app)
+        .post('/api/admin/users')
+        .set('Authorization', adminAuth)
+        .send(testData.ownerLegalSecondUser);
+      expect(res.statusCode).toBe(201);
+      expect(res.body.taxNumber).toBe(testData.legalEntity.taxNumber);
+      expect(res.body.companyRole).toBe('VIEWER');
+      createdOwnerLegalSecond = res.body;
+    });
+
     // Создание сотрудника
     test('должен создать пользователя EMPLOYEE', async () => {
       const res = await request(app)
@@ -195,6 +219,79 @@ describe('User API', () => {
       expect(res.statusCode).toBe(400);
     });
 
+    // Регистрация юр. лица без приглашения, если у него уже есть учетная запись
+    test('должен отклонить повторную регистрацию юр. лица без приглашения', async () => {
+      const res = await request(app)
+        .post('/api/auth/register/owner')
+        .send({
+          email: 'owner_legal_third@example.com',
+          password: 'OwnerPass000',
+          role: 'OWNER',
+          taxNumber: testData.legalEntity.taxNumber,
+          isNaturalPerson: false
+        });
+      expect(res.statusCode).toBe(409);
+    });
+
+    // Одновременные регистрации юр. лица: администратором становится только одна учетная запись
+    test('должен зарегистрировать только одну из одновременных учетных записей юр. лица', async () => {
+      const legalEntity = {
+        isNaturalPerson: false,
+        taxNumber: '1234500001',
+        address: 'г. Москва, ул. Параллельная, д. 1',
+        companyName: 'Параллельная аренда'
+      };
+      await request(app).post('/api/auth/register/legal-entity').send(legalEntity);
+
+      const responses = await Promise.all(['first', 'second'].map(name => request(app)
+        .post('/api/auth/register/owner')
+        .send({
+          email: `owner_legal_${name}_race@example.com`,
+          password: 'OwnerPass000',
+          role: 'OWNER',
+          taxNumber: legalEntity.taxNumber,
+          isNaturalPerson: false
+        })));
+
+      expect(responses.map(res => res.statusCode).sort()).toEqual([201, 409]);
+    });
+
+    // Одновременное создание учетных записей юр. лица администратором системы
+    test('должен назначить администратором компании только одну из одновременно созданных учетных записей', async () => {
+      const legalEntity = {
+        isNaturalPerson: false,
+        taxNumber: '1234500002',
+        address: 'г. Москва, ул. Параллельная, д. 2',
+        companyName: 'Параллельный автопарк'
+      };
+      await request(app).post('/api/auth/register/legal-entity').send(legalEntity);
+
+      const responses = await Promise.all(['first', 'second'].map(name => request(app)
+        .post('/api/admin/users')
+        .set('Authorization', adminAuth)
+        .send({
+          email: `admin_created_${name}_race@example.com`,
+          password: 'OwnerPass000',
+          role: 'OWNER',
+          taxNumber: legalEntity.taxNumber
+        })));
+
+      expect(responses.map(res => res.statusCode)).toEqual([201, 201]);
+      expect(responses.map(res => res.body.companyRole).sort()).toEqual(['COMPANY_ADMIN', 'VIEWER']);
+    });
+
+    test('должен отклонить некорректный токен приглашения', async () => {
+      const res = await request(app).get('/api/auth/invites/not-a-token');
+      expect(res.statusCode).toBe(400);
+    });
+
+    test('должен вернуть 404 для несуществующего приглашения', async () => {
+      const res = await request(app)
+        .post('/api/auth/register/invite')
+        .send({ token: 'a'.repeat(64), password: 'InvitePass123' });
+      expect(res.statusCode).toBe(404);
+    });
+
     test('должен отклонить неверную роль', async () => {
       const res = await request(app)
         .post('/api/admin/users')
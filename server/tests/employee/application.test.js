@@ -0,0 +1,398 @@
+const request = require('supertest');
+const app = require('../../app');
+const { createAuth } = require('../helpers/auth');
+const { RegistrationApplication } = require('../../models/associations');
+
+const testData = {
+    naturalPerson: {
+        isNaturalPerson: true,
+        address: 'г. Москва, ул. Заявочная, д. 5',
+        passportData: '4321 098765',
+        lastName: 'Сидоров',
+        firstName: 'Сидор',
+        patronymic: 'Сидорович'
+    },
+    vehicle: {
+        vin: 'WVWZZZ1KZ8W654321',
+        makeAndModel: 'Volkswagen Golf',
+        releaseYear: '2019',
+        manufacture: 'Volkswagen',
+        typeOfDrive: 'FWD',
+        power: '92 кВт/125 л.с.',
+        hasChassisNumber: false,
+        bodyColor: 'Серый',
+        transmissionType: 'DSG',
+        steeringWheel: 'Левостороннее',
+        engineModel: 'CZCA',
+        engineVolume: 1395
+    },
+    department: {
+        unitCode: '654321',
+        departmentName: 'Отдел рассмотрения заявлений',
+        address: 'ул. Проверочная, д. 20'
+    },
+    regDoc: {
+        registrationNumber: 'Е654КХ77',
+        address: 'г. Москва, ул. Заявочная, д. 5',
+        pts: '65 КХ 432109',
+        sts: '65 43 210987',
+        registrationDate: '2024-04-02',
+        documentOwner: '4321 098765',
+        vin: 'WVWZZZ1KZ8W654321'
+    },
+    application: {
+        vin: 'WVWZZZ1KZ8W654321',
+        unitCode: '654321',
+        operationType: 'Постановка на учет',
+        operationBase: 'Заявление составлено владельцем — паспорт: 4321 098765',
+        applicationDate: '2024-04-01T10:00:00.000Z'
+    },
+    changeApplication: {
+        vin: 'WVWZZZ1KZ8W654321',
+        unitCode: '654321',
+        operationType: 'Внесение измененеий в регистрационные данные',
+        operationBase: 'Изменения: Цвет кузова, Объем двигателя',
+        requestedChanges: [
+            { field: 'bodyColor', newValue: 'Черный' },
+            { field: 'engineVolume', newValue: 1498 }
+        ],
+        applicationDate: '2024-04-05T10:00:00.000Z'
+    }
+};
+
+let adminAuth, employeeAuth, ownerAuth;
+let applicationId;
+let changeApplicationId;
+let operationId;
+
+beforeAll(async () => {
+    adminAuth = await createAuth('ADMIN');
+    employeeAuth = await createAuth('EMPLOYEE');
+    ownerAuth = await createAuth('OWNER', { passportData: testData.naturalPerson.passportData });
+    await request(app).post('/api/auth/register/natural-person').send(testData.naturalPerson);
+    await request(app).post('/api/owner/vehicles').set('Authorization', ownerAuth).send(testData.vehicle);
+    await request(app).post('/api/admin/reg-depart').set('Authorization', adminAuth).send(testData.department);
+    await request(app).post('/api/employee/reg-docs').set('Authorization', employeeAuth).send(testData.regDoc);
+    const response = await request(app).post('/api/owner/applications').set('Authorization', ownerAuth).send(testData.application);
+    applicationId = response.body.data?.applicationId;
+});
+
+describe('Registration Application API', () => {
+    describe('GET Applications', () => {
+        // Тест получения списка заявлений с пагинацией
+        test('should get all applications with pagination', async () => {
+            const response = await request(app)
+                .get('/api/employee/applications')
+                .set('Authorization', employeeAuth)
+                .query({ limit: 10, page: 1 });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveProperty('total');
+            expect(response.body).toHaveProperty('pages');
+            expect(response.body).toHaveProperty('data');
+            expect(Array.isArray(response.body.data)).toBe(true);
+        });
+
+        // Тест фильтрации заявлений по статусу
+        test('should filter applications by status', async () => {
+            const response = await request(app)
+                .get('/api/employee/applications')
+                .set('Authorization', employeeAuth)
+                .query({ status: 'SUBMITTED' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.every(item => item.status === 'SUBMITTED')).toBe(true);
+        });
+
+        // Тест валидации статуса
+        test('should validate status filter', async () => {
+            const response = await request(app)
+                .get('/api/employee/applications')
+                .set('Authorization', employeeAuth)
+                .query({ status: 'UNKNOWN' });
+
+            expect(response.status).toBe(400);
+        });
+
+        // Тест обработки несуществующего заявления
+        test('should return 404 for non-existent application', async () => {
+            const response = await request(app)
+                .get('/api/employee/applications/999999')
+                .set('Authorization', employeeAuth);
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('Status transitions', () => {
+        // Тест запрета одобрения заявления, не взятого на рассмотрение
+        test('should not approve submitted application', async () => {
+            const response = await request(app)
+                .post(`/api/employee/applications/${applicationId}/approve`)
+                .set('Authorization', employeeAuth)
+                .send({});
+
+            expect(response.status).toBe(409);
+        });
+
+        // Тест взятия заявления на рассмотрение
+        test('should take application for review', async () => {
+            const response = await request(app)
+                .post(`/api/employee/applications/${applicationId}/review`)
+                .set('Authorization', employeeAuth);
+
+            expect(response.status).toBe(200);
+            expect(response.body.status).toBe('UNDER_REVIEW');
+        });
+
+        // Тест обязательности комментария при возврате на доработку
+        test('should require comment for correction request', async () => {
+            const response = await request(app)
+                .post(`/api/employee/applications/${applicationId}/request-correction`)
+                .set('Authorization', employeeAuth)
+                .send({});
+
+            expect(response.status).toBe(400);
+        });
+
+        // Тест одобрения заявления с созданием регистрационной операции
+        test('should approve application and create operation', async () => {
+            const response = await request(app)
+                .post(`/api/employee/applications/${applicationId}/approve`)
+                .set('Authorization', employeeAuth)
+                .send({
+                    operationDate: '2024-04-02T10:00:00.000Z',
+                    registrationNumber: testData.regDoc.registrationNumber
+                });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.application.status).toBe('APPROVED');
+            expect(response.body.data.operation.vin).toBe(testData.vehicle.vin);
+            operationId = response.body.data.operation.operationId;
+        });
+
+        // Тест истории изменения статусов
+        test('should keep status history', async () => {
+            const response = await request(app)
+                .get(`/api/employee/applications/${applicationId}`)
+                .set('Authorization', employeeAuth);
+
+            expect(response.status).toBe(200);
+            expect(response.body.applicationstatushistories.map(h => h.toStatus))
+                .toEqual(['SUBMITTED', 'UNDER_REVIEW', 'APPROVED']);
+        });
+
+        // Тест запрета повторного изменения статуса завершенного заявления
+        test('should not reject approved application', async () => {
+            const response = await request(app)
+                .post(`/api/employee/applications/${applicationId}/reject`)
+                .set('Authorization', employeeAuth)
+                .send({ comment: 'Повторное решение' });
+
+            expect(response.status).toBe(409);
+        });
+    });
+
+    describe('Field-level change requests', () => {
+        beforeAll(async () => {
+            const response = await request(app).post('/api/owner/applications').set('Authorization', ownerAuth).send(testData.changeApplication);
+            changeApplicationId = response.body.data?.applicationId;
+            await request(app).post(`/api/employee/applications/${changeApplicationId}/review`).set('Authorization', employeeAuth);
+        });
+
+        // Тест обязательности структурированных изменений для внесения изменений
+        test('should require requested changes for amendment application', async () => {
+            const { requestedChanges, ...body } = testData.changeApplication;
+            const response = await request(app).post('/api/owner/applications').set('Authorization', ownerAuth).send(body);
+
+            expect(response.status).toBe(400);
+        });
+
+        // Тест запрета подачи заявления на ТС, зарегистрированное на другого владельца
+        test('should not file amendment for vehicle registered to another owner', async () => {
+            const otherOwnerAuth = await createAuth('OWNER', { passportData: '4321 000002' });
+            const response = await request(app)
+                .post('/api/owner/applications')
+                .set('Authorization', otherOwnerAuth)
+                .send(testData.changeApplication);
+
+            expect(response.status).toBe(403);
+        });
+
+        // Тест запрета одобрения поля, которое не запрашивалось
+        test('should not approve field that was not requested', async () => {
+            const response = await request(app)
+                .post(`/api/employee/applications/${changeApplicationId}/approve`)
+                .set('Authorization', employeeAuth)
+                .send({ approvedFields: ['makeAndModel'] });
+
+            expect(response.status).toBe(400);
+        });
+
+        // Тест частичного одобрения изменений с применением к ТС
+        test('should apply only approved changes to vehicle', async () => {
+            const response = await request(app)
+                .post(`/api/employee/applications/${changeApplicationId}/approve`)
+                .set('Authorization', employeeAuth)
+                .send({ approvedFields: ['bodyColor'] });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.operation.changes).toEqual([
+                { field: 'bodyColor', oldValue: 'Серый', newValue: 'Черный', status: 'APPROVED' },
+                { field: 'engineVolume', oldValue: 1395, newValue: 1498, status: 'REJECTED' }
+            ]);
+
+            const vehicle = await request(app).get(`/api/employee/vehicles/${testData.vehicle.vin}`).set('Authorization', employeeAuth);
+            expect(vehicle.body.data.bodyColor).toBe('Черный');
+            expect(vehicle.body.data.engineVolume).toBe(1395);
+        });
+
+        // Тест сохранения сведений о ТС на дату подачи заявления
+        test('should keep vehicle data as filed', async () => {
+            const response = await request(app)
+                .get(`/api/owner/applications/${changeApplicationId}`)
+                .set('Authorization', ownerAuth);
+
+            expect(response.status).toBe(200);
+            expect(response.body.vehicleData.bodyColor).toBe('Серый');
+        });
+
+        // Тест печати СТС по сведениям на дату регистрации
+        test('should print certificate with vehicle data as registered', async () => {
+            const doc = await request(app)
+                .get(`/api/employee/reg-docs/${testData.regDoc.registrationNumber}`)
+                .set('Authorization', employeeAuth);
+
+            expect(doc.status).toBe(200);
+            expect(doc.body.certificateData.vehicle.bodyColor).toBe('Серый');
+            expect(doc.body.certificateData.owner).toMatchObject({
+                identifier: testData.naturalPerson.passportData,
+                name: 'Сидоров Сидор Сидорович'
+            });
+
+            const response = await request(app)
+                .get(`/api/employee/reg-docs/${testData.regDoc.registrationNumber}/certificate.pdf`)
+                .set('Authorization', employeeAuth);
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toMatch('application/pdf');
+        });
+    });
+
+    describe('Application form PDF', () => {
+        // Тест печати заявления, поданного владельцем
+        test('should print own application form', async () => {
+            const response = await request(app)
+                .get(`/api/owner/applications/${changeApplicationId}/application.pdf`)
+                .set('Authorization', ownerAuth);
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toMatch('application/pdf');
+        });
+
+        // Тест печати заявления по проведенной операции
+        test('should print application form of registration operation', async () => {
+            const response = await request(app)
+                .get(`/api/owner/reg-op/${operationId}/application.pdf`)
+                .set('Authorization', ownerAuth);
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toMatch('application/pdf');
+        });
+
+        // Тест печати заявления, поданного до версионирования шаблонов: без версии и сведений о ТС
+        test('should print legacy application form of registration operation', async () => {
+            await RegistrationApplication.update(
+                { applicationTemplate: null, vehicleData: null },
+                { where: { operationId } }
+            );
+            const response = await request(app)
+                .get(`/api/owner/reg-op/${operationId}/application.pdf`)
+                .set('Authorization', ownerAuth);
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toMatch('application/pdf');
+        });
+
+        // Тест печати заявления по шаблону v3 до проведения операции
+        test('should print application form of pending application with legacy template', async () => {
+            await RegistrationApplication.update(
+                { applicationTemplate: 'v3' },
+                { where: { applicationId: changeApplicationId } }
+            );
+            const response = await request(app)
+                .get(`/api/owner/applications/${changeApplicationId}/application.pdf`)
+                .set('Authorization', ownerAuth);
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toMatch('application/pdf');
+        });
+
+        // Тест запрета печати заявления по чужой операции
+        test('should not print application form of another owner operation', async () => {
+            const otherOwnerAuth = await createAuth('OWNER', { passportData: '4321 000003' });
+            const response = await request(app)
+                .get(`/api/owner/reg-op/${operationId}/application.pdf`)
+                .set('Authorization', otherOwnerAuth);
+
+            expect(response.status).toBe(404);
+        });
+
+        // Тест запрета печати чужого заявления
+        test('should not print application filed by another owner', async () => {
+            const otherOwnerAuth = await createAuth('OWNER', { passportData: '4321 000001' });
+            const response = await request(app)
+                .get(`/api/owner/applications/${changeApplicationId}/application.pdf`)
+                .set('Authorization', otherOwnerAuth);
+
+            expect(response.status).toBe(404);
+        });
+
+        // Тест валидации номера заявления
+        test('should validate application id', async () => {
+            const response = await request(app)
+                .get('/api/owner/applications/abc/application.pdf')
+                .set('Authorization', ownerAuth);
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('Power of attorney', () => {
+        // Тест валидации сроков доверенности
+        test('should not register power of attorney ending before it starts', async () => {
+            const response = await request(app)
+                .post('/api/owner/powers-of-attorney')
+                .set('Authorization', ownerAuth)
+                .send({
+                    representative: '1234 567890',
+                    scope: ['REGISTRATION'],
+                    validFrom: '2024-05-01',
+                    validUntil: '2024-04-01',
+                    notarialNumber: '77/100-н/77-2024-1-1'
+                });
+
+            expect(response.status).toBe(400);
+        });
+
+        // Тест валидации формата доверителя в заявлении
+        test('should validate principal format', async () => {
+            const response = await request(app)
+                .post('/api/owner/applications')
+                .set('Authorization', ownerAuth)
+                .send({ ...testData.application, principal: '12345' });
+
+            expect(response.status).toBe(400);
+        });
+
+        // Тест подачи заявления от имени доверителя без доверенности
+        test('should not file application for principal without power of attorney', async () => {
+            const response = await request(app)
+                .post('/api/owner/applications')
+                .set('Authorization', ownerAuth)
+                .send({ ...testData.application, principal: '9999 000001' });
+
+            expect(response.status).toBe(403);
+        });
+    });
+});
@@ -0,0 +1,127 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+process.env.ATTACHMENTS_DIR = path.join(os.tmpdir(), `attachments-test-${process.pid}`);
+
+const request = require('supertest');
+const app = require('../../app');
+const { createAuth } = require('../helpers/auth');
+
+const testData = {
+    vehicle: {
+        vin: 'XTA210930Y2765432',
+        makeAndModel: 'Lada 2109',
+        releaseYear: 2000,
+        manufacture: 'АвтоВАЗ',
+        typeOfDrive: 'FWD',
+        powerKw: 51,
+        powerHp: 70,
+        hasChassisNumber: false,
+        bodyColor: 'Белый',
+        transmissionType: 'MT',
+        steeringWheel: 'Левостороннее',
+        engineModel: '21083',
+        engineVolume: 1499
+    },
+    png: Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.from('png-body')]),
+    pdf: Buffer.from('%PDF-1.4\n%test\n')
+};
+
+let employeeAuth, ownerAuth;
+let attachmentId;
+
+beforeAll(async () => {
+    employeeAuth = await createAuth('EMPLOYEE');
+    ownerAuth = await createAuth('OWNER');
+    await request(app).post('/api/owner/vehicles').set('Authorization', ownerAuth).send(testData.vehicle);
+});
+
+describe('Attachment API', () => {
+    // Тест загрузки фото таблички VIN
+    test('should upload a photo to a vehicle', async () => {
+        const response = await request(app)
+            .post('/api/attachments')
+            .set('Authorization', employeeAuth)
+            .query({ targetType: 'VEHICLE', targetId: testData.vehicle.vin, kind: 'VIN_PLATE_PHOTO', fileName: 'vin.png' })
+            .set('Content-Type', 'image/png')
+            .send(testData.png);
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.size).toBe(testData.png.length);
+        expect(response.body.data.checksum).toBe(crypto.createHash('sha256').update(testData.png).digest('hex'));
+        expect(response.body.data).not.toHaveProperty('storageKey');
+        attachmentId = response.body.data.attachmentId;
+    });
+
+    // Тест запрета документа PDF там, где ожидается фотография
+    test('should reject a file type not allowed for the kind', async () => {
+        const response = await request(app)
+            .post('/api/attachments')
+            .set('Authorization', employeeAuth)
+            .query({ targetType: 'VEHICLE', targetId: testData.vehicle.vin, kind: 'BODY_PHOTO', fileName: 'body.pdf' })
+            .set('Content-Type', 'application/pdf')
+            .send(testData.pdf);
+
+        expect(response.status).toBe(400);
+    });
+
+    // Тест несоответствия содержимого файла заявленному типу
+    test('should reject content that does not match the declared type', async () => {
+        const response = await request(app)
+            .post('/api/attachments')
+            .set('Authorization', employeeAuth)
+            .query({ targetType: 'VEHICLE', targetId: testData.vehicle.vin, kind: 'SALE_CONTRACT', fileName: 'contract.pdf' })
+            .set('Content-Type', 'application/pdf')
+            .send(testData.png);
+
+        expect(response.status).toBe(400);
+    });
+
+    // Тест вложения к несуществующему ТС
+    test('should return 404 for a non-existent vehicle', async () => {
+        const response = await request(app)
+            .post('/api/attachments')
+            .set('Authorization', employeeAuth)
+            .query({ targetType: 'VEHICLE', targetId: 'XTA210930Y2700000', kind: 'BODY_PHOTO', fileName: 'body.png' })
+            .set('Content-Type', 'image/png')
+            .send(testData.png);
+
+        expect(response.status).toBe(404);
+    });
+
+    // Тест получения списка вложений ТС
+    test('should list vehicle attachments', async () => {
+        const response = await request(app)
+            .get('/api/attachments')
+            .set('Authorization', employeeAuth)
+            .query({ targetType: 'VEHICLE', targetId: testData.vehicle.vin });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map(item => item.attachmentId)).toContain(attachmentId);
+    });
+
+    // Тест скачивания файла без изменений
+    test('should download the stored file', async () => {
+        const response = await request(app)
+            .get(`/api/attachments/${attachmentId}/file`)
+            .set('Authorization', employeeAuth)
+            .buffer(true);
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch('image/png');
+        expect(Buffer.compare(response.body, testData.png)).toBe(0);
+    });
+
+    // Тест удаления вложения
+    test('should delete an attachment', async () => {
+        const response = await request(app)
+            .delete(`/api/attachments/${attachmentId}`)
+            .set('Authorization', employeeAuth);
+
+        expect(response.status).toBe(200);
+
+        const download = await request(app).get(`/api/attachments/${attachmentId}/file`).set('Authorization', employeeAuth);
+        expect(download.status).toBe(404);
+    });
+});
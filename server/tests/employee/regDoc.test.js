@@ -1,5 +1,6 @@
 const request = require('supertest');
 const app = require('../../app');
+const { createAuth } = require('../helpers/auth');
 
 describe('Registration Document API', () => {
   // Тестовые данные для владельцев и документов
@@ -38,7 +39,8 @@ describe('Registration Document API', () => {
       pts: '12 АБ 345678',
       sts: '12 34 567890',
       registrationDate: '2024-03-20',
-      documentOwner: '1234 567890'
+      documentOwner: '1234 567890',
+      vin: 'XTA21099012345601'
     },
     regDocLegalEntity: {
       registrationNumber: 'В456ВВ78',
@@ -46,18 +48,62 @@ describe('Registration Document API', () => {
       pts: '34 ВГ 789012',
       sts: '34 56 789012',
       registrationDate: '2024-03-20',
-      documentOwner: '1234567890'
+      documentOwner: '1234567890',
+      vin: 'XTA21099012345602'
+    },
+    vehicle: {
+      makeAndModel: 'Lada Vesta',
+      releaseYear: '2021',
+      manufacture: 'АвтоВАЗ',
+      typeOfDrive: 'FWD',
+      power: '78 кВт/106 л.с.',
+      hasChassisNumber: false,
+      bodyColor: 'Белый',
+      transmissionType: 'MT',
+      steeringWheel: 'Левостороннее',
+      engineModel: '21129',
+      engineVolume: 1596
+    },
+    department: {
+      unitCode: '770077',
+      departmentName: 'Отдел выдачи документов',
+      address: 'г. Москва, ул. Документная, д. 7',
+      regionCode: '77'
+    },
+    employee: {
+      badgeNumber: '77-0077',
+      unitCode: '770077',
+      lastName: 'Документов',
+      firstName: 'Денис',
+      patronymic: 'Денисович',
+      rank: 'Ст. лейтенант'
     }
   };
 
+  let adminAuth, employeeAuth;
+
   beforeAll(async () => {
+    adminAuth = await createAuth('ADMIN');
+    await request(app).post('/api/admin/reg-depart').set('Authorization', adminAuth).send(testData.department);
+    await request(app).post('/api/admin/employees').set('Authorization', adminAuth).send(testData.employee);
+    await request(app)
+      .post('/api/admin/plates/generate')
+      .set('Authorization', adminAuth)
+      .send({ regionCode: testData.department.regionCode, series: 'ЕКХ', from: 1, to: 5 });
+    employeeAuth = await createAuth('EMPLOYEE', { badgeNumber: testData.employee.badgeNumber });
+
     await request(app).post('/api/auth/register/natural-person').send(testData.naturalPerson1);
     await request(app).post('/api/auth/register/natural-person').send(testData.naturalPerson2);
     await request(app).post('/api/auth/register/legal-entity').send(testData.legalEntity1);
     await request(app).post('/api/auth/register/legal-entity').send(testData.legalEntity2);
 
-    await request(app).post('/api/employee/reg-docs').send(testData.regDocNaturalPerson);
-    await request(app).post('/api/employee/reg-docs').send(testData.regDocLegalEntity);
+    const ownerAuth = await createAuth('OWNER', { passportData: testData.naturalPerson1.passportData });
+    for (const vin of [testData.regDocNaturalPerson.vin, testData.regDocLegalEntity.vin]) {
+      await request(app).post('/api/owner/vehicles').set('Authorization', ownerAuth).send({ ...testData.vehicle, vin });
+    }
+
+    await request(app).post('/api/employee/reg-docs').set('Authorization', employeeAuth).send(testData.regDocNaturalPerson);
+    await request(app).post('/api/employee/reg-docs').set('Authorization', employeeAuth).send(testData.regDocLegalEntity);
   });
 
   afterAll(async () => {
@@ -267,6 +313,54 @@ describe('Registration Document API', () => {
       
       expect(res.statusCode).toBe(409);
     });
+
+    // Тест проверки срока временной регистрации
+    test('should return 400 when temporary registration ends before registration date', async () => {
+      const res = await request(app)
+        .post('/api/employee/reg-docs')
+        .set('Authorization', employeeAuth)
+        .send({
+          ...testData.regDocLegalEntity,
+          registrationNumber: 'Е789ЕЕ79',
+          pts: '78 ЖЗ 123456',
+          sts: '78 90 123456',
+          validUntil: '2024-03-01'
+        });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    // Тест обязательного VIN: без него нельзя проверить ограничения на ТС
+    test('should return 400 without VIN', async () => {
+      const { vin, ...withoutVin } = testData.regDocLegalEntity;
+      const res = await request(app)
+        .post('/api/employee/reg-docs')
+        .set('Authorization', employeeAuth)
+        .send({ ...withoutVin, registrationNumber: 'Е789ЕЕ79', pts: '78 ЖЗ 123456', sts: '78 90 123456' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    // Тест запрета выдачи документа на ТС под арестом
+    test('should return 409 for vehicle with active restriction', async () => {
+      await request(app)
+        .post(`/api/employee/vehicles/${testData.regDocLegalEntity.vin}/restrictions`)
+        .set('Authorization', employeeAuth)
+        .send({
+          type: 'ARREST',
+          authority: 'Тверской районный суд г. Москвы',
+          documentNumber: '2-4321/2026',
+          imposedAt: '2026-01-15'
+        });
+
+      const res = await request(app)
+        .post('/api/employee/reg-docs')
+        .set('Authorization', employeeAuth)
+        .send({ ...testData.regDocLegalEntity, registrationNumber: 'Е789ЕЕ79', pts: '78 ЖЗ 123456', sts: '78 90 123456' });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.message).toMatch('active restrictions');
+    });
   });
 
   describe('PUT Operations', () => {
@@ -329,6 +423,17 @@ describe('Registration Document API', () => {
   });
 
   describe('PATCH Operations', () => {
+    // Тест установки срока временной регистрации
+    test('should set temporary registration end date', async () => {
+      const res = await request(app)
+        .patch(`/api/employee/reg-docs/${testData.regDocLegalEntity.registrationNumber}`)
+        .set('Authorization', employeeAuth)
+        .send({ validUntil: '2099-12-31' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toHaveProperty('validUntil', '2099-12-31');
+    });
+
     // Тест частичного обновления документа
     test('should patch document', async () => {
       const patchData = {
@@ -368,4 +473,273 @@ describe('Registration Document API', () => {
       expect(res.statusCode).toBe(404);
     });
   });
-}); 
\ No newline at end of file
+
+  describe('Electronic PTS', () => {
+    const eptsDoc = {
+      address: testData.legalEntity1.address,
+      pts: '164301000123456',
+      ptsType: 'ELECTRONIC',
+      ptsStatus: 'ACTIVE',
+      ptsIssuedAt: '2024-02-10',
+      sts: '77 01 123456',
+      vin: testData.regDocNaturalPerson.vin,
+      registrationDate: '2024-03-20',
+      documentOwner: testData.legalEntity1.taxNumber
+    };
+
+    // Тест создания документа с ЭПТС
+    test('should create document with electronic PTS', async () => {
+      const res = await request(app)
+        .post('/api/employee/reg-docs')
+        .set('Authorization', employeeAuth)
+        .send(eptsDoc);
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body).toMatchObject({ pts: eptsDoc.pts, ptsType: 'ELECTRONIC', ptsStatus: 'ACTIVE' });
+    });
+
+    // Тест проверки формата номера ЭПТС
+    test('should validate electronic PTS number', async () => {
+      const res = await request(app)
+        .post('/api/employee/reg-docs')
+        .set('Authorization', employeeAuth)
+        .send({ ...eptsDoc, pts: '12 АБ 345678', sts: '77 01 654321' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    // Тест обязательного статуса ЭПТС
+    test('should require electronic PTS status', async () => {
+      const { ptsStatus, ...withoutStatus } = eptsDoc;
+      const res = await request(app)
+        .post('/api/employee/reg-docs')
+        .set('Authorization', employeeAuth)
+        .send({ ...withoutStatus, pts: '164301000654321', sts: '77 01 654321' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    // Тест постановки на учет с погашенным ЭПТС
+    test('should reject cancelled electronic PTS', async () => {
+      const res = await request(app)
+        .post('/api/employee/reg-docs')
+        .set('Authorization', employeeAuth)
+        .send({ ...eptsDoc, pts: '164301000654321', ptsStatus: 'CANCELLED', sts: '77 01 654321' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    // Тест уникальности номера ЭПТС
+    test('should reject duplicate electronic PTS', async () => {
+      const res = await request(app)
+        .post('/api/employee/reg-docs')
+        .set('Authorization', employeeAuth)
+        .send({ ...eptsDoc, sts: '77 01 654321' });
+
+      expect(res.statusCode).toBe(409);
+    });
+
+    // Тест фильтрации по виду ПТС
+    test('should filter documents by PTS type', async () => {
+      const res = await request(app)
+        .get('/api/employee/reg-docs')
+        .set('Authorization', employeeAuth)
+        .query({ ptsType: 'ELECTRONIC' });
+
+      expect(res.statusCode).toBe(200);
+      res.body.data.forEach(doc => expect(doc.ptsType).toBe('ELECTRONIC'));
+    });
+  });
+
+  describe('Document reissue', () => {
+    const regNumber = testData.regDocLegalEntity.registrationNumber;
+    const oldSts = testData.regDocLegalEntity.sts;
+    const newSts = '34 56 111222';
+
+    // Тест выдачи нового СТС взамен утраченного
+    test('should reissue lost STS', async () => {
+      const res = await request(app)
+        .post(`/api/employee/reg-docs/${regNumber}/reissue`)
+        .set('Authorization', employeeAuth)
+        .send({ kind: 'STS', number: newSts, reason: 'LOST' });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.doc).toHaveProperty('sts', newSts);
+      expect(res.body.data.previous).toHaveProperty('status', 'LOST');
+    });
+
+    // Тест повторной выдачи признанного недействительным номера
+    test('should not reissue invalidated number', async () => {
+      const res = await request(app)
+        .post(`/api/employee/reg-docs/${regNumber}/reissue`)
+        .set('Authorization', employeeAuth)
+        .send({ kind: 'STS', number: oldSts, reason: 'DAMAGED' });
+
+      expect(res.statusCode).toBe(409);
+    });
+
+    // Тест валидации причины выдачи
+    test('should validate reissue reason', async () => {
+      const res = await request(app)
+        .post(`/api/employee/reg-docs/${regNumber}/reissue`)
+        .set('Authorization', employeeAuth)
+        .send({ kind: 'STS', number: '34 56 333444', reason: 'UNKNOWN' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    // Тест поиска по замененному номеру
+    test('should report replaced number on lookup', async () => {
+      const res = await request(app)
+        .get('/api/employee/documents/lookup')
+        .set('Authorization', employeeAuth)
+        .query({ kind: 'STS', number: oldSts });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data).toHaveProperty('status', 'LOST');
+      expect(res.body.data.replacedBy).toHaveProperty('number', newSts);
+    });
+
+    // Тест истории номеров документа
+    test('should return document number history', async () => {
+      const res = await request(app)
+        .get(`/api/employee/reg-docs/${regNumber}/documents`)
+        .set('Authorization', employeeAuth);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.filter(document => document.kind === 'STS')).toHaveLength(2);
+    });
+
+    // Тест поиска по никогда не выдававшемуся номеру
+    test('should return 404 for unknown number', async () => {
+      const res = await request(app)
+        .get('/api/employee/documents/lookup')
+        .set('Authorization', employeeAuth)
+        .query({ kind: 'STS', number: '99 99 999999' });
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe('Certificate PDF', () => {
+    // Тест печати документа, по которому ТС еще не регистрировалось
+    test('should not print certificate without registered vehicle', async () => {
+      const res = await request(app)
+        .get(`/api/employee/reg-docs/${testData.regDocLegalEntity.registrationNumber}/certificate.pdf`)
+        .set('Authorization', employeeAuth);
+
+      expect(res.statusCode).toBe(409);
+    });
+
+    // Тест печати несуществующего документа
+    test('should return 404 for unknown document', async () => {
+      const res = await request(app)
+        .get('/api/employee/reg-docs/А999АА99/certificate.pdf')
+        .set('Authorization', employeeAuth);
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    // Тест валидации регистрационного номера
+    test('should validate registration number', async () => {
+      const res = await request(app)
+        .get('/api/employee/reg-docs/INVALID/certificate.pdf')
+        .set('Authorization', employeeAuth);
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    // Тест версии шаблона, сохраняемой при оформлении документа
+    test('should store current certificate template version', async () => {
+      const res = await request(app)
+        .get(`/api/employee/reg-docs/${testData.regDocNaturalPerson.registrationNumber}`)
+        .set('Authorization', employeeAuth);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.certificateTemplate).toBe('v3');
+    });
+  });
+  describe('Co-owners', () => {
+    const regNumber = testData.regDocNaturalPerson.registrationNumber;
+
+    // Тест документа без совладельцев: единственный владелец с долей 1/1
+    test('should return the sole owner with a full share', async () => {
+      const res = await request(app)
+        .get(`/api/employee/reg-docs/${regNumber}/owners`)
+        .set('Authorization', employeeAuth);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data).toEqual([{
+        owner: testData.naturalPerson1.passportData,
+        shareNumerator: 1,
+        shareDenominator: 1,
+        isPrimary: true
+      }]);
+    });
+
+    // Тест назначения совладельцев с долями
+    test('should set co-owners with shares and a primary owner', async () => {
+      const res = await request(app)
+        .put(`/api/employee/reg-docs/${regNumber}/owners`)
+        .set('Authorization', employeeAuth)
+        .send({
+          owners: [
+            { owner: testData.naturalPerson1.passportData, shareNumerator: 1, shareDenominator: 2 },
+            { owner: testData.naturalPerson2.passportData, shareNumerator: 1, shareDenominator: 2, isPrimary: true }
+          ]
+        });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data).toHaveLength(2);
+      expect(res.body.data[0].owner).toBe(testData.naturalPerson2.passportData);
+
+      const doc = await request(app).get(`/api/employee/reg-docs/${regNumber}`).set('Authorization', employeeAuth);
+      expect(doc.body.documentOwner).toBe(testData.naturalPerson2.passportData);
+    });
+
+    // Тест долей, которые в сумме не дают единицу
+    test('should reject shares that do not add up to one', async () => {
+      const res = await request(app)
+        .put(`/api/employee/reg-docs/${regNumber}/owners`)
+        .set('Authorization', employeeAuth)
+        .send({
+          owners: [
+            { owner: testData.naturalPerson1.passportData, shareNumerator: 1, shareDenominator: 2, isPrimary: true },
+            { owner: testData.naturalPerson2.passportData, shareNumerator: 1, shareDenominator: 3 }
+          ]
+        });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    // Тест обязательного основного владельца
+    test('should require exactly one primary owner', async () => {
+      const res = await request(app)
+        .put(`/api/employee/reg-docs/${regNumber}/owners`)
+        .set('Authorization', employeeAuth)
+        .send({
+          owners: [
+            { owner: testData.naturalPerson1.passportData, shareNumerator: 1, shareDenominator: 2 },
+            { owner: testData.naturalPerson2.passportData, shareNumerator: 1, shareDenominator: 2 }
+          ]
+        });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    // Тест совладельца, который не зарегистрирован в системе
+    test('should reject an unknown co-owner', async () => {
+      const res = await request(app)
+        .put(`/api/employee/reg-docs/${regNumber}/owners`)
+        .set('Authorization', employeeAuth)
+        .send({
+          owners: [
+            { owner: testData.naturalPerson1.passportData, shareNumerator: 1, shareDenominator: 2, isPrimary: true },
+            { owner: '9999 999999', shareNumerator: 1, shareDenominator: 2 }
+          ]
+        });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+const request = require('supertest');
+const app = require('../../app');
+const { createAuth } = require('../helpers/auth');
+
+describe('Ownership Transfer API', () => {
+    let employeeAuth;
+
+    beforeAll(async () => {
+        employeeAuth = await createAuth('EMPLOYEE');
+    });
+
+    describe('GET Transfers', () => {
+        // Тест получения списка передач ТС с пагинацией
+        test('should get all transfers with pagination', async () => {
+            const response = await request(app)
+                .get('/api/employee/transfers')
+                .set('Authorization', employeeAuth)
+                .query({ limit: 10, page: 1 });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveProperty('total');
+            expect(response.body).toHaveProperty('pages');
+            expect(Array.isArray(response.body.data)).toBe(true);
+        });
+
+        // Тест валидации фильтра по статусу
+        test('should validate status filter', async () => {
+            const response = await request(app)
+                .get('/api/employee/transfers')
+                .set('Authorization', employeeAuth)
+                .query({ status: 'UNKNOWN' });
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('Finalize Transfer', () => {
+        // Тест валидации данных нового регистрационного документа
+        test('should validate finalize payload', async () => {
+            const response = await request(app)
+                .post('/api/employee/transfers/1/finalize')
+                .set('Authorization', employeeAuth)
+                .send({ registrationNumber: 'INVALID', sts: '123' });
+
+            expect(response.status).toBe(400);
+        });
+
+        // Тест обработки несуществующей передачи
+        test('should return 404 for non-existent transfer', async () => {
+            const response = await request(app)
+                .post('/api/employee/transfers/999999/finalize')
+                .set('Authorization', employeeAuth)
+                .send({ registrationNumber: 'А123АА77', sts: '12 34 567890' });
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('Transfer lifecycle', () => {
+        const testData = {
+            seller: {
+                isNaturalPerson: true,
+                passportData: '7711 000001',
+                address: 'г. Москва, ул. Продавцов, д. 1',
+                lastName: 'Продавцов',
+                firstName: 'Семен',
+                patronymic: 'Семенович'
+            },
+            buyer: {
+                isNaturalPerson: true,
+                passportData: '7711 000002',
+                address: 'г. Москва, ул. Покупателей, д. 2',
+                lastName: 'Покупателев',
+                firstName: 'Борис',
+                patronymic: 'Борисович'
+            },
+            department: {
+                unitCode: '771100',
+                departmentName: 'Отдел перерегистрации',
+                address: 'ул. Передаточная, д. 11',
+                regionCode: '77'
+            },
+            vehicle: {
+                vin: 'XTA210990Y2771101',
+                makeAndModel: 'Lada Vesta',
+                releaseYear: 2021,
+                manufacture: 'АвтоВАЗ',
+                typeOfDrive: 'FWD',
+                powerKw: 78,
+                powerHp: 106,
+                hasChassisNumber: false,
+                bodyColor: 'Синий',
+                transmissionType: 'MT',
+                steeringWheel: 'Левостороннее',
+                engineModel: '21129',
+                engineVolume: 1596
+            },
+            sellerDoc: {
+                registrationNumber: 'Е771КХ77',
+                address: 'г. Москва, ул. Продавцов, д. 1',
+                pts: '77 КХ 110001',
+                sts: '77 11 000001',
+                registrationDate: '2025-03-01',
+                documentOwner: '7711 000001',
+                vin: 'XTA210990Y2771101'
+            },
+            finalize: {
+                registrationNumber: 'Е772КХ77',
+                sts: '77 11 000002',
+                operationDate: '2025-06-10T10:00:00.000Z'
+            }
+        };
+
+        let adminAuth, sellerAuth, buyerAuth;
+        let transferId;
+
+        beforeAll(async () => {
+            adminAuth = await createAuth('ADMIN');
+            sellerAuth = await createAuth('OWNER', { passportData: testData.seller.passportData });
+            buyerAuth = await createAuth('OWNER', { passportData: testData.buyer.passportData });
+            await request(app).post('/api/auth/register/natural-person').send(testData.seller);
+            await request(app).post('/api/auth/register/natural-person').send(testData.buyer);
+            await request(app).post('/api/admin/reg-depart').set('Authorization', adminAuth).send(testData.department);
+            await request(app).post('/api/owner/vehicles').set('Authorization', sellerAuth).send(testData.vehicle);
+            await request(app).post('/api/employee/reg-docs').set('Authorization', employeeAuth).send(testData.sellerDoc);
+            await request(app).post('/api/owner/reg-op').set('Authorization', employeeAuth).send({
+                vin: testData.vehicle.vin,
+                registrationNumber: testData.sellerDoc.registrationNumber,
+                unitCode: testData.department.unitCode,
+                operationType: 'Постановка на учет',
+                operationBase: 'Договор купли-продажи',
+                operationDate: '2025-03-01'
+            });
+        });
+
+        // Тест создания передачи продавцом
+        test('should create transfer for registered vehicle', async () => {
+            const response = await request(app)
+                .post('/api/owner/transfers')
+                .set('Authorization', sellerAuth)
+                .send({
+                    vin: testData.vehicle.vin,
+                    buyer: testData.buyer.passportData,
+                    unitCode: testData.department.unitCode
+                });
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.status).toBe('PENDING_BUYER');
+            transferId = response.body.data.transferId;
+        });
+
+        // Тест запрета оформления передачи, не принятой покупателем
+        test('should not finalize transfer before buyer accepts', async () => {
+            const response = await request(app)
+                .post(`/api/employee/transfers/${transferId}/finalize`)
+                .set('Authorization', employeeAuth)
+                .send(testData.finalize);
+
+            expect(response.status).toBe(409);
+
+            const sellerDoc = await request(app)
+                .get(`/api/employee/reg-docs/${testData.sellerDoc.registrationNumber}`)
+                .set('Authorization', employeeAuth);
+            expect(sellerDoc.body.status).toBe('ACTIVE');
+        });
+
+        // Тест принятия передачи покупателем
+        test('should accept transfer by buyer', async () => {
+            const response = await request(app)
+                .post(`/api/owner/transfers/${transferId}/accept`)
+                .set('Authorization', buyerAuth);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.status).toBe('ACCEPTED');
+        });
+
+        // Тест оформления передачи с выдачей нового документа покупателю
+        test('should finalize accepted transfer', async () => {
+            const response = await request(app)
+                .post(`/api/employee/transfers/${transferId}/finalize`)
+                .set('Authorization', employeeAuth)
+                .send(testData.finalize);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.transfer).toMatchObject({
+                status: 'COMPLETED',
+                newRegistrationNumber: testData.finalize.registrationNumber
+            });
+            expect(response.body.data.registrationDoc).toMatchObject({
+                registrationNumber: testData.finalize.registrationNumber,
+                documentOwner: testData.buyer.passportData,
+                status: 'ACTIVE'
+            });
+
+            const sellerDoc = await request(app)
+                .get(`/api/employee/reg-docs/${testData.sellerDoc.registrationNumber}`)
+                .set('Authorization', employeeAuth);
+            expect(sellerDoc.body.status).toBe('CLOSED');
+
+            const status = await request(app)
+                .get(`/api/employee/vehicles/${testData.vehicle.vin}/status`)
+                .set('Authorization', employeeAuth);
+            expect(status.body.data).toMatchObject({
+                status: 'REGISTERED',
+                registrationNumber: testData.finalize.registrationNumber,
+                documentOwner: testData.buyer.passportData
+            });
+        });
+
+        // Тест запрета повторного оформления завершенной передачи
+        test('should not finalize completed transfer again', async () => {
+            const response = await request(app)
+                .post(`/api/employee/transfers/${transferId}/finalize`)
+                .set('Authorization', employeeAuth)
+                .send({ ...testData.finalize, registrationNumber: 'Е773КХ77', sts: '77 11 000003' });
+
+            expect(response.status).toBe(409);
+        });
+    });
+});
@@ -1,12 +1,13 @@
 const request = require('supertest');
 const app = require('../../app');
+const { createAuth } = require('../helpers/auth');
 
 describe('Transport Vehicle API', () => {
     const testData = {
         vehicle1: {
             vin: 'XTA210990Y2765432',
             makeAndModel: 'Lada Vesta',
-            releaseYear: '2023',
+            releaseYear: 2023,
             manufacture: 'АвтоВАЗ',
             typeOfDrive: 'FWD',
             power: '78 кВт/106 л.с.',
@@ -20,7 +21,7 @@ describe('Transport Vehicle API', () => {
         vehicle2: {
             vin: 'XTA210990Y2765433',
             makeAndModel: 'Lada Granta',
-            releaseYear: '2022',
+            releaseYear: 2022,
             manufacture: 'АвтоВАЗ',
             typeOfDrive: 'FWD',
             power: '66 кВт/90 л.с.',
@@ -33,13 +34,20 @@ describe('Transport Vehicle API', () => {
         }
     };
 
+    let employeeAuth, ownerAuth;
+
     beforeAll(async () => {
+        employeeAuth = await createAuth('EMPLOYEE');
+        ownerAuth = await createAuth('OWNER', { passportData: '4510 123456' });
+
         await request(app)
             .post('/api/owner/vehicles')
+            .set('Authorization', ownerAuth)
             .send(testData.vehicle1);
         
         await request(app)
             .post('/api/owner/vehicles')
+            .set('Authorization', ownerAuth)
             .send(testData.vehicle2);
     });
 
@@ -80,13 +88,13 @@ describe('Transport Vehicle API', () => {
             test('should filter vehicles by releaseYear', async () => {
                 const res = await request(app)
                     .get('/api/employee/vehicles')
-                    .query({ releaseYear: '2023' });
+                    .query({ releaseYear: 2023 });
                 
                 expect(res.statusCode).toBe(200);
                 expect(res.body.data).toEqual(
                     expect.arrayContaining([
                         expect.objectContaining({
-                            releaseYear: '2023'
+                            releaseYear: 2023
                         })
                     ])
                 );
@@ -111,6 +119,36 @@ describe('Transport Vehicle API', () => {
                 );
             });
 
+            // Тест фильтрации по диапазонам мощности и года выпуска
+            test('should filter vehicles by power and releaseYear ranges', async () => {
+                const res = await request(app)
+                    .get('/api/employee/vehicles')
+                    .set('Authorization', employeeAuth)
+                    .query({
+                        powerHpFrom: 100,
+                        powerHpTo: 110,
+                        releaseYearFrom: 2023,
+                        releaseYearTo: 2023
+                    });
+
+                expect(res.statusCode).toBe(200);
+                res.body.data.forEach(vehicle => {
+                    expect(vehicle.powerHp).toBeGreaterThanOrEqual(100);
+                    expect(vehicle.powerHp).toBeLessThanOrEqual(110);
+                    expect(vehicle.releaseYear).toBe(2023);
+                });
+            });
+
+            // Тест отклонения диапазона с перепутанными границами
+            test('should return 400 for inverted range', async () => {
+                const res = await request(app)
+                    .get('/api/employee/vehicles')
+                    .set('Authorization', employeeAuth)
+                    .query({ engineVolumeFrom: 2000, engineVolumeTo: 1000 });
+
+                expect(res.statusCode).toBe(400);
+            });
+
             // Тест сортировки транспортных средств по году выпуска в порядке убывания
             test('should sort vehicles by releaseYear in descending order', async () => {
                 const res = await request(app)
@@ -174,7 +212,7 @@ describe('Transport Vehicle API', () => {
             test('should update vehicle with valid data', async () => {
                 const updateData = {
                     makeAndModel: 'Lada Vesta',
-                    releaseYear: '2023',
+                    releaseYear: 2023,
                     manufacture: 'АвтоВАЗ',
                     typeOfDrive: 'FWD',
                     power: '78 кВт/106 л.с.',
@@ -209,7 +247,7 @@ describe('Transport Vehicle API', () => {
             test('should handle hasChassisNumber update', async () => {
                 const updateData = {
                     makeAndModel: 'Lada Vesta',
-                    releaseYear: '2023',
+                    releaseYear: 2023,
                     manufacture: 'АвтоВАЗ',
                     typeOfDrive: 'FWD',
                     power: '78 кВт/106 л.с.',
@@ -232,6 +270,39 @@ describe('Transport Vehicle API', () => {
                 });
             });
 
+            // Тест хранения мощности в числовых полях
+            test('should store power as kW and hp numbers', async () => {
+                const res = await request(app)
+                    .put(`/api/employee/vehicles/${testData.vehicle1.vin}`)
+                    .set('Authorization', employeeAuth)
+                    .send({
+                        makeAndModel: 'Lada Vesta',
+                        releaseYear: 2023,
+                        manufacture: 'АвтоВАЗ',
+                        typeOfDrive: 'FWD',
+                        powerKw: 90,
+                        powerHp: 122,
+                        bodyColor: 'Белый',
+                        transmissionType: 'MT',
+                        steeringWheel: 'Левостороннее',
+                        engineModel: '21129',
+                        engineVolume: 1596,
+                        curbMass: 1230,
+                        maxMass: 1670,
+                        seatsCount: 5
+                    });
+
+                expect(res.statusCode).toBe(200);
+                expect(res.body.data).toMatchObject({
+                    powerKw: 90,
+                    powerHp: 122,
+                    power: '90 кВт/122 л.с.',
+                    curbMass: 1230,
+                    maxMass: 1670,
+                    seatsCount: 5
+                });
+            });
+
             // Тест обработки невалидных данных при обновлении
             test('should return 400 for invalid data', async () => {
                 const res = await request(app)
@@ -250,7 +321,7 @@ describe('Transport Vehicle API', () => {
                     .put('/api/employee/vehicles/XTA210990Y2765439')
                     .send({
                         makeAndModel: 'Test',
-                        releaseYear: '2023',
+                        releaseYear: 2023,
                         manufacture: 'АвтоВАЗ',
                         typeOfDrive: 'FWD',
                         power: '78 кВт/106 л.с.',
@@ -330,4 +401,353 @@ describe('Transport Vehicle API', () => {
             });
         });
     });
-}); 
\ No newline at end of file
+
+    describe('GET /api/employee/vehicles/:vin/status', () => {
+        // Тест получения статуса регистрации ТС без операций
+        test('should return NOT_REGISTERED for vehicle without operations', async () => {
+            const res = await request(app)
+                .get(`/api/employee/vehicles/${testData.vehicle1.vin}/status`)
+                .set('Authorization', employeeAuth);
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data).toHaveProperty('vin', testData.vehicle1.vin);
+            expect(res.body.data).toHaveProperty('status', 'NOT_REGISTERED');
+            expect(res.body.data.documentOwner).toBeNull();
+        });
+
+        // Тест обработки неверного формата VIN
+        test('should return 400 for invalid VIN format', async () => {
+            const res = await request(app)
+                .get('/api/employee/vehicles/INVALID/status')
+                .set('Authorization', employeeAuth);
+
+            expect(res.statusCode).toBe(400);
+        });
+
+        // Тест обработки запроса статуса несуществующего ТС
+        test('should return 404 for non-existent VIN', async () => {
+            const res = await request(app)
+                .get('/api/employee/vehicles/XTA210990Y2765439/status')
+                .set('Authorization', employeeAuth);
+
+            expect(res.statusCode).toBe(404);
+        });
+    });
+
+    describe('POST /api/owner/vehicles/:vin/deregister', () => {
+        // Тест проверки причины снятия с учета
+        test('should validate deregistration reason', async () => {
+            const res = await request(app)
+                .post(`/api/owner/vehicles/${testData.vehicle1.vin}/deregister`)
+                .set('Authorization', ownerAuth)
+                .send({ reason: 'UNKNOWN' });
+
+            expect(res.statusCode).toBe(400);
+        });
+
+        // Тест обязательного комментария для иной причины
+        test('should require comment for OTHER reason', async () => {
+            const res = await request(app)
+                .post(`/api/owner/vehicles/${testData.vehicle1.vin}/deregister`)
+                .set('Authorization', ownerAuth)
+                .send({ reason: 'OTHER' });
+
+            expect(res.statusCode).toBe(400);
+        });
+
+        // Тест снятия с учета незарегистрированного ТС
+        test('should reject deregistration of unregistered vehicle', async () => {
+            const res = await request(app)
+                .post(`/api/owner/vehicles/${testData.vehicle1.vin}/deregister`)
+                .set('Authorization', ownerAuth)
+                .send({ reason: 'DISPOSAL' });
+
+            expect(res.statusCode).toBe(409);
+        });
+    });
+
+    describe('Vehicle restrictions', () => {
+        const restriction = {
+            type: 'ARREST',
+            authority: 'Тверской районный суд г. Москвы',
+            documentNumber: '2-1234/2026',
+            imposedAt: '2026-01-15'
+        };
+
+        // Тест внесения ограничения
+        test('should create restriction for vehicle', async () => {
+            const res = await request(app)
+                .post(`/api/employee/vehicles/${testData.vehicle2.vin}/restrictions`)
+                .set('Authorization', employeeAuth)
+                .send(restriction);
+
+            expect(res.statusCode).toBe(201);
+            expect(res.body.data).toHaveProperty('type', 'ARREST');
+            expect(res.body.data).toHaveProperty('active', true);
+        });
+
+        // Тест повторного внесения ограничения по тому же документу
+        test('should reject duplicate restriction', async () => {
+            const res = await request(app)
+                .post(`/api/employee/vehicles/${testData.vehicle2.vin}/restrictions`)
+                .set('Authorization', employeeAuth)
+                .send(restriction);
+
+            expect(res.statusCode).toBe(409);
+        });
+
+        // Тест валидации вида ограничения
+        test('should validate restriction type', async () => {
+            const res = await request(app)
+                .post(`/api/employee/vehicles/${testData.vehicle2.vin}/restrictions`)
+                .set('Authorization', employeeAuth)
+                .send({ ...restriction, type: 'UNKNOWN' });
+
+            expect(res.statusCode).toBe(400);
+        });
+
+        // Тест внесения ограничения для несуществующего ТС
+        test('should return 404 for unknown vehicle', async () => {
+            const res = await request(app)
+                .post('/api/employee/vehicles/XTA00000000000000/restrictions')
+                .set('Authorization', employeeAuth)
+                .send(restriction);
+
+            expect(res.statusCode).toBe(404);
+        });
+
+        // Тест отображения действующих ограничений в списке ТС
+        test('should include active restrictions in vehicle list', async () => {
+            const res = await request(app)
+                .get('/api/employee/vehicles')
+                .set('Authorization', employeeAuth)
+                .query({ search: testData.vehicle2.vin });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data[0].restrictions).toHaveLength(1);
+        });
+
+        // Тест блокировки регистрационного действия при аресте
+        test('should block registration operation while restriction is active', async () => {
+            const res = await request(app)
+                .post('/api/owner/reg-op')
+                .set('Authorization', employeeAuth)
+                .send({
+                    vin: testData.vehicle2.vin,
+                    unitCode: '770001',
+                    operationType: 'Постановка на учет',
+                    operationBase: 'Договор купли-продажи',
+                    operationDate: '2026-02-01'
+                });
+
+            expect(res.statusCode).toBe(409);
+            expect(res.body.message).toContain('Арест');
+        });
+
+        // Тест снятия ограничения
+        test('should lift restriction', async () => {
+            const list = await request(app)
+                .get(`/api/employee/vehicles/${testData.vehicle2.vin}/restrictions`)
+                .set('Authorization', employeeAuth);
+
+            const res = await request(app)
+                .post(`/api/employee/restrictions/${list.body.data[0].restrictionId}/lift`)
+                .set('Authorization', employeeAuth)
+                .send({ liftDocumentNumber: '2-1234/2026-С' });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data).toHaveProperty('active', false);
+        });
+
+        // Тест повторного снятия ограничения
+        test('should reject lifting already lifted restriction', async () => {
+            const list = await request(app)
+                .get(`/api/employee/vehicles/${testData.vehicle2.vin}/restrictions`)
+                .set('Authorization', employeeAuth);
+
+            const res = await request(app)
+                .post(`/api/employee/restrictions/${list.body.data[0].restrictionId}/lift`)
+                .set('Authorization', employeeAuth)
+                .send({ liftDocumentNumber: '2-1234/2026-С' });
+
+            expect(res.statusCode).toBe(409);
+        });
+    });
+
+    describe('VIN decoding', () => {
+        // Тест расшифровки VIN с контрольной цифрой
+        test('should decode manufacturer, model year and check digit', async () => {
+            const res = await request(app)
+                .get('/api/vehicles/decode/1HGCM82633A004352')
+                .set('Authorization', employeeAuth);
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data).toHaveProperty('manufacturer', 'Honda');
+            expect(res.body.data).toHaveProperty('modelYear', 2003);
+            expect(res.body.data.checkDigit).toHaveProperty('valid', true);
+        });
+
+        // Тест VIN без обязательной контрольной цифры
+        test('should not require check digit for european VIN', async () => {
+            const res = await request(app)
+                .get(`/api/vehicles/decode/${testData.vehicle1.vin}`)
+                .set('Authorization', employeeAuth);
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.checkDigit).toHaveProperty('applies', false);
+        });
+
+        // Тест валидации формата VIN
+        test('should return 400 for invalid VIN format', async () => {
+            const res = await request(app)
+                .get('/api/vehicles/decode/INVALID')
+                .set('Authorization', employeeAuth);
+
+            expect(res.statusCode).toBe(400);
+        });
+    });
+
+    describe('Powertrain', () => {
+        const electricVehicle = {
+            vin: 'XW8ZZZ61ZKG000777',
+            makeAndModel: 'Evolute i-Pro',
+            releaseYear: 2023,
+            manufacture: 'Моторинвест',
+            typeOfDrive: 'FWD',
+            powerKw: 110,
+            powerHp: 150,
+            bodyColor: 'Серый',
+            transmissionType: 'AT',
+            steeringWheel: 'Левостороннее',
+            powertrainType: 'BEV',
+            electricMotorPower: 110,
+            batteryCapacity: 53.6
+        };
+
+        // Тест регистрации электромобиля без рабочего объема двигателя
+        test('should create battery electric vehicle without engine volume', async () => {
+            const res = await request(app)
+                .post('/api/owner/vehicles')
+                .set('Authorization', ownerAuth)
+                .send(electricVehicle);
+
+            expect(res.statusCode).toBe(201);
+            expect(res.body.data).toMatchObject({
+                powertrainType: 'BEV',
+                engineVolume: null,
+                electricMotorPower: 110,
+                batteryCapacity: 53.6
+            });
+        });
+
+        // Тест запрета рабочего объема у электромобиля
+        test('should reject engine volume for electric vehicle', async () => {
+            const res = await request(app)
+                .post('/api/owner/vehicles')
+                .set('Authorization', ownerAuth)
+                .send({ ...electricVehicle, vin: 'XW8ZZZ61ZKG000778', engineVolume: 1596 });
+
+            expect(res.statusCode).toBe(400);
+        });
+
+        // Тест обязательной емкости батареи для электромобиля
+        test('should require battery capacity for electric vehicle', async () => {
+            const { batteryCapacity, ...withoutBattery } = electricVehicle;
+            const res = await request(app)
+                .post('/api/owner/vehicles')
+                .set('Authorization', ownerAuth)
+                .send({ ...withoutBattery, vin: 'XW8ZZZ61ZKG000779' });
+
+            expect(res.statusCode).toBe(400);
+        });
+
+        // Тест согласованности полей при частичном обновлении
+        test('should reject switching to ICE without engine data', async () => {
+            const res = await request(app)
+                .patch(`/api/employee/vehicles/${electricVehicle.vin}`)
+                .set('Authorization', employeeAuth)
+                .send({ powertrainType: 'ICE' });
+
+            expect(res.statusCode).toBe(400);
+        });
+
+        // Тест фильтрации списка по типу силовой установки
+        test('should filter vehicles by powertrain type', async () => {
+            const res = await request(app)
+                .get('/api/employee/vehicles')
+                .set('Authorization', employeeAuth)
+                .query({ powertrainType: 'BEV' });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.length).toBeGreaterThan(0);
+            res.body.data.forEach(vehicle => expect(vehicle.powertrainType).toBe('BEV'));
+        });
+    });
+
+    describe('Category', () => {
+        const trailer = {
+            vin: 'X8982940ZKG000123',
+            makeAndModel: 'МЗСА 817711',
+            releaseYear: 2022,
+            manufacture: 'МЗСА',
+            category: 'E',
+            bodyColor: 'Серый',
+            maxMass: 750
+        };
+
+        // Тест регистрации прицепа без характеристик двигателя
+        test('should create trailer without engine fields', async () => {
+            const res = await request(app)
+                .post('/api/owner/vehicles')
+                .set('Authorization', ownerAuth)
+                .send(trailer);
+
+            expect(res.statusCode).toBe(201);
+            expect(res.body.data).toMatchObject({
+                category: 'E',
+                powertrainType: null,
+                powerKw: null,
+                engineVolume: null,
+                maxMass: 750
+            });
+        });
+
+        // Тест запрета характеристик двигателя у прицепа
+        test('should reject engine data for trailer', async () => {
+            const res = await request(app)
+                .post('/api/owner/vehicles')
+                .set('Authorization', ownerAuth)
+                .send({ ...trailer, vin: 'X8982940ZKG000124', powerKw: 50, powerHp: 68 });
+
+            expect(res.statusCode).toBe(400);
+        });
+
+        // Тест обязательной разрешенной максимальной массы грузового автомобиля
+        test('should require permitted maximum mass for truck', async () => {
+            const res = await request(app)
+                .post('/api/owner/vehicles')
+                .set('Authorization', ownerAuth)
+                .send({
+                    ...testData.vehicle1,
+                    vin: 'XTC652005K1000125',
+                    makeAndModel: 'КАМАЗ 65115',
+                    manufacture: 'КАМАЗ',
+                    category: 'C'
+                });
+
+            expect(res.statusCode).toBe(400);
+        });
+
+        // Тест фильтрации списка по категории
+        test('should filter vehicles by category', async () => {
+            const res = await request(app)
+                .get('/api/employee/vehicles')
+                .set('Authorization', employeeAuth)
+                .query({ category: 'E' });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.length).toBeGreaterThan(0);
+            res.body.data.forEach(vehicle => expect(vehicle.category).toBe('E'));
+        });
+    });
+});
@@ -0,0 +1,38 @@
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { User } = require('../../models/associations');
+
+const JWT_SECRET = process.env.SECRET_KEY || 'secret-key';
+
+let userCount = 0;
+
+// Учетная запись создается напрямую в БД, без регистрации через API
+async function createUser(role, attributes = {}) {
+  userCount++;
+  return User.create({
+    email: `${role.toLowerCase()}${userCount}@test.example.com`,
+    password: await bcrypt.hash('TestPass123', 4),
+    role,
+    ...attributes
+  });
+}
+
+// Токен подписывается так же, как при входе, и передается в .set('Authorization', ...)
+function bearer(user) {
+  const token = jwt.sign(
+    { id: user.id, email: user.email, role: user.role },
+    JWT_SECRET,
+    { expiresIn: '24h' }
+  );
+  return `Bearer ${token}`;
+}
+
+async function createAuth(role, attributes) {
+  return bearer(await createUser(role, attributes));
+}
+
+module.exports = {
+  createUser,
+  bearer,
+  createAuth
+};
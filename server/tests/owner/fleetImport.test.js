@@ -0,0 +1,236 @@
+const request = require('supertest');
+const app = require('../../app');
+const { createAuth } = require('../helpers/auth');
+
+describe('Fleet Import API', () => {
+    const testData = {
+        legalEntity: {
+            isNaturalPerson: false,
+            taxNumber: '5356540001',
+            address: 'г. Москва, ул. Автопарковая, д. 7',
+            companyName: 'ООО Автопарк'
+        },
+        department: {
+            unitCode: '535654',
+            departmentName: 'Отдел регистрации автопарков',
+            address: 'ул. Парковая, д. 1'
+        },
+        vehicle1: {
+            vin: 'XTA210990Y2766001',
+            makeAndModel: 'Lada Vesta',
+            releaseYear: 2023,
+            manufacture: 'АвтоВАЗ',
+            typeOfDrive: 'FWD',
+            powerKw: 78,
+            powerHp: 106,
+            hasChassisNumber: true,
+            bodyColor: 'Белый',
+            transmissionType: 'MT',
+            steeringWheel: 'Левостороннее',
+            engineModel: '21129',
+            engineVolume: 1596
+        },
+        vehicle2: {
+            vin: 'XTA210990Y2766002',
+            makeAndModel: 'Lada Granta',
+            releaseYear: 2022,
+            manufacture: 'АвтоВАЗ',
+            typeOfDrive: 'FWD',
+            powerKw: 66,
+            powerHp: 90,
+            hasChassisNumber: false,
+            bodyColor: 'Черный',
+            transmissionType: 'MT',
+            steeringWheel: 'Левостороннее',
+            engineModel: '21116',
+            engineVolume: 1596
+        },
+        naturalPerson: {
+            isNaturalPerson: true,
+            passportData: '5356 540001',
+            address: 'г. Москва, ул. Частная, д. 3',
+            lastName: 'Частников',
+            firstName: 'Олег',
+            patronymic: 'Олегович'
+        },
+        regDoc: {
+            registrationNumber: 'Е535КХ77',
+            address: 'г. Москва, ул. Частная, д. 3',
+            pts: '53 КХ 565401',
+            sts: '53 56 540001',
+            registrationDate: '2025-05-20',
+            documentOwner: '5356 540001',
+            vin: 'XTA210990Y2766003'
+        }
+    };
+
+    const batch = {
+        unitCode: testData.department.unitCode,
+        operationBase: `Заявление составлено владельцем — ИНН: ${testData.legalEntity.taxNumber}`,
+        applicationDate: '2025-06-01'
+    };
+
+    let adminAuth, employeeAuth, managerAuth, viewerAuth;
+
+    beforeAll(async () => {
+        adminAuth = await createAuth('ADMIN');
+        employeeAuth = await createAuth('EMPLOYEE');
+        managerAuth = await createAuth('OWNER', { taxNumber: testData.legalEntity.taxNumber, companyRole: 'FLEET_MANAGER' });
+        viewerAuth = await createAuth('OWNER', { taxNumber: testData.legalEntity.taxNumber, companyRole: 'VIEWER' });
+        await request(app).post('/api/auth/register/legal-entity').send(testData.legalEntity);
+        await request(app).post('/api/admin/reg-depart').set('Authorization', adminAuth).send(testData.department);
+    });
+
+    describe('Validation', () => {
+        // Тест импорта пустого файла
+        test('should reject import without vehicles', async () => {
+            const res = await request(app)
+                .post('/api/owner/vehicles/import')
+                .set('Authorization', managerAuth)
+                .send({ ...batch, dryRun: true, rows: [] });
+
+            expect(res.statusCode).toBe(400);
+        });
+
+        // Тест ограничения размера пакета
+        test('should reject import of more than 100 vehicles', async () => {
+            const res = await request(app)
+                .post('/api/owner/vehicles/import')
+                .set('Authorization', managerAuth)
+                .send({ ...batch, dryRun: true, rows: Array(101).fill(testData.vehicle1) });
+
+            expect(res.statusCode).toBe(400);
+        });
+
+        // Тест проверки кода подразделения
+        test('should validate department unit code', async () => {
+            const res = await request(app)
+                .post('/api/owner/vehicles/import')
+                .set('Authorization', managerAuth)
+                .send({ ...batch, dryRun: true, unitCode: '123', rows: [testData.vehicle1] });
+
+            expect(res.statusCode).toBe(400);
+        });
+
+        // Тест запрета импорта для роли компании только на просмотр
+        test('should forbid import for company viewer', async () => {
+            const res = await request(app)
+                .post('/api/owner/vehicles/import')
+                .set('Authorization', viewerAuth)
+                .send({ ...batch, dryRun: true, rows: [testData.vehicle1] });
+
+            expect(res.statusCode).toBe(403);
+        });
+    });
+
+    describe('Dry run', () => {
+        // Тест проверки файла без создания ТС и заявлений
+        test('should report rows without creating vehicles', async () => {
+            const res = await request(app)
+                .post('/api/owner/vehicles/import')
+                .set('Authorization', managerAuth)
+                .send({ ...batch, dryRun: true, rows: [testData.vehicle1, testData.vehicle2] });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body).toMatchObject({ dryRun: true, total: 2, accepted: 2, rejected: 0 });
+            expect(res.body.rows.map(row => row.vin)).toEqual([testData.vehicle1.vin, testData.vehicle2.vin]);
+
+            const vehicle = await request(app)
+                .get(`/api/employee/vehicles/${testData.vehicle1.vin}`)
+                .set('Authorization', employeeAuth);
+            expect(vehicle.statusCode).toBe(404);
+        });
+
+        // Тест отметки VIN, повторяющегося в файле
+        test('should report duplicate VIN within file', async () => {
+            const res = await request(app)
+                .post('/api/owner/vehicles/import')
+                .set('Authorization', managerAuth)
+                .send({ ...batch, dryRun: true, rows: [testData.vehicle1, testData.vehicle1] });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body).toMatchObject({ accepted: 1, rejected: 1 });
+            expect(res.body.rows[1]).toMatchObject({ row: 2, vin: testData.vehicle1.vin, valid: false });
+            expect(res.body.rows[1].errors[0]).toMatch('повторяется в файле');
+        });
+    });
+
+    describe('Import', () => {
+        // Тест импорта только прошедших проверку строк
+        test('should import only valid rows of mixed file', async () => {
+            const invalidVehicle = { ...testData.vehicle2, releaseYear: 'неизвестен' };
+            const res = await request(app)
+                .post('/api/owner/vehicles/import')
+                .set('Authorization', managerAuth)
+                .send({ ...batch, rows: [testData.vehicle1, invalidVehicle] });
+
+            expect(res.statusCode).toBe(201);
+            expect(res.body).toMatchObject({ total: 2, accepted: 1, rejected: 1 });
+            expect(res.body.rows[1]).toMatchObject({ row: 2, vin: testData.vehicle2.vin, valid: false });
+            expect(res.body.data).toHaveLength(1);
+            expect(res.body.data[0]).toMatchObject({
+                vin: testData.vehicle1.vin,
+                applicant: testData.legalEntity.taxNumber,
+                status: 'SUBMITTED'
+            });
+
+            const imported = await request(app)
+                .get(`/api/employee/vehicles/${testData.vehicle1.vin}`)
+                .set('Authorization', employeeAuth);
+            expect(imported.statusCode).toBe(200);
+
+            const skipped = await request(app)
+                .get(`/api/employee/vehicles/${testData.vehicle2.vin}`)
+                .set('Authorization', employeeAuth);
+            expect(skipped.statusCode).toBe(404);
+        });
+
+        // Тест повторного импорта ТС с поданным заявлением
+        test('should reject vehicle with pending application', async () => {
+            const res = await request(app)
+                .post('/api/owner/vehicles/import')
+                .set('Authorization', managerAuth)
+                .send({ ...batch, dryRun: true, rows: [testData.vehicle1] });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.rows[0]).toMatchObject({ valid: false, existingVehicle: true });
+        });
+    });
+
+    describe('Ownership', () => {
+        const privateVehicle = { ...testData.vehicle1, vin: testData.regDoc.vin };
+
+        beforeAll(async () => {
+            const ownerAuth = await createAuth('OWNER', { passportData: testData.naturalPerson.passportData });
+            await request(app).post('/api/auth/register/natural-person').send(testData.naturalPerson);
+            await request(app).post('/api/owner/vehicles').set('Authorization', ownerAuth).send(privateVehicle);
+            await request(app).post('/api/employee/reg-docs').set('Authorization', employeeAuth).send(testData.regDoc);
+            await request(app).post('/api/owner/reg-op').set('Authorization', employeeAuth).send({
+                vin: privateVehicle.vin,
+                registrationNumber: testData.regDoc.registrationNumber,
+                unitCode: testData.department.unitCode,
+                operationType: 'Постановка на учет',
+                operationBase: 'Договор купли-продажи',
+                operationDate: '2025-05-20'
+            });
+        });
+
+        // Тест отказа в заявлении на ТС, зарегистрированное на другого владельца
+        test('should reject vehicle registered to another owner', async () => {
+            const res = await request(app)
+                .post('/api/owner/vehicles/import')
+                .set('Authorization', managerAuth)
+                .send({ ...batch, rows: [privateVehicle] });
+
+            expect(res.statusCode).toBe(400);
+
+            const report = await request(app)
+                .post('/api/owner/vehicles/import')
+                .set('Authorization', managerAuth)
+                .send({ ...batch, dryRun: true, rows: [privateVehicle] });
+
+            expect(report.body.rows[0]).toMatchObject({ valid: false, existingVehicle: true });
+            expect(report.body.rows[0].errors).toContain('ТС зарегистрировано на другого владельца');
+        });
+    });
+});
@@ -0,0 +1,135 @@
+const request = require('supertest');
+const app = require('../../app');
+const { createAuth } = require('../helpers/auth');
+
+const testData = {
+    seller: {
+        isNaturalPerson: true,
+        passportData: '7733 000001',
+        address: 'г. Москва, ул. Историческая, д. 33',
+        lastName: 'Историков',
+        firstName: 'Игорь',
+        patronymic: 'Игоревич'
+    },
+    buyer: {
+        isNaturalPerson: false,
+        taxNumber: '7733000002',
+        address: 'г. Москва, ул. Покупательская, д. 34',
+        companyName: 'ООО Автопарк Истории'
+    },
+    department: {
+        unitCode: '773300',
+        departmentName: 'Отдел регистрации истории',
+        address: 'ул. Архивная, д. 33',
+        regionCode: '77'
+    },
+    vehicle: {
+        vin: 'XTA210990Y2773301',
+        makeAndModel: 'Lada Vesta',
+        releaseYear: 2021,
+        manufacture: 'АвтоВАЗ',
+        typeOfDrive: 'FWD',
+        powerKw: 78,
+        powerHp: 106,
+        hasChassisNumber: false,
+        bodyColor: 'Синий',
+        transmissionType: 'MT',
+        steeringWheel: 'Левостороннее',
+        engineModel: '21129',
+        engineVolume: 1596
+    },
+    sellerDoc: {
+        registrationNumber: 'Е733КХ77',
+        address: 'г. Москва, ул. Историческая, д. 33',
+        pts: '77 КХ 330001',
+        sts: '77 33 000001',
+        registrationDate: '2025-03-01',
+        documentOwner: '7733 000001',
+        vin: 'XTA210990Y2773301'
+    },
+    finalize: {
+        registrationNumber: 'Е734КХ77',
+        sts: '77 33 000002',
+        operationDate: '2025-06-10T10:00:00.000Z'
+    }
+};
+
+// История ТС: постановка на учет продавцом и передача компании
+beforeAll(async () => {
+    const adminAuth = await createAuth('ADMIN');
+    const employeeAuth = await createAuth('EMPLOYEE');
+    const sellerAuth = await createAuth('OWNER', { passportData: testData.seller.passportData });
+    const buyerAuth = await createAuth('OWNER', { taxNumber: testData.buyer.taxNumber, companyRole: 'COMPANY_ADMIN' });
+    await request(app).post('/api/auth/register/natural-person').send(testData.seller);
+    await request(app).post('/api/auth/register/legal-entity').send(testData.buyer);
+    await request(app).post('/api/admin/reg-depart').set('Authorization', adminAuth).send(testData.department);
+    await request(app).post('/api/owner/vehicles').set('Authorization', sellerAuth).send(testData.vehicle);
+    await request(app).post('/api/employee/reg-docs').set('Authorization', employeeAuth).send(testData.sellerDoc);
+    await request(app).post('/api/owner/reg-op').set('Authorization', employeeAuth).send({
+        vin: testData.vehicle.vin,
+        registrationNumber: testData.sellerDoc.registrationNumber,
+        unitCode: testData.department.unitCode,
+        operationType: 'Постановка на учет',
+        operationBase: 'Договор купли-продажи',
+        operationDate: '2025-03-01'
+    });
+
+    const transfer = await request(app)
+        .post('/api/owner/transfers')
+        .set('Authorization', sellerAuth)
+        .send({ vin: testData.vehicle.vin, buyer: testData.buyer.taxNumber, unitCode: testData.department.unitCode });
+    const { transferId } = transfer.body.data;
+    await request(app).post(`/api/owner/transfers/${transferId}/accept`).set('Authorization', buyerAuth);
+    await request(app)
+        .post(`/api/employee/transfers/${transferId}/finalize`)
+        .set('Authorization', employeeAuth)
+        .send(testData.finalize);
+});
+
+describe('VIN History API', () => {
+    // Тест валидации VIN
+    test('should validate VIN format', async () => {
+        const response = await request(app)
+            .get('/api/public/vehicles/INVALID/history');
+
+        expect(response.status).toBe(400);
+    });
+
+    // Тест отчета по незарегистрированному в системе VIN
+    test('should return 404 for unknown VIN', async () => {
+        const response = await request(app)
+            .get('/api/public/vehicles/XTA00000000000000/history');
+
+        expect(response.status).toBe(404);
+    });
+
+    // Тест отчета по ТС со сменой владельца: без ФИО, паспортов, ИНН и адресов владельцев
+    test('should return anonymised history of registered vehicle', async () => {
+        const response = await request(app)
+            .get(`/api/public/vehicles/${testData.vehicle.vin}/history`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({
+            vin: testData.vehicle.vin,
+            makeAndModel: testData.vehicle.makeAndModel,
+            status: 'REGISTERED',
+            firstRegisteredAt: '2025-03-01',
+            registrationsCount: 1,
+            ownersCount: 2,
+            ownershipChanges: ['2025-06-10']
+        });
+
+        const body = JSON.stringify(response.body);
+        for (const value of [
+            testData.seller.lastName,
+            testData.seller.firstName,
+            testData.seller.passportData,
+            testData.seller.address,
+            testData.buyer.companyName,
+            testData.buyer.taxNumber,
+            testData.buyer.address
+        ]) {
+            expect(body).not.toContain(value);
+        }
+    });
+});
@@ -0,0 +1,164 @@
+const request = require('supertest');
+const app = require('../../app');
+const { createAuth } = require('../helpers/auth');
+const {
+    createCertificateToken,
+    createApplicationToken
+} = require('../../services/verificationService');
+
+const testData = {
+    owner: {
+        isNaturalPerson: true,
+        passportData: '7722 000001',
+        address: 'г. Москва, ул. Проверочная, д. 22',
+        lastName: 'Проверкин',
+        firstName: 'Петр',
+        patronymic: 'Петрович'
+    },
+    department: {
+        unitCode: '772200',
+        departmentName: 'Отдел проверки документов',
+        address: 'ул. Подлинная, д. 22',
+        regionCode: '77'
+    },
+    vehicle: {
+        vin: 'XTA210990Y2772201',
+        makeAndModel: 'Lada Vesta',
+        releaseYear: 2021,
+        manufacture: 'АвтоВАЗ',
+        typeOfDrive: 'FWD',
+        powerKw: 78,
+        powerHp: 106,
+        hasChassisNumber: false,
+        bodyColor: 'Синий',
+        transmissionType: 'MT',
+        steeringWheel: 'Левостороннее',
+        engineModel: '21129',
+        engineVolume: 1596
+    },
+    regDoc: {
+        registrationNumber: 'Е722КХ77',
+        address: 'г. Москва, ул. Проверочная, д. 22',
+        pts: '77 КХ 220001',
+        sts: '77 22 000001',
+        registrationDate: '2025-03-01',
+        documentOwner: '7722 000001',
+        vin: 'XTA210990Y2772201'
+    }
+};
+
+beforeAll(async () => {
+    const adminAuth = await createAuth('ADMIN');
+    const employeeAuth = await createAuth('EMPLOYEE');
+    const ownerAuth = await createAuth('OWNER', { passportData: testData.owner.passportData });
+    await request(app).post('/api/auth/register/natural-person').send(testData.owner);
+    await request(app).post('/api/admin/reg-depart').set('Authorization', adminAuth).send(testData.department);
+    await request(app).post('/api/owner/vehicles').set('Authorization', ownerAuth).send(testData.vehicle);
+    await request(app).post('/api/employee/reg-docs').set('Authorization', employeeAuth).send(testData.regDoc);
+    await request(app).post('/api/owner/reg-op').set('Authorization', employeeAuth).send({
+        vin: testData.vehicle.vin,
+        registrationNumber: testData.regDoc.registrationNumber,
+        unitCode: testData.department.unitCode,
+        operationType: 'Постановка на учет',
+        operationBase: 'Договор купли-продажи',
+        operationDate: '2025-03-01'
+    });
+});
+
+describe('Document Verification API', () => {
+    // Тест проверки действующего СТС: в ответе нет VIN и данных владельца
+    test('should verify issued certificate without owner personal data', async () => {
+        const token = createCertificateToken(testData.regDoc);
+
+        const response = await request(app)
+            .get(`/api/public/verify/${token}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({
+            documentType: 'CERTIFICATE',
+            registrationNumber: testData.regDoc.registrationNumber,
+            makeAndModel: testData.vehicle.makeAndModel,
+            status: 'ACTIVE'
+        });
+
+        const body = JSON.stringify(response.body);
+        for (const value of [
+            testData.owner.passportData,
+            testData.owner.lastName,
+            testData.owner.address,
+            testData.vehicle.vin
+        ]) {
+            expect(body).not.toContain(value);
+        }
+    });
+
+    // Тест проверки токена, в котором подпись изменена
+    test('should reject token with altered signature', async () => {
+        const [payload, signature] = createCertificateToken(testData.regDoc).split('.');
+        const altered = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+
+        const response = await request(app)
+            .get(`/api/public/verify/${payload}.${altered}`);
+
+        expect(response.status).toBe(400);
+    });
+
+    // Тест проверки токена, в котором данные подменены, а подпись оставлена прежней
+    test('should reject token with substituted payload', async () => {
+        const [, signature] = createCertificateToken(testData.regDoc).split('.');
+        const [payload] = createCertificateToken({ ...testData.regDoc, registrationNumber: 'А999АА99' }).split('.');
+
+        const response = await request(app)
+            .get(`/api/public/verify/${payload}.${signature}`);
+
+        expect(response.status).toBe(400);
+    });
+
+    // Тест проверки токена с поддельной подписью
+    test('should reject tampered token', async () => {
+        const token = createCertificateToken({ registrationNumber: 'А999АА99', sts: '99 99 999999' });
+        const [payload] = token.split('.');
+
+        const response = await request(app)
+            .get(`/api/public/verify/${payload}.forged`);
+
+        expect(response.status).toBe(400);
+    });
+
+    // Тест проверки СТС, который никогда не выдавался
+    test('should return 404 for unknown certificate', async () => {
+        const token = createCertificateToken({ registrationNumber: 'А999АА99', sts: '99 99 999999' });
+
+        const response = await request(app)
+            .get(`/api/public/verify/${token}`);
+
+        expect(response.status).toBe(404);
+    });
+
+    // Тест проверки несуществующего заявления
+    test('should return 404 for unknown application', async () => {
+        const token = createApplicationToken({ applicationId: 999999 });
+
+        const response = await request(app)
+            .get(`/api/public/verify/${token}`);
+
+        expect(response.status).toBe(404);
+        expect(response.body).not.toHaveProperty('data');
+    });
+
+    // Тест ограничения числа проверок с одного адреса: лимит задается VERIFY_RATE_LIMIT, по умолчанию 30 в минуту
+    test('should limit verification requests per address', async () => {
+        const token = createCertificateToken(testData.regDoc);
+
+        let response = await request(app).get(`/api/public/verify/${token}`);
+        const limit = Number(response.headers['x-ratelimit-limit']);
+        expect(limit).toBeGreaterThan(0);
+
+        for (let remaining = Number(response.headers['x-ratelimit-remaining']); remaining >= 0; remaining--) {
+            response = await request(app).get(`/api/public/verify/${token}`);
+        }
+
+        expect(response.status).toBe(429);
+        expect(response.headers).toHaveProperty('retry-after');
+    });
+});
@@ -0,0 +1,185 @@
+const Joi = require('joi');
+const { CHANGEABLE_VEHICLE_FIELDS, CHANGE_REQUEST_OPERATION_TYPE } = require('../services/vehicleService');
+const { PLATE_PATTERN } = require('../services/vehicleCategoryService');
+
+const applicationStatuses = ['SUBMITTED', 'UNDER_REVIEW', 'NEEDS_CORRECTION', 'APPROVED', 'REJECTED', 'CANCELLED'];
+
+const requestedChangesSchema = Joi.array()
+    .items(Joi.object({
+        field: Joi.string()
+            .valid(...CHANGEABLE_VEHICLE_FIELDS)
+            .required()
+            .messages({
+                'any.only': 'Недопустимое поле для изменения',
+                'any.required': 'Поле изменения обязательно'
+            }),
+        newValue: Joi.alternatives()
+            .try(Joi.string(), Joi.number())
+            .allow(null)
+            .required()
+            .messages({
+                'any.required': 'Новое значение обязательно'
+            })
+    }))
+    .min(1)
+    .unique('field')
+    .messages({
+        'array.min': 'Укажите хотя бы одно изменение',
+        'array.unique': 'Каждое поле может быть указано только один раз'
+    });
+
+const applicationSchema = Joi.object({
+    vin: Joi.string()
+        .pattern(/^[A-HJ-NPR-Z0-9]{17}$/)
+        .required()
+        .messages({
+            'string.pattern.base': 'VIN должен состоять из 17 символов (буквы A-H, J-N, P-Z и цифры)',
+            'any.required': 'VIN обязателен'
+        }),
+    registrationNumber: Joi.string()
+        .pattern(PLATE_PATTERN)
+        .allow('')
+        .optional()
+        .messages({
+            'string.pattern.base': 'Неверный формат регистрационного номера'
+        }),
+    unitCode: Joi.string()
+        .length(6)
+        .required()
+        .messages({
+            'string.length': 'Код подразделения должен состоять из 6 символов',
+            'any.required': 'Код подразделения обязателен'
+        }),
+    operationType: Joi.string()
+        .valid('Постановка на учет', 'Снятие с учета', 'Внесение измененеий в регистрационные данные')
+        .required()
+        .messages({
+            'any.only': 'Неверный тип операции',
+            'any.required': 'Тип операции обязателен'
+        }),
+    operationBase: Joi.string()
+        .max(255)
+        .required()
+        .messages({
+            'string.max': 'Основание операции не должно превышать 255 символов',
+            'any.required': 'Основание операции обязательно'
+        }),
+    requestedPlateNumber: Joi.when('operationType', {
+        is: 'Постановка на учет',
+        then: Joi.string()
+            .pattern(PLATE_PATTERN)
+            .optional()
+            .messages({
+                'string.pattern.base': 'Неверный формат желаемого регистрационного номера'
+            }),
+        otherwise: Joi.forbidden()
+    }).messages({
+        'any.unknown': 'Желаемый регистрационный номер указывается только при постановке на учет'
+    }),
+    validUntil: Joi.when('operationType', {
+        is: 'Постановка на учет',
+        then: Joi.date()
+            .iso()
+            .greater('now')
+            .optional()
+            .messages({
+                'date.greater': 'Срок временной регистрации должен быть в будущем'
+            }),
+        otherwise: Joi.forbidden()
+    }).messages({
+        'any.unknown': 'Срок временной регистрации указывается только при постановке на учет'
+    }),
+    requestedChanges: Joi.when('operationType', {
+        is: CHANGE_REQUEST_OPERATION_TYPE,
+        then: requestedChangesSchema.required(),
+        otherwise: Joi.forbidden()
+    }).messages({
+        'any.required': 'Для внесения изменений укажите запрашиваемые изменения',
+        'any.unknown': 'Запрашиваемые изменения указываются только для внесения изменений в регистрационные данные'
+    }),
+    applicationDate: Joi.date()
+        .iso()
+        .required()
+        .messages({
+            'date.base': 'Неверный формат даты',
+            'date.format': 'Дата должна быть в формате ISO',
+            'any.required': 'Дата подачи заявления обязательна'
+        }),
+    // Представитель указывает доверителя, от имени которого подает заявление
+    principal: Joi.string()
+        .pattern(/^(\d{4} \d{6}|\d{10})$/)
+        .optional()
+        .messages({
+            'string.pattern.base': 'Доверитель указывается паспортом ("1234 567890") или ИНН (10 цифр)'
+        })
+});
+
+const applicationCorrectionSchema = Joi.object({
+    unitCode: Joi.string()
+        .length(6)
+        .messages({
+            'string.length': 'Код подразделения должен состоять из 6 символов'
+        }),
+    operationBase: Joi.string()
+        .max(255)
+        .messages({
+            'string.max': 'Основание операции не должно превышать 255 символов'
+        }),
+    requestedChanges: requestedChangesSchema,
+    applicationDate: Joi.date()
+        .iso()
+        .messages({
+            'date.base': 'Неверный формат даты',
+            'date.format': 'Дата должна быть в формате ISO'
+        })
+});
+
+const applicationCommentSchema = Joi.object({
+    comment: Joi.string()
+        .max(255)
+        .required()
+        .messages({
+            'string.max': 'Комментарий не должен превышать 255 символов',
+            'any.required': 'Комментарий обязателен'
+        })
+});
+
+const applicationApproveSchema = Joi.object({
+    registrationNumber: Joi.string()
+        .pattern(PLATE_PATTERN)
+        .allow(null)
+        .optional()
+        .messages({
+            'string.pattern.base': 'Неверный формат регистрационного номера'
+        }),
+    operationDate: Joi.date()
+        .iso()
+        .optional()
+        .messages({
+            'date.base': 'Неверный формат даты',
+            'date.format': 'Дата должна быть в формате ISO'
+        }),
+    approvedFields: Joi.array()
+        .items(Joi.string().valid(...CHANGEABLE_VEHICLE_FIELDS))
+        .unique()
+        .optional()
+        .messages({
+            'any.only': 'Недопустимое поле для изменения',
+            'array.unique': 'Поля не должны повторяться'
+        }),
+    comment: Joi.string()
+        .max(255)
+        .allow('')
+        .optional()
+        .messages({
+            'string.max': 'Комментарий не должен превышать 255 символов'
+        })
+});
+
+module.exports = {
+    applicationStatuses,
+    applicationSchema,
+    applicationCorrectionSchema,
+    applicationCommentSchema,
+    applicationApproveSchema
+};
@@ -0,0 +1,30 @@
+const Joi = require('joi');
+
+const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const slotGenerateSchema = Joi.object({
+    date: Joi.date().iso().required(),
+    startTime: Joi.string().pattern(timePattern).required(),
+    endTime: Joi.string().pattern(timePattern).required(),
+    intervalMinutes: Joi.number().integer().min(5).max(480).default(30),
+    capacity: Joi.number().integer().min(1).max(50).default(1)
+});
+
+const slotPatchSchema = Joi.object({
+    capacity: Joi.number().integer().min(1).max(50).required()
+});
+
+const slotQuerySchema = Joi.object({
+    date: Joi.date().iso().optional()
+});
+
+const appointmentSchema = Joi.object({
+    slotId: Joi.number().integer().positive().required()
+});
+
+module.exports = {
+    slotGenerateSchema,
+    slotPatchSchema,
+    slotQuerySchema,
+    appointmentSchema
+};
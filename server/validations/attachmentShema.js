@@ -0,0 +1,45 @@
+const Joi = require('joi');
+const { ATTACHMENT_KINDS, ATTACHMENT_TARGETS } = require('../services/attachmentService');
+const { PLATE_PATTERN } = require('../services/vehicleCategoryService');
+const { VIN_PATTERN } = require('../services/vinService');
+
+const attachmentTarget = {
+    targetType: Joi.string().valid(...ATTACHMENT_TARGETS).required()
+        .messages({
+            'any.only': 'Неизвестный тип объекта вложения',
+            'any.required': 'Тип объекта вложения обязателен'
+        }),
+    targetId: Joi.alternatives().conditional('targetType', {
+        switch: [
+            { is: 'VEHICLE', then: Joi.string().pattern(VIN_PATTERN) },
+            { is: 'REG_DOC', then: Joi.string().pattern(PLATE_PATTERN) }
+        ],
+        otherwise: Joi.number().integer().positive()
+    }).required()
+        .messages({
+            'string.pattern.base': 'Неверный идентификатор объекта вложения',
+            'number.base': 'Неверный номер заявления',
+            'any.required': 'Идентификатор объекта вложения обязателен'
+        })
+};
+
+const attachmentQuerySchema = Joi.object(attachmentTarget);
+
+const attachmentUploadSchema = Joi.object({
+    ...attachmentTarget,
+    kind: Joi.string().valid(...Object.keys(ATTACHMENT_KINDS)).required()
+        .messages({
+            'any.only': 'Неизвестный вид вложения',
+            'any.required': 'Вид вложения обязателен'
+        }),
+    fileName: Joi.string().trim().max(255).required()
+        .messages({
+            'string.max': 'Имя файла не должно превышать 255 символов',
+            'any.required': 'Имя файла обязательно'
+        })
+});
+
+module.exports = {
+    attachmentQuerySchema,
+    attachmentUploadSchema
+};
@@ -0,0 +1,35 @@
+const Joi = require('joi');
+
+const namesSchema = Joi.array().items(Joi.string().trim().min(1).max(100)).unique().default([]);
+
+const manufacturerSchema = Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    aliases: namesSchema
+});
+
+const vehicleModelSchema = Joi.object({
+    manufacturerId: Joi.number().integer().positive().required(),
+    make: Joi.string().trim().min(1).max(50).required(),
+    model: Joi.string().trim().min(1).max(50).required(),
+    aliases: namesSchema,
+    engineModels: Joi.array().items(
+        Joi.string().pattern(/^[A-Z0-9-]+$/)
+            .messages({
+                'string.pattern.base': 'Модель двигателя должна содержать только латинские буквы, цифры и дефис'
+            })
+    ).unique().default([]),
+    typesOfDrive: Joi.array().items(Joi.string().valid('FWD', 'RWD', 'AWD', '4WD')).unique().default([])
+});
+
+const catalogueQuerySchema = Joi.object({
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    page: Joi.number().integer().min(1).default(1),
+    search: Joi.string().trim().allow('').optional(),
+    manufacturerId: Joi.number().integer().positive().optional()
+});
+
+module.exports = {
+    manufacturerSchema,
+    vehicleModelSchema,
+    catalogueQuerySchema
+};
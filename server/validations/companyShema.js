@@ -0,0 +1,50 @@
+const Joi = require('joi');
+const { COMPANY_ROLES } = require('../services/companyService');
+
+const companyRoleField = Joi.string()
+    .valid(...Object.keys(COMPANY_ROLES))
+    .required()
+    .messages({
+        'any.only': 'Недопустимая роль в компании',
+        'any.required': 'Роль в компании обязательна'
+    });
+
+const companyInviteSchema = Joi.object({
+    email: Joi.string()
+        .email()
+        .required()
+        .messages({
+            'string.email': 'Некорректный email',
+            'any.required': 'Email обязателен'
+        }),
+    companyRole: companyRoleField
+});
+
+const companyMemberSchema = Joi.object({
+    companyRole: companyRoleField
+});
+
+const inviteRegistrationSchema = Joi.object({
+    token: Joi.string()
+        .hex()
+        .length(64)
+        .required()
+        .messages({
+            'string.hex': 'Некорректная ссылка приглашения',
+            'string.length': 'Некорректная ссылка приглашения',
+            'any.required': 'Токен приглашения обязателен'
+        }),
+    password: Joi.string()
+        .min(6)
+        .required()
+        .messages({
+            'string.min': 'Пароль должен содержать не менее 6 символов',
+            'any.required': 'Пароль обязателен'
+        })
+});
+
+module.exports = {
+    companyInviteSchema,
+    companyMemberSchema,
+    inviteRegistrationSchema
+};
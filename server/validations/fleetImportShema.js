@@ -0,0 +1,26 @@
+const Joi = require('joi');
+const { applicationSchema } = require('./applicationShema');
+const { MAX_IMPORT_ROWS } = require('../services/fleetImportService');
+
+// Общие для всех строк файла реквизиты заявления; сами строки проверяются по схеме создания ТС
+const fleetImportSchema = Joi.object({
+    unitCode: applicationSchema.extract('unitCode'),
+    operationBase: applicationSchema.extract('operationBase'),
+    applicationDate: applicationSchema.extract('applicationDate'),
+    principal: applicationSchema.extract('principal'),
+    dryRun: Joi.boolean().default(false),
+    rows: Joi.array()
+        .items(Joi.object().unknown(true))
+        .min(1)
+        .max(MAX_IMPORT_ROWS)
+        .required()
+        .messages({
+            'array.min': 'Файл не содержит ни одного ТС',
+            'array.max': `За один раз можно импортировать не более ${MAX_IMPORT_ROWS} ТС`,
+            'any.required': 'Список ТС обязателен'
+        })
+});
+
+module.exports = {
+    fleetImportSchema
+};
@@ -0,0 +1,75 @@
+const Joi = require('joi');
+const {
+    PLATE_FORMATS,
+    PLATE_PATTERN,
+    VEHICLE_CATEGORIES,
+    DEFAULT_VEHICLE_CATEGORY,
+    getPlateFormatCategories
+} = require('../services/vehicleCategoryService');
+
+const plateStatuses = ['FREE', 'RESERVED', 'ISSUED', 'RETIRED'];
+
+const plateNumberSchema = Joi.string().pattern(PLATE_PATTERN).required()
+    .messages({ 'string.pattern.base': 'Неверный формат регистрационного номера' });
+
+const regionCodeSchema = Joi.string().pattern(/^\d{2,3}$/)
+    .messages({ 'string.pattern.base': 'Код региона должен состоять из 2-3 цифр' });
+
+const categorySchema = Joi.string().valid(...Object.keys(VEHICLE_CATEGORIES));
+
+// Правило, зависящее от формата знака, который положен категории ТС
+function byPlateFormat(schemaForFormat) {
+    return Joi.when('category', {
+        switch: Object.entries(PLATE_FORMATS).map(([plateFormat, format]) => ({
+            is: Joi.valid(...getPlateFormatCategories(plateFormat)),
+            then: schemaForFormat(format)
+        }))
+    });
+}
+
+const plateQuerySchema = Joi.object({
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    page: Joi.number().integer().min(1).default(1),
+    search: Joi.string().allow('').optional(),
+    regionCode: regionCodeSchema.optional(),
+    status: Joi.string().valid(...plateStatuses).optional(),
+    available: Joi.boolean().optional(),
+    sortBy: Joi.string().valid('plateNumber', 'status', 'reservedUntil', 'issuedAt', 'availableFrom').optional(),
+    sortOrder: Joi.string().valid('ASC', 'DESC').optional()
+});
+
+const plateSearchSchema = Joi.object({
+    category: categorySchema.default(DEFAULT_VEHICLE_CATEGORY),
+    pattern: byPlateFormat(format => Joi.string().uppercase().pattern(format.searchPattern).required()
+        .messages({
+            'string.pattern.base': `Pattern must follow the plate format ${format.label} without the region code, where * matches any character`,
+            'any.required': 'Search pattern is required'
+        })),
+    unitCode: Joi.string().length(6).required()
+        .messages({
+            'string.length': 'Department code must be 6 characters long',
+            'any.required': 'Department code is required'
+        }),
+    limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+// Серия и диапазон номеров задаются в формате знака категории ТС
+const plateGenerateSchema = Joi.object({
+    regionCode: regionCodeSchema.required(),
+    category: categorySchema.default(DEFAULT_VEHICLE_CATEGORY),
+    series: byPlateFormat(format => Joi.string().pattern(new RegExp(`^[АВЕКМНОРСТУХ]{${format.seriesLength}}$`)).required()
+        .messages({ 'string.pattern.base': `Series must consist of ${format.seriesLength} letters allowed on registration plates` })),
+    from: Joi.number().integer().min(1).default(1),
+    to: byPlateFormat(format => Joi.number().integer().min(Joi.ref('from')).max(10 ** format.numberLength - 1)
+        .default(10 ** format.numberLength - 1)
+        .messages({ 'number.min': 'The end of the range must not be less than its start' }))
+});
+
+module.exports = {
+    plateStatuses,
+    plateNumberSchema,
+    regionCodeSchema,
+    plateQuerySchema,
+    plateSearchSchema,
+    plateGenerateSchema
+};
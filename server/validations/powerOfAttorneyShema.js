@@ -0,0 +1,56 @@
+const Joi = require('joi');
+const { POWER_OF_ATTORNEY_SCOPES } = require('../services/powerOfAttorneyService');
+
+const PERSON_PATTERN = /^(\d{4} \d{6}|\d{10})$/;
+
+const powerOfAttorneySchema = Joi.object({
+    representative: Joi.string()
+        .pattern(PERSON_PATTERN)
+        .required()
+        .messages({
+            'string.pattern.base': 'Представитель указывается паспортом ("1234 567890") или ИНН (10 цифр)',
+            'any.required': 'Представитель обязателен'
+        }),
+    scope: Joi.array()
+        .items(Joi.string().valid(...Object.keys(POWER_OF_ATTORNEY_SCOPES)))
+        .min(1)
+        .unique()
+        .required()
+        .messages({
+            'any.only': 'Недопустимое полномочие',
+            'array.min': 'Укажите хотя бы одно полномочие',
+            'array.unique': 'Полномочия не должны повторяться',
+            'any.required': 'Полномочия обязательны'
+        }),
+    validFrom: Joi.date()
+        .iso()
+        .required()
+        .messages({
+            'date.format': 'Дата начала действия должна быть в формате YYYY-MM-DD',
+            'any.required': 'Дата начала действия обязательна'
+        }),
+    validUntil: Joi.date()
+        .iso()
+        .min(Joi.ref('validFrom'))
+        .required()
+        .messages({
+            'date.format': 'Дата окончания действия должна быть в формате YYYY-MM-DD',
+            'date.min': 'Дата окончания действия не может быть раньше даты начала',
+            'any.required': 'Дата окончания действия обязательна'
+        }),
+    notarialNumber: Joi.string()
+        .trim()
+        .min(3)
+        .max(50)
+        .required()
+        .messages({
+            'string.min': 'Номер в реестре нотариуса должен содержать от 3 до 50 символов',
+            'string.max': 'Номер в реестре нотариуса должен содержать от 3 до 50 символов',
+            'string.empty': 'Номер в реестре нотариуса обязателен',
+            'any.required': 'Номер в реестре нотариуса обязателен'
+        })
+});
+
+module.exports = {
+    powerOfAttorneySchema
+};
@@ -1,19 +1,23 @@
 const Joi = require('joi');
+const { regionCodeSchema } = require('./plateShema');
 
 const regDepartSchema = Joi.object({
     unitCode: Joi.string().length(6).required(),
     departmentName: Joi.string().min(8).max(128).required(),
-    address: Joi.string().min(8).max(255).required()    
+    address: Joi.string().min(8).max(255).required(),
+    regionCode: regionCodeSchema.optional()
 });
 
 const regDepartPutSchema = Joi.object({
     departmentName: Joi.string().min(8).max(128).required(),
-    address: Joi.string().min(8).max(255).required()    
+    address: Joi.string().min(8).max(255).required(),
+    regionCode: regionCodeSchema.optional()
 });
 
 const regDepartPatchSchema = Joi.object({
     departmentName: Joi.string().min(8).max(128),
-    address: Joi.string().min(8).max(255)
+    address: Joi.string().min(8).max(255),
+    regionCode: regionCodeSchema
 }).min(1);
 
 module.exports = {
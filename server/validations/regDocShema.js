@@ -1,14 +1,65 @@
 const Joi = require('joi');
+const { PLATE_PATTERN } = require('../services/vehicleCategoryService');
+
+// Форматы паспорта ТС: бумажный ПТС и 15-значный номер ЭПТС
+const PTS_PATTERNS = {
+    PAPER: /^\d{2} [А-Я]{2} \d{6}$/,
+    ELECTRONIC: /^\d{15}$/
+};
+
+const ptsTypes = ['PAPER', 'ELECTRONIC'];
+const eptsStatuses = ['ACTIVE', 'INCOMPLETE', 'CANCELLED'];
+
+const ptsTypeSchema = Joi.string().valid(...ptsTypes)
+    .messages({ 'any.only': 'PTS type must be either PAPER or ELECTRONIC' });
+
+const eptsStatusSchema = Joi.string().valid(...eptsStatuses)
+    .messages({ 'any.only': 'Electronic PTS status must be one of ACTIVE, INCOMPLETE, CANCELLED' });
+
+const ptsSchema = Joi.string().when('ptsType', {
+    is: 'ELECTRONIC',
+    then: Joi.string().pattern(PTS_PATTERNS.ELECTRONIC)
+        .messages({ 'string.pattern.base': 'Electronic PTS number must consist of 15 digits' }),
+    otherwise: Joi.string().pattern(PTS_PATTERNS.PAPER)
+        .messages({ 'string.pattern.base': 'PTS must match format: 12 АБ 345678 (2 digits + space + 2 uppercase Russian letters + space + 6 digits)' })
+});
+
+// Для ЭПТС статус и дата оформления обязательны, у бумажного ПТС статуса нет
+const ptsDetailsSchema = {
+    ptsType: ptsTypeSchema.default('PAPER'),
+    ptsStatus: Joi.when('ptsType', {
+        is: 'ELECTRONIC',
+        then: eptsStatusSchema.required(),
+        otherwise: Joi.valid(null).optional()
+    }).messages({
+        'any.required': 'Electronic PTS status is required',
+        'any.only': 'Paper PTS has no status'
+    }),
+    ptsIssuedAt: Joi.date().iso().max('now')
+        .when('ptsType', { is: 'ELECTRONIC', then: Joi.required(), otherwise: Joi.allow(null).optional() })
+        .messages({
+            'date.max': 'PTS issue date cannot be in the future',
+            'any.required': 'Electronic PTS issue date is required'
+        })
+};
 
 const regDocSchema = Joi.object({
-    registrationNumber: Joi.string().pattern(/^[АВЕКМНОРСТУХ]\d{3}[АВЕКМНОРСТУХ]{2}\d{2,3}$/).required()
+    registrationNumber: Joi.string().pattern(PLATE_PATTERN).optional()
         .messages({ 'string.pattern.base': 'Registration number must match format: А123АА77 (1 letter + 3 digits + 2 letters + 2-3 digits)' }),
     address: Joi.string().min(8).max(255).required(),
-    pts: Joi.string().pattern(/^\d{2} [А-Я]{2} \d{6}$/).required()
-        .messages({ 'string.pattern.base': 'PTS must match format: 12 АБ 345678 (2 digits + space + 2 uppercase Russian letters + space + 6 digits)' }),
+    pts: ptsSchema.required(),
+    ...ptsDetailsSchema,
     sts: Joi.string().pattern(/^\d{2} \d{2} \d{6}$/).required()
         .messages({ 'string.pattern.base': 'STS must match format: 12 34 567890 (2 digits + space + 2 digits + space + 6 digits)' }),
     registrationDate: Joi.date().iso().required(),
+    validUntil: Joi.date().iso().greater(Joi.ref('registrationDate')).allow(null).optional()
+        .messages({ 'date.greater': 'Temporary registration must end after the registration date' }),
+    // По VIN проверяются ограничения на регистрационные действия, без него документ не выдается
+    vin: Joi.string().length(17).required()
+        .messages({
+            'string.length': 'VIN must be exactly 17 characters long',
+            'any.required': 'VIN is required to check restrictions on the vehicle'
+        }),
     documentOwner: Joi.string().required()
         .custom((value, helpers) => {
             if (value.length === 11) {
@@ -28,11 +79,13 @@ const regDocSchema = Joi.object({
 
 const regDocPutSchema = Joi.object({
     address: Joi.string().min(8).max(255).required(),
-    pts: Joi.string().pattern(/^\d{2} [А-Я]{2} \d{6}$/).required()
-        .messages({ 'string.pattern.base': 'PTS must match format: 12 АБ 345678 (2 digits + space + 2 uppercase Russian letters + space + 6 digits)' }),
+    pts: ptsSchema.required(),
+    ...ptsDetailsSchema,
     sts: Joi.string().pattern(/^\d{2} \d{2} \d{6}$/).required()
         .messages({ 'string.pattern.base': 'STS must match format: 12 34 567890 (2 digits + space + 2 digits + space + 6 digits)' }),
     registrationDate: Joi.date().iso().required(),
+    validUntil: Joi.date().iso().greater(Joi.ref('registrationDate')).allow(null).optional()
+        .messages({ 'date.greater': 'Temporary registration must end after the registration date' }),
     documentOwner: Joi.string().required()
         .custom((value, helpers) => {
             if (value.length === 11) {
@@ -52,11 +105,16 @@ const regDocPutSchema = Joi.object({
 
 const regDocPatchSchema = Joi.object({
     address: Joi.string().min(8).max(255),
-    pts: Joi.string().pattern(/^\d{2} [А-Я]{2} \d{6}$/)
-        .messages({ 'string.pattern.base': 'PTS must match format: 12 АБ 345678 (2 digits + space + 2 uppercase Russian letters + space + 6 digits)' }),
+    pts: Joi.string().pattern(new RegExp(`${PTS_PATTERNS.PAPER.source}|${PTS_PATTERNS.ELECTRONIC.source}`))
+        .messages({ 'string.pattern.base': 'PTS must be either a paper passport (12 АБ 345678) or a 15-digit electronic PTS number' }),
+    ptsType: ptsTypeSchema,
+    ptsStatus: eptsStatusSchema.allow(null),
+    ptsIssuedAt: Joi.date().iso().max('now').allow(null)
+        .messages({ 'date.max': 'PTS issue date cannot be in the future' }),
     sts: Joi.string().pattern(/^\d{2} \d{2} \d{6}$/)
         .messages({ 'string.pattern.base': 'STS must match format: 12 34 567890 (2 digits + space + 2 digits + space + 6 digits)' }),
     registrationDate: Joi.date().iso(),
+    validUntil: Joi.date().iso().allow(null),
     documentOwner: Joi.string()
         .custom((value, helpers) => {
             if (value.length === 11) {
@@ -74,8 +132,61 @@ const regDocPatchSchema = Joi.object({
         })
 }).min(1);
 
+const documentNumberPatterns = {
+    PTS: new RegExp(`${PTS_PATTERNS.PAPER.source}|${PTS_PATTERNS.ELECTRONIC.source}`),
+    STS: /^\d{2} \d{2} \d{6}$/
+};
+
+const documentNumberSchema = Joi.string().required()
+    .when('kind', {
+        is: 'PTS',
+        then: Joi.string().pattern(documentNumberPatterns.PTS)
+            .messages({ 'string.pattern.base': 'PTS must match format: 12 АБ 345678 or 15 digits for an electronic PTS' }),
+        otherwise: Joi.string().pattern(documentNumberPatterns.STS)
+            .messages({ 'string.pattern.base': 'STS must match format: 12 34 567890' })
+    });
+
+const regDocReissueSchema = Joi.object({
+    kind: Joi.string().valid('PTS', 'STS').required(),
+    number: documentNumberSchema,
+    reason: Joi.string().valid('LOST', 'DAMAGED', 'UNUSABLE', 'DATA_CHANGE').required(),
+    issuedAt: Joi.date().iso().max('now').optional()
+        .messages({ 'date.max': 'Issue date cannot be in the future' })
+});
+
+const documentLookupSchema = Joi.object({
+    kind: Joi.string().valid('PTS', 'STS').required(),
+    number: documentNumberSchema
+});
+
+// Состав владельцев: доли обыкновенными дробями и ровно один основной владелец
+const regDocOwnersSchema = Joi.object({
+    owners: Joi.array().min(1).max(10).unique('owner').required()
+        .items(Joi.object({
+            owner: Joi.string().pattern(/^(\d{4} \d{6}|\d{10})$/).required()
+                .messages({ 'string.pattern.base': 'Owner must be either passport ("1234 567890") or tax number (10 digits)' }),
+            shareNumerator: Joi.number().integer().min(1).required(),
+            shareDenominator: Joi.number().integer().min(Joi.ref('shareNumerator')).max(1000).required()
+                .messages({ 'number.min': 'A share cannot exceed 1' }),
+            isPrimary: Joi.boolean().default(false)
+        }))
+        .custom((owners, helpers) => (
+            owners.filter(owner => owner.isPrimary).length === 1 ? owners : helpers.error('owners.primary')
+        ))
+        .messages({
+            'array.unique': 'Each owner can be listed only once',
+            'owners.primary': 'Exactly one primary owner must be designated'
+        })
+});
+
 module.exports = {
+    PTS_PATTERNS,
+    ptsTypes,
+    eptsStatuses,
     regDocSchema,
     regDocPutSchema,
-    regDocPatchSchema
+    regDocPatchSchema,
+    regDocReissueSchema,
+    documentLookupSchema,
+    regDocOwnersSchema
 };
\ No newline at end of file
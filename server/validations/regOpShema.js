@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { PLATE_PATTERN } = require('../services/vehicleCategoryService');
 
 const regOpSchema = Joi.object({
     vin: Joi.string()
@@ -9,7 +10,7 @@ const regOpSchema = Joi.object({
             'any.required': 'VIN обязателен'
         }),
     registrationNumber: Joi.string()
-        .pattern(/^[АВЕКМНОРСТУХ]\d{3}[АВЕКМНОРСТУХ]{2}\d{2,3}$/)
+        .pattern(PLATE_PATTERN)
         .allow('')
         .optional()
         .messages({
@@ -36,6 +37,14 @@ const regOpSchema = Joi.object({
             'string.max': 'Основание операции не должно превышать 255 символов',
             'any.required': 'Основание операции обязательно'
         }),
+    validUntil: Joi.date()
+        .iso()
+        .greater(Joi.ref('operationDate'))
+        .allow(null)
+        .optional()
+        .messages({
+            'date.greater': 'Срок временной регистрации должен быть позже даты операции'
+        }),
     operationDate: Joi.date()
         .iso()
         .required()
@@ -48,7 +57,7 @@ const regOpSchema = Joi.object({
 
 const regOpPatchSchema = Joi.object({
     registrationNumber: Joi.string()
-        .pattern(/^[АВЕКМНОРСТУХ]\d{3}[АВЕКМНОРСТУХ]{2}\d{2,3}$/)
+        .pattern(PLATE_PATTERN)
         .allow(null)
         .optional()
         .messages({
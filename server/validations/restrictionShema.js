@@ -0,0 +1,38 @@
+const Joi = require('joi');
+
+const restrictionTypes = ['ARREST', 'REGISTRATION_BAN', 'PLEDGE', 'WANTED'];
+
+const restrictionSchema = Joi.object({
+    type: Joi.string().valid(...restrictionTypes).required()
+        .messages({
+            'any.only': 'Неизвестный вид ограничения',
+            'any.required': 'Вид ограничения обязателен'
+        }),
+    authority: Joi.string().min(3).max(255).required()
+        .messages({
+            'string.min': 'Наименование органа должно содержать не менее 3 символов',
+            'any.required': 'Орган, наложивший ограничение, обязателен'
+        }),
+    documentNumber: Joi.string().max(100).required()
+        .messages({ 'any.required': 'Номер документа обязателен' }),
+    imposedAt: Joi.date().iso().max('now').required()
+        .messages({
+            'date.max': 'Дата наложения не может быть в будущем',
+            'any.required': 'Дата наложения обязательна'
+        }),
+    liftedAt: Joi.date().iso().greater(Joi.ref('imposedAt')).allow(null).optional()
+        .messages({ 'date.greater': 'Дата снятия должна быть позже даты наложения' }),
+    comment: Joi.string().max(255).allow('', null).optional()
+});
+
+const restrictionLiftSchema = Joi.object({
+    liftedAt: Joi.date().iso().optional(),
+    liftDocumentNumber: Joi.string().max(100).required()
+        .messages({ 'any.required': 'Номер документа о снятии ограничения обязателен' })
+});
+
+module.exports = {
+    restrictionTypes,
+    restrictionSchema,
+    restrictionLiftSchema
+};
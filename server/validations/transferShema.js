@@ -0,0 +1,26 @@
+const Joi = require('joi');
+const { PLATE_PATTERN } = require('../services/vehicleCategoryService');
+
+const transferStatuses = ['PENDING_BUYER', 'ACCEPTED', 'COMPLETED', 'DECLINED', 'CANCELLED'];
+
+const transferSchema = Joi.object({
+    vin: Joi.string().pattern(/^[A-HJ-NPR-Z0-9]{17}$/).required()
+        .messages({ 'string.pattern.base': 'VIN must consist of 17 characters (letters A-H, J-N, P-Z and digits)' }),
+    buyer: Joi.string().pattern(/^(\d{4} \d{6}|\d{10})$/).required()
+        .messages({ 'string.pattern.base': 'Buyer must be either passport ("1234 567890") or tax number (10 digits)' }),
+    unitCode: Joi.string().length(6).required()
+});
+
+const transferFinalizeSchema = Joi.object({
+    registrationNumber: Joi.string().pattern(PLATE_PATTERN).optional()
+        .messages({ 'string.pattern.base': 'Неверный формат регистрационного номера' }),
+    sts: Joi.string().pattern(/^\d{2} \d{2} \d{6}$/).required()
+        .messages({ 'string.pattern.base': 'СТС должен соответствовать формату: 12 34 567890' }),
+    operationDate: Joi.date().iso().optional()
+});
+
+module.exports = {
+    transferStatuses,
+    transferSchema,
+    transferFinalizeSchema
+};
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { COMPANY_ROLES } = require('../services/companyService');
 
 const userSchema = Joi.object({
     email: Joi.string().email().optional(),
@@ -41,6 +42,7 @@ const userPatchSchema = Joi.object({
         .messages({ 'string.pattern.base': 'passportData must match format "1234 567890"' }),
     taxNumber: Joi.string().pattern(/^\d{10}$/).optional().allow(null)
         .messages({ 'string.pattern.base': 'taxNumber must contain exactly 10 digits' }),
+    companyRole: Joi.string().valid(...Object.keys(COMPANY_ROLES)).optional().allow(null),
     badgeNumber: Joi.string().pattern(/^\d{2}-\d{4}$/).optional().allow(null)
         .messages({ 'string.pattern.base': 'badgeNumber must match format "12-3456"' })
 }).min(1);
@@ -1,92 +1,266 @@
 const Joi = require('joi');
+const { DEREGISTRATION_REASONS } = require('../services/deregistrationService');
+const { hasValidCheckDigit } = require('../services/vinService');
+const { VEHICLE_CATEGORIES, DEFAULT_VEHICLE_CATEGORY } = require('../services/vehicleCategoryService');
+
+// Прежний строковый формат мощности принимается наравне с числовыми полями
+const POWER_PATTERN = /^\d+\s*кВт\/\d+\s*л\.с\.$/;
+
+const MAX_RELEASE_YEAR = new Date().getFullYear() + 1;
+
+const RELEASE_YEAR_MESSAGES = {
+    'number.base': 'Год выпуска должен быть числом в формате YYYY',
+    'number.min': 'Год выпуска не может быть раньше 1900',
+    'number.max': `Год выпуска не может быть позже ${MAX_RELEASE_YEAR}`
+};
+
+const POWERTRAIN_TYPES = ['ICE', 'HEV', 'PHEV', 'BEV', 'FCEV'];
+
+// Силовые установки без ДВС: рабочего объема нет, модель двигателя — по желанию
+const ELECTRIC_POWERTRAINS = ['BEV', 'FCEV'];
+
+const CATEGORY_CODES = Object.keys(VEHICLE_CATEGORIES);
+const NO_ENGINE_CATEGORIES = CATEGORY_CODES.filter(code => !VEHICLE_CATEGORIES[code].hasEngine);
+
+const engineModelRule = Joi.string().pattern(/^[A-Z0-9-]+$/)
+    .messages({
+        'string.pattern.base': 'Модель двигателя должна содержать только латинские буквы, цифры и дефис',
+        'any.required': 'Укажите модель двигателя'
+    });
+
+const engineVolumeRule = Joi.number().integer().min(500).max(7400)
+    .messages({
+        'number.min': 'Объем двигателя должен быть не менее 500 см³',
+        'number.max': 'Объем двигателя должен быть не более 7400 см³',
+        'any.required': 'Укажите рабочий объем двигателя'
+    });
+
+const electricMotorPowerRule = Joi.number().integer().min(1).max(1500)
+    .messages({
+        'number.base': 'Мощность электродвигателя указывается в кВт',
+        'any.required': 'Укажите мощность электродвигателя'
+    });
+
+const batteryCapacityRule = Joi.number().min(0.1).max(300).precision(1)
+    .messages({
+        'number.base': 'Емкость батареи указывается в кВт·ч',
+        'any.required': 'Укажите емкость тяговой батареи'
+    });
+
+const powerKwRule = Joi.number().integer().min(1).max(1500)
+    .messages({ 'number.base': 'Мощность в кВт должна быть числом' });
+
+const powerHpRule = Joi.number().integer().min(1).max(2000)
+    .messages({ 'number.base': 'Мощность в л.с. должна быть числом' });
+
+const massRule = Joi.number().integer().min(100).max(60000);
+
+const seatsCountRule = Joi.number().integer().min(1).max(120)
+    .messages({ 'number.base': 'Число мест должно быть целым числом' });
+
+// У ТС без двигателя (прицепа) поля двигателя и трансмиссии не заполняются
+const engineRule = (rule) => Joi.when('category', {
+    is: Joi.valid(...NO_ENGINE_CATEGORIES),
+    then: Joi.valid(null).messages({ 'any.only': 'У прицепа не указываются характеристики двигателя и трансмиссии' }),
+    otherwise: rule
+});
+
+// Мощность указывается либо строкой "110 кВт/150 л.с.", либо парой чисел
+const powerValueRule = (rule) => engineRule(Joi.when('power', {
+    is: Joi.exist(),
+    then: Joi.forbidden(),
+    otherwise: rule.required()
+})).messages({
+    'any.required': 'Укажите мощность двигателя в кВт и л.с.',
+    'any.unknown': 'Мощность указывается либо строкой, либо числами кВт и л.с.'
+});
+
+// Масса и число мест с ограничениями категории, например обязательная масса грузовика
+const categoryLimitRule = (field, rule, label) => Joi.when('category', {
+    switch: CATEGORY_CODES
+        .filter(code => VEHICLE_CATEGORIES[code].limits?.[field])
+        .map(code => {
+            const { min, max, required } = VEHICLE_CATEGORIES[code].limits[field];
+            let limited = rule;
+            if (min) limited = limited.min(min);
+            if (max) limited = limited.max(max);
+
+            return {
+                is: code,
+                then: (required ? limited.required() : limited.allow(null)).messages({
+                    'number.min': `Для категории ${code} ${label} — не менее ${min}`,
+                    'number.max': `Для категории ${code} ${label} — не более ${max}`,
+                    'any.required': `Для категории ${code} укажите: ${label}`
+                })
+            };
+        }),
+    otherwise: rule.allow(null)
+});
+
+// Поля, набор которых зависит от типа силовой установки
+const powertrainRules = {
+    powertrainType: engineRule(Joi.string().valid(...POWERTRAIN_TYPES).default('ICE'))
+        .messages({ 'any.only': 'Неизвестный тип силовой установки' }),
+    engineModel: engineRule(Joi.when('powertrainType', {
+        is: Joi.valid(...ELECTRIC_POWERTRAINS),
+        then: engineModelRule.allow(null, ''),
+        otherwise: engineModelRule.required()
+    })),
+    engineVolume: engineRule(Joi.when('powertrainType', {
+        is: Joi.valid(...ELECTRIC_POWERTRAINS),
+        then: Joi.valid(null).messages({ 'any.only': 'У электромобиля не указывается рабочий объем двигателя' }),
+        otherwise: engineVolumeRule.required()
+    })),
+    electricMotorPower: engineRule(Joi.when('powertrainType', {
+        switch: [
+            { is: Joi.valid(...ELECTRIC_POWERTRAINS), then: electricMotorPowerRule.required() },
+            { is: 'ICE', then: Joi.valid(null).messages({ 'any.only': 'У ТС с ДВС нет электродвигателя' }) }
+        ],
+        otherwise: electricMotorPowerRule.allow(null)
+    })),
+    batteryCapacity: engineRule(Joi.when('powertrainType', {
+        switch: [
+            { is: 'BEV', then: batteryCapacityRule.required() },
+            { is: 'ICE', then: Joi.valid(null).messages({ 'any.only': 'У ТС с ДВС нет тяговой батареи' }) }
+        ],
+        otherwise: batteryCapacityRule.allow(null)
+    }))
+};
+
+// Поля, обязательность и допустимые значения которых задает категория ТС
+const categoryRules = {
+    category: Joi.string().valid(...CATEGORY_CODES).default(DEFAULT_VEHICLE_CATEGORY)
+        .messages({ 'any.only': 'Неизвестная категория ТС' }),
+    typeOfDrive: engineRule(Joi.string().valid('FWD', 'RWD', 'AWD', '4WD').required()),
+    power: engineRule(Joi.string().pattern(POWER_PATTERN))
+        .messages({
+            'string.pattern.base': 'Мощность должна быть указана в формате "число кВт/число л.с."'
+        }),
+    powerKw: powerValueRule(powerKwRule),
+    powerHp: powerValueRule(powerHpRule),
+    transmissionType: engineRule(Joi.string().valid('MT', 'AT', 'AMT', 'CVT', 'DCT', 'DSG').required()),
+    steeringWheel: engineRule(Joi.string().valid('Правостороннее', 'Левостороннее').required()),
+    ...powertrainRules,
+    curbMass: massRule.allow(null)
+        .messages({ 'number.base': 'Масса без нагрузки указывается в килограммах' }),
+    maxMass: categoryLimitRule('maxMass', massRule, 'разрешенная максимальная масса, кг')
+        .messages({ 'number.base': 'Разрешенная максимальная масса указывается в килограммах' }),
+    seatsCount: categoryLimitRule('seatsCount', seatsCountRule, 'число мест для сидения')
+};
+
+// Проверка сочетания полей категории и силовой установки после частичного обновления
+const vehicleCategorySchema = Joi.object(categoryRules).unknown(true);
 
 const vehicleCreateSchema = Joi.object({
     vin: Joi.string().pattern(/^[A-HJ-NPR-Z0-9]{17}$/).required()
+        .custom((value, helpers) => hasValidCheckDigit(value) ? value : helpers.error('vin.checkDigit'))
         .messages({
-            'string.pattern.base': 'VIN должен состоять из 17 символов (латинские буквы, кроме I, O, Q, и цифры)'
+            'string.pattern.base': 'VIN должен состоять из 17 символов (латинские буквы, кроме I, O, Q, и цифры)',
+            'vin.checkDigit': 'Неверная контрольная цифра VIN (9-й символ)'
         }),
     makeAndModel: Joi.string().min(2).max(100).required(),
-    releaseYear: Joi.string().pattern(/^(19|20)\d{2}$/).required()
-        .messages({
-            'string.pattern.base': 'Год выпуска должен быть в формате YYYY (1900-2099)'
-        }),
+    releaseYear: Joi.number().integer().min(1900).max(MAX_RELEASE_YEAR).required()
+        .messages(RELEASE_YEAR_MESSAGES),
     manufacture: Joi.string().min(2).max(100).required(),
-    typeOfDrive: Joi.string().valid('FWD', 'RWD', 'AWD', '4WD').required(),
-    power: Joi.string().pattern(/^\d+\s*кВт\/\d+\s*л\.с\.$/).required()
-        .messages({
-            'string.pattern.base': 'Мощность должна быть указана в формате "число кВт/число л.с."'
-        }),
     hasChassisNumber: Joi.boolean().default(false),
     bodyColor: Joi.string().min(2).max(50).required(),
-    transmissionType: Joi.string().valid('MT', 'AT', 'AMT', 'CVT', 'DCT', 'DSG').required(),
-    steeringWheel: Joi.string().valid('Правостороннее', 'Левостороннее').required(),
-    engineModel: Joi.string().pattern(/^[A-Z0-9-]+$/).required()
-        .messages({
-            'string.pattern.base': 'Модель двигателя должна содержать только латинские буквы, цифры и дефис'
-        }),
-    engineVolume: Joi.number().integer().min(500).max(7400).required()
-        .messages({
-            'number.min': 'Объем двигателя должен быть не менее 500 см³',
-            'number.max': 'Объем двигателя должен быть не более 7400 см³'
-        })
+    ...categoryRules
 });
 
 const vehicleUpdateSchema = Joi.object({
     makeAndModel: Joi.string().min(2).max(100).required(),
-    releaseYear: Joi.string().pattern(/^(19|20)\d{2}$/).required()
-        .messages({
-            'string.pattern.base': 'Год выпуска должен быть в формате YYYY (1900-2099)'
-        }),
+    releaseYear: Joi.number().integer().min(1900).max(MAX_RELEASE_YEAR).required()
+        .messages(RELEASE_YEAR_MESSAGES),
     manufacture: Joi.string().min(2).max(100).required(),
-    typeOfDrive: Joi.string().valid('FWD', 'RWD', 'AWD', '4WD').required(),
-    power: Joi.string().pattern(/^\d+\s*кВт\/\d+\s*л\.с\.$/).required()
-        .messages({
-            'string.pattern.base': 'Мощность должна быть указана в формате "число кВт/число л.с."'
-        }),
     hasChassisNumber: Joi.boolean(),
     bodyColor: Joi.string().min(2).max(50).required(),
-    transmissionType: Joi.string().valid('MT', 'AT', 'AMT', 'CVT', 'DCT', 'DSG').required(),
-    steeringWheel: Joi.string().valid('Правостороннее', 'Левостороннее').required(),
-    engineModel: Joi.string().pattern(/^[A-Z0-9-]+$/).required()
-        .messages({
-            'string.pattern.base': 'Модель двигателя должна содержать только латинские буквы, цифры и дефис'
-        }),
-    engineVolume: Joi.number().integer().min(500).max(7400).required()
-        .messages({
-            'number.min': 'Объем двигателя должен быть не менее 500 см³',
-            'number.max': 'Объем двигателя должен быть не более 7400 см³'
-        })
+    ...categoryRules
 });
 
 const vehiclePatchSchema = Joi.object({
     makeAndModel: Joi.string().min(2).max(100),
-    releaseYear: Joi.string().pattern(/^(19|20)\d{2}$/)
-        .messages({
-            'string.pattern.base': 'Год выпуска должен быть в формате YYYY (1900-2099)'
-        }),
+    releaseYear: Joi.number().integer().min(1900).max(MAX_RELEASE_YEAR)
+        .messages(RELEASE_YEAR_MESSAGES),
     manufacture: Joi.string().min(2).max(100),
-    typeOfDrive: Joi.string().valid('FWD', 'RWD', 'AWD', '4WD'),
-    power: Joi.string().pattern(/^\d+\s*кВт\/\d+\s*л\.с\.$/)
+    category: Joi.string().valid(...CATEGORY_CODES)
+        .messages({ 'any.only': 'Неизвестная категория ТС' }),
+    typeOfDrive: Joi.string().valid('FWD', 'RWD', 'AWD', '4WD').allow(null),
+    power: Joi.string().pattern(POWER_PATTERN)
         .messages({
             'string.pattern.base': 'Мощность должна быть указана в формате "число кВт/число л.с."'
         }),
+    powerKw: powerKwRule.allow(null),
+    powerHp: powerHpRule.allow(null),
     hasChassisNumber: Joi.boolean(),
     bodyColor: Joi.string().min(2).max(50),
-    transmissionType: Joi.string().valid('MT', 'AT', 'AMT', 'CVT', 'DCT', 'DSG'),
-    steeringWheel: Joi.string().valid('Правостороннее', 'Левостороннее'),
-    engineModel: Joi.string().pattern(/^[A-Z0-9-]+$/)
+    transmissionType: Joi.string().valid('MT', 'AT', 'AMT', 'CVT', 'DCT', 'DSG').allow(null),
+    steeringWheel: Joi.string().valid('Правостороннее', 'Левостороннее').allow(null),
+    powertrainType: Joi.string().valid(...POWERTRAIN_TYPES).allow(null)
+        .messages({ 'any.only': 'Неизвестный тип силовой установки' }),
+    engineModel: engineModelRule.allow(null),
+    engineVolume: engineVolumeRule.allow(null),
+    electricMotorPower: electricMotorPowerRule.allow(null),
+    batteryCapacity: batteryCapacityRule.allow(null),
+    curbMass: massRule.allow(null),
+    maxMass: massRule.allow(null),
+    seatsCount: seatsCountRule.allow(null)
+})
+    .min(1)
+    .oxor('power', 'powerKw')
+    .oxor('power', 'powerHp')
+    .messages({
+        'object.oxor': 'Мощность указывается либо строкой, либо числами кВт и л.с.'
+    });
+
+const vehicleDeregisterSchema = Joi.object({
+    reason: Joi.string().valid(...Object.keys(DEREGISTRATION_REASONS)).required()
         .messages({
-            'string.pattern.base': 'Модель двигателя должна содержать только латинские буквы, цифры и дефис'
+            'any.only': 'Неверная причина снятия с учета',
+            'any.required': 'Причина снятия с учета обязательна'
         }),
-    engineVolume: Joi.number().integer().min(500).max(7400)
+    comment: Joi.when('reason', {
+        is: 'OTHER',
+        then: Joi.string().max(200).required(),
+        otherwise: Joi.string().max(200).allow('').optional()
+    }).messages({
+        'string.max': 'Комментарий не должен превышать 200 символов',
+        'string.empty': 'Для иной причины укажите комментарий',
+        'any.required': 'Для иной причины укажите комментарий'
+    }),
+    principal: Joi.string().pattern(/^(\d{4} \d{6}|\d{10})$/).optional()
         .messages({
-            'number.min': 'Объем двигателя должен быть не менее 500 см³',
-            'number.max': 'Объем двигателя должен быть не более 7400 см³'
+            'string.pattern.base': 'Доверитель указывается паспортом ("1234 567890") или ИНН (10 цифр)'
         })
-}).min(1);
+});
+
+const rangeTo = (fromKey) => Joi.number().integer().min(0).when(fromKey, {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref(fromKey))
+});
+
+// Фильтры списка ТС по диапазонам, силовой установке и категории; остальные параметры проверяет контроллер
+const vehicleListQuerySchema = Joi.object({
+    powerHpFrom: Joi.number().integer().min(0),
+    powerHpTo: rangeTo('powerHpFrom'),
+    releaseYearFrom: Joi.number().integer().min(0),
+    releaseYearTo: rangeTo('releaseYearFrom'),
+    engineVolumeFrom: Joi.number().integer().min(0),
+    engineVolumeTo: rangeTo('engineVolumeFrom'),
+    powertrainType: Joi.string().valid(...POWERTRAIN_TYPES)
+        .messages({ 'any.only': 'Неизвестный тип силовой установки' }),
+    category: Joi.string().valid(...CATEGORY_CODES)
+        .messages({ 'any.only': 'Неизвестная категория ТС' })
+}).unknown(true).messages({
+    'number.base': 'Границы диапазона должны быть целыми числами',
+    'number.min': 'Нижняя граница диапазона больше верхней'
+});
 
 module.exports = {
     vehicleCreateSchema,
     vehicleUpdateSchema,
-    vehiclePatchSchema
+    vehiclePatchSchema,
+    vehicleDeregisterSchema,
+    vehicleListQuerySchema,
+    vehicleCategorySchema,
+    POWERTRAIN_TYPES
 };
\ No newline at end of file